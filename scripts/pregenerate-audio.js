@@ -1,27 +1,65 @@
 #!/usr/bin/env node
 /**
- * Script to pre-generate common audio messages
+ * Script to pre-generate audio for every static IVR prompt (see src/flows/promptCatalog.js)
  * Run this during deployment to speed up initial calls
- * Usage: node scripts/pregenerate-audio.js
+ * Usage: node scripts/pregenerate-audio.js [--check]
+ *
+ * Voices come from TTS_PREGENERATE_VOICES ("murfai:en-US-natalie,local") or
+ * the TTS provider chain. Each prompt is reported as cached, stale (its text
+ * changed since the audio was made) or missing; --check only reports, and
+ * exits with status 1 when a configured voice has stale or missing prompts.
  */
 
 require('dotenv').config();
-const murfaiService = require('../src/services/murfaiService');
+const promptAudioService = require('../src/services/promptAudioService');
+const audioCacheService = require('../src/services/audioCacheService');
 const logger = require('../src/utils/logger');
 
+const checkOnly = process.argv.includes('--check');
+
+function printReport(report) {
+  report.forEach(voice => {
+    const counts = promptAudioService.summarize(voice);
+    const state = voice.configured ? '' : ' (not configured, skipped)';
+
+    logger.info(`${voice.provider}/${voice.voiceId}${state}: ${counts.cached} cached, ${counts.stale} stale, ${counts.missing} missing` +
+      (checkOnly ? '' : `, ${counts.generated} generated, ${counts.failed} failed`));
+
+    if (!voice.configured) {
+      return;
+    }
+
+    voice.prompts
+      .filter(prompt => prompt.status !== 'cached' || prompt.error)
+      .forEach(prompt => {
+        const outcome = prompt.error ? `failed: ${prompt.error}` : (prompt.generated ? 'generated' : prompt.status);
+        logger.info(`  ${prompt.id} [${outcome}] ${prompt.text.replace(/\s+/g, ' ').substring(0, 60)}`);
+      });
+  });
+}
+
 async function preGenerate() {
   try {
-    logger.info('Pre-generating common audio messages...');
-    
-    const result = await murfaiService.preGenerateCommonMessages();
-    
-    logger.info(`Successfully pre-generated ${result.length} audio files.`);
-    
-    result.forEach((item, index) => {
-      logger.info(`${index + 1}. ${item.text.substring(0, 50)}... -> ${item.audioUrl}`);
-    });
-    
-    process.exit(0);
+    if (promptAudioService.getVoices().length === 0) {
+      logger.warn('No TTS provider in the chain renders audio ahead of time; nothing to pre-generate.');
+      process.exit(0);
+    }
+
+    logger.info(checkOnly ? 'Checking prompt audio...' : 'Pre-generating prompt audio...');
+
+    const report = checkOnly
+      ? await promptAudioService.getStatus()
+      : await promptAudioService.pregenerate();
+
+    printReport(report);
+
+    // Cache hits are indexed lazily; write them before exiting
+    await audioCacheService.flush();
+
+    const incomplete = report.some(voice => voice.configured && voice.prompts.some(prompt =>
+      checkOnly ? prompt.status !== 'cached' : prompt.error
+    ));
+    process.exit(incomplete ? 1 : 0);
   } catch (error) {
     logger.error('Failed to pre-generate audio:', error);
     process.exit(1);
@@ -29,4 +67,3 @@ async function preGenerate() {
 }
 
 preGenerate();
-
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Script to delete stored answer recordings past their retention period
+ * Usage: node scripts/purge-recordings.js [days]
+ */
+
+require('dotenv').config();
+
+const days = parseInt(process.argv[2], 10);
+if (days > 0) {
+  process.env.RECORDING_RETENTION_DAYS = String(days);
+}
+
+const recordingService = require('../src/services/recordingService');
+const logger = require('../src/utils/logger');
+
+async function purgeRecordings() {
+  try {
+    logger.info(`Purging answer recordings older than ${recordingService.getRetentionDays()} days...`);
+
+    const result = await recordingService.purgeExpired();
+
+    logger.info(`Recordings purged. Deleted ${result.deleted} files, kept ${result.kept}.`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Failed to purge recordings:', error);
+    process.exit(1);
+  }
+}
+
+purgeRecordings();
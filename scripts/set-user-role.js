@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Script to give a user a role, e.g. to create the first admin
+ * Usage: node scripts/set-user-role.js <phoneNumber> <candidate|coach|admin>
+ */
+
+require('dotenv').config();
+const { User, AuditLog } = require('../src/database/models');
+const logger = require('../src/utils/logger');
+
+const [phoneNumber, role] = process.argv.slice(2);
+
+async function setRole() {
+  try {
+    if (!phoneNumber || !User.ROLES.includes(role)) {
+      logger.error(`Usage: node scripts/set-user-role.js <phoneNumber> <${User.ROLES.join('|')}>`);
+      process.exit(1);
+    }
+
+    const user = await User.findByPhoneNumber(phoneNumber);
+    if (!user) {
+      logger.error(`No user with phone number ${phoneNumber}`);
+      process.exit(1);
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record({
+      actor: null,
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user.id,
+      details: { changes: { role: { from: previousRole, to: role } }, source: 'set-user-role script' }
+    });
+
+    logger.info(`${user.name} (${user.phoneNumber}) is now ${role} (was ${previousRole})`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Failed to set role:', error);
+    process.exit(1);
+  }
+}
+
+setRole();
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Simulate a phone call against the local app, without Twilio or a tunnel.
+ * OpenAI, MurfAI and the Twilio REST API are replaced by offline stubs; only
+ * the database is real.
+ * Usage: node scripts/simulate-call.js [scenario.json]
+ *        (defaults to scripts/simulations/mock-interview.json)
+ *
+ * A scenario's "caller" is the profile the "from" number is registered with
+ * before the call (add "pin" to be asked for it), or "new" to delete that
+ * number's account so the call goes through voice onboarding.
+ */
+
+require('dotenv').config();
+
+// Placeholder credentials so the services load; nothing leaves the machine
+process.env.TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || `AC${'0'.repeat(32)}`;
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'simulator-auth-token';
+process.env.TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER || '+14155550199';
+process.env.WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || 'http://simulator.local';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const { installOfflineServices } = require('../src/simulator/offlineServices');
+const { CallSimulator, formatTranscript } = require('../src/simulator/callSimulator');
+
+async function prepareCaller(scenario, User) {
+  if (!scenario.caller) {
+    return;
+  }
+
+  const existing = await User.findByPhoneNumber(scenario.from);
+
+  if (scenario.caller === 'new') {
+    if (existing) {
+      await existing.destroy();
+    }
+    return;
+  }
+
+  const { pin, ...profile } = scenario.caller;
+  const user = existing
+    ? await existing.update({ ...profile, isActive: true })
+    : await User.createUser({ phoneNumber: scenario.from, ...profile });
+  await user.setPin(pin || null);
+}
+
+async function simulate() {
+  const scenarioPath = path.resolve(process.argv[2] || path.join(__dirname, 'simulations', 'mock-interview.json'));
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+
+  const { spoken, restore } = installOfflineServices();
+  const app = require('../src/server');
+  const { sequelize, User } = require('../src/database/models');
+
+  try {
+    await sequelize.sync();
+    await prepareCaller(scenario, User);
+
+    console.log(`📞 Simulating call: ${scenario.description || path.basename(scenarioPath)}\n`);
+
+    const simulator = new CallSimulator(app, { from: scenario.from, spoken });
+    const result = await simulator.run(scenario.steps || []);
+
+    console.log(formatTranscript(result.transcript));
+    console.log(`\n✅ Call ${result.callSid} ended (${result.status}) after ${result.requests.length} webhook requests`);
+
+    if (result.unusedSteps.length > 0) {
+      console.log(`⚠️  ${result.unusedSteps.length} scripted step(s) were never used`);
+    }
+
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Simulation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    restore();
+    await sequelize.close();
+    process.exit();
+  }
+}
+
+simulate();
@@ -0,0 +1,132 @@
+// Signatures are checked by the real twilioService
+jest.unmock('../../services/twilioService');
+
+process.env.TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || `AC${'0'.repeat(32)}`;
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'test-twilio-auth-token';
+process.env.TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER || '+14155550199';
+
+const express = require('express');
+const request = require('supertest');
+const twilioService = require('../../services/twilioService');
+const { verifyTwilioSignature, signTwilioRequest } = require('../../middleware/twilioWebhook');
+
+describe('Twilio webhook signature middleware', () => {
+  const baseUrl = 'https://ivr.example.com';
+  let app;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    process.env.WEBHOOK_BASE_URL = baseUrl;
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.TWILIO_WEBHOOK_ALLOWLIST;
+
+    app = express();
+    app.use(express.urlencoded({ extended: true }));
+    const router = express.Router();
+    router.use(verifyTwilioSignature);
+    router.get('/voice', (req, res) => res.json({ ok: true }));
+    router.post('/response', (req, res) => res.send('OK'));
+    app.use('/webhook', router);
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should accept a correctly signed request including the query string', async () => {
+    const params = { CallSid: 'CA123', From: '+15551234567' };
+    const path = '/webhook/response?callSid=CA123&from=+15551234567';
+    const signature = signTwilioRequest(`${baseUrl}${path}`, params);
+
+    await request(app)
+      .post(path)
+      .type('form')
+      .set('X-Twilio-Signature', signature)
+      .send(params)
+      .expect(200);
+  });
+
+  it('should reject a request without a signature', async () => {
+    await request(app)
+      .post('/webhook/response')
+      .type('form')
+      .send({ CallSid: 'CA123' })
+      .expect(403);
+  });
+
+  it('should reject a request whose body was tampered with', async () => {
+    const signature = signTwilioRequest(`${baseUrl}/webhook/response`, { CallSid: 'CA123' });
+
+    await request(app)
+      .post('/webhook/response')
+      .type('form')
+      .set('X-Twilio-Signature', signature)
+      .send({ CallSid: 'CA999' })
+      .expect(403);
+  });
+
+  it('should validate against forwarded headers when behind a proxy', async () => {
+    delete process.env.WEBHOOK_BASE_URL;
+    const params = { CallSid: 'CA123' };
+    const signature = signTwilioRequest('https://public.example.com/webhook/response', params);
+
+    await request(app)
+      .post('/webhook/response')
+      .type('form')
+      .set('X-Forwarded-Proto', 'https')
+      .set('X-Forwarded-Host', 'public.example.com')
+      .set('X-Twilio-Signature', signature)
+      .send(params)
+      .expect(200);
+  });
+
+  it('should skip validation for allow-listed addresses outside production', async () => {
+    process.env.TWILIO_WEBHOOK_ALLOWLIST = '127.0.0.1,::1';
+
+    await request(app)
+      .post('/webhook/response')
+      .type('form')
+      .send({ CallSid: 'CA123' })
+      .expect(200);
+
+    process.env.NODE_ENV = 'production';
+    process.env.TWILIO_AUTH_TOKEN = 'prod-token';
+
+    await request(app)
+      .post('/webhook/response')
+      .type('form')
+      .send({ CallSid: 'CA123' })
+      .expect(403);
+  });
+
+  it('should validate through twilioService with the auth token read per request', async () => {
+    const spy = jest.spyOn(twilioService, 'validateWebhookRequest');
+    process.env.TWILIO_AUTH_TOKEN = 'rotated-token';
+    const params = { CallSid: 'CA123' };
+
+    await request(app)
+      .post('/webhook/response')
+      .type('form')
+      .set('X-Twilio-Signature', signTwilioRequest(`${baseUrl}/webhook/response`, params, 'test-twilio-auth-token'))
+      .send(params)
+      .expect(403);
+
+    await request(app)
+      .post('/webhook/response')
+      .type('form')
+      .set('X-Twilio-Signature', signTwilioRequest(`${baseUrl}/webhook/response`, params))
+      .send(params)
+      .expect(200);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(twilioService.validateWebhookSignature(
+      signTwilioRequest(`${baseUrl}/webhook/response`, params), `${baseUrl}/webhook/response`, params
+    )).toBe(true);
+    spy.mockRestore();
+  });
+
+  it('should leave GET diagnostics open', async () => {
+    await request(app).get('/webhook/voice').expect(200);
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../../server');
+const { sequelize, User, Session, AuditLog } = require('../../database/models');
+const tokenService = require('../../services/tokenService');
+
+describe('Admin Routes', () => {
+  let admin;
+  let coach;
+  let candidate;
+  let tokens;
+
+  beforeAll(async () => {
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await Session.destroy({ where: {} });
+    await User.destroy({ where: {} });
+    await AuditLog.destroy({ where: {} });
+
+    const createUser = (phoneNumber, name, role) => User.createUser({
+      phoneNumber,
+      name,
+      role,
+      industry: 'technology',
+      experienceLevel: 'mid'
+    });
+
+    admin = await createUser('+14155550140', 'Ada Admin', 'admin');
+    coach = await createUser('+14155550141', 'Carl Coach', 'coach');
+    candidate = await createUser('+14155550142', 'Dana Candidate', 'candidate');
+
+    tokens = {};
+    for (const user of [admin, coach, candidate]) {
+      tokens[user.role] = (await tokenService.issueTokens(user)).token;
+    }
+  });
+
+  afterEach(async () => {
+    await Session.destroy({ where: {} });
+    await User.destroy({ where: {} });
+  });
+
+  const as = (role) => ({ Authorization: `Bearer ${tokens[role]}` });
+
+  const createSession = (overrides = {}) => Session.create({
+    userId: candidate.id,
+    sessionType: 'mock_interview',
+    industry: 'technology',
+    roleLevel: 'mid',
+    callSid: 'CA_stuck_call',
+    ...overrides
+  });
+
+  describe('access control', () => {
+    it('should default new users to the candidate role', async () => {
+      const user = await User.createUser({
+        phoneNumber: '+14155550143',
+        name: 'New User',
+        industry: 'finance',
+        experienceLevel: 'entry'
+      });
+      expect(user.role).toBe('candidate');
+    });
+
+    it('should reject candidates and let coaches read', async () => {
+      await request(app).get('/api/admin/users').set(as('candidate')).expect(403);
+      await request(app).get('/api/admin/users').expect(401);
+
+      const response = await request(app).get('/api/admin/users').set(as('coach')).expect(200);
+      expect(response.body.data.pagination.total).toBe(3);
+    });
+
+    it('should keep changes to admins', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${candidate.id}/reactivate`)
+        .set(as('coach'))
+        .expect(403);
+
+      expect(response.body.error).toBe('Insufficient permissions');
+    });
+  });
+
+  describe('users', () => {
+    it('should search by name, phone number or email', async () => {
+      const byName = await request(app).get('/api/admin/users').query({ q: 'dana' }).set(as('admin')).expect(200);
+      expect(byName.body.data.users.map(user => user.id)).toEqual([candidate.id]);
+
+      const byRole = await request(app).get('/api/admin/users').query({ q: '555014', role: 'coach' }).set(as('admin')).expect(200);
+      expect(byRole.body.data.users.map(user => user.id)).toEqual([coach.id]);
+    });
+
+    it('should update a profile and audit the change', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${candidate.id}`)
+        .set(as('admin'))
+        .send({ name: 'Dana Fixed', role: 'coach' })
+        .expect(200);
+
+      expect(response.body.data.user).toMatchObject({ name: 'Dana Fixed', role: 'coach' });
+
+      const entries = await AuditLog.findAll();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ actorId: admin.id, action: 'user.update', targetId: candidate.id });
+      expect(entries[0].details.changes.role).toEqual({ from: 'candidate', to: 'coach' });
+    });
+
+    it('should not let an admin demote themselves', async () => {
+      await request(app)
+        .put(`/api/admin/users/${admin.id}`)
+        .set(as('admin'))
+        .send({ role: 'candidate' })
+        .expect(400);
+    });
+
+    it('should reactivate a deactivated account', async () => {
+      await candidate.update({ isActive: false });
+
+      await request(app)
+        .post(`/api/admin/users/${candidate.id}/reactivate`)
+        .set(as('admin'))
+        .send({ reason: 'Closed by mistake' })
+        .expect(200);
+
+      await candidate.reload();
+      expect(candidate.isActive).toBe(true);
+
+      const log = await request(app).get('/api/admin/audit-log').query({ targetId: candidate.id }).set(as('admin')).expect(200);
+      expect(log.body.data.entries[0]).toMatchObject({ action: 'user.reactivate', details: { reason: 'Closed by mistake' } });
+    });
+  });
+
+  describe('sessions', () => {
+    it('should list sessions of every user with filters', async () => {
+      await createSession();
+      await createSession({ callSid: null, status: 'completed', userId: coach.id });
+
+      const response = await request(app).get('/api/admin/sessions').query({ status: 'active' }).set(as('coach')).expect(200);
+
+      expect(response.body.data.sessions).toHaveLength(1);
+      expect(response.body.data.sessions[0]).toMatchObject({ callSid: 'CA_stuck_call', user: { id: candidate.id } });
+    });
+
+    it('should abandon a stuck session', async () => {
+      const session = await createSession();
+
+      const response = await request(app)
+        .post(`/api/admin/sessions/${session.id}/abandon`)
+        .set(as('admin'))
+        .send({ reason: 'Call dropped' })
+        .expect(200);
+
+      expect(response.body.data.session.status).toBe('abandoned');
+      expect(await Session.findActiveByCallSid('CA_stuck_call')).toBeNull();
+      expect(await AuditLog.count({ where: { action: 'session.abandon', targetId: session.id } })).toBe(1);
+
+      await request(app).post(`/api/admin/sessions/${session.id}/abandon`).set(as('admin')).expect(400);
+    });
+
+    it('should force-complete a session and count it for the user', async () => {
+      const session = await createSession({ scores: { overall: 80 } });
+
+      await request(app)
+        .post(`/api/admin/sessions/${session.id}/complete`)
+        .set(as('admin'))
+        .expect(200);
+
+      await candidate.reload();
+      expect(candidate.totalSessions).toBe(1);
+      expect(candidate.averageScore).toBe(80);
+      expect(await AuditLog.count({ where: { action: 'session.complete' } })).toBe(1);
+    });
+  });
+});
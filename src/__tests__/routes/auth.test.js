@@ -1,11 +1,19 @@
 const request = require('supertest');
 const app = require('../../server');
-const { User } = require('../../database/models');
+const { sequelize, User, OtpCode, RefreshToken, RevokedToken } = require('../../database/models');
+const smsService = require('../../services/smsService');
+const tokenService = require('../../services/tokenService');
+const jwt = require('jsonwebtoken');
 
 describe('Auth Routes', () => {
+  beforeAll(async () => {
+    await sequelize.sync();
+  });
+
   beforeEach(async () => {
     // Clean up test data
     await User.destroy({ where: {} });
+    await OtpCode.destroy({ where: {} });
   });
 
   afterEach(async () => {
@@ -14,17 +22,29 @@ describe('Auth Routes', () => {
   });
 
   describe('POST /api/auth/register', () => {
+    const userData = {
+      phoneNumber: '+14155550201',
+      name: 'John Doe',
+      industry: 'technology',
+      experienceLevel: 'mid'
+    };
+
+    const requestRegistrationCode = async (phoneNumber = userData.phoneNumber) => {
+      await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phoneNumber, purpose: 'register' })
+        .expect(200);
+
+      const messages = smsService.getOutbox(phoneNumber);
+      return messages[messages.length - 1].body.match(/\d{6}/)[0];
+    };
+
     it('should register a new user successfully', async () => {
-      const userData = {
-        phoneNumber: '+15551234567',
-        name: 'John Doe',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      };
+      const code = await requestRegistrationCode();
 
       const response = await request(app)
         .post('/api/auth/register')
-        .send(userData)
+        .send({ ...userData, code })
         .expect(201);
 
       expect(response.body.success).toBe(true);
@@ -34,17 +54,39 @@ describe('Auth Routes', () => {
       expect(response.body.data.user.name).toBe(userData.name);
     });
 
-    it('should return error for invalid phone number', async () => {
-      const userData = {
-        phoneNumber: 'invalid-phone',
-        name: 'John Doe',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      };
+    it('should not register a number without a code sent to it', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send(userData)
+        .expect(400);
 
+      const code = await requestRegistrationCode();
+      const wrong = code === '000000' ? '111111' : '000000';
       const response = await request(app)
         .post('/api/auth/register')
-        .send(userData)
+        .send({ ...userData, code: wrong })
+        .expect(401);
+
+      expect(response.body.error).toBe('Incorrect code');
+      expect(await User.findByPhoneNumber(userData.phoneNumber)).toBeNull();
+    });
+
+    it('should not accept a login code for registration', async () => {
+      await User.createUser({ ...userData, phoneNumber: '+14155550202' });
+      await request(app).post('/api/auth/otp/request').send({ phoneNumber: '+14155550202' }).expect(200);
+      const messages = smsService.getOutbox('+14155550202');
+      const code = messages[messages.length - 1].body.match(/\d{6}/)[0];
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ ...userData, phoneNumber: '+14155550202', code })
+        .expect(401);
+    });
+
+    it('should return error for invalid phone number', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...userData, phoneNumber: 'invalid-phone', code: '123456' })
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -52,64 +94,111 @@ describe('Auth Routes', () => {
     });
 
     it('should return error for duplicate phone number', async () => {
-      const userData = {
-        phoneNumber: '+15551234567',
-        name: 'John Doe',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      };
+      const code = await requestRegistrationCode();
 
-      // Create first user
+      // Registered by someone else after the code was sent
       await User.createUser(userData);
 
-      // Try to create duplicate
       const response = await request(app)
         .post('/api/auth/register')
-        .send(userData)
+        .send({ ...userData, code })
         .expect(409);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('User with this phone number already exists');
     });
+
+    it('should not send registration codes to registered numbers', async () => {
+      await User.createUser(userData);
+      const before = smsService.getOutbox(userData.phoneNumber).length;
+
+      const response = await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phoneNumber: userData.phoneNumber, purpose: 'register' })
+        .expect(200);
+
+      expect(response.body.message).toContain('If this number can be registered');
+      expect(smsService.getOutbox(userData.phoneNumber)).toHaveLength(before);
+    });
+  });
+
+  describe('POST /api/auth/phone-auth', () => {
+    it('should not issue tokens for a phone number alone', async () => {
+      await User.createUser({ phoneNumber: '+14155550201', name: 'John Doe', industry: 'technology', experienceLevel: 'mid' });
+
+      const response = await request(app)
+        .post('/api/auth/phone-auth')
+        .send({ phoneNumber: '+14155550201' })
+        .expect(404);
+
+      expect(response.body.data).toBeUndefined();
+    });
   });
 
   describe('POST /api/auth/login', () => {
+    const phoneNumber = '+14155550123';
+
     beforeEach(async () => {
       // Create test user
       await User.createUser({
-        phoneNumber: '+15551234567',
+        phoneNumber,
         name: 'John Doe',
         industry: 'technology',
         experienceLevel: 'mid'
       });
     });
 
+    const requestCode = async () => {
+      await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phoneNumber })
+        .expect(200);
+
+      const { body } = await request(app)
+        .get('/api/auth/otp/outbox')
+        .query({ phoneNumber })
+        .expect(200);
+      return body.data.messages[body.data.messages.length - 1].body.match(/\d{6}/)[0];
+    };
+
     it('should login existing user successfully', async () => {
+      const code = await requestCode();
+
       const response = await request(app)
         .post('/api/auth/login')
-        .send({ phoneNumber: '+15551234567' })
+        .send({ phoneNumber, code })
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('user');
       expect(response.body.data).toHaveProperty('token');
-      expect(response.body.data.user.phoneNumber).toBe('+15551234567');
+      expect(response.body.data).toHaveProperty('refreshToken');
+      expect(response.body.data.user.phoneNumber).toBe(phoneNumber);
+    });
+
+    it('should not issue a token without a code', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ phoneNumber })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
     });
 
     it('should return error for non-existent user', async () => {
       const response = await request(app)
         .post('/api/auth/login')
-        .send({ phoneNumber: '+15551234568' })
-        .expect(404);
+        .send({ phoneNumber: '+14155550124', code: '123456' })
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBe('User not found');
+      expect(response.body.error).toBe('Code expired or not found, please request a new one');
     });
 
     it('should return error for invalid phone number format', async () => {
       const response = await request(app)
         .post('/api/auth/login')
-        .send({ phoneNumber: 'invalid' })
+        .send({ phoneNumber: 'invalid', code: '123456' })
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -117,6 +206,221 @@ describe('Auth Routes', () => {
     });
   });
 
+  describe('SMS one-time passcodes', () => {
+    const phoneNumber = '+14155550123';
+
+    beforeEach(async () => {
+      await User.createUser({
+        phoneNumber,
+        name: 'Jane Doe',
+        industry: 'finance',
+        experienceLevel: 'senior'
+      });
+    });
+
+    const latestCode = () => {
+      const messages = smsService.getOutbox(phoneNumber);
+      return messages[messages.length - 1].body.match(/\d{6}/)[0];
+    };
+
+    it('should store only a hash of the code and accept it once', async () => {
+      await request(app).post('/api/auth/otp/request').send({ phoneNumber }).expect(200);
+      const code = latestCode();
+
+      const stored = await OtpCode.findLatest(phoneNumber);
+      expect(stored.codeHash).not.toContain(code);
+
+      await request(app).post('/api/auth/otp/verify').send({ phoneNumber, code }).expect(200);
+      await request(app).post('/api/auth/otp/verify').send({ phoneNumber, code }).expect(401);
+    });
+
+    it('should only serve the outbox for one number, and only in tests or when enabled', async () => {
+      await request(app).get('/api/auth/otp/outbox').expect(400);
+
+      const routes = (env) => {
+        const saved = { NODE_ENV: process.env.NODE_ENV, SMS_OUTBOX_ENABLED: process.env.SMS_OUTBOX_ENABLED };
+        Object.assign(process.env, env);
+        let router;
+        jest.isolateModules(() => {
+          router = require('../../routes/auth');
+        });
+        Object.assign(process.env, saved);
+        if (saved.SMS_OUTBOX_ENABLED === undefined) delete process.env.SMS_OUTBOX_ENABLED;
+        return router.stack.filter(layer => layer.route).map(layer => layer.route.path);
+      };
+
+      expect(routes({ NODE_ENV: 'development', SMS_OUTBOX_ENABLED: 'false' })).not.toContain('/otp/outbox');
+      expect(routes({ NODE_ENV: 'staging', SMS_OUTBOX_ENABLED: 'true' })).toContain('/otp/outbox');
+    });
+
+    it('should answer unknown numbers the same way without sending anything', async () => {
+      const before = smsService.getOutbox().length;
+
+      const response = await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phoneNumber: '+14155550199' })
+        .expect(200);
+
+      expect(response.body.message).toContain('If this number is registered');
+      expect(smsService.getOutbox()).toHaveLength(before);
+    });
+
+    it('should throttle resends', async () => {
+      await request(app).post('/api/auth/otp/request').send({ phoneNumber }).expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phoneNumber })
+        .expect(429);
+
+      expect(response.body.retryAfter).toBeGreaterThan(55);
+      expect(response.headers['retry-after']).toBe(String(response.body.retryAfter));
+    });
+
+    it('should reject expired codes', async () => {
+      await request(app).post('/api/auth/otp/request').send({ phoneNumber }).expect(200);
+      await OtpCode.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { phoneNumber } });
+
+      await request(app)
+        .post('/api/auth/otp/verify')
+        .send({ phoneNumber, code: latestCode() })
+        .expect(401);
+    });
+
+    it('should lock the code after too many wrong guesses', async () => {
+      await request(app).post('/api/auth/otp/request').send({ phoneNumber }).expect(200);
+      const code = latestCode();
+      const wrong = code === '000000' ? '111111' : '000000';
+
+      for (let attempt = 4; attempt >= 1; attempt--) {
+        const response = await request(app)
+          .post('/api/auth/otp/verify')
+          .send({ phoneNumber, code: wrong })
+          .expect(401);
+        expect(response.body.attemptsRemaining).toBe(attempt);
+      }
+
+      await request(app).post('/api/auth/otp/verify').send({ phoneNumber, code: wrong }).expect(429);
+      await request(app).post('/api/auth/otp/verify').send({ phoneNumber, code }).expect(429);
+    });
+  });
+
+  describe('Refresh tokens and logout', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await User.createUser({
+        phoneNumber: '+14155550124',
+        name: 'Sam Roe',
+        industry: 'technology',
+        experienceLevel: 'entry'
+      });
+    });
+
+    const verify = (token) => request(app)
+      .get('/api/auth/verify')
+      .set('Authorization', `Bearer ${token}`);
+
+    it('should rotate the refresh token on use', async () => {
+      const first = await tokenService.issueTokens(user);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(first.refreshToken);
+      await verify(response.body.data.token).expect(200);
+
+      const stored = await RefreshToken.findByPk(first.record.id);
+      expect(stored.revokedReason).toBe('rotated');
+      expect(stored.tokenHash).not.toBe(first.refreshToken);
+    });
+
+    it('should revoke the whole login when a rotated token is reused', async () => {
+      const first = await tokenService.issueTokens(user);
+      const { body } = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(401);
+
+      const response = await verify(body.data.token).expect(401);
+      expect(response.body.error).toBe('Token revoked');
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should revoke the access and refresh token on logout', async () => {
+      const session = await tokenService.issueTokens(user);
+      const other = await tokenService.issueTokens(user);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      expect((await verify(session.token).expect(401)).body.error).toBe('Token revoked');
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+      await verify(other.token).expect(200);
+    });
+
+    it('should prune expired refresh tokens and revocations', async () => {
+      const expired = await tokenService.issueTokens(user);
+      const live = await tokenService.issueTokens(user);
+      await tokenService.logout(jwt.decode(expired.token));
+      await RefreshToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { id: expired.record.id } });
+      await RevokedToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { jti: expired.record.accessTokenJti } });
+
+      // Other suites may leave expired rows in the shared database
+      const pruned = await tokenService.pruneExpired();
+      expect(pruned.revoked).toBeGreaterThanOrEqual(1);
+      expect(pruned.refreshTokens).toBeGreaterThanOrEqual(1);
+      expect(await RefreshToken.findByPk(expired.record.id)).toBeNull();
+      expect(await RevokedToken.findOne({ where: { jti: expired.record.accessTokenJti } })).toBeNull();
+      expect(await RefreshToken.findByPk(live.record.id)).not.toBeNull();
+    });
+
+    it('should log out all devices', async () => {
+      const sessions = [await tokenService.issueTokens(user), await tokenService.issueTokens(user)];
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${sessions[0].token}`)
+        .expect(200);
+
+      expect(response.body.data.revokedSessions).toBe(1);
+      for (const session of sessions) {
+        await verify(session.token).expect(401);
+      }
+      expect(await RefreshToken.findActiveByUserId(user.id)).toHaveLength(0);
+    });
+
+    it('should revoke sessions when the account is deactivated', async () => {
+      const session = await tokenService.issueTokens(user);
+
+      await request(app)
+        .delete('/api/users/account')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+      expect(await RevokedToken.isRevoked(session.record.accessTokenJti)).toBe(true);
+    });
+  });
+
   describe('GET /api/auth/verify', () => {
     let user;
     let token;
@@ -0,0 +1,145 @@
+jest.unmock('../../services/openaiService');
+
+const request = require('supertest');
+const app = require('../../server');
+const { sequelize, User, Session, CompanyPack, AuditLog } = require('../../database/models');
+const tokenService = require('../../services/tokenService');
+
+describe('Company Routes', () => {
+  let coach;
+  let candidate;
+  let tokens;
+
+  const pack = {
+    name: 'Northwind Traders',
+    aliases: ['Northwind'],
+    industry: 'retail',
+    values: ['Customer obsession', 'Frugality'],
+    questionThemes: ['Scaling a store launch', 'Disagreeing with a manager'],
+    interviewStages: [{ name: 'Phone screen', description: 'Motivation and background' }, { name: 'Onsite loop' }],
+    rubric: [
+      { name: 'Ownership', description: 'Takes responsibility end to end', weight: 3, keywords: ['i owned', 'responsib'] },
+      { name: 'Customer focus', weight: 1, keywords: ['customer'] }
+    ]
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await Session.destroy({ where: {} });
+    await CompanyPack.destroy({ where: {} });
+    await User.destroy({ where: {} });
+    await AuditLog.destroy({ where: {} });
+
+    coach = await User.createUser({ phoneNumber: '+14155550170', name: 'Casey Coach', role: 'coach', industry: 'retail', experienceLevel: 'senior' });
+    candidate = await User.createUser({ phoneNumber: '+14155550171', name: 'Robin Candidate', industry: 'retail', experienceLevel: 'mid' });
+
+    tokens = {
+      coach: (await tokenService.issueTokens(coach)).token,
+      candidate: (await tokenService.issueTokens(candidate)).token
+    };
+  });
+
+  afterEach(async () => {
+    await Session.destroy({ where: {} });
+    await CompanyPack.destroy({ where: {} });
+    await User.destroy({ where: {} });
+  });
+
+  const as = (role) => ({ Authorization: `Bearer ${tokens[role]}` });
+
+  describe('CRUD', () => {
+    it('should let staff create a pack and candidates read it', async () => {
+      await request(app).post('/api/companies').set(as('candidate')).send(pack).expect(403);
+
+      const created = await request(app).post('/api/companies').set(as('coach')).send(pack).expect(201);
+      expect(created.body.data.company).toMatchObject({
+        name: 'Northwind Traders',
+        rubric: [
+          { name: 'Ownership', weight: 3 },
+          { name: 'Customer focus', description: '', weight: 1 }
+        ]
+      });
+
+      const list = await request(app).get('/api/companies').set(as('candidate')).expect(200);
+      expect(list.body.data.companies.map(company => company.name)).toEqual(['Northwind Traders']);
+
+      await request(app).post('/api/companies').set(as('coach')).send(pack).expect(409);
+      expect(await AuditLog.count({ where: { action: 'company.create' } })).toBe(1);
+    });
+
+    it('should validate stages and rubric criteria', async () => {
+      const invalid = [
+        { ...pack, rubric: [{ name: 'Ownership', weight: -1 }] },
+        { ...pack, rubric: [{ name: 'Ownership' }, { name: 'ownership' }] },
+        { ...pack, interviewStages: [{ description: 'No name' }] },
+        { ...pack, industry: 'space' }
+      ];
+
+      for (const body of invalid) {
+        await request(app).post('/api/companies').set(as('coach')).send(body).expect(400);
+      }
+    });
+
+    it('should update a pack and hide it from candidates once deactivated', async () => {
+      const created = await CompanyPack.create(pack);
+
+      await request(app)
+        .put(`/api/companies/${created.id}`)
+        .set(as('coach'))
+        .send({ values: ['Customer obsession'] })
+        .expect(200);
+
+      await created.reload();
+      expect(created.values).toEqual(['Customer obsession']);
+
+      await request(app).delete(`/api/companies/${created.id}`).set(as('coach')).expect(200);
+      await request(app).get(`/api/companies/${created.id}`).set(as('candidate')).expect(404);
+      await request(app).get(`/api/companies/${created.id}`).set(as('coach')).expect(200);
+
+      const staffList = await request(app).get('/api/companies').query({ includeInactive: true }).set(as('coach')).expect(200);
+      expect(staffList.body.data.companies).toHaveLength(1);
+
+      const actions = (await AuditLog.findAll({ order: [['createdAt', 'ASC']] })).map(entry => entry.action);
+      expect(actions).toEqual(['company.update', 'company.deactivate']);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should generate questions and score answers from the selected pack', async () => {
+      const created = await CompanyPack.create(pack);
+
+      const started = await request(app)
+        .post('/api/sessions/start')
+        .set(as('candidate'))
+        .send({ sessionType: 'mock_interview', companyPackId: created.id })
+        .expect(201);
+
+      const { session } = started.body.data;
+      expect(session.companyPack).toEqual({ id: created.id, name: 'Northwind Traders' });
+      expect(session.questions[0].text).toBe('Northwind Traders interviews often cover scaling a store launch. Tell me about a time your work involved it.');
+
+      const stored = await Session.findByPk(session.id);
+      const analysis = await require('../../services/openaiService').analyzeResponse({
+        question: session.questions[0].text,
+        userResponse: 'I owned the launch of our flagship store and kept every customer informed about the delays.',
+        companyPack: created.toPromptContext()
+      });
+      expect(stored.companyPackId).toBe(created.id);
+      expect(Object.keys(analysis.rubricScores)).toEqual(['Ownership', 'Customer focus']);
+      expect(analysis.rubricScores.Ownership).toBeGreaterThan(analysis.scores.overall);
+    });
+
+    it('should reject unknown or inactive packs', async () => {
+      const created = await CompanyPack.create({ ...pack, isActive: false });
+
+      await request(app)
+        .post('/api/sessions/start')
+        .set(as('candidate'))
+        .send({ sessionType: 'mock_interview', companyPackId: created.id })
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+jest.unmock('../../services/openaiService');
+
+const request = require('supertest');
+const app = require('../../server');
+const { sequelize, User, Session, Question, AuditLog } = require('../../database/models');
+const tokenService = require('../../services/tokenService');
+
+describe('Question Bank Routes', () => {
+  let coach;
+  let candidate;
+  let tokens;
+
+  beforeAll(async () => {
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await Session.destroy({ where: {} });
+    await Question.destroy({ where: {} });
+    await User.destroy({ where: {} });
+    await AuditLog.destroy({ where: {} });
+
+    coach = await User.createUser({ phoneNumber: '+14155550180', name: 'Quinn Coach', role: 'coach', industry: 'technology', experienceLevel: 'senior' });
+    candidate = await User.createUser({ phoneNumber: '+14155550181', name: 'Sam Candidate', industry: 'technology', experienceLevel: 'mid' });
+
+    tokens = {
+      coach: (await tokenService.issueTokens(coach)).token,
+      candidate: (await tokenService.issueTokens(candidate)).token
+    };
+  });
+
+  afterEach(async () => {
+    await Session.destroy({ where: {} });
+    await Question.destroy({ where: {} });
+    await User.destroy({ where: {} });
+  });
+
+  const as = (role) => ({ Authorization: `Bearer ${tokens[role]}` });
+
+  const conflictQuestion = {
+    text: 'Tell me about a time you disagreed with a senior engineer.',
+    category: 'behavioral',
+    difficulty: 'hard',
+    roleLevel: 'mid',
+    tags: ['Conflict', 'communication'],
+    expectedKeywords: ['listened', 'data'],
+    evaluationCriteria: ['specificity']
+  };
+
+  describe('CRUD and versioning', () => {
+    it('should keep the bank to staff', async () => {
+      await request(app).get('/api/questions').set(as('candidate')).expect(403);
+      await request(app).post('/api/questions').set(as('candidate')).send(conflictQuestion).expect(403);
+    });
+
+    it('should create, tag and filter questions', async () => {
+      const created = await request(app).post('/api/questions').set(as('coach')).send(conflictQuestion).expect(201);
+      expect(created.body.data.question).toMatchObject({ tags: ['conflict', 'communication'], version: 1, source: 'curated' });
+
+      await Question.create({ text: 'How would you design a rate limiter for a public API?', category: 'technical', industry: 'finance' });
+
+      const byTag = await request(app).get('/api/questions').query({ tag: 'conflict' }).set(as('coach')).expect(200);
+      expect(byTag.body.data.questions.map(question => question.text)).toEqual([conflictQuestion.text]);
+
+      const byIndustry = await request(app).get('/api/questions').query({ industry: 'technology' }).set(as('coach')).expect(200);
+      expect(byIndustry.body.data.pagination.total).toBe(1);
+
+      await request(app).post('/api/questions').set(as('coach')).send({ ...conflictQuestion, text: conflictQuestion.text.toUpperCase() }).expect(409);
+      await request(app).post('/api/questions').set(as('coach')).send({ ...conflictQuestion, category: 'trivia' }).expect(400);
+    });
+
+    it('should version edits to the question and keep earlier versions', async () => {
+      const question = await Question.create(conflictQuestion);
+
+      await request(app).put(`/api/questions/${question.id}`).set(as('coach')).send({ tags: ['conflict'] }).expect(200);
+      await question.reload();
+      expect(question.version).toBe(1);
+
+      const response = await request(app)
+        .put(`/api/questions/${question.id}`)
+        .set(as('coach'))
+        .send({ text: 'Tell me about a time you disagreed with a more senior colleague.' })
+        .expect(200);
+
+      expect(response.body.data.question.version).toBe(2);
+      expect(response.body.data.question.history).toEqual([
+        expect.objectContaining({ version: 1, text: conflictQuestion.text, editedBy: coach.id })
+      ]);
+
+      const entry = await AuditLog.findOne({ where: { action: 'question.update', targetId: question.id }, order: [['createdAt', 'DESC']] });
+      expect(entry.details).toMatchObject({ fields: ['text'], fromVersion: 1, toVersion: 2 });
+
+      await request(app).delete(`/api/questions/${question.id}`).set(as('coach')).expect(200);
+      const list = await request(app).get('/api/questions').set(as('coach')).expect(200);
+      expect(list.body.data.questions).toHaveLength(0);
+    });
+  });
+
+  describe('import and export', () => {
+    it('should import a CSV file and report invalid rows', async () => {
+      const csv = [
+        'text,category,difficulty,tags,expectedKeywords',
+        '"Walk me through a launch that slipped, and why.",situational,medium,delivery|planning,scope',
+        'Too short,behavioral,medium,,',
+        'Tell me about a time you disagreed with a senior engineer.,behavioral,hard,,'
+      ].join('\n');
+      await Question.create(conflictQuestion);
+
+      const response = await request(app)
+        .post('/api/questions/import')
+        .set(as('coach'))
+        .attach('file', Buffer.from(csv), 'questions.csv')
+        .expect(200);
+
+      expect(response.body.data.import).toEqual({
+        created: 1,
+        updated: 0,
+        unchanged: 0,
+        duplicates: 1,
+        errors: [{ row: 2, errors: ['text must be between 10 and 1000 characters'] }]
+      });
+
+      const imported = await Question.findOne({ where: { source: 'imported' } });
+      expect(imported).toMatchObject({ text: 'Walk me through a launch that slipped, and why.', tags: ['delivery', 'planning'] });
+      expect(await AuditLog.count({ where: { action: 'question.import' } })).toBe(1);
+    });
+
+    it('should export to CSV and JSON that import back as updates', async () => {
+      const question = await Question.create(conflictQuestion);
+
+      const csv = await request(app).get('/api/questions/export').query({ format: 'csv' }).set(as('coach')).expect(200);
+      expect(csv.headers['content-type']).toMatch(/text\/csv/);
+      expect(csv.text.split('\r\n')[0]).toBe('id,text,category,difficulty,industry,roleLevel,tags,expectedKeywords,evaluationCriteria,version,isActive');
+
+      const json = await request(app).get('/api/questions/export').set(as('coach')).expect(200);
+      const exported = json.body.questions;
+      expect(exported).toHaveLength(1);
+
+      const reimport = await request(app)
+        .post('/api/questions/import')
+        .set(as('coach'))
+        .send({ questions: [{ ...exported[0], difficulty: 'medium' }] })
+        .expect(200);
+
+      expect(reimport.body.data.import).toMatchObject({ created: 0, updated: 1 });
+      await question.reload();
+      expect(question).toMatchObject({ difficulty: 'medium', version: 2 });
+
+      await request(app)
+        .post('/api/questions/import')
+        .set(as('coach'))
+        .attach('file', Buffer.from('not json'), 'questions.json')
+        .expect(400);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should mix bank questions into a new session and promote a generated one', async () => {
+      const bankQuestion = await Question.create(conflictQuestion);
+      await Question.create({ ...conflictQuestion, text: 'Describe the hardest executive decision you have made.', roleLevel: 'executive' });
+
+      const started = await request(app)
+        .post('/api/sessions/start')
+        .set(as('candidate'))
+        .send({ sessionType: 'mock_interview', bankQuestions: 2 })
+        .expect(201);
+
+      const questions = started.body.data.session.questions;
+      expect(questions).toHaveLength(5);
+      expect(questions.filter(question => question.source === 'bank').map(question => question.id)).toEqual([bankQuestion.id]);
+
+      await bankQuestion.reload();
+      expect(bankQuestion.usageCount).toBe(1);
+
+      const session = await Session.findByPk(started.body.data.session.id);
+      const generatedIndex = session.questions.findIndex(question => question.source !== 'bank');
+
+      const promoted = await request(app)
+        .post('/api/questions/promote')
+        .set(as('coach'))
+        .send({ sessionId: session.id, questionIndex: generatedIndex, tags: ['reviewed'] })
+        .expect(201);
+
+      expect(promoted.body.data.question).toMatchObject({
+        text: session.questions[generatedIndex].text,
+        industry: 'technology',
+        roleLevel: 'mid',
+        tags: ['reviewed'],
+        source: 'generated',
+        sourceSessionId: session.id
+      });
+
+      await request(app)
+        .post('/api/questions/promote')
+        .set(as('coach'))
+        .send({ sessionId: session.id, questionIndex: generatedIndex })
+        .expect(409);
+
+      const bankIndex = session.questions.findIndex(question => question.source === 'bank');
+      await request(app)
+        .post('/api/questions/promote')
+        .set(as('coach'))
+        .send({ sessionId: session.id, questionIndex: bankIndex })
+        .expect(409);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../server');
+const { sequelize, User, Session, CompanyPack, ScoringRubric, AuditLog } = require('../../database/models');
+const tokenService = require('../../services/tokenService');
+const rubricService = require('../../services/rubricService');
+const openaiService = require('../../services/openaiService');
+
+describe('Scoring Rubric Routes', () => {
+  let admin;
+  let candidate;
+  let tokens;
+
+  const rubric = {
+    name: 'Panel Rubric',
+    dimensions: [{ key: 'communication', label: 'Speaking', description: 'Clear and concise' }],
+    categoryWeights: { behavioral: { content: 0.5, structure: 0.2, communication: 0.3, industryKnowledge: 0 } },
+    thresholds: { strength: 90, improvement: 82 },
+    levels: [{ min: 85, label: 'strong hire' }, { min: 60, label: 'hire' }, { min: 0, label: 'no hire' }],
+    voice: { weights: { fillerWords: 2 }, speechRate: { ideal: [130, 150] } }
+  };
+
+  beforeAll(async () => {
+    await sequelize.sync();
+  });
+
+  const clear = async () => {
+    await Session.destroy({ where: {} });
+    await CompanyPack.destroy({ where: {} });
+    await User.destroy({ where: {} });
+    await ScoringRubric.destroy({ where: {} });
+  };
+
+  beforeEach(async () => {
+    await clear();
+    await AuditLog.destroy({ where: {} });
+
+    admin = await User.createUser({ phoneNumber: '+14155550196', name: 'Avery Admin', role: 'admin', industry: 'technology', experienceLevel: 'senior' });
+    candidate = await User.createUser({ phoneNumber: '+14155550197', name: 'Jordan Candidate', industry: 'technology', experienceLevel: 'mid' });
+
+    tokens = {
+      admin: (await tokenService.issueTokens(admin)).token,
+      candidate: (await tokenService.issueTokens(candidate)).token
+    };
+  });
+
+  afterEach(clear);
+
+  const as = (role) => ({ Authorization: `Bearer ${tokens[role]}` });
+
+  describe('CRUD', () => {
+    it('should let staff create a rubric filled in from the default and candidates read it', async () => {
+      await request(app).post('/api/rubrics').set(as('candidate')).send(rubric).expect(403);
+
+      const created = await request(app).post('/api/rubrics').set(as('admin')).send(rubric).expect(201);
+      expect(created.body.data.rubric).toMatchObject({
+        name: 'Panel Rubric',
+        isActive: true,
+        thresholds: { strength: 90, improvement: 82 },
+        categoryWeights: {
+          behavioral: { content: 0.5, structure: 0.2, communication: 0.3, industryKnowledge: 0 },
+          technical: { content: 0.3, industryKnowledge: 0.4 }
+        },
+        voice: { weights: { fillerWords: 2, pauses: 1 }, speechRate: { ideal: [130, 150], good: [120, 180] } }
+      });
+      expect(created.body.data.rubric.dimensions[2]).toEqual({ key: 'communication', label: 'Speaking', description: 'Clear and concise' });
+
+      const list = await request(app).get('/api/rubrics').set(as('candidate')).expect(200);
+      expect(list.body.data.rubrics.map(item => item.name)).toEqual(['Panel Rubric']);
+      expect(list.body.data.default).toMatchObject({ id: null, name: 'Default', thresholds: { strength: 80, improvement: 70 } });
+
+      const fallback = await request(app).get('/api/rubrics/default').set(as('candidate')).expect(200);
+      expect(fallback.body.data.rubric.levels[0]).toEqual({ min: 80, label: 'excellent' });
+
+      await request(app).post('/api/rubrics').set(as('admin')).send(rubric).expect(409);
+      expect(await AuditLog.count({ where: { action: 'rubric.create', targetType: 'scoring_rubric' } })).toBe(1);
+    });
+
+    it('should validate dimensions, weights, thresholds, levels and voice settings', async () => {
+      const invalid = [
+        { ...rubric, dimensions: [{ key: 'charisma', label: 'Charisma' }] },
+        { ...rubric, dimensions: [{ key: 'content' }, { key: 'content' }] },
+        { ...rubric, categoryWeights: { behavioral: { content: -1 } } },
+        { ...rubric, categoryWeights: { behavioral: { content: 0, structure: 0 } } },
+        { ...rubric, categoryWeights: { trivia: { content: 1 } } },
+        { ...rubric, thresholds: { strength: 60, improvement: 75 } },
+        { ...rubric, thresholds: { strength: 120 } },
+        { ...rubric, levels: [] },
+        { ...rubric, levels: [{ min: 50, label: 'ok' }, { min: 50, label: 'fine' }] },
+        { ...rubric, voice: { weights: { charm: 1 } } },
+        { ...rubric, voice: { speechRate: { ideal: [160, 140] } } }
+      ];
+
+      for (const body of invalid) {
+        await request(app).post('/api/rubrics').set(as('admin')).send(body).expect(400);
+      }
+    });
+
+    it('should update a rubric and hide it from candidates once deactivated', async () => {
+      const created = await ScoringRubric.create(rubric);
+
+      await request(app)
+        .put(`/api/rubrics/${created.id}`)
+        .set(as('admin'))
+        .send({ thresholds: { improvement: 95 } })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/rubrics/${created.id}`)
+        .set(as('admin'))
+        .send({ thresholds: { strength: 85, improvement: 75 } })
+        .expect(200);
+
+      await created.reload();
+      expect(created.thresholds).toEqual({ strength: 85, improvement: 75 });
+
+      await request(app).delete(`/api/rubrics/${created.id}`).set(as('admin')).expect(200);
+      await request(app).get(`/api/rubrics/${created.id}`).set(as('candidate')).expect(404);
+      await request(app).get(`/api/rubrics/${created.id}`).set(as('admin')).expect(200);
+
+      const staffList = await request(app).get('/api/rubrics').query({ includeInactive: true }).set(as('admin')).expect(200);
+      expect(staffList.body.data.rubrics).toHaveLength(1);
+
+      const actions = (await AuditLog.findAll({ order: [['createdAt', 'ASC']] })).map(entry => entry.action);
+      expect(actions).toEqual(['rubric.update', 'rubric.deactivate']);
+    });
+  });
+
+  describe('selection', () => {
+    it('should prefer the session rubric, then the company pack, then the user', async () => {
+      const forUser = await ScoringRubric.create({ name: 'Acme University' });
+      const forPack = await ScoringRubric.create({ name: 'Northwind Loop' });
+      const forSession = await ScoringRubric.create({ name: 'Final Round' });
+
+      await request(app).put(`/api/admin/users/${candidate.id}`).set(as('admin')).send({ rubricId: crypto.randomUUID() }).expect(400);
+      const updated = await request(app).put(`/api/admin/users/${candidate.id}`).set(as('admin')).send({ rubricId: forUser.id }).expect(200);
+      expect(updated.body.data.user.rubricId).toBe(forUser.id);
+
+      const pack = await request(app)
+        .post('/api/companies')
+        .set(as('admin'))
+        .send({ name: 'Northwind Traders', rubricId: forPack.id })
+        .expect(201);
+      expect(pack.body.data.company.rubricId).toBe(forPack.id);
+      const packId = pack.body.data.company.id;
+
+      const start = (body) => request(app).post('/api/sessions/start').set(as('candidate')).send({ sessionType: 'practice', ...body });
+
+      await start({ rubricId: crypto.randomUUID() }).expect(404);
+      const chosen = await start({ companyPackId: packId, rubricId: forSession.id }).expect(201);
+      expect(chosen.body.data.session.scoringRubric).toEqual({ id: forSession.id, name: 'Final Round' });
+      const withPack = await start({ companyPackId: packId }).expect(201);
+      const plain = await start({}).expect(201);
+      expect(plain.body.data.session.scoringRubric).toBeNull();
+
+      await candidate.reload();
+      const resolved = async (response) => {
+        const session = await Session.findByPk(response.body.data.session.id);
+        const { name, source } = await rubricService.resolve({ session, user: candidate });
+        return [name, source];
+      };
+
+      expect(await resolved(chosen)).toEqual(['Final Round', 'session']);
+      expect(await resolved(withPack)).toEqual(['Northwind Loop', 'company']);
+      expect(await resolved(plain)).toEqual(['Acme University', 'user']);
+
+      // Deactivated rubrics still apply to sessions started with them, not to packs or users
+      await forSession.update({ isActive: false });
+      await forPack.update({ isActive: false });
+      await forUser.update({ isActive: false });
+      expect(await resolved(chosen)).toEqual(['Final Round', 'session']);
+      expect(await resolved(withPack)).toEqual(['Default', 'default']);
+
+      const analytics = await request(app).get(`/api/sessions/${withPack.body.data.session.id}/analytics`).set(as('candidate')).expect(200);
+      expect(analytics.body.data.analytics.scoringRubric).toEqual({ id: null, name: 'Default', source: 'default' });
+    });
+
+    it('should analyse and summarise answers with the selected rubric', async () => {
+      const created = await ScoringRubric.create(rubric);
+      const started = await request(app)
+        .post('/api/sessions/start')
+        .set(as('candidate'))
+        .send({ sessionType: 'practice', rubricId: created.id })
+        .expect(201);
+
+      const session = await Session.findByPk(started.body.data.session.id);
+      const questionId = crypto.randomUUID();
+      await session.addQuestion({ id: questionId, text: 'Tell me about a time you led a project', category: 'behavioral' });
+
+      const answered = await request(app)
+        .post(`/api/sessions/${session.id}/response`)
+        .set(as('candidate'))
+        .send({ questionId, text: 'I led the migration of our billing system and we shipped it on time.', duration: 20 })
+        .expect(200);
+
+      expect(openaiService.analyzeResponse).toHaveBeenLastCalledWith(expect.objectContaining({
+        scoringRubric: expect.objectContaining({ name: 'Panel Rubric', source: 'session' })
+      }));
+      expect(['strong hire', 'hire', 'no hire']).toContain(answered.body.data.analysis.voiceAnalysis.level);
+
+      // content 80, structure 85, communication 90 weighted 0.5 / 0.2 / 0.3
+      await session.reload();
+      expect(session.responses[0].weightedScore).toBe(84);
+
+      const completed = await request(app).post(`/api/sessions/${session.id}/complete`).set(as('candidate')).expect(200);
+      expect(completed.body.data.summary).toMatchObject({
+        scoringRubric: { id: created.id, name: 'Panel Rubric', source: 'session' },
+        strengths: ['Speaking'],
+        areasForImprovement: ['Content Quality', 'Industry Knowledge']
+      });
+    });
+  });
+});
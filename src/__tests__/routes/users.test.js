@@ -0,0 +1,156 @@
+jest.unmock('../../services/openaiService');
+
+const request = require('supertest');
+const app = require('../../server');
+const { sequelize, User } = require('../../database/models');
+const tokenService = require('../../services/tokenService');
+
+describe('User Routes', () => {
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await User.destroy({ where: {} });
+
+    user = await User.createUser({
+      phoneNumber: '+14155550160',
+      name: 'Pat Morgan',
+      industry: 'retail',
+      experienceLevel: 'senior'
+    });
+    token = (await tokenService.issueTokens(user)).token;
+  });
+
+  afterEach(async () => {
+    await User.destroy({ where: {} });
+  });
+
+  describe('PUT /api/users/pin', () => {
+    it('should store a hashed PIN and report it on the profile', async () => {
+      await request(app)
+        .put('/api/users/pin')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ pin: '13579' })
+        .expect(200);
+
+      await user.reload();
+      expect(user.pinHash).not.toContain('13579');
+      expect(await user.checkPin('13579')).toBe(true);
+
+      const profile = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(profile.body.data.user.pinEnabled).toBe(true);
+      expect(profile.body.data.user).not.toHaveProperty('pinHash');
+    });
+
+    it('should only accept 4 to 8 digits', async () => {
+      for (const pin of ['123', '123456789', '12ab']) {
+        await request(app)
+          .put('/api/users/pin')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ pin })
+          .expect(400);
+      }
+    });
+  });
+
+  describe('DELETE /api/users/pin', () => {
+    it('should remove the PIN', async () => {
+      await user.setPin('2468');
+
+      await request(app)
+        .delete('/api/users/pin')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await user.reload();
+      expect(user.hasPin()).toBe(false);
+    });
+  });
+
+  describe('resume and job description', () => {
+    const resume = [
+      'Pat Morgan',
+      'Store Manager at Northwind Retail, 2018 - 2024',
+      '- Led a team of 25 and grew same-store sales by 12%.',
+      '- Introduced a scheduling system in Excel that cut overtime by a third.'
+    ].join('\n');
+
+    it('should extract and store the details of an uploaded resume file', async () => {
+      const response = await request(app)
+        .put('/api/users/resume')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('file', Buffer.from(resume), { filename: 'resume.txt', contentType: 'text/plain' })
+        .expect(200);
+
+      expect(response.body.data.resume).toMatchObject({
+        fileName: 'resume.txt',
+        format: 'text',
+        employers: ['Northwind Retail'],
+        skills: expect.arrayContaining(['Excel']),
+        characters: resume.length
+      });
+      expect(response.body.data.resume).not.toHaveProperty('text');
+
+      await user.reload();
+      expect(user.resume.text).toBe(resume);
+      expect(user.resume.projects).toHaveLength(2);
+    });
+
+    it('should accept a job description as Markdown text and list both documents', async () => {
+      await request(app)
+        .put('/api/users/job-description')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: '# Regional Manager\nCompany: Contoso Stores\n## Requirements\n- Five years managing retail teams\n- Budgeting for multiple sites', format: 'markdown' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/documents')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.resume).toBeNull();
+      expect(response.body.data.jobDescription).toMatchObject({
+        format: 'markdown',
+        title: 'Regional Manager',
+        company: 'Contoso Stores',
+        requirements: ['Five years managing retail teams', 'Budgeting for multiple sites']
+      });
+    });
+
+    it('should reject unsupported files and empty uploads', async () => {
+      const unsupported = await request(app)
+        .put('/api/users/resume')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('file', Buffer.from('PK fake word file'), { filename: 'resume.docx' })
+        .expect(400);
+      expect(unsupported.body.error).toContain('Unsupported file type');
+
+      await request(app)
+        .put('/api/users/resume')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should remove a document', async () => {
+      await request(app)
+        .put('/api/users/resume')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: resume })
+        .expect(200);
+
+      await request(app).delete('/api/users/resume').set('Authorization', `Bearer ${token}`).expect(200);
+      await request(app).delete('/api/users/resume').set('Authorization', `Bearer ${token}`).expect(404);
+
+      await user.reload();
+      expect(user.resume).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { sequelize, User, Session } = require('../../database/models');
+const { createBackend } = require('../../services/audioCache');
+const { decodeWav } = require('../../services/audio/wavDecoder');
+const audioAnalysisService = require('../../services/audioAnalysisService');
+const voiceAnalysisService = require('../../services/voiceAnalysisService');
+const recordingService = require('../../services/recordingService');
+const interviewService = require('../../services/interviewService');
+const twilioService = require('../../services/twilioService');
+
+const RATE = 8000;
+
+const wavHeader = (dataBytes, { format = 1, bits = 16, channels = 1 } = {}) => {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(format, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(RATE, 24);
+  header.writeUInt32LE(RATE * channels * (bits / 8), 28);
+  header.writeUInt16LE(channels * (bits / 8), 32);
+  header.writeUInt16LE(bits, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+};
+
+// Parts of [seconds, syllables per second, amplitude]: a 300Hz tone whose
+// loudness rises and falls once per syllable, or silence
+const speechWav = (parts) => {
+  const samples = [];
+  parts.forEach(([seconds, syllables, amplitude]) => {
+    for (let i = 0; i < seconds * RATE; i++) {
+      const t = i / RATE;
+      const envelope = syllables ? 0.5 * (1 - Math.cos(2 * Math.PI * syllables * t)) : 0;
+      samples.push(amplitude * envelope * Math.sin(2 * Math.PI * 300 * t));
+    }
+  });
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, index) => data.writeInt16LE(Math.round(sample * 32767), index * 2));
+  return Buffer.concat([wavHeader(data.length), data]);
+};
+
+// MPEG-2.5 Layer III, 8 kHz mono, 32 kbps: 288-byte frames of one 576-sample granule
+const mp3Frame = ({ part23Length, bigValues, globalGain }) => {
+  const frame = Buffer.alloc(288);
+  frame.set([0xFF, 0xE3, 0x48, 0xC0]);
+  const fields = [[0, 8], [0, 1], [part23Length, 12], [bigValues, 9], [globalGain, 8]];
+  let position = 32;
+  fields.forEach(([value, bits]) => {
+    for (let bit = bits - 1; bit >= 0; bit--) {
+      if ((value >> bit) & 1) {
+        frame[position >> 3] |= 0x80 >> (position & 7);
+      }
+      position += 1;
+    }
+  });
+  return frame;
+};
+
+const mp3Stream = (parts) => Buffer.concat([
+  Buffer.from('ID3\x03\x00\x00\x00\x00\x00\x04tags', 'latin1'),
+  ...parts.flatMap(([frames, granule]) => Array.from({ length: frames }, () => mp3Frame(granule)))
+]);
+
+const silent = { part23Length: 0, bigValues: 0, globalGain: 0 };
+const loud = { part23Length: 900, bigValues: 120, globalGain: 170 };
+const quiet = { part23Length: 700, bigValues: 90, globalGain: 160 };
+
+const answer = speechWav([[0.5, 0, 0], [2, 4, 0.8], [1, 0, 0], [2, 6, 0.4], [0.5, 0, 0]]);
+
+describe('AudioAnalysisService', () => {
+  describe('WAV recordings', () => {
+    it('should measure talk time, silences and pauses', () => {
+      const acoustics = audioAnalysisService.analyze(answer);
+
+      expect(acoustics).toMatchObject({
+        format: 'wav',
+        sampleRate: RATE,
+        duration: 6,
+        talkTime: 5,
+        speechTime: 4,
+        responseLatency: 0.5,
+        trailingSilence: 0.5,
+        pauses: { count: 1, total: 1, averageLength: 1, longest: 1, long: 0, ratio: 0.2 }
+      });
+      expect(acoustics.silences).toEqual([
+        { start: 0, end: 0.5, duration: 0.5 },
+        { start: 2.5, end: 3.5, duration: 1 },
+        { start: 5.5, end: 6, duration: 0.5 }
+      ]);
+    });
+
+    it('should measure the speaking rate of each stretch and the volume consistency', () => {
+      const { speakingRate, energy } = audioAnalysisService.analyze(answer);
+
+      expect(speakingRate).toMatchObject({ basis: 'syllables', unit: 'syllables_per_second', mean: 5, stdDev: 1, variation: 0.2 });
+      expect(speakingRate.segments.map(segment => segment.rate)).toEqual([4, 6]);
+      expect(energy.segmentStdDev).toBeCloseTo(3, 0); // the second stretch is 6 dB quieter
+      expect(energy).toMatchObject({ consistency: 91, relative: false });
+    });
+
+    it('should use the transcript\'s word timings for speaking rates', () => {
+      const words = ['one', 'two', 'three', 'four', 'five', 'six'].map((word, index) => ({ word, start: 3.6 + index * 0.3, end: 3.8 + index * 0.3 }));
+
+      const { speakingRate } = audioAnalysisService.analyze(answer, { words });
+
+      expect(speakingRate).toMatchObject({ basis: 'words', unit: 'words_per_minute', mean: 90 });
+      expect(speakingRate.segments.map(segment => segment.rate)).toEqual([0, 180]);
+    });
+
+    it('should decode G.711 mu-law and A-law samples', () => {
+      const mulaw = decodeWav(Buffer.concat([wavHeader(3, { format: 7, bits: 8 }), Buffer.from([0x00, 0xFF, 0x80])]));
+      const alaw = decodeWav(Buffer.concat([wavHeader(2, { format: 6, bits: 8 }), Buffer.from([0xD5, 0x55])]));
+
+      expect(Array.from(mulaw.samples)).toEqual([-32124 / 32768, 0, 32124 / 32768]);
+      expect(Array.from(alaw.samples)).toEqual([8 / 32768, -8 / 32768]);
+    });
+
+    it('should report a silent recording as having no speech', () => {
+      const acoustics = audioAnalysisService.analyze(speechWav([[2, 0, 0]]));
+
+      expect(acoustics).toMatchObject({ talkTime: 0, speechTime: 0, responseLatency: 2, pauses: { count: 0 } });
+      expect(acoustics.energy.consistency).toBeNull();
+    });
+  });
+
+  describe('MP3 recordings', () => {
+    it('should find speech and pauses from the frame side information', () => {
+      const acoustics = audioAnalysisService.analyze(mp3Stream([[7, silent], [28, loud], [14, silent], [28, quiet], [7, silent]]));
+
+      expect(acoustics).toMatchObject({
+        format: 'mp3',
+        sampleRate: 8000,
+        duration: 6.05,
+        talkTime: 5.04,
+        responseLatency: 0.5,
+        pauses: { count: 1, averageLength: 1.01 }
+      });
+      expect(acoustics.speakingRate.basis).toBeNull(); // 72ms granules are too coarse for syllables
+      expect(acoustics.energy).toMatchObject({ relative: true });
+      expect(acoustics.energy.consistency).toBeLessThan(100);
+    });
+
+    it('should return null for audio it cannot read', () => {
+      expect(audioAnalysisService.analyze(Buffer.from('not audio at all'))).toBeNull();
+      expect(audioAnalysisService.analyze(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe('voice analysis', () => {
+    const transcript = 'I planned the migration with the team and we shipped it a week early';
+
+    it('should use the measured talk time and pauses instead of estimates', () => {
+      const acoustics = audioAnalysisService.analyze(answer);
+      const measured = voiceAnalysisService.analyzeVoice(transcript, 30, {}, acoustics);
+      const estimated = voiceAnalysisService.analyzeVoice(transcript, 30);
+
+      expect(measured.speechRate).toMatchObject({ wordsPerMinute: 168, variation: 0.2 });
+      expect(estimated.speechRate.wordsPerMinute).toBe(28);
+      expect(measured.pauses).toMatchObject({ count: 1, averageLength: 1, ratio: 0.2, responseLatency: 0.5, effectiveness: 'excellent' });
+      expect(measured.energy).toMatchObject({ consistency: 'steady', score: 91 });
+      expect(measured.metrics).toMatchObject({ duration: 6, source: 'audio', talkTime: 5, pauseCount: 1, averagePauseLength: 1 });
+      expect(estimated.metrics.source).toBe('transcript');
+      expect(estimated.energy).toBeNull();
+    });
+
+    it('should recommend a steadier pace and volume when they vary a lot', () => {
+      const uneven = speechWav([[0.2, 0, 0], [2, 3, 0.9], [2.5, 0, 0], [2, 8, 0.05], [0.2, 0, 0]]);
+
+      const { recommendations, energy } = voiceAnalysisService.analyzeVoice(transcript, 30, {}, audioAnalysisService.analyze(uneven));
+
+      expect(energy.consistency).toBe('uneven');
+      expect(recommendations).toEqual(expect.arrayContaining([
+        'Keep a steadier pace; your speed changed a lot during the answer',
+        'Avoid long silences; a short pause to think is enough',
+        'Keep your volume steady; parts of your answer were much quieter'
+      ]));
+    });
+  });
+
+  describe('in a session', () => {
+    let directory;
+    let previousBackend;
+    let caller;
+    let session;
+
+    beforeAll(async () => {
+      await sequelize.sync();
+    });
+
+    beforeEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'acoustics-'));
+      previousBackend = recordingService.setBackend(createBackend('local', { directory }));
+      process.env.RECORDING_FORMAT = 'wav';
+      twilioService.downloadRecording.mockResolvedValue(answer);
+
+      caller = await User.createUser({ phoneNumber: '+14155550195', name: 'Casey Sound', industry: 'technology', experienceLevel: 'mid' });
+      session = await Session.create({
+        userId: caller.id,
+        sessionType: 'mock_interview',
+        industry: 'technology',
+        roleLevel: 'mid',
+        status: 'active',
+        callSid: 'CA-acoustics',
+        questions: [{ id: crypto.randomUUID(), text: 'How do you debug a production issue?', category: 'technical' }]
+      });
+    });
+
+    afterEach(async () => {
+      delete process.env.RECORDING_FORMAT;
+      recordingService.setBackend(previousBackend);
+      twilioService.downloadRecording.mockReset();
+      await fs.rm(directory, { recursive: true, force: true });
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+    });
+
+    it('should analyse the answer\'s recording in place of the estimates', async () => {
+      await interviewService.processResponse(session, caller, {
+        callSid: 'CA-acoustics',
+        recordingSid: 'REwav',
+        recordingUrl: 'https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/REwav',
+        recordingDuration: '7',
+        transcriptionText: 'I check the logs, reproduce the issue and bisect recent changes.'
+      });
+
+      expect(twilioService.downloadRecording).toHaveBeenCalledWith('REwav', 'wav');
+      await session.reload();
+      const [response] = session.responses;
+      expect(response).toMatchObject({ duration: 6, recording: { filename: 'REwav.wav', format: 'wav' } });
+      expect(response.metrics.metrics).toMatchObject({ source: 'audio', talkTime: 5, pauseCount: 1 });
+      expect(response.metrics.acoustics.pauses.count).toBe(1);
+      expect(session.metrics).toMatchObject({ pauseCount: 1, averagePauseLength: 1 });
+    });
+  });
+});
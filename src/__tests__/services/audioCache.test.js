@@ -0,0 +1,238 @@
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const { AudioCache, createBackend } = require('../../services/audioCache');
+const audioCacheService = require('../../services/audioCacheService');
+const audioRoutes = require('../../routes/audio');
+
+// Minimal S3 stand-in: path-style PUT/GET/DELETE and ListObjectsV2 kept in memory
+const startS3StandIn = async () => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://s3.local');
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+      if (!/^AWS4-HMAC-SHA256 Credential=test-key\//.test(req.headers.authorization || '') ||
+          req.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+        res.writeHead(403);
+        return res.end();
+      }
+
+      if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        const prefix = `${url.pathname.substring(1)}/${url.searchParams.get('prefix')}`;
+        const contents = [...objects.entries()]
+          .filter(([key]) => key.startsWith(prefix))
+          .map(([key, data]) => `<Contents><Key>${key.substring(url.pathname.length)}</Key><Size>${data.length}</Size><LastModified>2024-01-01T00:00:00.000Z</LastModified></Contents>`);
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<ListBucketResult><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+      }
+
+      const key = decodeURIComponent(url.pathname.substring(1));
+      if (req.method === 'PUT') {
+        objects.set(key, body);
+        res.writeHead(200);
+      } else if (req.method === 'GET' && objects.has(key)) {
+        res.writeHead(200);
+        return res.end(objects.get(key));
+      } else if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+      } else {
+        res.writeHead(404);
+      }
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, objects, requests, endpoint: `http://127.0.0.1:${server.address().port}` };
+};
+
+const audio = (bytes) => Buffer.alloc(bytes, 1);
+
+describe('Audio cache', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const createCache = (options = {}) => new AudioCache({ backend: createBackend('local', { directory }), ...options });
+
+  describe('index', () => {
+    it('should record metadata and hits and persist them', async () => {
+      const cache = createCache();
+      const key = AudioCache.generateKey('Hello there', 'en-US-natalie', 0, 0);
+
+      await cache.store(key, audio(10), { text: 'Hello there', voiceId: 'en-US-natalie', provider: 'murfai', params: { pitch: 0 } });
+      await cache.lookup(key);
+      await cache.lookup(key);
+      expect(await cache.lookup('missing')).toBeNull();
+      await cache.flush();
+
+      const reloaded = createCache();
+      const [entry] = await reloaded.list();
+      expect(entry).toMatchObject({
+        key,
+        filename: `${key}.wav`,
+        text: 'Hello there',
+        voiceId: 'en-US-natalie',
+        provider: 'murfai',
+        params: { pitch: 0 },
+        size: 10,
+        hits: 2
+      });
+      expect((await reloaded.read(`${key}.wav`)).length).toBe(10);
+    });
+
+    it('should adopt audio files written before the index existed', async () => {
+      await fs.writeFile(path.join(directory, 'abcdef0123456789.wav'), audio(5));
+      await fs.writeFile(path.join(directory, 'notes.txt'), 'not audio');
+
+      const cache = createCache();
+
+      expect(await cache.getStats()).toMatchObject({ backend: 'local', count: 1, totalBytes: 5 });
+      expect(await cache.lookup('abcdef0123456789')).toMatchObject({ text: null, format: 'wav' });
+    });
+  });
+
+  describe('eviction', () => {
+    it('should evict the least recently used files when over the size budget', async () => {
+      const cache = createCache({ maxBytes: 25 });
+
+      await cache.store('first', audio(10));
+      await cache.store('second', audio(10));
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await cache.lookup('first');
+      await cache.store('third', audio(10));
+
+      const keys = (await cache.list()).map(entry => entry.key).sort();
+      expect(keys).toEqual(['first', 'third']);
+      expect(await fs.readdir(directory)).not.toContain('second.wav');
+    });
+
+    it('should cap the number of entries', async () => {
+      const cache = createCache({ maxEntries: 2 });
+
+      for (const key of ['a', 'b', 'c']) {
+        await cache.store(key, audio(1));
+        await new Promise(resolve => setTimeout(resolve, 2));
+      }
+
+      expect((await cache.getStats()).count).toBe(2);
+      expect(await cache.lookup('a')).toBeNull();
+    });
+
+    it('should clear entries not used recently', async () => {
+      const cache = createCache();
+      await cache.store('old', audio(1));
+      await cache.store('new', audio(1));
+      (await cache.load()).get('old').lastAccessedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+
+      expect(await cache.clear({ olderThanDays: 7 })).toEqual({ deletedCount: 1 });
+      expect((await cache.list()).map(entry => entry.key)).toEqual(['new']);
+    });
+  });
+
+  describe('S3 backend', () => {
+    let s3;
+
+    beforeEach(async () => {
+      s3 = await startS3StandIn();
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => s3.server.close(resolve));
+    });
+
+    const createS3Backend = () => createBackend('s3', {
+      endpoint: s3.endpoint,
+      bucket: 'ivr-audio',
+      accessKeyId: 'test-key',
+      secretAccessKey: 'test-secret'
+    });
+
+    it('should store, list and delete signed objects', async () => {
+      const cache = new AudioCache({ backend: createS3Backend() });
+
+      await cache.store('prompt', audio(8), { text: 'Please hold', format: 'mp3' });
+      expect(s3.objects.has('ivr-audio/audio/prompt.mp3')).toBe(true);
+      expect(s3.objects.has('ivr-audio/audio/index.json')).toBe(true);
+      expect((await cache.read('prompt.mp3')).length).toBe(8);
+      expect(await cache.read('missing.mp3')).toBeNull();
+
+      const listed = await createS3Backend().list();
+      expect(listed.map(object => object.name).sort()).toEqual(['index.json', 'prompt.mp3']);
+
+      await cache.remove('prompt');
+      expect(s3.objects.has('ivr-audio/audio/prompt.mp3')).toBe(false);
+      expect(s3.requests.every(({ headers }) => headers['x-amz-date'])).toBe(true);
+    });
+
+    it('should share one index between cache instances', async () => {
+      await new AudioCache({ backend: createS3Backend() }).store('shared', audio(4), { text: 'Goodbye' });
+
+      expect(await new AudioCache({ backend: createS3Backend() }).lookup('shared')).toMatchObject({ text: 'Goodbye', size: 4 });
+    });
+
+    it('should require a bucket and credentials', () => {
+      expect(() => createBackend('s3', { endpoint: s3.endpoint })).toThrow('AUDIO_CACHE_S3_BUCKET');
+    });
+  });
+
+  describe('/audio route', () => {
+    let app;
+    let previousCache;
+
+    beforeEach(() => {
+      app = express();
+      app.use('/audio', audioRoutes);
+      previousCache = audioCacheService.setCache(createCache());
+    });
+
+    afterEach(async () => {
+      await audioCacheService.flush();
+      audioCacheService.setCache(previousCache);
+    });
+
+    it('should list cached audio with its metadata', async () => {
+      await audioCacheService.store('aaaa', audio(3), { text: 'Welcome', voiceId: 'alice', provider: 'local' });
+      await audioCacheService.store('bbbb', audio(6), { text: 'Goodbye', provider: 'murfai' });
+      await audioCacheService.lookup('aaaa');
+
+      const response = await request(app).get('/audio?sort=hits&limit=1').expect(200);
+
+      expect(response.body).toMatchObject({ count: 2, totalBytes: 9, backend: 'local', hits: 1 });
+      expect(response.body.files).toEqual([expect.objectContaining({
+        filename: 'aaaa.wav',
+        text: 'Welcome',
+        voiceId: 'alice',
+        hits: 1,
+        url: expect.stringMatching(/\/audio\/aaaa\.wav$/)
+      })]);
+    });
+
+    it('should serve cached files and reject unsafe names', async () => {
+      await audioCacheService.store('cccc', audio(4), { format: 'mp3' });
+
+      const response = await request(app).get('/audio/cccc.mp3').expect(200);
+      expect(response.headers['content-type']).toBe('audio/mpeg');
+      await request(app).get('/audio/missing.wav').expect(404);
+      await request(app).get('/audio/..%2Fsecret.wav').expect(400);
+    });
+  });
+});
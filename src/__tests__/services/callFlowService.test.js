@@ -0,0 +1,91 @@
+const callFlowService = require('../../services/callFlowService');
+const profileService = require('../../services/profileService');
+
+describe('CallFlowService', () => {
+  describe('matchMenuOption', () => {
+    const menu = callFlowService.getMenu();
+
+    it('should match DTMF digits and spoken keywords', () => {
+      expect(callFlowService.matchMenuOption(menu, '1').flow).toBe('mock_interview');
+      expect(callFlowService.matchMenuOption(menu, 'I would like coaching please').flow).toBe('coaching');
+      expect(callFlowService.matchMenuOption(menu, '3').transfer).toBe('representative');
+      expect(callFlowService.matchMenuOption(menu, '4').flow).toBe('assessment');
+    });
+
+    it('should return null for unknown input', () => {
+      expect(callFlowService.matchMenuOption(menu, '9')).toBeNull();
+      expect(callFlowService.matchMenuOption(menu, undefined)).toBeNull();
+    });
+
+    it('should prefer spoken keywords over digits inside them', () => {
+      const field = profileService.getField('sessionDuration');
+      expect(callFlowService.matchMenuOption(field, '30 minutes').value).toBe(30);
+      expect(callFlowService.matchMenuOption(field, '3').value).toBe(45);
+    });
+  });
+
+  describe('profile answers', () => {
+    it('should only offer values the User model accepts', () => {
+      Object.entries(callFlowService.definition.profile.fields).forEach(([name, field]) => {
+        (field.options || []).forEach(option => {
+          const value = field.multiple ? [option.value] : option.value;
+          expect(profileService.isValid(name, value)).toBe(true);
+        });
+      });
+    });
+
+    it('should parse several focus areas and target roles', () => {
+      expect(callFlowService.parseProfileAnswer('focusAreas', '13')).toEqual(['behavioral', 'leadership']);
+      expect(callFlowService.parseProfileAnswer('focusAreas', 'technical and communication')).toEqual(['technical', 'communication']);
+      expect(callFlowService.parseProfileAnswer('targetRoles', 'I\'m preparing for product manager, or data analyst.'))
+        .toEqual(['Product Manager', 'Data Analyst']);
+      expect(callFlowService.parseProfileAnswer('difficultyLevel', 'purple')).toBeNull();
+    });
+  });
+
+  describe('flow definition', () => {
+    it('should give every session flow the states of the question loop', () => {
+      ['mock_interview', 'coaching', 'assessment', 'practice'].forEach(flowId => {
+        const flow = callFlowService.getFlow(flowId);
+        ['start', 'response', 'continue', 'timeout', 'complete', 'timedOut'].forEach(state => {
+          expect(flow.states[state]).toBeDefined();
+        });
+        Object.values(flow.states).forEach(state => {
+          expect(flow.prompts[state.prompt]).toBeDefined();
+          if (state.followUpPrompt) {
+            expect(flow.prompts[state.followUpPrompt]).toBeDefined();
+          }
+        });
+      });
+    });
+
+    it('should expose the legacy webhook paths as aliases', () => {
+      const aliases = callFlowService.getAliases();
+
+      expect(aliases).toContainEqual({ path: 'start-interview', flowId: 'mock_interview', state: 'start' });
+      expect(aliases).toContainEqual({ path: 'coaching-timeout', flowId: 'coaching', state: 'timeout' });
+    });
+
+    it('should throw for unknown flows', () => {
+      expect(() => callFlowService.getFlow('karaoke')).toThrow('Unknown call flow');
+    });
+  });
+
+  describe('prompts', () => {
+    it('should fill placeholders', () => {
+      const flow = callFlowService.getFlow('mock_interview');
+
+      expect(callFlowService.getPrompt(flow, 'nextQuestion', { question: 'Why us?' }))
+        .toBe('Here\'s your next question: Why us?. Please provide your response.');
+    });
+
+    it('should pick the score summary tier', () => {
+      const flow = callFlowService.getFlow('mock_interview');
+
+      expect(callFlowService.getScoreSummary(flow, { scores: { overall: 85 } })).toContain('excellently');
+      expect(callFlowService.getScoreSummary(flow, { scores: { overall: 65 } })).toContain('performed well');
+      expect(callFlowService.getScoreSummary(flow, { scores: { overall: 0 } })).toBe('');
+      expect(callFlowService.getScoreSummary(callFlowService.getFlow('coaching'), { scores: { overall: 90 } })).toBe('');
+    });
+  });
+});
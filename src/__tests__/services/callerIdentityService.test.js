@@ -0,0 +1,113 @@
+const { sequelize, User, CallIdentity } = require('../../database/models');
+const callerIdentityService = require('../../services/callerIdentityService');
+const interviewService = require('../../services/interviewService');
+const callFlowService = require('../../services/callFlowService');
+
+describe('CallerIdentityService', () => {
+  let callCount = 0;
+  const nextCallSid = () => `CA_identity_${Date.now()}_${callCount++}`;
+
+  beforeAll(async () => {
+    await sequelize.sync();
+  });
+
+  beforeEach(async () => {
+    await CallIdentity.destroy({ where: {} });
+    await User.destroy({ where: {} });
+  });
+
+  const createCaller = (overrides = {}) => User.createUser({
+    phoneNumber: '+14155550150',
+    name: 'Robin Kim',
+    industry: 'education',
+    experienceLevel: 'entry',
+    ...overrides
+  });
+
+  describe('parseName', () => {
+    it('should strip filler and capitalise', () => {
+      expect(callerIdentityService.parseName('My name is jane DOE.')).toBe('Jane Doe');
+      expect(callerIdentityService.parseName('Hello, this is Seán O\'Brien')).toBe('Seán O\'brien');
+    });
+
+    it('should reject input without a usable name', () => {
+      expect(callerIdentityService.parseName('1 2 3')).toBeNull();
+      expect(callerIdentityService.parseName('')).toBeNull();
+    });
+  });
+
+  describe('identify', () => {
+    it('should verify registered callers without a PIN', async () => {
+      const user = await createCaller();
+
+      const { identity } = await callerIdentityService.identify({ callSid: nextCallSid(), from: user.phoneNumber });
+
+      expect(identity.status).toBe('verified');
+      expect((await callerIdentityService.getVerifiedUser(identity.callSid)).id).toBe(user.id);
+    });
+
+    it('should reject hidden numbers and deactivated accounts', async () => {
+      await createCaller({ isActive: false });
+
+      const hidden = await callerIdentityService.identify({ callSid: nextCallSid(), from: 'anonymous' });
+      const inactive = await callerIdentityService.identify({ callSid: nextCallSid(), from: '+14155550150' });
+
+      expect(hidden.identity).toMatchObject({ status: 'rejected', rejectReason: 'anonymous' });
+      expect(inactive.identity).toMatchObject({ status: 'rejected', rejectReason: 'inactive' });
+    });
+
+    it('should start onboarding for unknown numbers', async () => {
+      const { identity, user } = await callerIdentityService.identify({ callSid: nextCallSid(), from: '+14155550151' });
+
+      expect(identity.status).toBe('onboarding');
+      expect(user).toBeNull();
+      expect(callerIdentityService.getCurrentStep(identity).field).toBe('name');
+    });
+  });
+
+  describe('PIN', () => {
+    it('should lock the PIN after repeated failures across calls', async () => {
+      const user = await createCaller();
+      await user.setPin('4321');
+      const { lockAfter, maxAttempts } = callerIdentityService.definition.pin;
+
+      let failures = 0;
+      let result;
+      while (failures < lockAfter) {
+        const { identity } = await callerIdentityService.identify({ callSid: nextCallSid(), from: user.phoneNumber });
+        for (let attempt = 0; attempt < maxAttempts && failures < lockAfter; attempt++) {
+          result = await callerIdentityService.verifyPin(identity.callSid, '0000');
+          failures++;
+        }
+      }
+
+      expect(result.reason).toBe('locked');
+      await user.reload();
+      expect(user.isPinLocked()).toBe(true);
+
+      const { identity } = await callerIdentityService.identify({ callSid: nextCallSid(), from: user.phoneNumber });
+      expect(identity).toMatchObject({ status: 'rejected', rejectReason: 'locked' });
+    });
+
+    it('should reset the failure count on a correct PIN', async () => {
+      const user = await createCaller();
+      await user.setPin('4321');
+      const { identity } = await callerIdentityService.identify({ callSid: nextCallSid(), from: user.phoneNumber });
+
+      expect((await callerIdentityService.verifyPin(identity.callSid, '1234')).attemptsRemaining).toBe(2);
+      expect((await callerIdentityService.verifyPin(identity.callSid, '4321')).verified).toBe(true);
+
+      await user.reload();
+      expect(user.pinFailedAttempts).toBe(0);
+    });
+  });
+
+  it('should not start a session for a caller who has not been identified', async () => {
+    const flow = callFlowService.getFlow('practice');
+    const { identity } = await callerIdentityService.identify({ callSid: nextCallSid(), from: '+14155550152' });
+
+    await expect(interviewService.ensureSession(flow, { callSid: identity.callSid, from: '+14155550152' }))
+      .rejects.toThrow('has not been identified');
+    expect(await User.count()).toBe(0);
+  });
+});
@@ -0,0 +1,111 @@
+jest.unmock('../../services/openaiService');
+
+const request = require('supertest');
+const app = require('../../server');
+const { sequelize, User, Session } = require('../../database/models');
+const difficultyService = require('../../services/difficultyService');
+const interviewService = require('../../services/interviewService');
+const tokenService = require('../../services/tokenService');
+const ivrFlow = require('../../flows/ivrFlow');
+
+describe('DifficultyService', () => {
+  const user = { preferences: { difficultyLevel: 'easy' } };
+  const focusAreas = ['behavioral', 'technical'];
+  const asked = (difficulty, category = 'behavioral') => ({ text: `A ${difficulty} ${category} question`, difficulty, category });
+  const answered = (weightedScore, category = 'behavioral') => ({ weightedScore, category });
+
+  describe('planNext', () => {
+    it('should start at the caller\'s preferred difficulty and first focus area', () => {
+      expect(difficultyService.planNext({ user, focusAreas })).toMatchObject({ difficulty: 'easy', category: 'behavioral', reason: 'start' });
+      expect(difficultyService.planNext({ user: { preferences: {} }, focusAreas: ['communication'] })).toMatchObject({ difficulty: 'medium', category: null });
+    });
+
+    it('should raise the difficulty and move on to another category after a strong answer', () => {
+      const plan = difficultyService.planNext({ user, questions: [asked('medium')], responses: [answered(88)], focusAreas });
+
+      expect(plan).toEqual({ difficulty: 'hard', category: 'technical', supportive: false, reason: 'strong_answer', previousScore: 88 });
+      expect(difficultyService.planNext({ user, questions: [asked('hard')], responses: [answered(95)], focusAreas }).difficulty).toBe('hard');
+    });
+
+    it('should lower the difficulty on the same category after a weak answer', () => {
+      const plan = difficultyService.planNext({ user, questions: [asked('hard', 'technical')], responses: [answered(40, 'technical')], focusAreas });
+
+      expect(plan).toMatchObject({ difficulty: 'medium', category: 'technical', supportive: false, reason: 'weak_answer' });
+    });
+
+    it('should ask a supportive follow-up after a weak answer at the easiest level', () => {
+      const plan = difficultyService.planNext({ user, questions: [asked('easy')], responses: [{ scores: { overall: 30 } }], focusAreas });
+
+      expect(plan).toMatchObject({ difficulty: 'easy', category: 'behavioral', supportive: true, reason: 'supportive_follow_up', previousScore: 30 });
+    });
+
+    it('should keep the level while the last answer is being scored and pick the weakest category', () => {
+      const questions = [asked('medium', 'behavioral'), asked('medium', 'technical'), asked('medium', 'behavioral')];
+      const responses = [answered(75, 'behavioral'), answered(60, 'technical')];
+
+      expect(difficultyService.planNext({ user, questions, responses, focusAreas })).toMatchObject({
+        difficulty: 'medium',
+        category: 'technical',
+        reason: 'pending'
+      });
+    });
+  });
+
+  describe('in a session', () => {
+    let caller;
+
+    beforeAll(async () => {
+      await sequelize.sync();
+    });
+
+    beforeEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+
+      caller = await User.createUser({
+        phoneNumber: '+14155550190',
+        name: 'Drew Adaptive',
+        industry: 'technology',
+        experienceLevel: 'mid',
+        preferences: { difficultyLevel: 'easy' }
+      });
+    });
+
+    afterEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+    });
+
+    it('should follow a weak answer with a supportive question and report the trajectory', async () => {
+      const flow = { id: 'mock_interview', ...ivrFlow.flows.mock_interview, questions: { ...ivrFlow.flows.mock_interview.questions, bankRatio: 0 } };
+      const session = await Session.create({ userId: caller.id, sessionType: 'mock_interview', industry: 'technology', roleLevel: 'mid' });
+
+      const first = await interviewService.generateNextQuestion(flow, session, caller);
+      expect(first).toMatchObject({ difficulty: 'easy', category: 'behavioral' });
+
+      await session.addResponse({ questionId: first.id, text: 'I am not sure.', category: 'behavioral', scores: { overall: 35 }, weightedScore: 35 });
+
+      const second = await interviewService.generateNextQuestion(flow, session, caller);
+      expect(second.text).toBe('Let\'s stay with that topic and take it one step at a time. Think of one specific moment, even a small one. What happened, and what did you do?');
+
+      await session.reload();
+      expect(session.metrics.difficultyTrajectory).toEqual([
+        { question: 1, difficulty: 'easy', category: 'behavioral', reason: 'start', previousScore: null },
+        { question: 2, difficulty: 'easy', category: 'behavioral', reason: 'supportive_follow_up', previousScore: 35 }
+      ]);
+
+      const { token } = await tokenService.issueTokens(caller);
+      const response = await request(app)
+        .get(`/api/sessions/${session.id}/analytics`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.analytics.difficulty).toMatchObject({
+        start: 'easy',
+        end: 'easy',
+        highest: 'easy',
+        trajectory: [{ question: 1, score: 35 }, { question: 2, score: null }]
+      });
+    });
+  });
+});
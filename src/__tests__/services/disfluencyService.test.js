@@ -0,0 +1,93 @@
+const disfluencyService = require('../../services/disfluencyService');
+const voiceAnalysisService = require('../../services/voiceAnalysisService');
+
+const found = (transcript, words) => disfluencyService.detect(transcript, words).instances.map(({ type, text }) => [type, text]);
+
+// Word timings one every 0.4s, with a gap of `pause` seconds before word `at`
+const timings = (text, at, pause) => text.split(' ').map((word, index) => {
+  const start = Math.round((index * 0.4 + (index >= at ? pause : 0)) * 100) / 100;
+  return { word, start, end: Math.round((start + 0.3) * 100) / 100 };
+});
+
+describe('DisfluencyService', () => {
+  describe('fillers', () => {
+    it('should only count discourse markers where they act as fillers', () => {
+      expect(found('I\'m sure the result was right, so that we actually shipped on time.')).toEqual([]);
+      expect(found('So, um, this is a test with uh, like, several filler words')).toEqual([
+        ['filler', 'So'], ['filler', 'um'], ['filler', 'uh'], ['filler', 'like']
+      ]);
+    });
+
+    it('should count markers that follow another filler', () => {
+      expect(found('Well so we moved to the, you know, new platform.')).toEqual([
+        ['filler', 'Well'], ['filler', 'so'], ['filler', 'you know']
+      ]);
+    });
+  });
+
+  describe('restarts', () => {
+    it('should find repeated words and phrases', () => {
+      expect(found('I I led the the migration and we went we went live. We had had enough.')).toEqual([
+        ['repetition', 'I I'], ['repetition', 'the the'], ['repetition', 'we went we went']
+      ]);
+    });
+
+    it('should find self-corrections and false starts', () => {
+      expect(found('We had five, I mean six engineers, and it was, sorry, it was Redis. We wh- we tried, no luck.')).toEqual([
+        ['self_correction', 'I mean'], ['self_correction', 'sorry'], ['false_start', 'wh-']
+      ]);
+    });
+  });
+
+  describe('hesitations', () => {
+    it('should find long gaps inside a sentence before the key phrase they held up', () => {
+      const text = 'I led the migration to Kubernetes in two weeks';
+
+      const { instances, timed } = disfluencyService.detect(text, timings(text, 4, 1.5));
+
+      expect(timed).toBe(true);
+      expect(instances).toEqual([{
+        type: 'hesitation',
+        text: 'to Kubernetes',
+        start: 20,
+        end: 33,
+        wordIndex: 4,
+        time: { start: 3.1, end: 3.8 },
+        quote: 'I led the migration to Kubernetes in two weeks',
+        gap: 1.6
+      }]);
+    });
+
+    it('should not treat pauses between sentences as hesitations', () => {
+      const text = 'We shipped it. Then we measured the impact';
+
+      expect(found(text, timings(text, 3, 2))).toEqual([]);
+    });
+
+    it('should use a transcribed ellipsis when there are no timings', () => {
+      expect(found('We moved to the... new platform last year.')).toEqual([['hesitation', 'new']]);
+    });
+  });
+
+  describe('voice analysis', () => {
+    it('should report every instance with its position and quote them in the recommendations', () => {
+      const text = 'We had five, I mean six engineers and I I led the migration to Kubernetes';
+      const words = timings(text, 13, 1.2);
+
+      const { fillerWords, disfluencies, recommendations, metrics } = voiceAnalysisService.analyzeVoice(text, 30, {}, null, { words });
+
+      expect(fillerWords).toMatchObject({ count: 0, words: {}, instances: [] });
+      expect(disfluencies).toMatchObject({
+        count: 3,
+        byType: { filler: 0, repetition: 1, self_correction: 1, false_start: 0, hesitation: 1 },
+        timed: true
+      });
+      expect(disfluencies.instances[0]).toMatchObject({ type: 'self_correction', text: 'I mean', start: 13, time: { start: 1.2, end: 1.9 } });
+      expect(metrics.disfluencyCount).toBe(3);
+      expect(recommendations).toEqual(expect.arrayContaining([
+        'Finish each thought before starting the next; you restarted with "I mean" (at 0:01)',
+        'Have your key points ready so you don\'t hesitate before them, like before "to Kubernetes" (at 0:06)'
+      ]));
+    });
+  });
+});
@@ -0,0 +1,128 @@
+jest.unmock('../../services/openaiService');
+
+const zlib = require('zlib');
+const documentService = require('../../services/documentService');
+const { extractPdfText } = require('../../services/documents/pdfText');
+const openaiService = require('../../services/openaiService');
+
+// Compressed content stream showing each line
+const buildStream = (lines) => zlib.deflateSync(Buffer.from([
+  'BT /F1 11 Tf 72 720 Td',
+  ...lines.map((line, index) => `${index === 0 ? '' : '0 -14 Td '}(${line.replace(/[()\\]/g, '\\$&')}) Tj`),
+  'ET'
+].join('\n'), 'latin1'));
+
+// Minimal PDF with the given compressed streams (one page of lines by default)
+const buildPdf = (lines, streams = [buildStream(lines)]) => Buffer.concat([
+  Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>\nendobj\n'),
+  ...streams.flatMap((stream, index) => [
+    Buffer.from(`${index + 4} 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+    stream,
+    Buffer.from('\nendstream\nendobj\n')
+  ]),
+  Buffer.from('trailer\n<< /Root 1 0 R >>\n%%EOF\n')
+]);
+
+const resumeLines = [
+  'Jamie Chen',
+  'Senior Engineer at Acme Payments, 2019 - 2023',
+  '- Built a real-time billing pipeline in Node.js and Kafka that cut invoice errors by 40%.',
+  '- Mentored four engineers (two promoted)',
+  'Globex | Software Engineer | 2016 - 2019',
+  '- Migrated the monolith to Docker and Kubernetes on AWS.'
+];
+
+describe('DocumentService', () => {
+  describe('extractText', () => {
+    it('should read text from a PDF content stream', () => {
+      const result = documentService.extractText({ buffer: buildPdf(resumeLines), fileName: 'resume.pdf' });
+
+      expect(result).toMatchObject({ extracted: true, format: 'pdf' });
+      expect(result.text.split('\n')).toEqual(resumeLines);
+    });
+
+    it('should not inflate a compressed stream past the text it can keep', () => {
+      // About 100 KB compressed, 100 MB inflated
+      const bomb = zlib.deflateSync(Buffer.concat([Buffer.from('BT ('), Buffer.alloc(100 * 1024 * 1024, 'a'), Buffer.from(') Tj ET')]), { level: 9 });
+      const inflate = jest.spyOn(zlib, 'inflateSync');
+
+      expect(documentService.extractText({ buffer: buildPdf(null, [bomb]), fileName: 'resume.pdf' }))
+        .toEqual({ extracted: false, reason: 'no_text' });
+      expect(inflate).toHaveBeenCalledWith(expect.any(Buffer), { maxOutputLength: 20000 * 50 });
+      inflate.mockRestore();
+    });
+
+    it('should stop decoding streams once enough text has been read', () => {
+      const page = (number) => buildStream([`Page ${number} of the resume, with enough text to fill a line.`]);
+      const inflate = jest.spyOn(zlib, 'inflateSync');
+
+      const text = extractPdfText(buildPdf(null, [1, 2, 3, 4, 5].map(page)), { maxChars: 100 });
+
+      expect(text).toBe('Page 1 of the resume, with enough text to fill a line.\n\nPage 2 of the resume, with enough text to fill a line.');
+      expect(inflate).toHaveBeenCalledTimes(2);
+      inflate.mockRestore();
+    });
+
+    it('should strip Markdown syntax but keep list items', () => {
+      const markdown = '# Staff Engineer at Initech\n\n## Requirements\n* **8+ years** building [distributed systems](https://example.com)\n+ Experience leading `cross-team` projects\n';
+      const result = documentService.extractText({ buffer: Buffer.from(markdown), fileName: 'role.md' });
+
+      expect(result.format).toBe('markdown');
+      expect(result.text).toBe('Staff Engineer at Initech\n\nRequirements\n- 8+ years building distributed systems\n- Experience leading cross-team projects');
+    });
+
+    it('should reject unknown formats and documents without text', () => {
+      expect(documentService.extractText({ buffer: Buffer.from('hello'), fileName: 'resume.docx' }))
+        .toEqual({ extracted: false, reason: 'unsupported_format' });
+      expect(documentService.extractText({ buffer: Buffer.from([0, 1, 2, 3, 0, 255]), fileName: 'resume.txt' }))
+        .toEqual({ extracted: false, reason: 'no_text' });
+      expect(documentService.extractText({ buffer: buildPdf(['1 2 3']), fileName: 'scan.pdf' }))
+        .toEqual({ extracted: false, reason: 'no_text' });
+    });
+  });
+
+  describe('document details', () => {
+    it('should find skills, employers and projects in a resume without a model', async () => {
+      const details = await openaiService.extractDocumentDetails('resume', resumeLines.join('\n'));
+
+      expect(details.source).toBe('fallback');
+      expect(details.employers).toEqual(['Acme Payments', 'Globex']);
+      expect(details.skills).toEqual(expect.arrayContaining(['Node.js', 'Kafka', 'Docker', 'Kubernetes', 'AWS']));
+      expect(details.projects).toEqual([
+        'Built a real-time billing pipeline in Node.js and Kafka that cut invoice errors by 40%.',
+        'Migrated the monolith to Docker and Kubernetes on AWS.'
+      ]);
+    });
+
+    it('should take requirements from the requirements section of a job description', async () => {
+      const text = 'Staff Engineer at Initech\nWe build things.\nRequirements\n- 8+ years building distributed systems\n- Experience with Terraform\nBenefits\n- Free lunch';
+      const details = await openaiService.extractDocumentDetails('jobDescription', text);
+
+      expect(details).toMatchObject({ title: 'Staff Engineer', company: 'Initech', skills: ['Terraform'] });
+      expect(details.requirements).toEqual(['8+ years building distributed systems', 'Experience with Terraform']);
+    });
+  });
+
+  describe('getCandidateContext', () => {
+    it('should be null until a document is uploaded', () => {
+      expect(documentService.getCandidateContext({ resume: null, jobDescription: null })).toBeNull();
+    });
+
+    it('should ground generated questions in the candidate\'s projects and the job', async () => {
+      const context = documentService.getCandidateContext({
+        resume: { skills: ['Node.js'], employers: ['Acme Payments'], projects: ['Built a real-time billing pipeline.'] },
+        jobDescription: { title: 'Staff Engineer', skills: ['Node.js', 'Terraform'], requirements: ['Experience leading cross-team projects'] }
+      });
+
+      const questions = await openaiService.generateInterviewQuestions({ questionCount: 5, candidateContext: context });
+
+      expect(questions.map(question => question.text)).toEqual([
+        'Your resume says you built a real-time billing pipeline. Walk me through your part in it and the result.',
+        'This role asks for experience leading cross-team projects. Tell me about a time you showed that.',
+        'What was the hardest problem you worked on at Acme Payments, and how did you solve it?',
+        'The role calls for Terraform. How have you used it, or how would you get up to speed?',
+        'Tell me about a time when you had to work with a difficult team member.'
+      ]);
+    });
+  });
+});
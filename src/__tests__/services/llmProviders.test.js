@@ -0,0 +1,143 @@
+jest.unmock('../../services/openaiService');
+
+const openaiService = require('../../services/openaiService');
+const { createProvider, registerProvider } = require('../../services/llm');
+const { getOperationConfig, getProviderName } = require('../../services/llm/config');
+const OpenAICompatibleProvider = require('../../services/llm/openaiCompatibleProvider');
+const { getFallbackFollowUp } = require('../../services/llm/fallbacks');
+
+describe('LLM providers', () => {
+  describe('configuration', () => {
+    it('should use the historical defaults per operation', () => {
+      expect(getOperationConfig('generateInterviewQuestions', {})).toEqual({
+        model: 'gpt-3.5-turbo-0125',
+        temperature: 0.8,
+        maxTokens: 1500,
+        maxRepairs: 1
+      });
+      expect(getOperationConfig('analyzeSpeechPatterns', {}).maxTokens).toBe(800);
+    });
+
+    it('should apply global and per-operation overrides', () => {
+      const env = {
+        LLM_MODEL: 'llama3',
+        LLM_ANALYSIS_MODEL: 'gpt-4o',
+        LLM_ANALYSIS_TEMPERATURE: '0',
+        LLM_ANALYSIS_MAX_TOKENS: 'lots'
+      };
+
+      expect(getOperationConfig('analyzeResponse', env)).toEqual({ model: 'gpt-4o', temperature: 0, maxTokens: 1000, maxRepairs: 1 });
+      expect(getOperationConfig('generateCoachingRecommendations', env).model).toBe('llama3');
+    });
+
+    it('should pick the offline provider when no key is configured', () => {
+      expect(getProviderName({})).toBe('offline');
+      expect(getProviderName({ OPENAI_API_KEY: 'sk-test' })).toBe('openai');
+      expect(getProviderName({ LLM_PROVIDER: 'openai_compatible', OPENAI_API_KEY: 'sk-test' })).toBe('openai_compatible');
+    });
+  });
+
+  describe('offline provider', () => {
+    const provider = createProvider('offline');
+
+    it('should generate questions deterministically without repeats', async () => {
+      const { data: first, source } = await provider.generateInterviewQuestions({ questionCount: 1 });
+      const { data: second } = await provider.generateInterviewQuestions({ questionCount: 1, previousQuestions: [first[0].text] });
+
+      expect(source).toBe('fallback');
+      expect(first).toEqual((await provider.generateInterviewQuestions({ questionCount: 1 })).data);
+      expect(second[0].text).not.toBe(first[0].text);
+      expect(second[0].category).toBe('technical');
+    });
+
+    it('should analyze responses with the fallback heuristics', async () => {
+      const { data: analysis } = await provider.analyzeResponse({ userResponse: 'One time I led a migration', questionCategory: 'behavioral' });
+
+      expect(analysis.scores.structure).toBe(80);
+      expect(analysis.feedback.strengths).toHaveLength(2);
+      expect(analysis.followUp).toMatchObject({ gap: 'missing_result' });
+    });
+
+    it('should find the gap a follow-up should probe', () => {
+      const complete = 'In my last role I rewrote our deploy scripts and cut release time by 40%.';
+
+      expect(getFallbackFollowUp(complete, 'behavioral')).toBeNull();
+      expect(getFallbackFollowUp('We fixed things with the team and it went well.', 'behavioral')).toMatchObject({
+        gap: 'missing_action',
+        question: 'What did you personally do there, step by step?'
+      });
+      expect(getFallbackFollowUp('I basically handle a lot of stuff with our RCA process.', 'technical')).toEqual({
+        gap: 'unexplained_term',
+        detail: 'RCA',
+        question: 'You mentioned RCA. Can you explain what that is and why it mattered here?'
+      });
+      expect(getFallbackFollowUp('I use an RCA (root cause analysis) and it always works.', 'technical')).toMatchObject({
+        gap: 'vague_claim',
+        detail: 'always'
+      });
+      expect(getFallbackFollowUp('', 'behavioral')).toBeNull();
+    });
+  });
+
+  describe('OpenAI-compatible provider', () => {
+    it('should post chat completions with the operation config', async () => {
+      const http = {
+        post: jest.fn(async () => ({ data: { choices: [{ message: { content: '[{"id":"q1","text":"Why us?","category":"behavioral"}]' } }] } }))
+      };
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', apiKey: 'local', http });
+
+      const { data: questions, source } = await provider.generateInterviewQuestions(
+        { industry: 'finance', questionCount: 1 },
+        { model: 'llama3', temperature: 0.5, maxTokens: 300, maxRepairs: 0 }
+      );
+
+      expect(source).toBe('model');
+      expect(questions[0]).toMatchObject({ text: 'Why us?', difficulty: 'medium' });
+      const [url, body, options] = http.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(body).toMatchObject({ model: 'llama3', temperature: 0.5, max_tokens: 300 });
+      expect(body.messages[0].content).toContain('finance');
+      expect(options.headers.Authorization).toBe('Bearer local');
+    });
+
+    it('should require a base URL', () => {
+      expect(() => new OpenAICompatibleProvider({ baseUrl: '' })).toThrow('LLM_BASE_URL');
+    });
+  });
+
+  describe('openaiService', () => {
+    afterEach(() => {
+      openaiService.setProvider(null);
+    });
+
+    it('should load without an API key and fall back to the offline provider', async () => {
+      const previousKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+      process.env.LLM_PROVIDER = 'openai';
+
+      try {
+        expect(openaiService.getProvider().name).toBe('offline');
+      } finally {
+        delete process.env.LLM_PROVIDER;
+        if (previousKey !== undefined) {
+          process.env.OPENAI_API_KEY = previousKey;
+        }
+      }
+    });
+
+    it('should return fallback results when the provider fails', async () => {
+      registerProvider('broken', () => ({
+        name: 'broken',
+        analyzeResponse: async () => {
+          throw new Error('model unavailable');
+        }
+      }));
+      openaiService.setProvider(createProvider('broken'));
+
+      const analysis = await openaiService.analyzeResponse({ question: 'Q', userResponse: 'A short answer' });
+
+      expect(analysis.scores.communication).toBe(75);
+      expect(analysis.source).toBe('fallback');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const ivrFlow = require('../../flows/ivrFlow');
+const { getStaticPrompts, systemPrompts } = require('../../flows/promptCatalog');
+const { AudioCache, createBackend } = require('../../services/audioCache');
+const audioCacheService = require('../../services/audioCacheService');
+const promptAudioService = require('../../services/promptAudioService');
+
+describe('Prompt audio pre-generation', () => {
+  describe('prompt catalog', () => {
+    const prompts = getStaticPrompts();
+    const texts = prompts.map(prompt => prompt.text);
+
+    it('should list system, menu, transfer and flow prompts once each', () => {
+      Object.values(systemPrompts).forEach(text => expect(texts).toContain(text));
+      expect(texts).toContain(ivrFlow.menus.main.retryPrompt);
+      expect(texts).toContain(ivrFlow.transfers.representative.prompt);
+      expect(texts).toContain(ivrFlow.flows.practice.prompts.intro);
+      expect(new Set(texts).size).toBe(texts.length);
+    });
+
+    it('should leave out prompts that depend on the call', () => {
+      expect(texts.some(text => /\{\w+\}/.test(text))).toBe(false);
+      expect(prompts.find(prompt => prompt.text === ivrFlow.flows.mock_interview.prompts.technicalIssue).id).toBe('system.technicalIssue');
+    });
+  });
+
+  describe('pregenerate', () => {
+    let directory;
+    let previousCache;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-audio-'));
+      previousCache = audioCacheService.setCache(new AudioCache({ backend: createBackend('local', { directory }) }));
+      process.env.TTS_PREGENERATE_VOICES = 'local,twilio,local:local-default';
+    });
+
+    afterEach(async () => {
+      await audioCacheService.flush();
+      audioCacheService.setCache(previousCache);
+      delete process.env.TTS_PREGENERATE_VOICES;
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    const withMenuPrompt = (prompt) => ({
+      ...ivrFlow,
+      menus: { main: { ...ivrFlow.menus.main, prompt } }
+    });
+
+    it('should only warm voices that render audio', () => {
+      expect(promptAudioService.getVoices()).toEqual([{ provider: 'local', voiceId: 'local-default' }]);
+    });
+
+    it('should generate missing prompts, then report them cached', async () => {
+      const [first] = await promptAudioService.pregenerate();
+      const total = getStaticPrompts().length;
+
+      expect(promptAudioService.summarize(first)).toEqual({ cached: 0, stale: 0, missing: total, generated: total, failed: 0 });
+      expect((await audioCacheService.list())[0].promptId).toMatch(/^(system|identity|company|profile|menu|transfer|flow)\./);
+
+      const [again] = await promptAudioService.getStatus();
+      expect(promptAudioService.summarize(again).cached).toBe(total);
+    });
+
+    it('should report a reworded prompt as stale and replace its old audio', async () => {
+      await promptAudioService.pregenerate();
+      const prompts = getStaticPrompts(withMenuPrompt('Welcome back. Press 1 for a mock interview.'));
+
+      const [status] = await promptAudioService.getStatus({ prompts });
+      const menuPrompt = status.prompts.find(prompt => prompt.id === 'menu.main.prompt');
+      expect(menuPrompt.status).toBe('stale');
+      expect(promptAudioService.summarize(status)).toMatchObject({ stale: 1, missing: 0 });
+
+      await promptAudioService.pregenerate({ prompts });
+
+      const entries = (await audioCacheService.list()).filter(entry => entry.promptId === 'menu.main.prompt');
+      expect(entries).toEqual([expect.objectContaining({ key: menuPrompt.key, text: 'Welcome back. Press 1 for a mock interview.' })]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const questionBankService = require('../../services/questionBankService');
+
+describe('QuestionBankService', () => {
+  describe('readRecord', () => {
+    it('should normalize list cells, enums and empty values', () => {
+      const { fields, errors } = questionBankService.readRecord({
+        text: '  Tell me about a time you   disagreed with your manager. ',
+        category: 'Behavioral',
+        industry: '',
+        tags: 'Conflict| leadership |conflict',
+        expectedKeywords: ['listened', ' compromise '],
+        isActive: 'TRUE'
+      });
+
+      expect(errors).toEqual([]);
+      expect(fields).toEqual({
+        text: 'Tell me about a time you disagreed with your manager.',
+        category: 'behavioral',
+        industry: null,
+        tags: ['conflict', 'leadership'],
+        expectedKeywords: ['listened', 'compromise'],
+        isActive: true
+      });
+    });
+
+    it('should report every invalid field', () => {
+      const { errors } = questionBankService.readRecord({ text: 'Short', difficulty: 'brutal', roleLevel: 'intern' });
+
+      expect(errors).toHaveLength(3);
+    });
+  });
+
+  describe('CSV', () => {
+    it('should read back what it exports, including quotes, commas and line breaks', () => {
+      const question = {
+        id: 'b6a8f7a4-8d3e-4d1c-9a57-0f6f1c2f8d11',
+        text: 'Describe a "hard" call, and what you learned.\nBe specific.',
+        category: 'situational',
+        difficulty: 'hard',
+        industry: null,
+        roleLevel: 'senior',
+        tags: ['judgement', 'ethics'],
+        expectedKeywords: [],
+        evaluationCriteria: ['clarity'],
+        version: 2,
+        isActive: true
+      };
+
+      const { records } = questionBankService.parseRecords(questionBankService.toCsv([question]), 'csv');
+
+      expect(records).toHaveLength(1);
+      expect(records[0]).toMatchObject({ id: question.id, text: question.text, industry: '', tags: 'judgement|ethics', version: '2' });
+      expect(questionBankService.readRecord(records[0]).fields.tags).toEqual(['judgement', 'ethics']);
+    });
+
+    it('should export cells that would run as spreadsheet formulas as text and import them unchanged', () => {
+      const question = {
+        id: 'b6a8f7a4-8d3e-4d1c-9a57-0f6f1c2f8d12',
+        text: '=HYPERLINK("https://attacker.example.com","Tell me about your resume")',
+        category: 'behavioral',
+        difficulty: 'medium',
+        tags: ['@risk', 'ownership'],
+        expectedKeywords: ['+1 on-call'],
+        evaluationCriteria: ['-owns the outcome'],
+        version: 1,
+        isActive: true
+      };
+
+      const csv = questionBankService.toCsv([question]);
+      const cells = questionBankService.parseCsvRows(csv)[1];
+
+      expect(cells[1]).toBe(`'${question.text}`);
+      expect(cells.slice(6, 9)).toEqual(['\'@risk|ownership', '\'+1 on-call', '\'-owns the outcome']);
+
+      const { records } = questionBankService.parseRecords(csv, 'csv');
+      expect(records[0]).toMatchObject({ text: question.text, tags: '@risk|ownership', expectedKeywords: '+1 on-call', evaluationCriteria: '-owns the outcome' });
+      // A leading ' before anything else is the question's own text
+      expect(questionBankService.parseRecords('text\n\'Twas a hard call - what did you do?', 'csv').records[0].text)
+        .toBe('\'Twas a hard call - what did you do?');
+    });
+
+    it('should reject unclosed quotes and files without a text column', () => {
+      expect(questionBankService.parseRecords('text\n"Never closed', 'csv')).toEqual({ error: 'invalid_csv' });
+      expect(questionBankService.parseRecords('question,category\nHello,behavioral', 'csv')).toEqual({ error: 'missing_columns' });
+      expect(questionBankService.parseRecords('{"questions": 3}', 'json')).toEqual({ error: 'invalid_json' });
+    });
+  });
+
+  describe('mixing', () => {
+    it('should spread bank turns evenly after a generated question', () => {
+      const turns = [0, 1, 2, 3, 4].map(index => questionBankService.isBankTurn(index, 0.4));
+      expect(turns).toEqual([false, false, true, false, true]);
+      expect(questionBankService.isBankTurn(0, undefined)).toBe(false);
+    });
+
+    it('should fill missing bank questions with generated ones', () => {
+      const mixed = questionBankService.mixQuestions(['g1', 'g2', 'g3'], ['b1', 'b2']);
+      expect(mixed).toEqual(['g1', 'g2', 'b1', 'g3', 'b2']);
+
+      expect(questionBankService.mixQuestions([], ['b1', 'b2'])).toEqual(['b1', 'b2']);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const request = require('supertest');
+const crypto = require('crypto');
+const app = require('../../server');
+const { sequelize, User, Session } = require('../../database/models');
+const { createBackend } = require('../../services/audioCache');
+const recordingService = require('../../services/recordingService');
+const interviewService = require('../../services/interviewService');
+const twilioService = require('../../services/twilioService');
+const openaiService = require('../../services/openaiService');
+const tokenService = require('../../services/tokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const recordingUrl = (sid) => `https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/${sid}`;
+
+describe('RecordingService', () => {
+  let directory;
+  let previousBackend;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recordings-'));
+    previousBackend = recordingService.setBackend(createBackend('local', { directory }));
+    twilioService.downloadRecording.mockImplementation(async (sid) => Buffer.from(`audio of ${sid}`));
+  });
+
+  afterEach(async () => {
+    recordingService.setBackend(previousBackend);
+    twilioService.downloadRecording.mockReset();
+    twilioService.getTranscription.mockReset();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('storage', () => {
+    it('should read the recording a callback refers to, from its SID or URL', () => {
+      expect(recordingService.fromParams({ recordingSid: 'RE1', recordingUrl: recordingUrl('RE1'), recordingDuration: '42' }))
+        .toEqual({ sid: 'RE1', url: recordingUrl('RE1'), duration: 42 });
+      expect(recordingService.fromParams({ recordingUrl: recordingUrl('REabc') }).sid).toBe('REabc');
+      expect(recordingService.fromParams({ transcriptionText: 'no recording' })).toBeNull();
+    });
+
+    it('should download and store a recording with its retention date', async () => {
+      const entry = await recordingService.store({ sid: 'RE1', url: recordingUrl('RE1'), duration: 12 });
+
+      expect(twilioService.downloadRecording).toHaveBeenCalledWith('RE1', 'mp3');
+      expect(entry).toMatchObject({ sid: 'RE1', sourceUrl: recordingUrl('RE1'), duration: 12, filename: 'RE1.mp3', format: 'mp3' });
+      expect(new Date(entry.expiresAt) - new Date(entry.storedAt)).toBe(recordingService.DEFAULT_RETENTION_DAYS * DAY_MS);
+      expect((await recordingService.read(entry)).toString()).toBe('audio of RE1');
+    });
+
+    it('should keep the link to Twilio when the download fails', async () => {
+      twilioService.downloadRecording.mockRejectedValue(new Error('network down'));
+
+      const entry = await recordingService.store({ sid: 'RE2', url: recordingUrl('RE2'), duration: 5 });
+
+      expect(entry).toMatchObject({ sid: 'RE2', sourceUrl: recordingUrl('RE2'), filename: null });
+      expect(await recordingService.read(entry)).toBeNull();
+    });
+
+    it('should purge stored recordings past the retention period', async () => {
+      await recordingService.store({ sid: 'REold', url: recordingUrl('REold') });
+      await recordingService.store({ sid: 'REnew', url: recordingUrl('REnew') });
+      const old = new Date(Date.now() - 40 * DAY_MS);
+      await fs.utimes(path.join(directory, 'REold.mp3'), old, old);
+
+      expect(await recordingService.purgeExpired()).toEqual({ deleted: 1, kept: 1 });
+      expect(await fs.readdir(directory)).toEqual(['REnew.mp3']);
+    });
+  });
+
+  describe('in a session', () => {
+    let caller;
+    let session;
+    let token;
+
+    beforeAll(async () => {
+      await sequelize.sync();
+    });
+
+    beforeEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+
+      caller = await User.createUser({ phoneNumber: '+14155550192', name: 'Riley Replay', industry: 'technology', experienceLevel: 'mid' });
+      session = await Session.create({
+        userId: caller.id,
+        sessionType: 'mock_interview',
+        industry: 'technology',
+        roleLevel: 'mid',
+        status: 'active',
+        callSid: 'CA-recordings',
+        questions: [
+          { id: crypto.randomUUID(), text: 'Tell me about a project you led.', category: 'technical' },
+          { id: crypto.randomUUID(), text: 'How do you debug a production issue?', category: 'technical' }
+        ]
+      });
+      ({ token } = await tokenService.issueTokens(caller));
+    });
+
+    afterEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+    });
+
+    const answer = (sid, text) => interviewService.processResponse(session, caller, {
+      callSid: 'CA-recordings',
+      recordingSid: sid,
+      recordingUrl: recordingUrl(sid),
+      recordingDuration: '20',
+      transcriptionText: text
+    });
+
+    it('should link each answer to its own recording once', async () => {
+      await answer('REfirst', 'I led the migration of our billing service to a new database.');
+      await answer('REfirst', 'I led the migration of our billing service to a new database.');
+      await answer('REsecond', 'I check the logs, reproduce the issue and bisect recent changes.');
+
+      await session.reload();
+      expect(session.responses.map(response => response.recording.sid)).toEqual(['REfirst', 'REsecond']);
+      expect(session.responses[1]).toMatchObject({ duration: 20, recording: { filename: 'REsecond.mp3' } });
+    });
+
+    it('should keep an answer stored while an earlier one was still being analysed', async () => {
+      const [first, second] = session.questions;
+      const analyze = openaiService.analyzeResponse.getMockImplementation();
+      let release;
+      openaiService.analyzeResponse.mockImplementationOnce(async (...args) => {
+        await new Promise(resolve => { release = resolve; });
+        return analyze(...args);
+      });
+
+      const slow = interviewService.processResponse(session, caller, {
+        callSid: 'CA-recordings',
+        questionId: first.id,
+        recordingSid: 'REfirst',
+        recordingUrl: recordingUrl('REfirst'),
+        transcriptionText: 'I led the migration of our billing service to a new database.'
+      });
+      while (!release) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      await interviewService.processResponse(await Session.findByPk(session.id), caller, {
+        callSid: 'CA-recordings',
+        questionId: second.id,
+        recordingSid: 'REsecond',
+        recordingUrl: recordingUrl('REsecond'),
+        transcriptionText: 'I check the logs, reproduce the issue and bisect recent changes.'
+      });
+      release();
+      await slow;
+
+      await session.reload();
+      expect(session.responses.map(response => [response.questionId, response.recording.sid])).toEqual([
+        [first.id, 'REfirst'],
+        [second.id, 'REsecond']
+      ]);
+      expect(openaiService.analyzeResponse.mock.calls.slice(-2).map(([options]) => options.question)).toEqual([first.text, second.text]);
+    });
+
+    it('should transcribe the callback\'s own recording', async () => {
+      twilioService.getTranscription.mockResolvedValue({ transcriptionText: 'I led the migration of our billing service.' });
+
+      await interviewService.processResponse(session, caller, { callSid: 'CA-recordings', recordingSid: 'REaction', recordingUrl: recordingUrl('REaction') });
+
+      expect(twilioService.getTranscription).toHaveBeenCalledWith('REaction');
+      await session.reload();
+      expect(session.responses[0].recording.sid).toBe('REaction');
+    });
+
+    it('should let the caller replay their answer', async () => {
+      await answer('REfirst', 'I led the migration of our billing service to a new database.');
+
+      const response = await request(app)
+        .get(`/api/sessions/${session.id}/responses/0/audio`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('audio/mpeg');
+      expect(response.body.toString()).toBe('audio of REfirst');
+
+      await request(app).get(`/api/sessions/${session.id}/responses/0/audio`).expect(401);
+      await request(app)
+        .get(`/api/sessions/${session.id}/responses/1/audio`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    it('should hide other callers\' recordings and report purged ones as gone', async () => {
+      await answer('REfirst', 'I led the migration of our billing service to a new database.');
+      const other = await User.createUser({ phoneNumber: '+14155550193', name: 'Other Caller', industry: 'finance', experienceLevel: 'mid' });
+      const { token: otherToken } = await tokenService.issueTokens(other);
+
+      await request(app)
+        .get(`/api/sessions/${session.id}/responses/0/audio`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      await fs.rm(path.join(directory, 'REfirst.mp3'));
+      const response = await request(app)
+        .get(`/api/sessions/${session.id}/responses/0/audio`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(410);
+      expect(response.body).toEqual({ success: false, error: 'Recording is no longer available' });
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const scoringService = require('../../services/scoringService');
+const voiceAnalysisService = require('../../services/voiceAnalysisService');
+const prompts = require('../../services/llm/prompts');
+const { normalizeRubric, getLevel } = require('../../services/scoring/rubric');
+
+describe('ScoringService', () => {
+  describe('scoreResponse', () => {
+    it('should weight dimensions by question category', () => {
+      const scores = { content: 80, structure: 80, communication: 80, industryKnowledge: 40 };
+
+      const behavioral = scoringService.scoreResponse(scores, 'behavioral');
+      const technical = scoringService.scoreResponse(scores, 'technical');
+
+      expect(behavioral).toBe(76);
+      expect(technical).toBe(64);
+    });
+
+    it('should fall back to the reported overall when no dimensions are present', () => {
+      expect(scoringService.scoreResponse({ overall: 71 }, 'behavioral')).toBe(71);
+      expect(scoringService.scoreResponse({}, 'behavioral')).toBe(0);
+    });
+  });
+
+  describe('company rubric', () => {
+    const rubric = [
+      { name: 'Ownership', weight: 3 },
+      { name: 'Customer focus', weight: 1 }
+    ];
+
+    it('should score an answer by the rubric weights when the analysis scored it', () => {
+      const analysis = { scores: { overall: 50 }, rubricScores: { Ownership: 90, 'Customer focus': 50 } };
+
+      expect(scoringService.scoreAnalysis(analysis, 'behavioral', rubric)).toBe(80);
+      expect(scoringService.scoreAnalysis({ scores: { overall: 50 } }, 'behavioral', rubric)).toBe(50);
+      expect(scoringService.scoreAnalysis(analysis, 'behavioral')).toBe(50);
+    });
+
+    it('should average each criterion across answers', () => {
+      const aggregate = scoringService.aggregateResponses([
+        { category: 'behavioral', scores: { overall: 70 }, weightedScore: 70, rubricScores: { Ownership: 80 } },
+        { category: 'behavioral', scores: { overall: 60 }, weightedScore: 60, rubricScores: { Ownership: 61, 'Customer focus': 40 } }
+      ]);
+
+      expect(aggregate.rubric).toEqual({ Ownership: 71, 'Customer focus': 40 });
+      expect(aggregate.overall).toBe(65);
+    });
+  });
+
+  describe('aggregateResponses', () => {
+    it('should return null when no response carries scores', () => {
+      expect(scoringService.aggregateResponses([{ text: 'hello' }])).toBeNull();
+      expect(scoringService.aggregateResponses([])).toBeNull();
+    });
+
+    it('should aggregate every answer instead of the last one', () => {
+      const responses = [
+        {
+          category: 'behavioral',
+          scores: { content: 90, structure: 90, communication: 90, industryKnowledge: 90 }
+        },
+        {
+          category: 'technical',
+          scores: { content: 50, structure: 50, communication: 50, industryKnowledge: 50 }
+        }
+      ];
+
+      const aggregate = scoringService.aggregateResponses(responses);
+
+      expect(aggregate.overall).toBe(70);
+      expect(aggregate.responsesScored).toBe(2);
+      // Technical answers carry more weight for industry knowledge
+      expect(aggregate.industryKnowledge).toBe(58);
+      expect(aggregate.structure).toBe(77);
+    });
+  });
+
+  describe('buildQuestionBreakdown', () => {
+    it('should pair each response with its question', () => {
+      const questions = [{ id: 'q1', text: 'Tell me about yourself', category: 'behavioral' }];
+      const responses = [{
+        questionId: 'q1',
+        scores: { content: 80, structure: 70, communication: 90, industryKnowledge: 60 },
+        weightedScore: 78,
+        metrics: { speechRate: { wordsPerMinute: 150 }, fillerWords: { count: 2 } }
+      }];
+
+      const [entry] = scoringService.buildQuestionBreakdown(questions, responses);
+
+      expect(entry.question).toBe('Tell me about yourself');
+      expect(entry.category).toBe('behavioral');
+      expect(entry.weightedScore).toBe(78);
+      expect(entry.voiceMetrics.wordsPerMinute).toBe(150);
+      expect(entry.voiceMetrics.fillerWords).toBe(2);
+    });
+  });
+
+  describe('scoring rubric', () => {
+    const custom = normalizeRubric({
+      name: 'Engineering',
+      dimensions: [{ key: 'industryKnowledge', label: 'Technical Depth' }],
+      categoryWeights: { default: { content: 1, industryKnowledge: 1 } },
+      thresholds: { strength: 90, improvement: 60 },
+      levels: [{ min: 0, label: 'no hire' }, { min: 85, label: 'hire' }],
+      voice: {
+        weights: { speechRate: 0, confidence: 3 },
+        speechRate: { ideal: [120, 140], good: [100, 160], fair: [80, 180] }
+      }
+    });
+
+    it('should fill what a rubric leaves out from the default', () => {
+      expect(custom.dimensions.map(dimension => dimension.label)).toEqual(['Content Quality', 'Answer Structure', 'Communication', 'Technical Depth']);
+      expect(custom.categoryWeights.technical).toEqual({ content: 1, structure: 0, communication: 0, industryKnowledge: 1 });
+      expect(custom.voice.weights).toMatchObject({ speechRate: 0, confidence: 3, clarity: 1 });
+      expect(custom.levels.map(level => level.label)).toEqual(['hire', 'no hire']);
+      expect(getLevel(86, custom)).toBe('hire');
+      expect(getLevel(70)).toBe('good');
+    });
+
+    it('should weight answers and sessions by the rubric', () => {
+      const scores = { content: 80, structure: 20, communication: 20, industryKnowledge: 60 };
+
+      expect(scoringService.scoreResponse(scores, 'behavioral')).toBe(42);
+      expect(scoringService.scoreResponse(scores, 'behavioral', custom)).toBe(70);
+
+      const aggregate = scoringService.aggregateResponses([
+        { category: 'technical', scores },
+        { category: 'technical', scores: { ...scores, structure: 40 } }
+      ], custom);
+      expect(aggregate).toMatchObject({ content: 80, structure: 30, industryKnowledge: 60, overall: 70 });
+    });
+
+    it('should use the rubric thresholds and labels for strengths and weaknesses', () => {
+      const scores = { content: 92, structure: 85, communication: 65, industryKnowledge: 95 };
+
+      expect(scoringService.identifyStrengths(scores)).toEqual(['Content Quality', 'Answer Structure', 'Industry Knowledge']);
+      expect(scoringService.identifyWeaknesses(scores)).toEqual(['Communication']);
+      expect(scoringService.identifyStrengths(scores, custom)).toEqual(['Content Quality', 'Technical Depth']);
+      expect(scoringService.identifyWeaknesses(scores, custom)).toEqual([]);
+    });
+
+    it('should band speech rate and weight the voice score by the rubric', () => {
+      const transcript = Array(55).fill('word').join(' ');
+
+      expect(voiceAnalysisService.analyzeSpeechRate(transcript, 30)).toMatchObject({ wordsPerMinute: 110, rate: 'slow', score: 60 });
+      expect(voiceAnalysisService.analyzeSpeechRate(transcript, 30, custom.voice.speechRate)).toMatchObject({ rate: 'normal', score: 80 });
+
+      const { overall, confidence, clarity, fillerWords, disfluencies, pauses } = voiceAnalysisService.analyzeVoice(transcript, 30, {}, null, { scoringRubric: custom });
+      const expected = Math.round((fillerWords.score + disfluencies.score + pauses.score + confidence.score * 3 + clarity.score) / 7);
+      expect(overall.score).toBe(expected);
+      expect(['hire', 'no hire']).toContain(overall.level);
+    });
+
+    it('should describe the rubric dimensions and weights in the analysis prompt', () => {
+      const [system] = prompts.analyzeResponse({
+        question: 'How would you shard this table?',
+        userResponse: 'By customer ID.',
+        questionCategory: 'technical',
+        scoringRubric: custom
+      });
+
+      expect(system.content).toContain('4. Technical Depth ("industryKnowledge", 0-100): Technical accuracy, terminology');
+      expect(system.content).toContain('Weighted average (Content Quality 50%, Technical Depth 50%)');
+    });
+  });
+
+  describe('summarizeAnalysisSources', () => {
+    it('should count where each analysis came from', () => {
+      const responses = [
+        { analysisSource: 'model' },
+        { analysisSource: 'repair' },
+        { analysisSource: 'model' },
+        { analysisSource: 'fallback' },
+        {}
+      ];
+
+      expect(scoringService.summarizeAnalysisSources(responses)).toEqual({ model: 2, repair: 1, fallback: 1 });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const app = require('../../server');
+const { sequelize, User, Session } = require('../../database/models');
+const starAnalysisService = require('../../services/starAnalysisService');
+const callFlowService = require('../../services/callFlowService');
+const tokenService = require('../../services/tokenService');
+
+const fullAnswer = 'In my last role our team was missing every release date. My job was to get the billing release out in two weeks. ' +
+  'I split the work into daily goals, then I paired with the slowest reviewer. As a result we shipped three days early and cut review time by 40%.';
+const shortAnswer = 'Our checkout kept failing during the holiday sale. I rolled back the release and told the team.';
+
+describe('StarAnalysisService', () => {
+  describe('segmentAnswer', () => {
+    it('should split a complete answer into situation, task, action and result spans', () => {
+      const star = starAnalysisService.segmentAnswer(fullAnswer);
+      const spoken = (component) => star[component].spans.map(({ start, end }) => fullAnswer.slice(start, end));
+
+      expect(spoken('situation')).toEqual(['In my last role our team was missing every release date.']);
+      expect(spoken('task')).toEqual(['My job was to get the billing release out in two weeks.']);
+      expect(spoken('action')).toEqual(['I split the work into daily goals', 'then I paired with the slowest reviewer.']);
+      expect(spoken('result')).toEqual(['As a result we shipped three days early and cut review time by 40%.']);
+      expect(star.missing).toEqual([]);
+      expect(star.overall).toBeGreaterThanOrEqual(starAnalysisService.COMPLETE_SCORE);
+      expect(star.source).toBe('heuristic');
+    });
+
+    it('should score the components an answer leaves out as zero', () => {
+      const star = starAnalysisService.segmentAnswer(shortAnswer);
+
+      expect(star.situation.text).toBe('Our checkout kept failing during the holiday sale.');
+      expect(star.action.text).toBe('I rolled back the release and told the team.');
+      expect(star.task).toEqual({ text: '', spans: [], score: 0 });
+      expect(star.result.score).toBe(0);
+      expect(star.missing).toEqual(['task', 'result']);
+    });
+  });
+
+  describe('analyzeResponse', () => {
+    const modelStar = {
+      situation: { text: 'in my last role our team was missing every release date', score: 90 },
+      task: { text: '', score: 10 },
+      action: { text: 'I split the work into daily goals', score: 80 },
+      result: { text: 'cut review time by 40%', score: 95 }
+    };
+
+    it('should locate the model\'s breakdown in the answer', () => {
+      const star = starAnalysisService.analyzeResponse(fullAnswer, 'behavioral', { star: modelStar, source: 'model' });
+
+      expect(star.source).toBe('model');
+      expect(star.situation.spans).toEqual([{ start: 0, end: 55 }]);
+      expect(star.task).toEqual({ text: '', spans: [], score: 0 });
+      expect(star.missing).toEqual(['task']);
+    });
+
+    it('should segment the answer itself for fallback analyses and skip other categories', () => {
+      expect(starAnalysisService.analyzeResponse(fullAnswer, 'behavioral', { star: modelStar, source: 'fallback' }).source).toBe('heuristic');
+      expect(starAnalysisService.analyzeResponse(fullAnswer, 'behavioral', {}).source).toBe('heuristic');
+      expect(starAnalysisService.analyzeResponse(fullAnswer, 'technical', { star: modelStar })).toBeNull();
+    });
+  });
+
+  describe('recap', () => {
+    const flow = callFlowService.getFlow('mock_interview');
+    const answered = (...answers) => ({
+      questions: answers.map((text, index) => ({ id: `q${index}`, text: `Question ${index + 1}`, category: 'behavioral' })),
+      responses: answers.map(text => ({ star: starAnalysisService.segmentAnswer(text) }))
+    });
+
+    it('should name the strongest and weakest parts with a tip', () => {
+      const session = answered(shortAnswer);
+
+      expect(starAnalysisService.summarize(session)).toMatchObject({ answers: 1, strongest: 'action', weakest: 'result', complete: false });
+      expect(callFlowService.getStarRecap(flow, session)).toBe(
+        'In your story answers, your action was strongest and your result needs the most work. Next time, finish with the result, ideally with a number. '
+      );
+    });
+
+    it('should praise complete answers and stay silent without behavioral answers', () => {
+      expect(callFlowService.getStarRecap(flow, answered(fullAnswer))).toBe(flow.starRecap.complete);
+      expect(callFlowService.getStarRecap(flow, { questions: [], responses: [{ star: null }] })).toBe('');
+      expect(callFlowService.getStarRecap(callFlowService.getFlow('assessment'), answered(fullAnswer))).toBe('');
+    });
+  });
+
+  describe('in a session', () => {
+    let caller;
+
+    beforeAll(async () => {
+      await sequelize.sync();
+    });
+
+    beforeEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+
+      caller = await User.createUser({ phoneNumber: '+14155550191', name: 'Sam Story', industry: 'technology', experienceLevel: 'mid' });
+    });
+
+    afterEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+    });
+
+    it('should store the breakdown on the response and report it in the analytics', async () => {
+      const questionId = crypto.randomUUID();
+      const session = await Session.create({
+        userId: caller.id,
+        sessionType: 'mock_interview',
+        industry: 'technology',
+        roleLevel: 'mid',
+        status: 'active',
+        questions: [{ id: questionId, text: 'Tell me about a time you turned a project around.', category: 'behavioral' }]
+      });
+      const { token } = await tokenService.issueTokens(caller);
+
+      const submitted = await request(app)
+        .post(`/api/sessions/${session.id}/response`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ questionId, text: fullAnswer })
+        .expect(200);
+
+      expect(submitted.body.data.analysis.star).toMatchObject({ missing: [], source: 'heuristic' });
+
+      await session.reload();
+      expect(session.responses[0].star.result.text).toBe('As a result we shipped three days early and cut review time by 40%.');
+
+      const response = await request(app)
+        .get(`/api/sessions/${session.id}/analytics`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { star, questions } = response.body.data.analytics;
+      expect(star).toMatchObject({ answers: 1, complete: true, components: { task: { missing: 0 } } });
+      expect(star.questions).toEqual([{ question: 1, text: 'Tell me about a time you turned a project around.', star: session.responses[0].star }]);
+      expect(questions[0].star).toEqual(session.responses[0].star);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { extractJson, parseOutput } = require('../../services/llm/structuredOutput');
+const ChatProvider = require('../../services/llm/chatProvider');
+
+const validAnalysis = {
+  scores: { content: 80, structure: 70, communication: 85, industryKnowledge: 60, overall: 76 },
+  feedback: { strengths: ['Clear example'], weaknesses: [], suggestions: ['Quantify the result'] },
+  analysis: { usesStarMethod: true, confidenceLevel: 'High' }
+};
+
+// Chat provider whose replies are scripted
+class ScriptedProvider extends ChatProvider {
+  constructor(replies) {
+    super('scripted');
+    this.replies = [...replies];
+    this.calls = [];
+  }
+
+  async complete(messages) {
+    this.calls.push(messages);
+    return this.replies.shift();
+  }
+}
+
+const config = { model: 'test-model', temperature: 0, maxTokens: 100, maxRepairs: 1 };
+
+describe('Structured LLM output', () => {
+  describe('extractJson', () => {
+    it('should read plain, fenced and prefixed JSON', () => {
+      expect(extractJson('{"a":1}')).toEqual({ a: 1 });
+      expect(extractJson('Sure! Here it is:\n```json\n{"a":2}\n```\nGood luck.')).toEqual({ a: 2 });
+      expect(extractJson('Here are the questions: [{"text":"Why?"}] Let me know.')).toEqual([{ text: 'Why?' }]);
+    });
+
+    it('should return undefined when there is no JSON', () => {
+      expect(extractJson('I cannot help with that.')).toBeUndefined();
+      expect(extractJson('')).toBeUndefined();
+    });
+  });
+
+  describe('parseOutput', () => {
+    it('should validate and normalise an analysis', () => {
+      const { value, error } = parseOutput('analyzeResponse', JSON.stringify(validAnalysis));
+
+      expect(error).toBeUndefined();
+      expect(value.analysis.confidenceLevel).toBe('high');
+      expect(value.improvementTips).toEqual([]);
+      expect(value.followUp).toBeNull();
+    });
+
+    it('should accept a STAR breakdown with a score for every component', () => {
+      const star = { situation: { text: 'Our launch slipped', score: 70 }, task: { score: 0 }, action: { text: 'I re-planned it', score: 80 } };
+      const { value } = parseOutput('analyzeResponse', JSON.stringify({ ...validAnalysis, star: { ...star, result: { text: '', score: 10 } } }));
+      const { error } = parseOutput('analyzeResponse', JSON.stringify({ ...validAnalysis, star }));
+
+      expect(value.star.task).toEqual({ text: '', score: 0 });
+      expect(error).toContain('"star.result" is required');
+    });
+
+    it('should accept a follow-up probe and reject unknown gaps', () => {
+      const followUp = { gap: 'missing_result', question: 'What was the measurable result?' };
+      const { value } = parseOutput('analyzeResponse', JSON.stringify({ ...validAnalysis, followUp }));
+      const { error } = parseOutput('analyzeResponse', JSON.stringify({ ...validAnalysis, followUp: { ...followUp, gap: 'too_short' } }));
+
+      expect(value.followUp).toEqual({ ...followUp, detail: '' });
+      expect(error).toContain('"followUp.gap" must be one of');
+    });
+
+    it('should report every schema violation', () => {
+      const { error } = parseOutput('analyzeResponse', JSON.stringify({
+        scores: { content: 180, structure: 70, communication: 85, overall: 76 },
+        feedback: {}
+      }));
+
+      expect(error).toContain('"scores.content" must be less than or equal to 100');
+      expect(error).toContain('"scores.industryKnowledge" is required');
+    });
+
+    it('should unwrap a question list nested in an object', () => {
+      const { value } = parseOutput('generateInterviewQuestions', '{"questions":[{"text":"Why us?","category":"Technical"}]}');
+
+      expect(value).toEqual([expect.objectContaining({ text: 'Why us?', category: 'technical' })]);
+    });
+  });
+
+  describe('repair', () => {
+    it('should tag a valid first reply as model output', async () => {
+      const provider = new ScriptedProvider([JSON.stringify(validAnalysis)]);
+
+      const result = await provider.analyzeResponse({ question: 'Q', userResponse: 'A' }, config);
+
+      expect(result.source).toBe('model');
+      expect(provider.calls).toHaveLength(1);
+    });
+
+    it('should re-prompt with the validation error and tag the result as a repair', async () => {
+      const provider = new ScriptedProvider([
+        'The candidate did well overall.',
+        `\`\`\`json\n${JSON.stringify(validAnalysis)}\n\`\`\``
+      ]);
+
+      const result = await provider.analyzeResponse({ question: 'Q', userResponse: 'A' }, config);
+
+      expect(result.source).toBe('repair');
+      expect(result.data.scores.overall).toBe(76);
+      const repairMessages = provider.calls[1];
+      expect(repairMessages[repairMessages.length - 2]).toEqual({ role: 'assistant', content: 'The candidate did well overall.' });
+      expect(repairMessages[repairMessages.length - 1].content).toContain('did not contain valid JSON');
+    });
+
+    it('should give up after the configured number of repairs', async () => {
+      const provider = new ScriptedProvider(['nope', 'still nope', 'never called']);
+
+      await expect(provider.analyzeResponse({ question: 'Q', userResponse: 'A' }, config))
+        .rejects.toThrow('Invalid analyzeResponse output');
+      expect(provider.calls).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { sequelize, User, Session } = require('../../database/models');
+const { createBackend } = require('../../services/audioCache');
+const stt = require('../../services/stt');
+const sttService = require('../../services/sttService');
+const recordingService = require('../../services/recordingService');
+const interviewService = require('../../services/interviewService');
+const twilioService = require('../../services/twilioService');
+
+const recording = (sid, extra = {}) => ({ sid, url: `https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/${sid}`, duration: 4, stored: null, ...extra });
+
+const verboseJson = {
+  text: ' Yo dirigí la migración. ',
+  language: 'spanish',
+  words: [
+    { word: 'Yo', start: 0.1, end: 0.3, probability: 0.9 },
+    { word: 'dirigí', start: 0.3, end: 0.8, probability: 0.7 },
+    { word: 'la', start: 0.8, end: 0.9, probability: 1 },
+    { word: 'migración.', start: 0.9, end: 1.6, probability: 0.6 }
+  ]
+};
+
+describe('STT', () => {
+  let directory;
+  let previousChain;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'transcripts-'));
+    previousChain = sttService.setDefaultChain(null);
+  });
+
+  afterEach(async () => {
+    sttService.setDefaultChain(previousChain);
+    twilioService.getTranscription.mockReset();
+    twilioService.downloadRecording.mockReset();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('local provider', () => {
+    it('should read text fixtures and spread the words over the recording', async () => {
+      await fs.writeFile(path.join(directory, 'RE1.txt'), 'I fixed the build\n');
+      const provider = stt.createProvider('local', { directory });
+
+      expect(await provider.transcribe(recording('RE1'), { language: 'en-US' })).toEqual({
+        text: 'I fixed the build',
+        language: 'en-US',
+        confidence: null,
+        words: [
+          { word: 'I', start: 0, end: 1, confidence: null },
+          { word: 'fixed', start: 1, end: 2, confidence: null },
+          { word: 'the', start: 2, end: 3, confidence: null },
+          { word: 'build', start: 3, end: 4, confidence: null }
+        ]
+      });
+      expect(await provider.transcribe(recording('REmissing'))).toBeNull();
+    });
+
+    it('should keep the timings and confidence of JSON fixtures', async () => {
+      const words = [{ word: 'Hello', start: 0.2, end: 0.6, confidence: 0.95 }];
+      await fs.writeFile(path.join(directory, 'RE2.json'), JSON.stringify({ text: 'Hello', confidence: 0.95, words }));
+      const provider = stt.createProvider('local', { directory, fixtures: { RE3: 'Added in code' } });
+
+      expect(await provider.transcribe(recording('RE2'))).toMatchObject({ text: 'Hello', confidence: 0.95, words });
+      expect((await provider.transcribe(recording('RE3'))).text).toBe('Added in code');
+    });
+  });
+
+  describe('whisper provider', () => {
+    it('should post the recording and map word timings and confidence', async () => {
+      twilioService.downloadRecording.mockResolvedValue(Buffer.from('mp3 bytes'));
+      const http = { post: jest.fn(async () => ({ data: verboseJson })) };
+      const provider = stt.createProvider('whisper', { baseUrl: 'http://whisper.local/v1/', apiKey: 'secret', http });
+
+      const transcript = await provider.transcribe(recording('RE4'), { language: 'es-ES', timeout: 5000 });
+
+      const [url, form, config] = http.post.mock.calls[0];
+      expect(url).toBe('http://whisper.local/v1/audio/transcriptions');
+      expect(form.get('language')).toBe('es');
+      expect(form.get('response_format')).toBe('verbose_json');
+      expect(form.get('file').size).toBe(9);
+      expect(config).toEqual({ headers: { Authorization: 'Bearer secret' }, timeout: 5000 });
+      expect(transcript).toEqual({
+        text: 'Yo dirigí la migración.',
+        language: 'spanish',
+        confidence: 0.8,
+        words: verboseJson.words.map(({ word, start, end, probability }) => ({ word, start, end, confidence: probability }))
+      });
+    });
+
+    it('should only be used when configured', () => {
+      expect(stt.createProvider('whisper', { baseUrl: '' }).isConfigured()).toBe(false);
+    });
+  });
+
+  describe('waitForTranscript', () => {
+    const useProviders = (providers) => {
+      Object.entries(providers).forEach(([name, provider]) => {
+        sttService.registerProvider(name, () => ({ name, isConfigured: () => true, supportsLanguage: () => true, ...provider }));
+      });
+      sttService.setDefaultChain(Object.keys(providers));
+    };
+
+    it('should move down the chain when a provider fails or has no transcript', async () => {
+      useProviders({
+        broken: { transcribe: async () => { throw new Error('503'); } },
+        empty: { transcribe: async () => null },
+        good: { transcribe: async () => ({ text: 'I shipped it', words: [{ word: 'I', start: 0, end: 0.2, confidence: 0.9 }] }) }
+      });
+
+      expect(await sttService.waitForTranscript(recording('RE5'), { timeoutMs: 1000 })).toEqual({
+        provider: 'good',
+        text: 'I shipped it',
+        language: null,
+        confidence: null,
+        words: [{ word: 'I', start: 0, end: 0.2, confidence: 0.9 }]
+      });
+    });
+
+    it('should poll Twilio until its transcription is ready', async () => {
+      twilioService.getTranscription
+        .mockResolvedValueOnce({ status: 'in-progress' })
+        .mockResolvedValueOnce({ status: 'completed', transcriptionText: 'I led the rollout' });
+      sttService.setDefaultChain(['twilio']);
+
+      const transcript = await sttService.waitForTranscript(recording('RE6'), { timeoutMs: 1000, pollIntervalMs: 10 });
+
+      expect(transcript).toMatchObject({ provider: 'twilio', text: 'I led the rollout', language: 'en-US', words: [] });
+      expect(twilioService.getTranscription).toHaveBeenCalledTimes(2);
+    });
+
+    it('should take a transcript delivered by callback while waiting', async () => {
+      twilioService.getTranscription.mockResolvedValue(null);
+      sttService.setDefaultChain(['twilio']);
+
+      const waiting = sttService.waitForTranscript(recording('RE7'), { timeoutMs: 5000, pollIntervalMs: 1000 });
+      expect(sttService.deliver('RE7', sttService.fromCallback({ transcriptionText: 'Delivered answer' }))).toBe(true);
+
+      expect(await waiting).toMatchObject({ provider: 'twilio', text: 'Delivered answer' });
+    });
+
+    it('should give up after the timeout', async () => {
+      twilioService.getTranscription.mockResolvedValue(null);
+      sttService.setDefaultChain(['twilio']);
+
+      const started = Date.now();
+      expect(await sttService.waitForTranscript(recording('RE8'), { timeoutMs: 60, pollIntervalMs: 20 })).toBeNull();
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should skip Twilio transcription for other languages', () => {
+      sttService.setDefaultChain(['twilio', 'local']);
+
+      expect(sttService.getChain('en-GB')).toEqual(['twilio', 'local']);
+      expect(sttService.getChain('es-ES')).toEqual(['local']);
+    });
+  });
+
+  describe('in a session', () => {
+    let caller;
+    let session;
+    let previousBackend;
+
+    beforeAll(async () => {
+      await sequelize.sync();
+    });
+
+    beforeEach(async () => {
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+
+      previousBackend = recordingService.setBackend(createBackend('local', { directory }));
+      twilioService.downloadRecording.mockResolvedValue(Buffer.from('mp3 bytes'));
+
+      caller = await User.createUser({ phoneNumber: '+14155550194', name: 'Jordan Words', industry: 'technology', experienceLevel: 'mid' });
+      session = await Session.create({
+        userId: caller.id,
+        sessionType: 'mock_interview',
+        industry: 'technology',
+        roleLevel: 'mid',
+        status: 'active',
+        callSid: 'CA-stt',
+        questions: [{ id: crypto.randomUUID(), text: 'How do you debug a production issue?', category: 'technical' }]
+      });
+    });
+
+    afterEach(async () => {
+      recordingService.setBackend(previousBackend);
+      await Session.destroy({ where: {} });
+      await User.destroy({ where: {} });
+    });
+
+    it('should analyse the transcript from the recording callback with its word timings', async () => {
+      const local = stt.createProvider('local', { fixtures: { REanswer: 'I check the logs and bisect recent changes' } });
+      sttService.registerProvider('fixture', () => local);
+      sttService.setDefaultChain(['fixture']);
+
+      await interviewService.processResponse(session, caller, {
+        callSid: 'CA-stt',
+        recordingSid: 'REanswer',
+        recordingUrl: recording('REanswer').url,
+        recordingDuration: '16'
+      });
+
+      await session.reload();
+      const [response] = session.responses;
+      expect(response).toMatchObject({ text: 'I check the logs and bisect recent changes', duration: 16, recording: { sid: 'REanswer' } });
+      expect(response.transcript).toMatchObject({ provider: 'local', confidence: null });
+      expect(response.transcript.words).toHaveLength(8);
+      expect(response.transcript.words[7]).toEqual({ word: 'changes', start: 14, end: 16, confidence: null });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const twilio = require('twilio');
+const ttsService = require('../../services/ttsService');
+const LocalProvider = require('../../services/tts/localProvider');
+const { AudioCache } = require('../../services/audioCache');
+const LocalBackend = require('../../services/audioCache/localBackend');
+
+// Provider whose behaviour each test scripts
+const registerScripted = (name, synthesize) => {
+  const provider = {
+    name,
+    isConfigured: () => true,
+    defaultVoice: () => `${name}-voice`,
+    synthesize: jest.fn(synthesize)
+  };
+  ttsService.registerProvider(name, () => provider);
+  return provider;
+};
+
+describe('TTSService', () => {
+  afterEach(() => {
+    ttsService.setDefaultChain(null);
+    ttsService.resetHealth();
+    delete process.env.TTS_PROVIDERS;
+  });
+
+  describe('getChain', () => {
+    it('should read TTS_PROVIDERS and always end with Twilio Say', () => {
+      process.env.TTS_PROVIDERS = 'local, murfai, nonsense';
+
+      expect(ttsService.getChain()).toEqual(['local', 'murfai', 'twilio']);
+    });
+
+    it('should put the caller\'s preferred provider first', () => {
+      ttsService.setDefaultChain(['murfai', 'local', 'twilio']);
+
+      expect(ttsService.getChain({ preferences: { voice: { provider: 'local' } } })).toEqual(['local', 'murfai', 'twilio']);
+      expect(ttsService.getChain({ useTTS: false })).toEqual(['twilio']);
+    });
+  });
+
+  describe('synthesize', () => {
+    it('should use the caller\'s voice for their provider only', async () => {
+      const primary = registerScripted('primary', async (text, voice) => ({ type: 'play', url: 'http://audio/1.mp3', text, ...voice }));
+      ttsService.setDefaultChain(['primary']);
+
+      await ttsService.synthesize('Hi', { preferences: { voice: { provider: 'primary', voiceId: 'warm' }, language: 'en-GB' } });
+      await ttsService.synthesize('Hi', { preferences: { voice: { voiceId: 'Polly.Amy' } } });
+
+      expect(primary.synthesize.mock.calls[0][1]).toEqual({ voiceId: 'warm', language: 'en-GB' });
+      expect(primary.synthesize.mock.calls[1][1]).toEqual({ voiceId: 'primary-voice', language: 'en-US' });
+    });
+
+    it('should fall back down the chain when a provider fails', async () => {
+      registerScripted('flaky', async () => {
+        throw new Error('socket closed');
+      });
+      ttsService.setDefaultChain(['flaky']);
+
+      const segment = await ttsService.synthesize('Tell me about yourself.');
+
+      expect(segment).toEqual({ type: 'say', text: 'Tell me about yourself.', voice: 'alice', language: 'en-US' });
+      expect(ttsService.getHealth().flaky).toMatchObject({ status: 'degraded', failures: 1, lastError: 'socket closed' });
+    });
+
+    it('should skip a provider that keeps failing until its cool-down ends', async () => {
+      const flaky = registerScripted('flaky', async () => {
+        throw new Error('rate limited');
+      });
+      ttsService.setDefaultChain(['flaky']);
+
+      for (let i = 0; i < 4; i++) {
+        await ttsService.synthesize('Hello');
+      }
+
+      expect(flaky.synthesize).toHaveBeenCalledTimes(3);
+      expect(ttsService.getHealth().flaky.status).toBe('cooling_down');
+
+      ttsService.getHealthEntry('flaky').disabledUntil = Date.now() - 1;
+      await ttsService.synthesize('Hello');
+      expect(flaky.synthesize).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('appendTo', () => {
+    it('should render play and say segments', () => {
+      const twiml = new twilio.twiml.VoiceResponse();
+
+      ttsService.appendTo(twiml, { type: 'play', url: 'http://audio/1.mp3' });
+      ttsService.appendTo(twiml, { type: 'say', text: 'Goodbye', voice: 'Polly.Joanna', language: 'en-US' });
+
+      expect(twiml.toString()).toContain('<Play>http://audio/1.mp3</Play><Say voice="Polly.Joanna" language="en-US">Goodbye</Say>');
+    });
+  });
+
+  describe('local provider', () => {
+    it('should cache a playable WAV file once per prompt', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-'));
+      const cache = new AudioCache({ backend: new LocalBackend({ directory }) });
+      const provider = new LocalProvider({ cache });
+
+      try {
+        const segment = await provider.synthesize('Welcome to interview practice', { voiceId: 'local-default' });
+        const again = await provider.synthesize('Welcome to interview practice', { voiceId: 'local-default' });
+        const audio = await fs.readFile(path.join(directory, path.basename(segment.url)));
+
+        expect(again.url).toBe(segment.url);
+        expect((await cache.list())[0]).toMatchObject({ text: 'Welcome to interview practice', provider: 'local', hits: 1 });
+        expect(audio.toString('ascii', 0, 4)).toBe('RIFF');
+        expect(audio.toString('ascii', 8, 12)).toBe('WAVE');
+        expect(audio.readUInt32LE(24)).toBe(8000);
+        expect(audio.readUInt32LE(40)).toBe(audio.length - 44);
+      } finally {
+        await cache.flush();
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
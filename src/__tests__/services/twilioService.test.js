@@ -0,0 +1,40 @@
+// Exercise the real service with its HTTP client stubbed
+jest.unmock('../../services/twilioService');
+
+process.env.TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || `AC${'0'.repeat(32)}`;
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'test-twilio-auth-token';
+process.env.TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER || '+14155550199';
+
+const axios = require('axios');
+const twilioService = require('../../services/twilioService');
+
+describe('TwilioService', () => {
+  describe('downloadRecording', () => {
+    let get;
+
+    beforeEach(() => {
+      get = jest.spyOn(axios, 'get').mockResolvedValue({ data: Buffer.from('audio') });
+    });
+
+    afterEach(() => {
+      get.mockRestore();
+    });
+
+    it('should fetch the recording from Twilio\'s API by SID with the account credentials', async () => {
+      const audio = await twilioService.downloadRecording('RE123', 'wav');
+
+      expect(audio.toString()).toBe('audio');
+      expect(get).toHaveBeenCalledWith(
+        `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Recordings/RE123.wav`,
+        expect.objectContaining({ auth: { username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN } })
+      );
+    });
+
+    it('should refuse anything that is not a recording SID', async () => {
+      for (const sid of ['https://attacker.example.com/RE123', 'RE1/../../Calls', undefined]) {
+        await expect(twilioService.downloadRecording(sid)).rejects.toThrow('Invalid recording SID');
+      }
+      expect(get).not.toHaveBeenCalled();
+    });
+  });
+});
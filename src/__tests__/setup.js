@@ -24,7 +24,9 @@ jest.mock('../services/twilioService', () => ({
   })),
   getCallDetails: jest.fn(),
   getCallRecordings: jest.fn(),
-  getTranscription: jest.fn()
+  getTranscription: jest.fn(),
+  downloadRecording: jest.fn(),
+  deleteRecording: jest.fn()
 }));
 
 jest.mock('../services/openaiService', () => ({
@@ -0,0 +1,460 @@
+// The simulator needs the real TwiML builders and service instances; the
+// offline stubs replace their network calls instead of the global mocks.
+jest.unmock('../../services/twilioService');
+jest.unmock('../../services/openaiService');
+
+process.env.TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || `AC${'0'.repeat(32)}`;
+process.env.TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'test-twilio-auth-token';
+process.env.TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER || '+14155550199';
+process.env.WEBHOOK_BASE_URL = 'http://simulator.local';
+
+const { getVerbs } = require('../../simulator/twimlParser');
+const { installOfflineServices } = require('../../simulator/offlineServices');
+const { CallSimulator, formatTranscript } = require('../../simulator/callSimulator');
+const app = require('../../server');
+const openaiService = require('../../services/openaiService');
+const interviewService = require('../../services/interviewService');
+const callFlowService = require('../../services/callFlowService');
+const difficultyService = require('../../services/difficultyService');
+const { sequelize, User, Session, CompanyPack, Question } = require('../../database/models');
+
+describe('TwiML parser', () => {
+  it('should read verbs, nested verbs and attributes', () => {
+    const verbs = getVerbs(`<?xml version="1.0" encoding="UTF-8"?>
+      <Response>
+        <Gather action="http://x/webhook/menu?a=1&amp;b=2" input="speech dtmf"><Say voice="alice">Press 1 &amp; go</Say></Gather>
+        <Record action="/webhook/response" transcribe="true"/>
+        <Redirect method="POST">http://x/webhook/menu</Redirect>
+      </Response>`);
+
+    expect(verbs.map(verb => verb.name)).toEqual(['Gather', 'Record', 'Redirect']);
+    expect(verbs[0].attributes.action).toBe('http://x/webhook/menu?a=1&b=2');
+    expect(verbs[0].children[0]).toMatchObject({ name: 'Say', text: 'Press 1 & go' });
+    expect(verbs[1].attributes.transcribe).toBe('true');
+    expect(verbs[2].text).toBe('http://x/webhook/menu');
+  });
+
+  it('should reject malformed documents', () => {
+    expect(() => getVerbs('')).toThrow('empty');
+    expect(() => getVerbs('<Response><Say>hi</Response>')).toThrow('Malformed');
+    expect(() => getVerbs('<Foo/>')).toThrow('no <Response>');
+  });
+});
+
+describe('CallSimulator', () => {
+  let offline;
+
+  beforeAll(async () => {
+    await sequelize.sync();
+    offline = installOfflineServices();
+  });
+
+  afterAll(() => {
+    offline.restore();
+  });
+
+  let caller;
+
+  beforeEach(async () => {
+    await Session.destroy({ where: {} });
+    await CompanyPack.destroy({ where: {} });
+    await Question.destroy({ where: {} });
+    await User.destroy({ where: {} });
+
+    caller = await User.createUser({
+      phoneNumber: '+14155550101',
+      name: 'Alex Rivera',
+      industry: 'technology',
+      experienceLevel: 'mid'
+    });
+  });
+
+  const simulate = (steps, options = {}) => {
+    const simulator = new CallSimulator(app, { from: '+14155550101', spoken: offline.spoken, ...options });
+    return simulator.run(steps);
+  };
+
+  // Follow each redirect while the answer's analysis is still running, as Twilio
+  // does: analyses are held until the next question starts waiting for them.
+  // Returns the call with how many questions had to wait.
+  const simulateUnsettled = async (steps) => {
+    let held = false;
+    let release = () => {};
+    let waits = 0;
+    const analyzeResponse = openaiService.analyzeResponse.bind(openaiService);
+    const waitForAnalysis = interviewService.waitForAnalysis.bind(interviewService);
+
+    const spies = [
+      jest.spyOn(openaiService, 'analyzeResponse').mockImplementation(async (...args) => {
+        held = true;
+        await new Promise(resolve => { release = resolve; });
+        held = false;
+        return analyzeResponse(...args);
+      }),
+      jest.spyOn(interviewService, 'waitForAnalysis').mockImplementation((...args) => {
+        const waiting = waitForAnalysis(...args);
+        if (held) {
+          waits += 1;
+          release();
+        }
+        return waiting;
+      })
+    ];
+
+    // Settle other background work (session setup), but not a held analysis
+    const settle = async () => {
+      while (!held && callFlowService.pendingTasks.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    try {
+      const result = await simulate(steps, { settle });
+      await callFlowService.whenIdle();
+      return { ...result, waits };
+    } finally {
+      spies.forEach(spy => spy.mockRestore());
+    }
+  };
+
+  it('should run a full mock interview and score every answer', async () => {
+    const answers = [
+      'In my last role I paired with a struggling teammate every week and our reviews got faster.',
+      'I reproduce the bug, add logging, bisect the change and write a regression test.',
+      'I cut scope to the critical path and we shipped the billing fix in two days for our biggest client.',
+      'When a senior engineer disagreed with my design, I asked for the reasoning, shared my data and we agreed on a plan that reduced review time by half.',
+      'On my last project I migrated our payments service using a staged rollout and delivered it with zero downtime.'
+    ];
+
+    const result = await simulate([{ digits: '1' }, ...answers.map(answer => ({ answer }))]);
+
+    expect(result.status).toBe('completed');
+    expect(result.unusedSteps).toHaveLength(0);
+    expect(result.requests.every(req => req.status === 200)).toBe(true);
+    expect(result.requests.map(req => req.path)).toContain('/webhook/menu');
+
+    const transcript = formatTranscript(result.transcript);
+    expect(transcript).toContain('Welcome back, Alex Rivera.');
+    expect(transcript).toContain('Welcome to AI Interview Coaching');
+    expect(transcript).toContain('CALLER [DTMF 1]');
+    expect(transcript).toContain('Here\'s your first question: Tell me about a time when you had to work with a difficult team member.');
+    expect(transcript).toContain('Thank you for completing the mock interview!');
+    expect(transcript).toContain('In your story answers');
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    expect(session.status).toBe('completed');
+    expect(session.sessionType).toBe('mock_interview');
+    expect(session.questions).toHaveLength(5);
+    expect(session.responses.map(response => response.transcription)).toEqual(answers);
+    expect(session.scores.overall).toBeGreaterThan(0);
+    expect(session.feedback.analysisSources).toEqual({ model: 0, repair: 0, fallback: 5 });
+    session.responses.forEach(response => {
+      expect(response.star === null).toBe(response.category !== 'behavioral');
+    });
+    const recordings = session.responses.map(response => response.recording);
+    expect(new Set(recordings.map(recording => recording.sid)).size).toBe(5);
+    recordings.forEach(recording => {
+      expect(recording).toMatchObject({ filename: `${recording.sid}.mp3`, format: 'mp3' });
+      expect(recording.sourceUrl).toContain(`/Recordings/${recording.sid}`);
+    });
+    expect(session.metrics.difficultyTrajectory.map(entry => entry.reason)).toEqual(['start', 'steady', 'steady', 'steady', 'steady']);
+    expect(session.questions.map(question => question.difficulty)).toEqual(['medium', 'medium', 'medium', 'medium', 'medium']);
+  });
+
+  it('should ask about the caller\'s own projects once a resume is uploaded', async () => {
+    await caller.update({
+      resume: { skills: ['Kafka'], employers: ['Acme Payments'], projects: ['Built a real-time billing pipeline in Kafka.'] }
+    });
+
+    const result = await simulate([{ digits: '1' }, { hangup: true }]);
+
+    expect(result.transcript.map(entry => entry.text)).toContain(
+      'Here\'s your first question: Your resume says you built a real-time billing pipeline in Kafka. Walk me through your part in it and the result.. Please take a moment to think, then provide your answer.'
+    );
+  });
+
+  it('should mix question bank questions into a mock interview', async () => {
+    const bankQuestion = await Question.create({
+      text: 'Tell me about a time you had to deliver bad news to a customer.',
+      category: 'behavioral',
+      industry: 'technology'
+    });
+    await Question.create({ text: 'How do you approach a patient safety incident review?', industry: 'healthcare' });
+
+    const result = await simulate([
+      { digits: '1' },
+      { answer: 'I mentored a new teammate during their first on-call rotation and they resolved their next incident in 20 minutes.' },
+      { answer: 'I profile first, then fix the slowest query and add a benchmark.' },
+      { answer: 'I called the customer the same day, explained the delay and offered a workaround that saved the account.' },
+      { hangup: true }
+    ]);
+
+    expect(result.transcript.map(entry => entry.text)).toContain(
+      'Here\'s your next question: Tell me about a time you had to deliver bad news to a customer.. Please provide your response.'
+    );
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    expect(session.questions.map(question => question.source)).toEqual(['fallback', 'fallback', 'bank', 'fallback']);
+    expect(session.questions[2]).toMatchObject({ id: bankQuestion.id, bankVersion: 1 });
+  });
+
+  it('should probe an incomplete answer with a follow-up linked to its question', async () => {
+    const result = await simulate([
+      { digits: '1' },
+      { answer: 'We fixed things with the difficult teammate over a few weeks.' },
+      { answer: 'I set up a weekly one to one with them.' },
+      { hangup: true }
+    ]);
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines).toContain('Let me follow up on that. What did you personally do there, step by step?');
+    // One follow-up per question in mock interviews, so the next answer moves on
+    expect(lines).toContain('Here\'s your next question: Explain your approach to debugging a complex issue.. Please provide your response.');
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    const [parent, followUp, next] = session.questions;
+    expect(session.questions).toHaveLength(3);
+    expect(session.responses[0].followUp).toMatchObject({ gap: 'missing_action' });
+    expect(session.responses[1].followUp).toMatchObject({ gap: 'missing_result' });
+    expect(followUp).toMatchObject({
+      source: 'follow_up',
+      parentId: parent.id,
+      parentIndex: 0,
+      depth: 1,
+      category: parent.category,
+      followUp: { gap: 'missing_action' }
+    });
+    expect(next.parentIndex).toBeUndefined();
+    expect(session.metrics.difficultyTrajectory.map(entry => entry.reason)).toEqual(['start', 'follow_up', 'steady']);
+  });
+
+  it('should still follow up when the caller reaches the next question before the answer is analysed', async () => {
+    const result = await simulateUnsettled([
+      { digits: '1' },
+      { answer: 'We fixed things with the difficult teammate over a few weeks.' },
+      { answer: 'I set up a weekly one to one with them.' },
+      { hangup: true }
+    ]);
+
+    expect(result.waits).toBe(2);
+    expect(result.transcript.map(entry => entry.text)).toContain('Let me follow up on that. What did you personally do there, step by step?');
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    expect(session.questions.map(question => question.source)).toEqual(['fallback', 'follow_up', 'fallback']);
+    expect(session.responses).toHaveLength(2);
+  });
+
+  it('should adapt difficulty to the last answer when the caller reaches the next question before it is analysed', async () => {
+    const result = await simulateUnsettled([
+      { digits: '1' },
+      { answer: 'In my last role I paired with a struggling teammate every week and our reviews got faster.' },
+      { answer: 'I reproduce the bug, add logging, bisect the change and write a regression test.' },
+      { hangup: true }
+    ]);
+
+    expect(result.waits).toBe(2);
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    expect(session.metrics.difficultyTrajectory.map(entry => entry.reason)).toEqual(['start', 'steady', 'steady']);
+    const [, second, third] = session.questions;
+    expect(second.adaptation.previousScore).not.toBeNull();
+    expect(second.adaptation.previousScore).toBe(difficultyService.answerScore(session.responses[0]));
+    expect(third.adaptation.previousScore).toBe(difficultyService.answerScore(session.responses[1]));
+  });
+
+  it('should keep the wait for an analysis short enough for Twilio\'s webhook timeout', async () => {
+    const previous = process.env.ANSWER_ANALYSIS_WAIT_MS;
+    delete process.env.ANSWER_ANALYSIS_WAIT_MS;
+    expect(interviewService.getAnalysisWait()).toBe(3000);
+    process.env.ANSWER_ANALYSIS_WAIT_MS = '60000';
+    expect(interviewService.getAnalysisWait()).toBe(5000);
+    if (previous === undefined) {
+      delete process.env.ANSWER_ANALYSIS_WAIT_MS;
+    } else {
+      process.env.ANSWER_ANALYSIS_WAIT_MS = previous;
+    }
+
+    let finish;
+    interviewService.trackAnalysis('stuck-session', new Promise(resolve => { finish = resolve; }));
+    expect(await interviewService.waitForAnalysis('stuck-session', 20)).toBe(false);
+    finish();
+    expect(await interviewService.waitForAnalysis('stuck-session', 20)).toBe(true);
+  });
+
+  it('should follow speech input and retry a question after silence', async () => {
+    const result = await simulate([
+      { speech: 'practice please' },
+      { silence: true },
+      { answer: 'I took over a late project, reset the plan with the team and recovered the deadline.' }
+    ]);
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines).toContain('[silence]');
+    expect(lines.some(line => line.startsWith('No problem, let\'s continue.'))).toBe(true);
+    expect(lines).toContain('Nice work on your practice round. Your answer and feedback have been saved. Call back any time for another round. Goodbye!');
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    expect(session.sessionType).toBe('practice');
+    expect(session.responses).toHaveLength(1);
+  });
+
+  it('should re-prompt on an unknown menu choice and end on a transfer', async () => {
+    const result = await simulate([{ digits: '9' }, { digits: '3' }]);
+
+    expect(result.status).toBe('transferred');
+    expect(result.transcript.map(entry => entry.text)).toContain('I didn\'t understand that. Let me repeat the options. Press 1 for a mock interview, press 2 for coaching tips, press 3 to speak to a representative, press 4 for a quick skills assessment, press 5 for a practice round, press 6 for your profile, or press 7 for a company-specific interview.');
+    expect(result.transcript[result.transcript.length - 1].verb).toBe('Dial');
+  });
+
+  it('should onboard an unknown caller by speech and keypad', async () => {
+    const result = await simulate([
+      { speech: 'My name is jordan park.' },
+      { digits: '*' },
+      { speech: 'healthcare' },
+      { digits: '3' },
+      { digits: '5' },
+      { answer: 'I moved our clinic scheduling online and missed appointments dropped by a third.' }
+    ], { from: '+14155550103' });
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines[0]).toContain('Let\'s set up your profile');
+    expect(lines.some(line => line.startsWith('Sorry, I didn\'t understand. Press 1 for technology'))).toBe(true);
+    expect(lines).toContain('Thanks, Jordan Park. Your profile is ready.');
+
+    const user = await User.findByPhoneNumber('+14155550103');
+    expect(user).toMatchObject({ name: 'Jordan Park', industry: 'healthcare', experienceLevel: 'senior' });
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    expect(session.userId).toBe(user.id);
+    expect(session.industry).toBe('healthcare');
+  });
+
+  it('should end the call when onboarding keeps failing', async () => {
+    const result = await simulate([{ silence: true }, { silence: true }, { silence: true }], { from: '+14155550104' });
+
+    expect(result.transcript.map(entry => entry.text)).toContain('Sorry, I could not set up your profile. Please call back or register online. Goodbye.');
+    expect(await User.findByPhoneNumber('+14155550104')).toBeNull();
+  });
+
+  it('should ask callers with a PIN for it before the menu', async () => {
+    await caller.setPin('2468');
+
+    const result = await simulate([{ digits: '1111' }, { digits: '2468' }, { digits: '3' }]);
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines[0]).toBe('Please enter your PIN, followed by the pound key.');
+    expect(lines).toContain('That PIN was not correct. Please enter your PIN, followed by the pound key.');
+    expect(lines).toContain('Welcome back, Alex Rivera.');
+    expect(result.status).toBe('transferred');
+  });
+
+  it('should hang up after too many wrong PINs without reaching the menu', async () => {
+    await caller.setPin('2468');
+
+    const result = await simulate([{ digits: '1111' }, { digits: '2222' }, { digits: '3333' }, { digits: '1' }]);
+
+    expect(result.transcript.map(entry => entry.text)).toContain('Sorry, we could not verify your PIN. Goodbye.');
+    expect(result.unusedSteps).toEqual([{ digits: '1' }]);
+    expect(await Session.count({ where: { callSid: result.callSid } })).toBe(0);
+  });
+
+  it('should read the profile back and change the industry by speech after confirmation', async () => {
+    const result = await simulate([
+      { digits: '6' },
+      { digits: '1' },
+      { digits: '2' },
+      { speech: 'I work in finance' },
+      { speech: 'yes' },
+      { hangup: true }
+    ]);
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines).toContain('Here is your profile. Name: Alex Rivera. Industry: technology. Experience level: mid level. Target roles: none set. Practice difficulty: medium. Session length: 30 minutes. Focus areas: behavioral, technical and leadership.');
+    expect(lines).toContain('I heard finance. Press 1 to save it, or 2 to try again.');
+    expect(lines).toContain('Saved. Updated your industry to finance.');
+
+    await caller.reload();
+    expect(caller.industry).toBe('finance');
+  });
+
+  it('should save several focus areas from the keypad and keep other preferences', async () => {
+    await caller.update({ preferences: { voice: 'Polly.Joanna' } });
+
+    const result = await simulate([
+      { digits: '6' },
+      { digits: '7' },
+      { digits: '13' },
+      { digits: '1' },
+      { digits: '6' },
+      { speech: '30 minutes' },
+      { digits: '1' },
+      { hangup: true }
+    ]);
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines).toContain('Saved. Updated your focus areas to behavioral and leadership.');
+    expect(lines).toContain('Saved. Updated your session length to 30 minutes.');
+
+    await caller.reload();
+    expect(caller.preferences).toEqual({ voice: 'Polly.Joanna', focusAreas: ['behavioral', 'leadership'], sessionDuration: 30 });
+  });
+
+  it('should not save a profile change the caller rejects', async () => {
+    const result = await simulate([
+      { digits: '6' },
+      { digits: '4' },
+      { speech: 'product manager and data analyst' },
+      { digits: '2' },
+      { speech: 'engineering manager' },
+      { silence: true },
+      { hangup: true }
+    ]);
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines).toContain('I heard Product Manager and Data Analyst. Press 1 to save it, or 2 to try again.');
+    expect(lines).toContain('No changes made.');
+
+    await caller.reload();
+    expect(caller.targetRoles).toEqual([]);
+  });
+
+  it('should run a company mock interview chosen by name and score it with the rubric', async () => {
+    await CompanyPack.create({ name: 'Zephyr Labs', values: ['Bias for action'] });
+    const pack = await CompanyPack.create({
+      name: 'Globex',
+      aliases: ['Globex Corporation'],
+      questionThemes: ['Leading a migration under pressure'],
+      rubric: [{ name: 'Ownership', keywords: ['owned'] }]
+    });
+
+    const result = await simulate([
+      { digits: '7' },
+      { speech: 'I have an interview at globex corporation' },
+      { answer: 'I owned the migration plan and moved every service over with no downtime.' },
+      { hangup: true }
+    ]);
+
+    const lines = result.transcript.map(entry => entry.text);
+    expect(lines).toContain('Which company are you preparing for? Press 1 for Globex, press 2 for Zephyr Labs, or say the company name.');
+    expect(lines).toContain('Great! Let me start your Globex mock interview. Please hold while I prepare your first question.');
+    expect(lines).toContain('Here\'s your first question: Globex interviews often cover leading a migration under pressure. Tell me about a time your work involved it.. Please take a moment to think, then provide your answer.');
+
+    const session = await Session.findOne({ where: { callSid: result.callSid } });
+    expect(session.companyPackId).toBe(pack.id);
+    expect(Object.keys(session.responses[0].rubricScores)).toEqual(['Ownership']);
+    expect(session.scores.rubric.Ownership).toBeGreaterThan(0);
+  });
+
+  it('should return to the menu when there are no company packs', async () => {
+    const result = await simulate([{ digits: '7' }, { digits: '3' }]);
+
+    expect(result.transcript.map(entry => entry.text)).toContain('There are no company interview packs yet. Returning to the main menu.');
+    expect(result.status).toBe('transferred');
+  });
+
+  it('should fail loudly when a webhook rejects the request', async () => {
+    const simulator = new CallSimulator(app, { authToken: 'wrong-token', spoken: offline.spoken });
+
+    await expect(simulator.run([])).rejects.toThrow('returned 403');
+  });
+});
@@ -1,6 +1,26 @@
+const { DataTypes } = require('sequelize');
 const { sequelize, User, Session, Progress } = require('./models');
 const logger = require('../utils/logger');
 
+// Columns added to tables that already existed. sync() creates missing tables
+// but never alters existing ones outside development, so databases set up by
+// an earlier version get these columns here.
+const ADDED_COLUMNS = {
+  users: {
+    role: { type: DataTypes.ENUM(...User.ROLES), allowNull: false, defaultValue: 'candidate' },
+    pinHash: { type: DataTypes.STRING, allowNull: true },
+    pinFailedAttempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+    pinLockedUntil: { type: DataTypes.DATE, allowNull: true },
+    resume: { type: DataTypes.JSON, allowNull: true },
+    jobDescription: { type: DataTypes.JSON, allowNull: true },
+    rubricId: { type: DataTypes.UUID, allowNull: true, references: { model: 'scoring_rubrics', key: 'id' } }
+  },
+  sessions: {
+    companyPackId: { type: DataTypes.UUID, allowNull: true, references: { model: 'company_packs', key: 'id' } },
+    rubricId: { type: DataTypes.UUID, allowNull: true, references: { model: 'scoring_rubrics', key: 'id' } }
+  }
+};
+
 async function migrate() {
   try {
     logger.info('Starting database migration...');
@@ -13,6 +33,10 @@ async function migrate() {
     await sequelize.sync({ alter: process.env.NODE_ENV === 'development' });
     logger.info('Database models synchronized successfully');
 
+    // Add columns introduced since the tables were created
+    await addColumns();
+    logger.info('Database columns up to date');
+
     // Create indexes for better performance
     await createIndexes();
     logger.info('Database indexes created successfully');
@@ -24,6 +48,20 @@ async function migrate() {
   }
 }
 
+async function addColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = await queryInterface.describeTable(table);
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing[column]) {
+        await queryInterface.addColumn(table, column, definition);
+        logger.info(`Added column ${table}.${column}`);
+      }
+    }
+  }
+}
+
 async function createIndexes() {
   try {
     // Create indexes for better query performance
@@ -62,4 +100,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { migrate, createIndexes };
+module.exports = { migrate, addColumns, createIndexes };
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../connection');
+
+// Record of staff actions taken through /api/admin, /api/companies, /api/questions and /api/rubrics.
+// Rows are never updated.
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true // null for command-line scripts
+  },
+  actorRole: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.STRING, // e.g. user.update, session.abandon
+    allowNull: false
+  },
+  targetType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['actorId'] },
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+// Class methods
+AuditLog.record = async function({ actor, action, targetType, targetId = null, details = {}, ipAddress = null }) {
+  return await this.create({
+    actorId: actor ? actor.id : null,
+    actorRole: actor ? actor.role : 'system',
+    action,
+    targetType,
+    targetId,
+    details,
+    ipAddress
+  });
+};
+
+module.exports = AuditLog;
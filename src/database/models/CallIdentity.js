@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../connection');
+
+// Who is on an inbound call, decided by the identity step before the menu.
+// Sessions are only created for calls whose identity is verified.
+const CallIdentity = sequelize.define('CallIdentity', {
+  callSid: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  phoneNumber: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // pin: waiting for the PIN; onboarding: unknown caller building a profile;
+  // rejected: the call ends (inactive account, PIN failed or locked)
+  status: {
+    type: DataTypes.ENUM('pin', 'onboarding', 'verified', 'rejected'),
+    allowNull: false
+  },
+  rejectReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER, // failed PIN entries, or failed answers to the current onboarding step
+    defaultValue: 0
+  },
+  profile: {
+    type: DataTypes.JSON, // onboarding answers so far
+    allowNull: true,
+    defaultValue: {}
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'call_identities',
+  timestamps: true
+});
+
+// Instance methods
+CallIdentity.prototype.isVerified = function() {
+  return this.status === 'verified';
+};
+
+CallIdentity.prototype.verify = async function(userId) {
+  await this.update({ status: 'verified', userId, attempts: 0, verifiedAt: new Date() });
+};
+
+CallIdentity.prototype.reject = async function(reason) {
+  await this.update({ status: 'rejected', rejectReason: reason });
+};
+
+module.exports = CallIdentity;
@@ -0,0 +1,123 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../connection');
+const User = require('./User');
+
+// Interview preparation for one employer: what it values, the themes its
+// interviewers are known for, its interview stages and how answers are judged.
+// Sessions that select a pack generate questions and score answers from it.
+const CompanyPack = sequelize.define('CompanyPack', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [2, 100]
+    }
+  },
+  aliases: {
+    type: DataTypes.JSON, // other names callers may say, e.g. "AWS"
+    allowNull: false,
+    defaultValue: []
+  },
+  industry: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isIn: [User.INDUSTRIES]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  values: {
+    type: DataTypes.JSON, // ["Customer obsession", "Bias for action"]
+    allowNull: false,
+    defaultValue: []
+  },
+  questionThemes: {
+    type: DataTypes.JSON, // ["scaling a system under load", "disagreeing with a manager"]
+    allowNull: false,
+    defaultValue: []
+  },
+  interviewStages: {
+    type: DataTypes.JSON, // [{ name, description }] in interview order
+    allowNull: false,
+    defaultValue: []
+  },
+  rubric: {
+    type: DataTypes.JSON, // [{ name, description, weight, keywords }]
+    allowNull: false,
+    defaultValue: []
+  },
+  // Scoring rubric for this company's interviews (models/ScoringRubric)
+  rubricId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'scoring_rubrics',
+      key: 'id'
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'company_packs',
+  timestamps: true
+});
+
+// Instance methods
+
+// Stage a question belongs to when questionCount questions cover the stages in order
+CompanyPack.prototype.getStage = function(questionIndex, questionCount) {
+  const stages = this.interviewStages || [];
+  if (stages.length === 0) {
+    return null;
+  }
+  const index = Math.floor((questionIndex * stages.length) / Math.max(questionCount, 1));
+  return stages[Math.min(index, stages.length - 1)];
+};
+
+// What question generation and answer analysis need; stage only for a single question
+CompanyPack.prototype.toPromptContext = function({ questionIndex, questionCount } = {}) {
+  return {
+    name: this.name,
+    values: this.values || [],
+    questionThemes: this.questionThemes || [],
+    interviewStages: this.interviewStages || [],
+    rubric: this.rubric || [],
+    stage: questionIndex !== undefined ? this.getStage(questionIndex, questionCount) : null
+  };
+};
+
+// Whether a caller's speech names this company
+CompanyPack.prototype.matchesSpeech = function(speech) {
+  const normalized = String(speech || '').toLowerCase();
+  return [this.name, ...(this.aliases || [])].some(name => normalized.includes(name.toLowerCase()));
+};
+
+// Class methods
+CompanyPack.findActive = async function(options = {}) {
+  return await this.findAll({
+    where: { isActive: true },
+    order: [['name', 'ASC']],
+    ...options
+  });
+};
+
+CompanyPack.findActiveById = async function(id) {
+  return await this.findOne({ where: { id, isActive: true } });
+};
+
+module.exports = CompanyPack;
@@ -0,0 +1,101 @@
+const { DataTypes, Op } = require('sequelize');
+const crypto = require('crypto');
+const sequelize = require('../connection');
+
+// One-time passcodes sent by SMS. Only an HMAC of the code is stored.
+const OtpCode = sequelize.define('OtpCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  phoneNumber: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  purpose: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'login'
+  },
+  codeHash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  consumedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'otp_codes',
+  timestamps: true,
+  indexes: [
+    { fields: ['phoneNumber', 'purpose', 'createdAt'] }
+  ]
+});
+
+// Keyed with the server secret, so a leaked table cannot be brute-forced offline
+OtpCode.hashCode = function(phoneNumber, code) {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${phoneNumber}:${code}`)
+    .digest('hex');
+};
+
+// Instance methods
+OtpCode.prototype.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+OtpCode.prototype.matches = function(code) {
+  const expected = Buffer.from(this.codeHash, 'hex');
+  const actual = Buffer.from(OtpCode.hashCode(this.phoneNumber, code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+OtpCode.prototype.recordFailedAttempt = async function() {
+  await this.increment('attempts');
+  await this.reload();
+};
+
+// Mark the code used; false if another request used it first
+OtpCode.prototype.consume = async function() {
+  const [updated] = await OtpCode.update(
+    { consumedAt: new Date() },
+    { where: { id: this.id, consumedAt: null } }
+  );
+  return updated > 0;
+};
+
+// Class methods
+OtpCode.findLatest = async function(phoneNumber, purpose = 'login') {
+  return await this.findOne({
+    where: { phoneNumber, purpose },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+OtpCode.findSentSince = async function(phoneNumber, since, purpose = 'login') {
+  return await this.findAll({
+    where: { phoneNumber, purpose, createdAt: { [Op.gte]: since } },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+// Codes still waiting to be used; replaced whenever a new one is sent
+OtpCode.invalidatePending = async function(phoneNumber, purpose = 'login') {
+  await this.update(
+    { consumedAt: new Date() },
+    { where: { phoneNumber, purpose, consumedAt: null } }
+  );
+};
+
+module.exports = OtpCode;
@@ -0,0 +1,188 @@
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../connection');
+const User = require('./User');
+
+// Curated interview question. Sessions mix bank questions with generated ones
+// (questions.bankRatio in flows/ivrFlow). Edits to what the candidate hears or
+// is judged on create a new version; earlier versions are kept in history.
+const Question = sequelize.define('Question', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [10, 1000]
+    }
+  },
+  category: {
+    type: DataTypes.ENUM('behavioral', 'technical', 'situational'),
+    allowNull: false,
+    defaultValue: 'behavioral'
+  },
+  difficulty: {
+    type: DataTypes.ENUM('easy', 'medium', 'hard'),
+    allowNull: false,
+    defaultValue: 'medium'
+  },
+  industry: {
+    type: DataTypes.STRING, // null: any industry
+    allowNull: true,
+    validate: {
+      isIn: [User.INDUSTRIES]
+    }
+  },
+  roleLevel: {
+    type: DataTypes.STRING, // null: any experience level
+    allowNull: true,
+    validate: {
+      isIn: [User.EXPERIENCE_LEVELS]
+    }
+  },
+  tags: {
+    type: DataTypes.JSON, // lower case, e.g. ["conflict", "leadership"]
+    allowNull: false,
+    defaultValue: []
+  },
+  expectedKeywords: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  evaluationCriteria: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  history: {
+    type: DataTypes.JSON, // earlier versions: [{ version, text, category, difficulty, expectedKeywords, evaluationCriteria, editedBy, replacedAt }]
+    allowNull: false,
+    defaultValue: []
+  },
+  // curated: written by staff; imported: from a JSON or CSV file; generated: promoted from a session
+  source: {
+    type: DataTypes.ENUM('curated', 'imported', 'generated'),
+    allowNull: false,
+    defaultValue: 'curated'
+  },
+  sourceSessionId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'questions',
+  timestamps: true,
+  indexes: [
+    { fields: ['category'] },
+    { fields: ['isActive', 'usageCount'] }
+  ]
+});
+
+Question.CATEGORIES = ['behavioral', 'technical', 'situational'];
+Question.DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Fields whose change creates a new version
+Question.VERSIONED_FIELDS = ['text', 'category', 'difficulty', 'expectedKeywords', 'evaluationCriteria'];
+
+// Instance methods
+
+// Apply changes; a change to a versioned field archives the current version first.
+// Returns the names of the fields that changed.
+Question.prototype.revise = async function(changes, editorId = null) {
+  const changed = Object.keys(changes).filter(field => JSON.stringify(this[field]) !== JSON.stringify(changes[field]));
+  if (changed.length === 0) {
+    return changed;
+  }
+
+  const updates = {};
+  changed.forEach(field => {
+    updates[field] = changes[field];
+  });
+
+  if (changed.some(field => Question.VERSIONED_FIELDS.includes(field))) {
+    const previous = { version: this.version };
+    Question.VERSIONED_FIELDS.forEach(field => {
+      previous[field] = this[field];
+    });
+    updates.history = [...(this.history || []), { ...previous, editedBy: editorId, replacedAt: new Date().toISOString() }];
+    updates.version = this.version + 1;
+  }
+
+  await this.update(updates);
+  return changed;
+};
+
+// The question as stored on a session
+Question.prototype.toSessionQuestion = function() {
+  return {
+    id: this.id,
+    text: this.text,
+    category: this.category,
+    difficulty: this.difficulty,
+    expectedKeywords: this.expectedKeywords || [],
+    evaluationCriteria: this.evaluationCriteria || [],
+    source: 'bank',
+    bankVersion: this.version
+  };
+};
+
+// Class methods
+
+// Active questions suitable for a session, least used first. Questions without
+// an industry or role level suit every session.
+Question.findForSession = async function({ industry, roleLevel, categories = [], excludeIds = [], limit = 1 }) {
+  const whereClause = {
+    isActive: true,
+    industry: { [Op.or]: [null, industry] },
+    roleLevel: { [Op.or]: [null, roleLevel] }
+  };
+  if (categories.length > 0) {
+    whereClause.category = categories;
+  }
+  if (excludeIds.length > 0) {
+    whereClause.id = { [Op.notIn]: excludeIds };
+  }
+
+  return await this.findAll({
+    where: whereClause,
+    order: [['usageCount', 'ASC'], ['createdAt', 'ASC']],
+    limit
+  });
+};
+
+// Where condition for questions carrying a tag
+Question.whereTagged = function(tag) {
+  return sequelize.literal(`"Question"."tags"::jsonb @> ${sequelize.escape(JSON.stringify([String(tag).toLowerCase()]))}::jsonb`);
+};
+
+Question.findByText = async function(text) {
+  return await this.findOne({
+    where: sequelize.where(sequelize.fn('lower', sequelize.col('text')), String(text).trim().toLowerCase())
+  });
+};
+
+module.exports = Question;
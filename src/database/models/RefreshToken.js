@@ -0,0 +1,117 @@
+const { DataTypes, Op } = require('sequelize');
+const crypto = require('crypto');
+const sequelize = require('../connection');
+
+// Server-side refresh tokens. Each login starts a family; every refresh
+// replaces the token with a new one in the same family. Only a hash of the
+// token is stored. accessTokenJti is the access token issued alongside it,
+// so revoking the session can revoke that access token too.
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  accessTokenJti: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  accessTokenExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  replacedById: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['familyId'] },
+    { fields: ['accessTokenJti'] }
+  ]
+});
+
+RefreshToken.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Instance methods
+RefreshToken.prototype.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+RefreshToken.prototype.isActive = function() {
+  return !this.revokedAt && !this.isExpired();
+};
+
+// Revoke unless already revoked; false if another request got there first
+RefreshToken.prototype.revoke = async function(reason, replacedById = null) {
+  const [updated] = await RefreshToken.update(
+    { revokedAt: new Date(), revokedReason: reason, replacedById },
+    { where: { id: this.id, revokedAt: null } }
+  );
+  return updated > 0;
+};
+
+// Class methods
+RefreshToken.findByToken = async function(token) {
+  return await this.findOne({ where: { tokenHash: this.hashToken(token) } });
+};
+
+RefreshToken.findActiveByUserId = async function(userId) {
+  return await this.findAll({
+    where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } }
+  });
+};
+
+RefreshToken.findActiveByFamily = async function(familyId) {
+  return await this.findAll({
+    where: { familyId, revokedAt: null }
+  });
+};
+
+RefreshToken.pruneExpired = async function() {
+  return await this.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+};
+
+module.exports = RefreshToken;
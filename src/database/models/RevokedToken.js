@@ -0,0 +1,45 @@
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../connection');
+
+// Revocation list of access token IDs (JWT jti). Entries are only needed
+// until the token would have expired anyway.
+const RevokedToken = sequelize.define('RevokedToken', {
+  jti: {
+    type: DataTypes.UUID,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'revoked_tokens',
+  timestamps: true,
+  updatedAt: false
+});
+
+// Class methods
+RevokedToken.revoke = async function({ jti, userId, reason, expiresAt }) {
+  await this.findOrCreate({
+    where: { jti },
+    defaults: { userId, reason, expiresAt }
+  });
+};
+
+RevokedToken.isRevoked = async function(jti) {
+  return (await this.count({ where: { jti } })) > 0;
+};
+
+RevokedToken.pruneExpired = async function() {
+  return await this.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+};
+
+module.exports = RevokedToken;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../connection');
+const { normalizeRubric } = require('../../services/scoring/rubric');
+
+// How answers are scored for an organisation, a company or a single session:
+// dimension labels and weights, thresholds, level labels and voice scoring.
+// Only the parts that differ from the default rubric need to be stored (see
+// services/scoring/rubric). Selected per session, company pack or user.
+const ScoringRubric = sequelize.define('ScoringRubric', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: {
+      len: [2, 100]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  dimensions: {
+    type: DataTypes.JSON, // [{ key, label, description }]
+    allowNull: false,
+    defaultValue: []
+  },
+  categoryWeights: {
+    type: DataTypes.JSON, // { behavioral: { content: 0.4, ... }, default: { ... } }
+    allowNull: false,
+    defaultValue: {}
+  },
+  thresholds: {
+    type: DataTypes.JSON, // { strength, improvement }
+    allowNull: false,
+    defaultValue: {}
+  },
+  levels: {
+    type: DataTypes.JSON, // [{ min, label }]
+    allowNull: false,
+    defaultValue: []
+  },
+  voice: {
+    type: DataTypes.JSON, // { weights: { speechRate: 2, ... }, speechRate: { ideal: [130, 150], ... } }
+    allowNull: false,
+    defaultValue: {}
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'scoring_rubrics',
+  timestamps: true
+});
+
+// Instance methods
+
+// The complete rubric scoring uses, filled in from the default
+ScoringRubric.prototype.toRubric = function() {
+  return normalizeRubric({
+    id: this.id,
+    name: this.name,
+    description: this.description,
+    dimensions: this.dimensions,
+    categoryWeights: this.categoryWeights,
+    thresholds: this.thresholds,
+    levels: this.levels,
+    voice: this.voice
+  });
+};
+
+// Class methods
+ScoringRubric.findActiveById = async function(id) {
+  return await this.findOne({ where: { id, isActive: true } });
+};
+
+module.exports = ScoringRubric;
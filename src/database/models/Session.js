@@ -32,6 +32,25 @@ const Session = sequelize.define('Session', {
     allowNull: true,
     unique: true
   },
+  // Company-specific interview (models/CompanyPack); null for general practice
+  companyPackId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'company_packs',
+      key: 'id'
+    }
+  },
+  // Scoring rubric chosen for this session (models/ScoringRubric); null to use
+  // the company pack's, the user's or the default
+  rubricId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'scoring_rubrics',
+      key: 'id'
+    }
+  },
   status: {
     type: DataTypes.ENUM('active', 'completed', 'abandoned', 'failed'),
     defaultValue: 'active'
@@ -77,7 +96,7 @@ const Session = sequelize.define('Session', {
     type: DataTypes.INTEGER, // in seconds
     allowNull: true
   },
-  recordingUrl: {
+  recordingUrl: { // whole-call recording; each answer's own recording is on its response
     type: DataTypes.STRING,
     allowNull: true
   },
@@ -102,6 +121,16 @@ Session.prototype.addQuestion = async function(question) {
     text: question.text,
     type: question.type,
     category: question.category,
+    difficulty: question.difficulty,
+    expectedKeywords: question.expectedKeywords,
+    evaluationCriteria: question.evaluationCriteria,
+    source: question.source,
+    bankVersion: question.bankVersion, // question bank version, for source 'bank'
+    adaptation: question.adaptation, // why this difficulty was chosen (difficultyService.planNext)
+    parentId: question.parentId, // follow-ups: the question they probe, its index and their depth below it
+    parentIndex: question.parentIndex,
+    depth: question.depth,
+    followUp: question.followUp, // follow-ups: { gap, detail } from the parent's answer analysis
     timestamp: new Date().toISOString()
   });
   this.questions = questions;
@@ -123,7 +152,18 @@ Session.prototype.addResponse = async function(response) {
     timestamp: response.timestamp,
     duration: response.duration,
     transcription: response.transcription,
-    metrics: response.metrics || {}
+    transcript: response.transcript || null, // phone answers: STT provider, language, confidence and word timings
+    category: response.category,
+    metrics: response.metrics || {},
+    scores: response.scores || null,
+    weightedScore: response.weightedScore ?? null,
+    rubricScores: response.rubricScores || null,
+    feedback: response.feedback || null,
+    analysis: response.analysis || null,
+    analysisSource: response.analysisSource || null,
+    star: response.star || null, // behavioral answers: STAR breakdown (starAnalysisService)
+    followUp: response.followUp || null,
+    recording: response.recording || null // phone answers: stored recording (recordingService)
   });
   this.responses = responses;
   
@@ -172,6 +212,15 @@ Session.prototype.completeSession = async function() {
   await this.save();
 };
 
+Session.prototype.abandonSession = async function(reason) {
+  this.status = 'abandoned';
+  this.completedAt = new Date();
+  if (reason) {
+    this.notes = this.notes ? `${this.notes}\n${reason}` : reason;
+  }
+  await this.save();
+};
+
 // Class methods
 Session.findActiveByCallSid = async function(callSid) {
   return await this.findOne({
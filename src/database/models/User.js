@@ -2,6 +2,20 @@ const { DataTypes } = require('sequelize');
 const sequelize = require('../connection');
 const bcrypt = require('bcryptjs');
 
+// candidate: uses the coaching service; coach: read access to everyone's
+// users and sessions; admin: can also change them (see /api/admin)
+const ROLES = ['candidate', 'coach', 'admin'];
+
+const INDUSTRIES = ['technology', 'finance', 'healthcare', 'education', 'retail', 'manufacturing', 'consulting', 'non-profit', 'government', 'other'];
+const EXPERIENCE_LEVELS = ['entry', 'mid', 'senior', 'executive'];
+
+// Allowed values for the preferences the IVR can change
+const PREFERENCE_VALUES = {
+  difficultyLevel: ['easy', 'medium', 'hard'],
+  sessionDuration: [15, 30, 45, 60],
+  focusAreas: ['behavioral', 'technical', 'leadership', 'situational', 'communication']
+};
+
 const User = sequelize.define('User', {
   id: {
     type: DataTypes.UUID,
@@ -34,11 +48,11 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: false,
     validate: {
-      isIn: [['technology', 'finance', 'healthcare', 'education', 'retail', 'manufacturing', 'consulting', 'non-profit', 'government', 'other']]
+      isIn: [INDUSTRIES]
     }
   },
   experienceLevel: {
-    type: DataTypes.ENUM('entry', 'mid', 'senior', 'executive'),
+    type: DataTypes.ENUM(...EXPERIENCE_LEVELS),
     allowNull: false
   },
   targetRoles: {
@@ -56,10 +70,48 @@ const User = sequelize.define('User', {
       language: 'en-US'
     }
   },
+  // Uploaded resume and target job description with the details extracted
+  // from them (see services/documentService)
+  resume: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  jobDescription: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Scoring rubric for this caller's sessions, e.g. their organisation's
+  // (models/ScoringRubric); null for the default
+  rubricId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'scoring_rubrics',
+      key: 'id'
+    }
+  },
+  role: {
+    type: DataTypes.ENUM(...ROLES),
+    allowNull: false,
+    defaultValue: 'candidate'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  // Optional DTMF PIN asked for on inbound calls (bcrypt hash)
+  pinHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  pinFailedAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  pinLockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   lastActiveAt: {
     type: DataTypes.DATE,
     allowNull: true
@@ -90,7 +142,35 @@ const User = sequelize.define('User', {
   }
 });
 
+User.ROLES = ROLES;
+User.INDUSTRIES = INDUSTRIES;
+User.EXPERIENCE_LEVELS = EXPERIENCE_LEVELS;
+User.PREFERENCE_VALUES = PREFERENCE_VALUES;
+
 // Instance methods
+User.prototype.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+User.prototype.hasPin = function() {
+  return Boolean(this.pinHash);
+};
+
+User.prototype.setPin = async function(pin) {
+  this.pinHash = pin ? await bcrypt.hash(pin, 10) : null;
+  this.pinFailedAttempts = 0;
+  this.pinLockedUntil = null;
+  await this.save();
+};
+
+User.prototype.checkPin = async function(pin) {
+  return this.hasPin() && typeof pin === 'string' && await bcrypt.compare(pin, this.pinHash);
+};
+
+User.prototype.isPinLocked = function() {
+  return Boolean(this.pinLockedUntil) && this.pinLockedUntil.getTime() > Date.now();
+};
+
 User.prototype.updateLastActive = async function() {
   this.lastActiveAt = new Date();
   await this.save();
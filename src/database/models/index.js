@@ -2,6 +2,14 @@ const sequelize = require('../connection');
 const User = require('./User');
 const Session = require('./Session');
 const Progress = require('./Progress');
+const OtpCode = require('./OtpCode');
+const RefreshToken = require('./RefreshToken');
+const RevokedToken = require('./RevokedToken');
+const AuditLog = require('./AuditLog');
+const CallIdentity = require('./CallIdentity');
+const CompanyPack = require('./CompanyPack');
+const Question = require('./Question');
+const ScoringRubric = require('./ScoringRubric');
 
 // Define associations
 User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
@@ -10,10 +18,35 @@ Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(Progress, { foreignKey: 'userId', as: 'progress' });
 Progress.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+AuditLog.belongsTo(User, { foreignKey: 'actorId', as: 'actor', constraints: false });
+
+CallIdentity.belongsTo(User, { foreignKey: 'userId', as: 'user', constraints: false });
+
+CompanyPack.hasMany(Session, { foreignKey: 'companyPackId', as: 'sessions' });
+Session.belongsTo(CompanyPack, { foreignKey: 'companyPackId', as: 'companyPack' });
+
+ScoringRubric.hasMany(Session, { foreignKey: 'rubricId', as: 'sessions' });
+Session.belongsTo(ScoringRubric, { foreignKey: 'rubricId', as: 'scoringRubric' });
+ScoringRubric.hasMany(CompanyPack, { foreignKey: 'rubricId', as: 'companyPacks' });
+CompanyPack.belongsTo(ScoringRubric, { foreignKey: 'rubricId', as: 'scoringRubric' });
+ScoringRubric.hasMany(User, { foreignKey: 'rubricId', as: 'users' });
+User.belongsTo(ScoringRubric, { foreignKey: 'rubricId', as: 'scoringRubric' });
+
 // Export models and sequelize instance
 module.exports = {
   sequelize,
   User,
   Session,
-  Progress
+  Progress,
+  OtpCode,
+  RefreshToken,
+  RevokedToken,
+  AuditLog,
+  CallIdentity,
+  CompanyPack,
+  Question,
+  ScoringRubric
 };
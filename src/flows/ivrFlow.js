@@ -0,0 +1,453 @@
+// Declarative IVR call flow, interpreted by services/callFlowService.
+//
+// menus    - DTMF/speech menus. Each option sends the caller to a session flow
+//            ({ flow }), another menu ({ menu }) or a call transfer ({ transfer }).
+// flows    - question/answer loops, one per session type. Every flow is made of
+//            states; the engine knows three state types:
+//              record   - pick a question, speak it and record the answer
+//              redirect - speak a prompt, run a background task, move on
+//              hangup   - run a task, speak a closing prompt and hang up
+//            Prompts may use {question}, {scoreSummary} and {starRecap} placeholders;
+//            {starRecap} recaps the STAR parts of the caller's behavioral answers
+//            (services/starAnalysisService) using the flow's starRecap texts.
+//            onError is an inline state rendered when a state throws; its
+//            fallbackQuestion indexes the flow's questions.fallback list.
+//            questions.useCandidateDocuments grounds generated questions in the
+//            caller's uploaded resume and job description; questions.bankRatio
+//            is the share of questions taken from the question bank (models/Question);
+//            questions.maxFollowUpDepth is how many follow-ups may probe gaps in
+//            the answers to one question (0 or unset: none). Record states speak
+//            followUpPrompt instead of prompt when the question is a follow-up.
+// transfers - numbers the caller can be connected to.
+// identity  - the step every inbound call starts with (services/callerIdentityService):
+//             registered callers hear welcomeBack, or are asked for their PIN
+//             if they set one; unknown callers answer the onboarding steps,
+//             each of which fills one profile field by speech or DTMF.
+// profile   - fields callers can review and change from the profile menu
+//             (menu options with { profile: field }, or 'review'). Each answer
+//             is matched to an option value (the enums in models/User) and
+//             read back for confirmation before it is saved.
+// company   - choosing a company pack from the main menu ({ company: true }),
+//             which starts the company's mock interview.
+//
+// Static prompts here are also listed by promptCatalog for audio pre-generation.
+
+const { systemPrompts } = require('./promptCatalog');
+
+const interviewPrompts = {
+  intro: 'Great! Let me start your mock interview. Please hold while I prepare your first question.',
+  firstQuestion: 'Here\'s your first question: {question}. Please take a moment to think, then provide your answer.',
+  nextQuestion: 'Here\'s your next question: {question}. Please provide your response.',
+  retryQuestion: 'No problem, let\'s continue. Here\'s your next question: {question}. Please provide your response.',
+  followUpQuestion: 'Let me follow up on that. {question}',
+  acknowledge: 'Thank you for that answer. Please hold while I prepare your next question.',
+  continueAfterError: 'Let me continue with your next question.',
+  complete: 'Thank you for completing the mock interview! {scoreSummary}{starRecap}Your detailed feedback and analysis has been saved. Check your session history for improvement tips. Have a great day!',
+  timedOut: 'Thank you for your time. Your mock interview session has ended. Have a great day!',
+  technicalIssue: systemPrompts.technicalIssue
+};
+
+// Spoken score summary, first matching tier wins
+const scoreSummaries = [
+  { above: 80, text: 'You performed excellently with an overall score of {score} out of 100. ' },
+  { above: 60, text: 'You performed well with an overall score of {score} out of 100. ' },
+  { above: 0, text: 'Your overall score is {score} out of 100. ' }
+];
+
+// Spoken STAR recap: complete when every part was covered, otherwise the
+// strongest and weakest parts and a tip for the weakest
+const starRecap = {
+  complete: 'In your story answers you covered the situation, task, action and result well. ',
+  summary: 'In your story answers, your {strongest} was strongest and your {weakest} needs the most work. ',
+  tips: {
+    situation: 'Next time, set the scene in a sentence before you dive in. ',
+    task: 'Next time, say clearly what you were responsible for. ',
+    action: 'Next time, walk through the steps you took yourself. ',
+    result: 'Next time, finish with the result, ideally with a number. '
+  }
+};
+
+// Profile field answers; values are the ones the User model accepts
+const industryOptions = [
+  { digit: '1', keywords: ['technology', 'tech', 'software'], value: 'technology' },
+  { digit: '2', keywords: ['finance', 'banking'], value: 'finance' },
+  { digit: '3', keywords: ['healthcare', 'health', 'medical'], value: 'healthcare' },
+  { digit: '4', keywords: ['education', 'teaching'], value: 'education' },
+  { digit: '5', keywords: ['retail'], value: 'retail' },
+  { digit: '6', keywords: ['manufacturing'], value: 'manufacturing' },
+  { digit: '7', keywords: ['consulting'], value: 'consulting' },
+  { digit: '8', keywords: ['non-profit', 'nonprofit', 'charity'], value: 'non-profit', label: 'non-profit' },
+  { digit: '9', keywords: ['government', 'public sector'], value: 'government' },
+  { digit: '0', keywords: ['other', 'something else', 'anything else'], value: 'other', label: 'another industry' }
+];
+
+const experienceOptions = [
+  { digit: '1', keywords: ['entry', 'junior', 'graduate'], value: 'entry', label: 'entry level' },
+  { digit: '2', keywords: ['mid', 'middle', 'intermediate'], value: 'mid', label: 'mid level' },
+  { digit: '3', keywords: ['senior', 'lead'], value: 'senior' },
+  { digit: '4', keywords: ['executive', 'director', 'vp'], value: 'executive' }
+];
+
+const industryPrompt = 'Press 1 for technology, 2 for finance, 3 for healthcare, 4 for education, 5 for retail, 6 for manufacturing, 7 for consulting, 8 for non-profit, 9 for government, or 0 for anything else.';
+const experiencePrompt = 'Press 1 for entry level, 2 for mid level, 3 for senior, or 4 for executive.';
+
+const recording = {
+  timeout: 120,
+  finishOnKey: '#'
+};
+
+// Standard ask -> answer -> continue loop shared by every session flow
+const questionLoop = ({ onContinueError }) => ({
+  start: {
+    type: 'record',
+    setup: true,
+    question: 'next',
+    prompt: 'firstQuestion',
+    next: 'response',
+    timeoutNext: 'timeout',
+    exhausted: 'complete',
+    onError: { type: 'record', prompt: 'firstQuestion', fallbackQuestion: 0, next: 'response' }
+  },
+  response: {
+    type: 'redirect',
+    prompt: 'acknowledge',
+    task: 'processResponse',
+    next: 'continue',
+    onError: { type: 'redirect', prompt: 'continueAfterError', next: 'continue' }
+  },
+  continue: {
+    type: 'record',
+    question: 'next',
+    prompt: 'nextQuestion',
+    followUpPrompt: 'followUpQuestion',
+    next: 'response',
+    timeoutNext: 'timeout',
+    exhausted: 'complete',
+    onError: onContinueError
+  },
+  timeout: {
+    type: 'record',
+    question: 'unanswered',
+    prompt: 'retryQuestion',
+    next: 'response',
+    timeoutNext: 'timeout',
+    exhausted: 'timedOut',
+    onError: { type: 'record', prompt: 'retryQuestion', fallbackQuestion: 0, next: 'response', timeoutNext: 'timeout' }
+  },
+  complete: {
+    type: 'hangup',
+    task: 'endSession',
+    prompt: 'complete'
+  },
+  timedOut: {
+    type: 'hangup',
+    task: 'endSession',
+    prompt: 'timedOut'
+  }
+});
+
+module.exports = {
+  entry: 'main',
+
+  identity: {
+    welcomeBack: 'Welcome back, {name}.',
+    inactive: 'This phone number belongs to a deactivated account. Please contact support to reactivate it. Goodbye.',
+    anonymous: 'Sorry, we cannot take calls from hidden numbers. Please call again from a number that shows caller ID. Goodbye.',
+    pin: {
+      prompt: 'Please enter your PIN, followed by the pound key.',
+      retryPrompt: 'That PIN was not correct. Please enter your PIN, followed by the pound key.',
+      failed: 'Sorry, we could not verify your PIN. Goodbye.',
+      locked: 'This account is locked after too many incorrect PIN attempts. Please try again later. Goodbye.',
+      timeout: 10,
+      maxAttempts: 3, // per call
+      lockAfter: 5, // consecutive failures across calls
+      lockMinutes: 30
+    },
+    onboarding: {
+      intro: 'Welcome to AI Interview Coaching. Let\'s set up your profile first. It only takes a moment.',
+      complete: 'Thanks, {name}. Your profile is ready.',
+      failed: 'Sorry, I could not set up your profile. Please call back or register online. Goodbye.',
+      maxAttempts: 3, // per step
+      steps: [
+        {
+          field: 'name',
+          input: ['speech'],
+          prompt: 'Please say your first and last name.',
+          retryPrompt: 'Sorry, I didn\'t catch that. Please say your first and last name.',
+          timeout: 5
+        },
+        {
+          field: 'industry',
+          prompt: `Which industry are you interviewing in? ${industryPrompt}`,
+          retryPrompt: `Sorry, I didn't understand. ${industryPrompt}`,
+          timeout: 10,
+          options: industryOptions
+        },
+        {
+          field: 'experienceLevel',
+          prompt: `What is your experience level? ${experiencePrompt}`,
+          retryPrompt: `Sorry, I didn't understand. ${experiencePrompt}`,
+          timeout: 10,
+          options: experienceOptions
+        }
+      ]
+    }
+  },
+
+  profile: {
+    review: 'Here is your profile. Name: {name}. Industry: {industry}. Experience level: {experienceLevel}. Target roles: {targetRoles}. Practice difficulty: {difficultyLevel}. Session length: {sessionDuration}. Focus areas: {focusAreas}.',
+    none: 'none set',
+    confirm: 'I heard {value}. Press 1 to save it, or 2 to try again.',
+    confirmOptions: [
+      { digit: '1', keywords: ['yes', 'save', 'correct'], save: true },
+      { digit: '2', keywords: ['no', 'again', 'wrong'], save: false }
+    ],
+    saved: 'Saved. Updated your {label} to {value}.',
+    unchanged: 'No changes made.',
+    fields: {
+      industry: {
+        label: 'industry',
+        prompt: `Which industry are you interviewing in? ${industryPrompt}`,
+        retryPrompt: `Sorry, I didn't understand. ${industryPrompt}`,
+        timeout: 10,
+        options: industryOptions
+      },
+      experienceLevel: {
+        label: 'experience level',
+        prompt: `What is your experience level? ${experiencePrompt}`,
+        retryPrompt: `Sorry, I didn't understand. ${experiencePrompt}`,
+        timeout: 10,
+        options: experienceOptions
+      },
+      targetRoles: {
+        label: 'target roles',
+        input: ['speech'],
+        list: true, // several roles, separated by "and" or commas
+        prompt: 'Say the roles you are preparing for, for example: product manager and data analyst.',
+        retryPrompt: 'Sorry, I didn\'t catch that. Say the roles you are preparing for, for example: product manager and data analyst.',
+        timeout: 5
+      },
+      difficultyLevel: {
+        label: 'practice difficulty',
+        preference: true,
+        prompt: 'How challenging should your practice questions be? Press 1 for easy, 2 for medium, or 3 for hard.',
+        retryPrompt: 'Sorry, I didn\'t understand. Press 1 for easy, 2 for medium, or 3 for hard.',
+        timeout: 10,
+        options: [
+          { digit: '1', keywords: ['easy', 'simple'], value: 'easy' },
+          { digit: '2', keywords: ['medium', 'normal'], value: 'medium' },
+          { digit: '3', keywords: ['hard', 'difficult', 'challenging'], value: 'hard' }
+        ]
+      },
+      sessionDuration: {
+        label: 'session length',
+        preference: true,
+        prompt: 'How long should a session be? Press 1 for 15 minutes, 2 for 30 minutes, 3 for 45 minutes, or 4 for an hour.',
+        retryPrompt: 'Sorry, I didn\'t understand. Press 1 for 15 minutes, 2 for 30 minutes, 3 for 45 minutes, or 4 for an hour.',
+        timeout: 10,
+        options: [
+          { digit: '1', keywords: ['15', 'fifteen'], value: 15, label: '15 minutes' },
+          { digit: '2', keywords: ['30', 'thirty', 'half'], value: 30, label: '30 minutes' },
+          { digit: '3', keywords: ['45', 'forty'], value: 45, label: '45 minutes' },
+          { digit: '4', keywords: ['60', 'sixty', 'hour'], value: 60, label: 'one hour' }
+        ]
+      },
+      focusAreas: {
+        label: 'focus areas',
+        preference: true,
+        multiple: true, // every matching option, e.g. DTMF 13 or "behavioral and leadership"
+        prompt: 'Which areas should we focus on? Press every number that applies, then the pound key: 1 for behavioral, 2 for technical, 3 for leadership, 4 for situational, and 5 for communication.',
+        retryPrompt: 'Sorry, I didn\'t understand. Press every number that applies, then the pound key: 1 for behavioral, 2 for technical, 3 for leadership, 4 for situational, and 5 for communication.',
+        timeout: 10,
+        finishOnKey: '#',
+        options: [
+          { digit: '1', keywords: ['behavioral', 'behavioural'], value: 'behavioral' },
+          { digit: '2', keywords: ['technical'], value: 'technical' },
+          { digit: '3', keywords: ['leadership'], value: 'leadership' },
+          { digit: '4', keywords: ['situational'], value: 'situational' },
+          { digit: '5', keywords: ['communication'], value: 'communication' }
+        ]
+      }
+    }
+  },
+
+  // Company-specific mock interviews (models/CompanyPack). The caller picks an
+  // active pack by number or by saying its name; options list up to maxOptions packs.
+  company: {
+    flow: 'mock_interview',
+    prompt: 'Which company are you preparing for? {options}, or say the company name.',
+    retryPrompt: 'Sorry, I don\'t have an interview pack for that company. {options}, or say the company name.',
+    option: 'press {digit} for {name}',
+    none: 'There are no company interview packs yet. Returning to the main menu.',
+    intro: 'Great! Let me start your {company} mock interview. Please hold while I prepare your first question.',
+    timeout: 10,
+    maxOptions: 9
+  },
+
+  menus: {
+    main: {
+      prompt: `Welcome to AI Interview Coaching. I'm your personal interview coach.
+      Press 1 for a mock interview, press 2 for coaching tips, press 3 to speak to a representative,
+      press 4 for a quick skills assessment, press 5 for a practice round, press 6 to hear or change your profile,
+      or press 7 to prepare for a specific company. What would you like to do today?`,
+      retryPrompt: 'I didn\'t understand that. Let me repeat the options. Press 1 for a mock interview, press 2 for coaching tips, press 3 to speak to a representative, press 4 for a quick skills assessment, press 5 for a practice round, press 6 for your profile, or press 7 for a company-specific interview.',
+      timeout: 10,
+      retryTimeout: 15,
+      options: [
+        { digit: '1', keywords: ['mock interview'], flow: 'mock_interview' },
+        { digit: '2', keywords: ['coaching'], flow: 'coaching' },
+        { digit: '3', keywords: ['representative'], transfer: 'representative' },
+        { digit: '4', keywords: ['assessment'], flow: 'assessment' },
+        { digit: '5', keywords: ['practice'], flow: 'practice' },
+        { digit: '6', keywords: ['profile', 'settings'], menu: 'profile' },
+        { digit: '7', keywords: ['company', 'employer'], company: true }
+      ]
+    },
+
+    profile: {
+      prompt: 'Your profile. Press 1 to hear it, 2 to change your industry, 3 your experience level, 4 your target roles, 5 your practice difficulty, 6 your session length, 7 your focus areas, or 9 to go back to the main menu.',
+      retryPrompt: 'I didn\'t understand that. Press 1 to hear your profile, 2 to change your industry, 3 your experience level, 4 your target roles, 5 your practice difficulty, 6 your session length, 7 your focus areas, or 9 for the main menu.',
+      timeout: 10,
+      retryTimeout: 15,
+      options: [
+        { digit: '1', keywords: ['hear', 'review', 'read'], profile: 'review' },
+        { digit: '2', keywords: ['industry'], profile: 'industry' },
+        { digit: '3', keywords: ['experience'], profile: 'experienceLevel' },
+        { digit: '4', keywords: ['target', 'roles'], profile: 'targetRoles' },
+        { digit: '5', keywords: ['difficulty'], profile: 'difficultyLevel' },
+        { digit: '6', keywords: ['length', 'duration'], profile: 'sessionDuration' },
+        { digit: '7', keywords: ['focus'], profile: 'focusAreas' },
+        { digit: '9', keywords: ['back', 'main menu'], menu: 'main' }
+      ]
+    }
+  },
+
+  transfers: {
+    representative: {
+      prompt: 'I\'m transferring you to a representative. Please hold while I connect you.',
+      number: process.env.SUPPORT_PHONE_NUMBER || '+18573959451'
+    }
+  },
+
+  flows: {
+    mock_interview: {
+      sessionType: 'mock_interview',
+      limits: { maxQuestions: 5, maxResponses: 5 },
+      questions: {
+        focusAreas: ['behavioral', 'technical'],
+        includeAnswers: true,
+        useCandidateDocuments: true,
+        retryDuplicates: true,
+        bankRatio: 0.4,
+        maxFollowUpDepth: 1,
+        fallback: [
+          { id: 'fallback_intro', text: 'Tell me about yourself', category: 'behavioral', difficulty: 'medium' }
+        ]
+      },
+      recording,
+      prompts: interviewPrompts,
+      scoreSummaries,
+      starRecap,
+      // Paths used before the flow engine existed; kept for in-flight calls
+      aliases: {
+        start: 'start-interview',
+        response: 'response',
+        continue: 'continue-interview',
+        timeout: 'response-timeout'
+      },
+      states: questionLoop({
+        onContinueError: { type: 'hangup', prompt: 'technicalIssue' }
+      })
+    },
+
+    coaching: {
+      sessionType: 'coaching',
+      limits: { maxQuestions: 3, maxResponses: 3 },
+      questions: {
+        focusAreas: ['behavioral', 'communication'],
+        includeAnswers: false,
+        useCandidateDocuments: true,
+        retryDuplicates: false,
+        bankRatio: 0.34,
+        maxFollowUpDepth: 2,
+        fallback: [
+          { id: 'coaching_1', text: 'Tell me about yourself and your background.', category: 'behavioral', difficulty: 'medium' },
+          { id: 'coaching_2', text: 'Describe a time when you had to work under pressure.', category: 'behavioral', difficulty: 'medium' },
+          { id: 'coaching_3', text: 'What are your greatest strengths and how do they apply to this role?', category: 'behavioral', difficulty: 'medium' }
+        ]
+      },
+      recording,
+      prompts: {
+        ...interviewPrompts,
+        intro: 'Great! Let me start your coaching session. Please hold while I prepare.',
+        firstQuestion: 'Here\'s your first question: {question}. Please provide your response.',
+        nextQuestion: 'Here\'s your next coaching question: {question}. Please provide your response.',
+        retryQuestion: 'No problem, let\'s continue. Here\'s your next coaching question: {question}. Please provide your response.',
+        acknowledge: 'Thank you for that response. Please hold while I prepare your next question.',
+        complete: 'Thank you for completing the coaching session. {starRecap}You\'ve received personalized feedback to help improve your interview skills. Have a great day!',
+        timedOut: 'Thank you for your time. Your coaching session has ended. Have a great day!'
+      },
+      starRecap,
+      aliases: {
+        start: 'start-coaching',
+        response: 'coaching-response',
+        continue: 'continue-coaching',
+        timeout: 'coaching-timeout'
+      },
+      states: questionLoop({
+        onContinueError: { type: 'record', prompt: 'nextQuestion', fallbackQuestion: 1, next: 'response', timeoutNext: 'timeout' }
+      })
+    },
+
+    assessment: {
+      sessionType: 'assessment',
+      limits: { maxQuestions: 3, maxResponses: 3 },
+      questions: {
+        focusAreas: ['technical', 'situational'],
+        includeAnswers: false,
+        retryDuplicates: true,
+        bankRatio: 0.34,
+        maxFollowUpDepth: 0, // scored like a test: no probing
+        fallback: [
+          { id: 'assessment_1', text: 'Walk me through how you would approach a problem you have never seen before.', category: 'situational', difficulty: 'medium' }
+        ]
+      },
+      recording,
+      prompts: {
+        ...interviewPrompts,
+        intro: 'Great! Let me start your skills assessment. You will hear three questions. Please hold.',
+        complete: 'That completes your skills assessment. {scoreSummary}Your results have been saved. Have a great day!',
+        timedOut: 'Thank you for your time. Your skills assessment has ended. Have a great day!'
+      },
+      scoreSummaries,
+      states: questionLoop({
+        onContinueError: { type: 'hangup', prompt: 'technicalIssue' }
+      })
+    },
+
+    practice: {
+      sessionType: 'practice',
+      limits: { maxQuestions: 1, maxResponses: 1 },
+      questions: {
+        focusAreas: ['behavioral'],
+        includeAnswers: false,
+        retryDuplicates: false,
+        fallback: [
+          { id: 'practice_1', text: 'Tell me about a challenge you overcame recently.', category: 'behavioral', difficulty: 'medium' }
+        ]
+      },
+      recording,
+      prompts: {
+        ...interviewPrompts,
+        intro: 'Great! Let\'s do a quick practice round with a single question. Please hold.',
+        firstQuestion: 'Here\'s your practice question: {question}. Take your time, then provide your answer.',
+        acknowledge: 'Thank you for that answer. Please hold for a moment.',
+        complete: 'Nice work on your practice round. Your answer and feedback have been saved. Call back any time for another round. Goodbye!',
+        timedOut: 'Thank you for your time. Your practice round has ended. Have a great day!'
+      },
+      states: questionLoop({
+        onContinueError: { type: 'hangup', prompt: 'technicalIssue' }
+      })
+    }
+  }
+};
@@ -0,0 +1,88 @@
+// Every static phrase the IVR speaks, so audio for them can be generated
+// ahead of the first call (scripts/pregenerate-audio.js).
+//
+// systemPrompts are the phrases used outside the call flow (TwiML defaults in
+// twilioService, error and hold responses in routes/webhooks). Identity, company,
+// profile, menu, transfer and flow prompts stay in ivrFlow.js and are read from
+// there; prompts with {placeholders} depend on the call and are not static.
+
+const systemPrompts = {
+  greeting: 'Hello, welcome to AI Interview Coaching.',
+  recordAnswer: 'Please speak your answer now.',
+  goodbye: 'Thank you for using AI Interview Coaching. Goodbye!',
+  processing: 'Please wait while we process your request.',
+  pleaseHold: 'Please hold.',
+  technicalDifficulties: 'Sorry, we are experiencing technical difficulties. Please try again later.',
+  technicalIssue: 'I apologize, but we encountered a technical issue. Thank you for your time. Your responses have been saved. Have a great day!'
+};
+
+const PLACEHOLDER = /\{\w+\}/;
+
+const getSystemPrompt = (name) => {
+  const text = systemPrompts[name];
+  if (text === undefined) {
+    throw new Error(`Unknown system prompt: ${name}`);
+  }
+  return text;
+};
+
+// [{ id, text }] for every static prompt, one entry per distinct text
+// (flows share many prompts; the first id wins)
+const getStaticPrompts = (definition = require('./ivrFlow')) => {
+  const prompts = [];
+  const add = (id, text) => {
+    if (typeof text === 'string' && !PLACEHOLDER.test(text) && !prompts.some(prompt => prompt.text === text)) {
+      prompts.push({ id, text });
+    }
+  };
+
+  Object.entries(systemPrompts).forEach(([name, text]) => add(`system.${name}`, text));
+
+  const identity = definition.identity || {};
+  add('identity.inactive', identity.inactive);
+  add('identity.anonymous', identity.anonymous);
+  if (identity.pin) {
+    ['prompt', 'retryPrompt', 'failed', 'locked'].forEach(name => add(`identity.pin.${name}`, identity.pin[name]));
+  }
+  if (identity.onboarding) {
+    ['intro', 'failed'].forEach(name => add(`identity.onboarding.${name}`, identity.onboarding[name]));
+    identity.onboarding.steps.forEach(step => {
+      add(`identity.onboarding.${step.field}.prompt`, step.prompt);
+      add(`identity.onboarding.${step.field}.retryPrompt`, step.retryPrompt);
+    });
+  }
+
+  if (definition.company) {
+    add('company.none', definition.company.none);
+  }
+
+  const profile = definition.profile;
+  if (profile) {
+    add('profile.unchanged', profile.unchanged);
+    Object.entries(profile.fields).forEach(([name, field]) => {
+      add(`profile.${name}.prompt`, field.prompt);
+      add(`profile.${name}.retryPrompt`, field.retryPrompt);
+    });
+  }
+
+  Object.entries(definition.menus).forEach(([menuId, menu]) => {
+    add(`menu.${menuId}.prompt`, menu.prompt);
+    add(`menu.${menuId}.retryPrompt`, menu.retryPrompt);
+  });
+
+  Object.entries(definition.transfers || {}).forEach(([transferId, transfer]) => {
+    add(`transfer.${transferId}.prompt`, transfer.prompt);
+  });
+
+  Object.entries(definition.flows).forEach(([flowId, flow]) => {
+    Object.entries(flow.prompts).forEach(([name, text]) => add(`flow.${flowId}.${name}`, text));
+  });
+
+  return prompts;
+};
+
+module.exports = {
+  systemPrompts,
+  getSystemPrompt,
+  getStaticPrompts
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../database/models');
+const tokenService = require('../services/tokenService');
 const logger = require('../utils/logger');
 
 const authenticateToken = async (req, res, next) => {
@@ -15,6 +16,13 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.jti && await tokenService.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token revoked'
+      });
+    }
     
     // Find user and ensure they're still active
     const user = await User.findByPk(decoded.userId);
@@ -26,6 +34,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -51,47 +60,17 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
-};
-
-const authenticatePhoneNumber = async (req, res, next) => {
-  try {
-    const phoneNumber = req.body.phoneNumber || req.query.phoneNumber;
-    
-    if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number required'
-      });
-    }
-
-    // Normalize phone number
-    const normalizedPhone = phoneNumber.replace(/\s/g, '');
-    
-    // Find user by phone number
-    const user = await User.findByPhoneNumber(normalizedPhone);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    logger.error('Phone authentication error:', error);
-    return res.status(500).json({
+// Use after authenticateToken: only lets through users with one of the roles
+const authorizeRoles = (...roles) => (req, res, next) => {
+  if (!req.user || !req.user.hasRole(...roles)) {
+    logger.warn('Access denied', { userId: req.user?.id, role: req.user?.role, path: req.originalUrl });
+    return res.status(403).json({
       success: false,
-      error: 'Authentication failed'
+      error: 'Insufficient permissions'
     });
   }
+
+  next();
 };
 
 const optionalAuth = async (req, res, next) => {
@@ -101,7 +80,8 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.userId);
+      const revoked = decoded.jti && await tokenService.isRevoked(decoded.jti);
+      const user = revoked ? null : await User.findByPk(decoded.userId);
       if (user && user.isActive) {
         req.user = user;
       }
@@ -116,7 +96,6 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  generateToken,
-  authenticatePhoneNumber,
+  authorizeRoles,
   optionalAuth
 };
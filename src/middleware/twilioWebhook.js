@@ -0,0 +1,70 @@
+const twilioService = require('../services/twilioService');
+const logger = require('../utils/logger');
+
+// Parse TWILIO_WEBHOOK_ALLOWLIST (comma-separated IPs that skip validation)
+const getAllowList = () => {
+  return (process.env.TWILIO_WEBHOOK_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0);
+};
+
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+const isAllowListed = (req) => {
+  // The allow-list is a local development convenience only
+  if (process.env.NODE_ENV === 'production') {
+    return false;
+  }
+
+  const allowList = getAllowList();
+  if (allowList.length === 0) {
+    return false;
+  }
+
+  const ip = normalizeIp(req.ip || req.socket?.remoteAddress);
+  return allowList.includes('*') || allowList.map(normalizeIp).includes(ip);
+};
+
+const verifyTwilioSignature = (req, res, next) => {
+  // GET handlers on the webhook router are browser diagnostics, not Twilio callbacks
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return next();
+  }
+
+  if (isAllowListed(req)) {
+    logger.warn('Skipping Twilio signature validation for allow-listed address', {
+      ip: req.ip,
+      path: req.originalUrl
+    });
+    return next();
+  }
+
+  // URL, proxy and token handling live in twilioService
+  const { isValid, reason, urls } = twilioService.validateWebhookRequest(req);
+
+  if (!isValid) {
+    if (reason === 'not_configured') {
+      logger.error('Cannot validate Twilio webhook: TWILIO_AUTH_TOKEN not configured');
+    } else if (reason === 'missing_signature') {
+      logger.warn('Rejected webhook without Twilio signature', { ip: req.ip, path: req.originalUrl });
+    } else {
+      logger.warn('Rejected webhook with invalid Twilio signature', {
+        ip: req.ip,
+        path: req.originalUrl,
+        candidates: urls
+      });
+    }
+    return res.status(403).type('text/plain').send('Forbidden');
+  }
+
+  next();
+};
+
+// Produce an X-Twilio-Signature value for a request (used by tests and local tooling)
+const signTwilioRequest = (url, params, authToken) => twilioService.signWebhookRequest(url, params, authToken);
+
+module.exports = {
+  verifyTwilioSignature,
+  signTwilioRequest
+};
@@ -0,0 +1,537 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { User, Session, AuditLog, ScoringRubric } = require('../database/models');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { hasProvider } = require('../services/tts');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+
+// Coaches can look, only admins can change anything
+router.use(authenticateToken, authorizeRoles('coach', 'admin'));
+const adminOnly = authorizeRoles('admin');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const pagination = [
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+];
+
+const audit = (req, action, targetType, targetId, details) => AuditLog.record({
+  actor: req.user,
+  action,
+  targetType,
+  targetId,
+  details,
+  ipAddress: req.ip
+});
+
+const formatUser = (user) => ({
+  id: user.id,
+  phoneNumber: user.phoneNumber,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  industry: user.industry,
+  experienceLevel: user.experienceLevel,
+  targetRoles: user.targetRoles,
+  preferences: user.preferences,
+  rubricId: user.rubricId,
+  pinEnabled: user.hasPin(),
+  pinLockedUntil: user.pinLockedUntil,
+  totalSessions: user.totalSessions,
+  averageScore: user.averageScore,
+  lastActiveAt: user.lastActiveAt,
+  createdAt: user.createdAt
+});
+
+const formatSession = (session) => ({
+  id: session.id,
+  userId: session.userId,
+  user: session.user ? { id: session.user.id, name: session.user.name, phoneNumber: session.user.phoneNumber } : undefined,
+  sessionType: session.sessionType,
+  industry: session.industry,
+  roleLevel: session.roleLevel,
+  callSid: session.callSid,
+  status: session.status,
+  questionCount: (session.questions || []).length,
+  responseCount: (session.responses || []).length,
+  scores: session.scores,
+  duration: session.duration,
+  notes: session.notes,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  completedAt: session.completedAt
+});
+
+const findActiveSession = async (req, res) => {
+  const session = await Session.findByPk(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return null;
+  }
+  if (session.status !== 'active') {
+    res.status(400).json({ success: false, error: 'Session is not active' });
+    return null;
+  }
+  return session;
+};
+
+// List and search users (q matches name, phone number or email)
+router.get('/users', [
+  ...pagination,
+  query('q').optional().isString().trim(),
+  query('role').optional().isIn(User.ROLES),
+  query('isActive').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+  try {
+    const { q, role, isActive, limit = 20, offset = 0 } = req.query;
+
+    const whereClause = {};
+    if (role) whereClause.role = role;
+    if (isActive !== undefined) whereClause.isActive = isActive;
+    if (q) {
+      const pattern = `%${q}%`;
+      whereClause[Op.or] = [
+        { name: { [Op.iLike]: pattern } },
+        { phoneNumber: { [Op.iLike]: pattern } },
+        { email: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    const users = await User.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: users.rows.map(formatUser),
+        pagination: { total: users.count, limit, offset }
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users'
+    });
+  }
+});
+
+// Get one user with their recent sessions
+router.get('/users/:userId', [
+  param('userId').isUUID()
+], validate, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const sessions = await Session.findByUserId(user.id, 10);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: formatUser(user),
+        recentSessions: sessions.map(formatSession)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user'
+    });
+  }
+});
+
+// Correct a user's profile or change their role
+router.put('/users/:userId', adminOnly, [
+  param('userId').isUUID(),
+  body('name')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .optional({ nullable: true })
+    .isEmail()
+    .withMessage('Valid email address is required'),
+  body('industry')
+    .optional()
+    .isIn(User.INDUSTRIES)
+    .withMessage('Valid industry is required'),
+  body('experienceLevel')
+    .optional()
+    .isIn(User.EXPERIENCE_LEVELS)
+    .withMessage('Valid experience level is required'),
+  body('targetRoles')
+    .optional()
+    .isArray()
+    .withMessage('Target roles must be an array'),
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
+  body('preferences.voice.provider')
+    .optional()
+    .custom(hasProvider)
+    .withMessage('Unknown voice provider'),
+  body('role')
+    .optional()
+    .isIn(User.ROLES)
+    .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+  body('rubricId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Scoring rubric ID must be a UUID')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Keep at least the acting admin able to undo mistakes
+    if (user.id === req.user.id && req.body.role && req.body.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    // The user's sessions are scored with this rubric unless the session or its pack has one
+    if (req.body.rubricId && !(await ScoringRubric.findActiveById(req.body.rubricId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scoring rubric not found'
+      });
+    }
+
+    const changes = {};
+    ['name', 'email', 'industry', 'experienceLevel', 'targetRoles', 'preferences', 'role', 'rubricId'].forEach(field => {
+      if (req.body[field] === undefined) {
+        return;
+      }
+      const value = field === 'preferences' ? { ...user.preferences, ...req.body.preferences } : req.body[field];
+      if (JSON.stringify(value) !== JSON.stringify(user[field])) {
+        changes[field] = { from: user[field], to: value };
+        user[field] = value;
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await user.save();
+      await audit(req, 'user.update', 'user', user.id, { changes });
+      logger.info('Admin updated user', { adminId: req.user.id, userId: user.id, fields: Object.keys(changes) });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    logger.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+});
+
+// Reactivate a deactivated account
+router.post('/users/:userId/reactivate', adminOnly, [
+  param('userId').isUUID(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], validate, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is already active'
+      });
+    }
+
+    user.isActive = true;
+    await user.save();
+    await audit(req, 'user.reactivate', 'user', user.id, { reason: req.body.reason || null });
+
+    logger.info('Admin reactivated user', { adminId: req.user.id, userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account reactivated',
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    logger.error('Error reactivating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reactivate account'
+    });
+  }
+});
+
+// Remove a user's call PIN, e.g. when they are locked out or forgot it
+router.post('/users/:userId/reset-pin', adminOnly, [
+  param('userId').isUUID(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], validate, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const hadPin = user.hasPin();
+    await user.setPin(null);
+    await audit(req, 'user.reset_pin', 'user', user.id, { reason: req.body.reason || null, hadPin });
+
+    logger.info('Admin reset call PIN', { adminId: req.user.id, userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'PIN removed',
+      data: { user: formatUser(user) }
+    });
+  } catch (error) {
+    logger.error('Error resetting PIN:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset PIN'
+    });
+  }
+});
+
+// List and filter sessions across all users
+router.get('/sessions', [
+  ...pagination,
+  query('status').optional().isIn(['active', 'completed', 'abandoned', 'failed']),
+  query('sessionType').optional().isIn(['mock_interview', 'coaching', 'assessment', 'practice']),
+  query('userId').optional().isUUID(),
+  query('callSid').optional().isString(),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate()
+], validate, async (req, res) => {
+  try {
+    const { status, sessionType, userId, callSid, from, to, limit = 20, offset = 0 } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (sessionType) whereClause.sessionType = sessionType;
+    if (userId) whereClause.userId = userId;
+    if (callSid) whereClause.callSid = callSid;
+    if (from || to) {
+      whereClause.createdAt = {
+        ...(from && { [Op.gte]: from }),
+        ...(to && { [Op.lte]: to })
+      };
+    }
+
+    const sessions = await Session.findAndCountAll({
+      where: whereClause,
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'phoneNumber'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.rows.map(formatSession),
+        pagination: { total: sessions.count, limit, offset }
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions'
+    });
+  }
+});
+
+// Get one session in full
+router.get('/sessions/:sessionId', [
+  param('sessionId').isUUID()
+], validate, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId, {
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'phoneNumber'] }]
+    });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        session: {
+          ...formatSession(session),
+          questions: session.questions,
+          responses: session.responses,
+          feedback: session.feedback,
+          metrics: session.metrics
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch session'
+    });
+  }
+});
+
+// Force-complete an active session, counting it in the user's stats
+router.post('/sessions/:sessionId/complete', adminOnly, [
+  param('sessionId').isUUID(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], validate, async (req, res) => {
+  try {
+    const session = await findActiveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    await session.completeSession();
+
+    const user = await User.findByPk(session.userId);
+    if (user) {
+      await user.incrementSessionCount();
+      const overallScore = session.scores?.overall || 0;
+      if (overallScore > 0) {
+        await user.updateAverageScore(overallScore);
+      }
+    }
+
+    await audit(req, 'session.complete', 'session', session.id, { reason: req.body.reason || null, userId: session.userId });
+    logger.info('Admin completed session', { adminId: req.user.id, sessionId: session.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session completed',
+      data: { session: formatSession(session) }
+    });
+  } catch (error) {
+    logger.error('Error completing session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete session'
+    });
+  }
+});
+
+// Abandon an active session, e.g. one left behind by a dropped call
+router.post('/sessions/:sessionId/abandon', adminOnly, [
+  param('sessionId').isUUID(),
+  body('reason').optional().isString().isLength({ max: 500 })
+], validate, async (req, res) => {
+  try {
+    const session = await findActiveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const reason = req.body.reason || null;
+    await session.abandonSession(reason && `Abandoned by admin: ${reason}`);
+
+    await audit(req, 'session.abandon', 'session', session.id, { reason, userId: session.userId });
+    logger.info('Admin abandoned session', { adminId: req.user.id, sessionId: session.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session abandoned',
+      data: { session: formatSession(session) }
+    });
+  } catch (error) {
+    logger.error('Error abandoning session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to abandon session'
+    });
+  }
+});
+
+// Read the audit log, newest first
+router.get('/audit-log', adminOnly, [
+  ...pagination,
+  query('actorId').optional().isUUID(),
+  query('action').optional().isString(),
+  query('targetType').optional().isString(),
+  query('targetId').optional().isUUID()
+], validate, async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, limit = 50, offset = 0 } = req.query;
+
+    const whereClause = {};
+    if (actorId) whereClause.actorId = actorId;
+    if (action) whereClause.action = action;
+    if (targetType) whereClause.targetType = targetType;
+    if (targetId) whereClause.targetId = targetId;
+
+    const entries = await AuditLog.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries: entries.rows,
+        pagination: { total: entries.count, limit, offset }
+      }
+    });
+  } catch (error) {
+    logger.error('Error reading audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read audit log'
+    });
+  }
+});
+
+module.exports = router;
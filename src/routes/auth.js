@@ -1,15 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { User } = require('../database/models');
-const { generateToken, authenticateToken, authenticatePhoneNumber } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const otpService = require('../services/otpService');
+const tokenService = require('../services/tokenService');
+const smsService = require('../services/smsService');
 const logger = require('../utils/logger');
 
-// Register new user
+// Device details stored with each refresh token
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Reply for a code otpService.verifyCode rejected
+const rejectCode = (res, result) => {
+  if (result.reason === 'too_many_attempts') {
+    return res.status(429).json({
+      success: false,
+      error: 'Too many incorrect codes, please request a new one'
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    error: result.reason === 'invalid' ? 'Incorrect code' : 'Code expired or not found, please request a new one',
+    ...(result.attemptsRemaining !== undefined && { attemptsRemaining: result.attemptsRemaining })
+  });
+};
+
+// Register new user. The number must be proven with a code from
+// /otp/request with purpose 'register'.
 router.post('/register', [
   body('phoneNumber')
     .isMobilePhone('any')
     .withMessage('Valid phone number is required'),
+  body('code')
+    .matches(/^\d{4,10}$/)
+    .withMessage('The numeric code from the SMS is required'),
   body('name')
     .isLength({ min: 2, max: 100 })
     .withMessage('Name must be between 2 and 100 characters'),
@@ -31,7 +60,13 @@ router.post('/register', [
       });
     }
 
-    const { phoneNumber, name, industry, experienceLevel, targetRoles, email } = req.body;
+    const { name, industry, experienceLevel, targetRoles, email } = req.body;
+    const phoneNumber = req.body.phoneNumber.replace(/\s/g, '');
+
+    const verification = await otpService.verifyCode(phoneNumber, req.body.code, 'register');
+    if (!verification.valid) {
+      return rejectCode(res, verification);
+    }
 
     // Check if user already exists
     const existingUser = await User.findByPhoneNumber(phoneNumber);
@@ -52,8 +87,8 @@ router.post('/register', [
       email: email || null
     });
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Issue an access token and a refresh token
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, getClientInfo(req));
 
     logger.info('User registered successfully', { userId: user.id, phoneNumber });
 
@@ -71,7 +106,9 @@ router.post('/register', [
           totalSessions: user.totalSessions,
           averageScore: user.averageScore
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -83,11 +120,16 @@ router.post('/register', [
   }
 });
 
-// Login user
-router.post('/login', [
+// Request a code by SMS: to log in (step 1 of login), or with purpose
+// 'register' to prove the number before /register
+router.post('/otp/request', [
   body('phoneNumber')
     .isMobilePhone('any')
-    .withMessage('Valid phone number is required')
+    .withMessage('Valid phone number is required'),
+  body('purpose')
+    .optional()
+    .isIn(['login', 'register'])
+    .withMessage('Purpose must be login or register')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -100,7 +142,68 @@ router.post('/login', [
       });
     }
 
-    const { phoneNumber } = req.body;
+    const phoneNumber = req.body.phoneNumber.replace(/\s/g, '');
+    const purpose = req.body.purpose || 'login';
+    const config = otpService.getConfig();
+
+    // Login codes only go to registered, active users and registration codes
+    // only to new numbers, but the reply is the same either way so the
+    // endpoint can't be used to discover accounts
+    const user = await User.findByPhoneNumber(phoneNumber);
+    const eligible = purpose === 'register' ? !user : Boolean(user && user.isActive);
+    if (eligible) {
+      const result = await otpService.requestCode(phoneNumber, purpose);
+
+      if (!result.sent) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many code requests, please wait before trying again',
+          retryAfter: result.retryAfter
+        });
+      }
+    } else {
+      logger.info('OTP requested for a number it cannot be sent to', { phoneNumber, purpose });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: purpose === 'register'
+        ? 'If this number can be registered, a code has been sent by SMS'
+        : 'If this number is registered, a login code has been sent by SMS',
+      data: {
+        expiresIn: config.ttlSeconds,
+        resendAfter: config.resendIntervalSeconds
+      }
+    });
+  } catch (error) {
+    logger.error('Error requesting login code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send login code'
+    });
+  }
+});
+
+// Verify the SMS code and log in (step 2 of login)
+const verifyLoginCode = async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const phoneNumber = req.body.phoneNumber.replace(/\s/g, '');
+
+    const result = await otpService.verifyCode(phoneNumber, req.body.code);
+    if (!result.valid) {
+      return rejectCode(res, result);
+    }
 
     // Find user by phone number
     const user = await User.findByPhoneNumber(phoneNumber);
@@ -121,8 +224,8 @@ router.post('/login', [
     // Update last active timestamp
     await user.updateLastActive();
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Issue an access token and a refresh token
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, getClientInfo(req));
 
     logger.info('User logged in successfully', { userId: user.id, phoneNumber });
 
@@ -141,7 +244,9 @@ router.post('/login', [
           averageScore: user.averageScore,
           lastActiveAt: user.lastActiveAt
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -151,7 +256,55 @@ router.post('/login', [
       error: 'Failed to login'
     });
   }
-});
+};
+
+const loginCodeValidation = [
+  body('phoneNumber')
+    .isMobilePhone('any')
+    .withMessage('Valid phone number is required'),
+  body('code')
+    .matches(/^\d{4,10}$/)
+    .withMessage('The numeric code from the SMS is required')
+];
+
+router.post('/otp/verify', loginCodeValidation, verifyLoginCode);
+
+// Login user (same as /otp/verify; a code from /otp/request is required)
+router.post('/login', loginCodeValidation, verifyLoginCode);
+
+// Messages sent to a number by the console SMS sender, so the login flow can
+// be tested without a phone. Only mounted in tests or with SMS_OUTBOX_ENABLED=true,
+// and never answers when real SMS is sent.
+if (process.env.NODE_ENV === 'test' || process.env.SMS_OUTBOX_ENABLED === 'true') {
+  router.get('/otp/outbox', [
+    query('phoneNumber')
+      .isMobilePhone('any')
+      .withMessage('Valid phone number is required')
+  ], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const outbox = smsService.getOutbox(req.query.phoneNumber.replace(/\s/g, ''));
+
+    if (!outbox) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { messages: outbox }
+    });
+  });
+}
 
 // Verify token and get user profile
 router.get('/verify', authenticateToken, async (req, res) => {
@@ -185,53 +338,59 @@ router.get('/verify', authenticateToken, async (req, res) => {
   }
 });
 
-// Phone number authentication (for IVR system)
-router.post('/phone-auth', [
-  body('phoneNumber')
-    .isMobilePhone('any')
-    .withMessage('Valid phone number is required')
-], authenticatePhoneNumber, async (req, res) => {
+// Exchange a refresh token for a new access token and refresh token.
+// Each refresh token works once; reusing one ends that login everywhere.
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const user = req.user;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    // Update last active timestamp
-    await user.updateLastActive();
+    const result = await tokenService.refresh(req.body.refreshToken, getClientInfo(req));
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    if (!result.refreshed) {
+      return res.status(401).json({
+        success: false,
+        error: result.reason === 'expired' ? 'Refresh token expired' : 'Invalid refresh token'
+      });
+    }
 
-    logger.info('Phone authentication successful', { userId: user.id, phoneNumber: user.phoneNumber });
+    const { token, refreshToken, expiresIn } = result.tokens;
 
     res.status(200).json({
       success: true,
-      message: 'Authentication successful',
+      message: 'Token refreshed',
       data: {
-        user: {
-          id: user.id,
-          phoneNumber: user.phoneNumber,
-          name: user.name,
-          industry: user.industry,
-          experienceLevel: user.experienceLevel,
-          targetRoles: user.targetRoles,
-          totalSessions: user.totalSessions,
-          averageScore: user.averageScore
-        },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
-    logger.error('Error in phone authentication:', error);
+    logger.error('Error refreshing token:', error);
     res.status(500).json({
       success: false,
-      error: 'Authentication failed'
+      error: 'Failed to refresh token'
     });
   }
 });
 
-// Logout (client-side token removal, but we can log it)
+// Logout: revokes the access token and the refresh tokens of this login
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
+
+    await tokenService.logout(req.tokenPayload);
     
     logger.info('User logged out', { userId: user.id });
 
@@ -248,4 +407,26 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Log out all devices: revokes every session of the user, including this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    await tokenService.logout(req.tokenPayload, 'logout_all');
+    const sessions = await tokenService.logoutAll(user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { revokedSessions: sessions }
+    });
+  } catch (error) {
+    logger.error('Error logging out all devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
 module.exports = router;
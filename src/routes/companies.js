@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { User, CompanyPack, ScoringRubric, AuditLog } = require('../database/models');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const MAX_LIST_ITEMS = 20;
+
+// Every signed-in user can browse active packs; coaches and admins maintain them
+router.use(authenticateToken);
+const staffOnly = authorizeRoles('coach', 'admin');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const audit = (req, action, targetId, details) => AuditLog.record({
+  actor: req.user,
+  action,
+  targetType: 'company_pack',
+  targetId,
+  details,
+  ipAddress: req.ip
+});
+
+const stringList = (field) => body(field)
+  .optional()
+  .isArray({ max: MAX_LIST_ITEMS })
+  .withMessage(`${field} must be an array of up to ${MAX_LIST_ITEMS} items`)
+  .custom(items => items.every(item => typeof item === 'string' && item.trim().length > 0 && item.length <= 300))
+  .withMessage(`${field} must only contain non-empty strings`);
+
+// Pack fields; name is required when creating
+const packValidators = (creating) => [
+  creating
+    ? body('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters')
+    : body('name').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('industry').optional({ nullable: true }).isIn(User.INDUSTRIES).withMessage('Valid industry is required'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  stringList('aliases'),
+  stringList('values'),
+  stringList('questionThemes'),
+  body('interviewStages')
+    .optional()
+    .isArray({ max: MAX_LIST_ITEMS })
+    .custom(stages => stages.every(stage =>
+      stage && typeof stage.name === 'string' && stage.name.trim().length > 0 &&
+      (stage.description === undefined || typeof stage.description === 'string')
+    ))
+    .withMessage('Each interview stage needs a name and an optional description'),
+  body('rubric')
+    .optional()
+    .isArray({ max: MAX_LIST_ITEMS })
+    .custom(rubric => rubric.every(criterion =>
+      criterion && typeof criterion.name === 'string' && criterion.name.trim().length > 0 &&
+      (criterion.weight === undefined || (typeof criterion.weight === 'number' && criterion.weight > 0)) &&
+      (criterion.keywords === undefined || (Array.isArray(criterion.keywords) && criterion.keywords.every(keyword => typeof keyword === 'string')))
+    ))
+    .withMessage('Each rubric criterion needs a name, a positive weight and optional keywords')
+    .bail()
+    .custom(rubric => new Set(rubric.map(criterion => criterion.name.trim().toLowerCase())).size === rubric.length)
+    .withMessage('Rubric criteria must have different names'),
+  body('rubricId').optional({ nullable: true }).isUUID().withMessage('Scoring rubric ID must be a UUID'),
+  body('isActive').optional().isBoolean()
+];
+
+const EDITABLE_FIELDS = ['name', 'aliases', 'industry', 'description', 'values', 'questionThemes', 'interviewStages', 'rubric', 'rubricId', 'isActive'];
+
+// Stored shape of the request's pack fields
+const readPack = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).forEach(field => {
+    fields[field] = body[field];
+  });
+  if (fields.interviewStages) {
+    fields.interviewStages = fields.interviewStages.map(stage => ({
+      name: stage.name.trim(),
+      description: stage.description || ''
+    }));
+  }
+  if (fields.rubric) {
+    fields.rubric = fields.rubric.map(criterion => ({
+      name: criterion.name.trim(),
+      description: criterion.description || '',
+      weight: criterion.weight || 1,
+      keywords: criterion.keywords || []
+    }));
+  }
+  return fields;
+};
+
+const formatPack = (pack) => ({
+  id: pack.id,
+  name: pack.name,
+  aliases: pack.aliases,
+  industry: pack.industry,
+  description: pack.description,
+  values: pack.values,
+  questionThemes: pack.questionThemes,
+  interviewStages: pack.interviewStages,
+  rubric: pack.rubric,
+  rubricId: pack.rubricId,
+  isActive: pack.isActive,
+  createdAt: pack.createdAt,
+  updatedAt: pack.updatedAt
+});
+
+// Candidates only see active packs
+const findPack = async (req, res) => {
+  const pack = await CompanyPack.findByPk(req.params.companyId);
+  if (!pack || (!pack.isActive && !req.user.hasRole('coach', 'admin'))) {
+    res.status(404).json({ success: false, error: 'Company pack not found' });
+    return null;
+  }
+  return pack;
+};
+
+const isDuplicateName = (error) => error.name === 'SequelizeUniqueConstraintError';
+
+// Sessions for the pack are scored with this rubric (models/ScoringRubric); it must be active
+const hasUnknownRubric = async (req, res) => {
+  if (req.body.rubricId && !(await ScoringRubric.findActiveById(req.body.rubricId))) {
+    res.status(400).json({ success: false, error: 'Scoring rubric not found' });
+    return true;
+  }
+  return false;
+};
+
+// List packs (q matches the name or an alias); staff can include inactive ones
+router.get('/', [
+  query('q').optional().isString().trim(),
+  query('includeInactive').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+  try {
+    const { q, includeInactive } = req.query;
+
+    const whereClause = {};
+    if (!(includeInactive && req.user.hasRole('coach', 'admin'))) {
+      whereClause.isActive = true;
+    }
+    if (q) {
+      whereClause.name = { [Op.iLike]: `%${q}%` };
+    }
+
+    const packs = await CompanyPack.findAll({ where: whereClause, order: [['name', 'ASC']] });
+
+    res.status(200).json({
+      success: true,
+      data: { companies: packs.map(formatPack) }
+    });
+  } catch (error) {
+    logger.error('Error listing company packs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company packs'
+    });
+  }
+});
+
+router.get('/:companyId', [param('companyId').isUUID()], validate, async (req, res) => {
+  try {
+    const pack = await findPack(req, res);
+    if (!pack) return;
+
+    res.status(200).json({
+      success: true,
+      data: { company: formatPack(pack) }
+    });
+  } catch (error) {
+    logger.error('Error fetching company pack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch company pack'
+    });
+  }
+});
+
+router.post('/', staffOnly, packValidators(true), validate, async (req, res) => {
+  try {
+    if (await hasUnknownRubric(req, res)) return;
+
+    const pack = await CompanyPack.create({ ...readPack(req.body), createdBy: req.user.id });
+
+    await audit(req, 'company.create', pack.id, { name: pack.name });
+    logger.info('Company pack created', { companyPackId: pack.id, actorId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Company pack created',
+      data: { company: formatPack(pack) }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ success: false, error: 'A company pack with this name already exists' });
+    }
+    logger.error('Error creating company pack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create company pack'
+    });
+  }
+});
+
+router.put('/:companyId', staffOnly, [param('companyId').isUUID(), ...packValidators(false)], validate, async (req, res) => {
+  try {
+    const pack = await findPack(req, res);
+    if (!pack) return;
+    if (await hasUnknownRubric(req, res)) return;
+
+    const updates = readPack(req.body);
+    const changed = Object.keys(updates).filter(field => JSON.stringify(pack[field]) !== JSON.stringify(updates[field]));
+
+    await pack.update(updates);
+
+    if (changed.length > 0) {
+      await audit(req, 'company.update', pack.id, { fields: changed });
+    }
+    logger.info('Company pack updated', { companyPackId: pack.id, actorId: req.user.id, fields: changed });
+
+    res.status(200).json({
+      success: true,
+      message: 'Company pack updated',
+      data: { company: formatPack(pack) }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ success: false, error: 'A company pack with this name already exists' });
+    }
+    logger.error('Error updating company pack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update company pack'
+    });
+  }
+});
+
+// Deactivate rather than delete: past sessions keep pointing at the pack
+router.delete('/:companyId', staffOnly, [param('companyId').isUUID()], validate, async (req, res) => {
+  try {
+    const pack = await findPack(req, res);
+    if (!pack) return;
+
+    if (!pack.isActive) {
+      return res.status(400).json({ success: false, error: 'Company pack is already inactive' });
+    }
+
+    await pack.update({ isActive: false });
+    await audit(req, 'company.deactivate', pack.id, { name: pack.name });
+    logger.info('Company pack deactivated', { companyPackId: pack.id, actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Company pack deactivated'
+    });
+  } catch (error) {
+    logger.error('Error deactivating company pack:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate company pack'
+    });
+  }
+});
+
+module.exports = router;
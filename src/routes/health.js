@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { sequelize } = require('../database/models');
+const { getProviderName } = require('../services/llm/config');
+const ttsService = require('../services/ttsService');
 const logger = require('../utils/logger');
 
 // Health check endpoint
@@ -55,10 +57,12 @@ router.get('/detailed', async (req, res) => {
     await sequelize.query('SELECT 1');
     
     // Check environment variables
+    const llmProvider = getProviderName();
     const requiredEnvVars = [
       'TWILIO_ACCOUNT_SID',
       'TWILIO_AUTH_TOKEN',
-      'OPENAI_API_KEY'
+      ...(llmProvider === 'openai' ? ['OPENAI_API_KEY'] : []),
+      ...(llmProvider === 'openai_compatible' ? ['LLM_BASE_URL'] : [])
     ];
     
     const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
@@ -74,7 +78,9 @@ router.get('/detailed', async (req, res) => {
         database: 'connected',
         api: 'operational',
         twilio: process.env.TWILIO_ACCOUNT_SID ? 'configured' : 'not_configured',
-        openai: process.env.OPENAI_API_KEY ? 'configured' : 'not_configured'
+        openai: process.env.OPENAI_API_KEY ? 'configured' : 'not_configured',
+        llm: llmProvider,
+        tts: ttsService.getHealth()
       },
       environment: {
         nodeVersion: process.version,
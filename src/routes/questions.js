@@ -0,0 +1,416 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { User, Session, Question, AuditLog } = require('../database/models');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const questionBankService = require('../services/questionBankService');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT = 5000;
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+// The bank holds expected keywords and criteria, so only staff can see it
+router.use(authenticateToken, authorizeRoles('coach', 'admin'));
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const audit = (req, action, targetId, details) => AuditLog.record({
+  actor: req.user,
+  action,
+  targetType: 'question',
+  targetId,
+  details,
+  ipAddress: req.ip
+});
+
+const stringList = (field) => body(field)
+  .optional()
+  .isArray({ max: 20 })
+  .withMessage(`${field} must be an array of up to 20 items`)
+  .custom(items => items.every(item => typeof item === 'string' && item.length <= 300))
+  .withMessage(`${field} must only contain strings`);
+
+// Question fields; text is required when creating
+const questionValidators = (creating) => [
+  creating
+    ? body('text').isString().trim().isLength({ min: 10, max: 1000 }).withMessage('Text must be between 10 and 1000 characters')
+    : body('text').optional().isString().trim().isLength({ min: 10, max: 1000 }).withMessage('Text must be between 10 and 1000 characters'),
+  body('category').optional().isIn(Question.CATEGORIES).withMessage(`Category must be one of ${Question.CATEGORIES.join(', ')}`),
+  body('difficulty').optional().isIn(Question.DIFFICULTIES).withMessage(`Difficulty must be one of ${Question.DIFFICULTIES.join(', ')}`),
+  body('industry').optional({ nullable: true }).isIn(User.INDUSTRIES).withMessage('Valid industry is required'),
+  body('roleLevel').optional({ nullable: true }).isIn(User.EXPERIENCE_LEVELS).withMessage('Valid role level is required'),
+  stringList('tags'),
+  stringList('expectedKeywords'),
+  stringList('evaluationCriteria'),
+  body('isActive').optional().isBoolean()
+];
+
+const filters = [
+  query('q').optional().isString().trim(),
+  query('category').optional().isIn(Question.CATEGORIES),
+  query('difficulty').optional().isIn(Question.DIFFICULTIES),
+  query('industry').optional().isIn(User.INDUSTRIES),
+  query('roleLevel').optional().isIn(User.EXPERIENCE_LEVELS),
+  query('tag').optional().isString().trim(),
+  query('source').optional().isIn(['curated', 'imported', 'generated']),
+  query('includeInactive').optional().isBoolean().toBoolean()
+];
+
+// Filters for lists and exports. industry and roleLevel also match questions for any industry or level.
+const buildWhere = ({ q, category, difficulty, industry, roleLevel, tag, source, includeInactive }) => {
+  const whereClause = {};
+  if (!includeInactive) whereClause.isActive = true;
+  if (category) whereClause.category = category;
+  if (difficulty) whereClause.difficulty = difficulty;
+  if (source) whereClause.source = source;
+  if (industry) whereClause.industry = { [Op.or]: [null, industry] };
+  if (roleLevel) whereClause.roleLevel = { [Op.or]: [null, roleLevel] };
+  if (q) whereClause.text = { [Op.iLike]: `%${q}%` };
+  if (tag) whereClause[Op.and] = [Question.whereTagged(tag)];
+  return whereClause;
+};
+
+const formatQuestion = (question, { withHistory = false } = {}) => ({
+  id: question.id,
+  text: question.text,
+  category: question.category,
+  difficulty: question.difficulty,
+  industry: question.industry,
+  roleLevel: question.roleLevel,
+  tags: question.tags,
+  expectedKeywords: question.expectedKeywords,
+  evaluationCriteria: question.evaluationCriteria,
+  version: question.version,
+  history: withHistory ? question.history : undefined,
+  source: question.source,
+  sourceSessionId: question.sourceSessionId,
+  usageCount: question.usageCount,
+  lastUsedAt: question.lastUsedAt,
+  isActive: question.isActive,
+  createdAt: question.createdAt,
+  updatedAt: question.updatedAt
+});
+
+const findQuestion = async (req, res) => {
+  const question = await Question.findByPk(req.params.questionId);
+  if (!question) {
+    res.status(404).json({ success: false, error: 'Question not found' });
+    return null;
+  }
+  return question;
+};
+
+// Import files are kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 }
+});
+
+const IMPORT_ERRORS = {
+  unsupported_format: 'Unsupported file type. Upload a .json or .csv file',
+  invalid_json: 'The file is not valid JSON. Send an array of questions or { "questions": [...] }',
+  invalid_csv: 'The file is not valid CSV',
+  missing_columns: 'The CSV header needs a text or id column',
+  no_records: 'The file has no questions',
+  too_many_records: 'Import up to 1000 questions at a time'
+};
+
+// A file in the "file" field of a multipart form; JSON bodies pass through
+const receiveImport = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large (2 MB maximum)' : 'Invalid upload'
+      });
+    }
+    next();
+  });
+};
+
+const getImportFormat = ({ originalname, mimetype }) => {
+  const extension = path.extname(originalname || '').toLowerCase();
+  if (extension === '.json' || mimetype === 'application/json') return 'json';
+  if (extension === '.csv' || mimetype === 'text/csv') return 'csv';
+  return null;
+};
+
+// List and search questions (q matches the text)
+router.get('/', [
+  ...filters,
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], validate, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const questions = await Question.findAndCountAll({
+      where: buildWhere(req.query),
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        questions: questions.rows.map(question => formatQuestion(question)),
+        pagination: { total: questions.count, limit, offset }
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch questions'
+    });
+  }
+});
+
+// Download the (filtered) bank as JSON or CSV; the file can be imported again
+router.get('/export', [
+  ...filters,
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], validate, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    const questions = await Question.findAll({
+      where: buildWhere(req.query),
+      order: [['createdAt', 'ASC']],
+      limit: MAX_EXPORT
+    });
+
+    const fileName = `questions-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').status(200).send(questionBankService.toCsv(questions));
+    }
+
+    res.status(200).json({
+      questions: questions.map(question => {
+        const { history, usageCount, lastUsedAt, createdAt, updatedAt, ...exported } = formatQuestion(question);
+        return exported;
+      })
+    });
+  } catch (error) {
+    logger.error('Error exporting questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export questions'
+    });
+  }
+});
+
+// Add questions from a .json or .csv file, or { questions: [...] } as JSON
+router.post('/import', receiveImport, async (req, res) => {
+  try {
+    let parsed;
+    if (req.file) {
+      const format = getImportFormat(req.file);
+      if (!format) {
+        return res.status(400).json({ success: false, error: IMPORT_ERRORS.unsupported_format });
+      }
+      parsed = questionBankService.parseRecords(req.file.buffer.toString('utf8'), format);
+    } else if (Array.isArray(req.body.questions)) {
+      parsed = questionBankService.parseRecords(JSON.stringify(req.body.questions), 'json');
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a file in the "file" field or send { "questions": [...] }'
+      });
+    }
+
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: IMPORT_ERRORS[parsed.error] });
+    }
+
+    const summary = await questionBankService.importQuestions(parsed.records, req.user);
+    await audit(req, 'question.import', null, {
+      fileName: req.file ? req.file.originalname : null,
+      created: summary.created,
+      updated: summary.updated,
+      errors: summary.errors.length
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${summary.created} new and ${summary.updated} updated questions`,
+      data: { import: summary }
+    });
+  } catch (error) {
+    logger.error('Error importing questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import questions'
+    });
+  }
+});
+
+// Copy a question asked in a session into the bank; body fields override the asked question
+router.post('/promote', [
+  body('sessionId').isUUID().withMessage('Valid session ID is required'),
+  body('questionIndex').isInt({ min: 0 }).withMessage('Question index must be 0 or more').toInt(),
+  ...questionValidators(false)
+], validate, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.body.sessionId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const { sessionId, questionIndex, ...overrides } = req.body;
+    const { fields } = questionBankService.readRecord(overrides);
+    const result = await questionBankService.promote(session, questionIndex, fields, req.user);
+
+    if (!result.promoted) {
+      if (result.reason === 'not_found') {
+        return res.status(404).json({ success: false, error: 'Question not found' });
+      }
+      return res.status(409).json({
+        success: false,
+        error: result.reason === 'already_in_bank' ? 'Question came from the bank' : 'The bank already has this question',
+        data: { questionId: result.question ? result.question.id : null }
+      });
+    }
+
+    await audit(req, 'question.promote', result.question.id, { sessionId, questionIndex });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added to the bank',
+      data: { question: formatQuestion(result.question) }
+    });
+  } catch (error) {
+    logger.error('Error promoting question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to promote question'
+    });
+  }
+});
+
+// A question with its earlier versions
+router.get('/:questionId', [param('questionId').isUUID()], validate, async (req, res) => {
+  try {
+    const question = await findQuestion(req, res);
+    if (!question) return;
+
+    res.status(200).json({
+      success: true,
+      data: { question: formatQuestion(question, { withHistory: true }) }
+    });
+  } catch (error) {
+    logger.error('Error fetching question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch question'
+    });
+  }
+});
+
+router.post('/', questionValidators(true), validate, async (req, res) => {
+  try {
+    const { fields } = questionBankService.readRecord(req.body);
+    if (await Question.findByText(fields.text)) {
+      return res.status(409).json({ success: false, error: 'The bank already has this question' });
+    }
+
+    const question = await Question.create({ ...fields, source: 'curated', createdBy: req.user.id });
+
+    await audit(req, 'question.create', question.id, { text: question.text });
+    logger.info('Question created', { questionId: question.id, actorId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question created',
+      data: { question: formatQuestion(question) }
+    });
+  } catch (error) {
+    logger.error('Error creating question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create question'
+    });
+  }
+});
+
+// Changes to the text, category, difficulty, keywords or criteria create a new version
+router.put('/:questionId', [param('questionId').isUUID(), ...questionValidators(false)], validate, async (req, res) => {
+  try {
+    const question = await findQuestion(req, res);
+    if (!question) return;
+
+    const { fields } = questionBankService.readRecord(req.body);
+    if (fields.text) {
+      const duplicate = await Question.findByText(fields.text);
+      if (duplicate && duplicate.id !== question.id) {
+        return res.status(409).json({ success: false, error: 'The bank already has this question' });
+      }
+    }
+
+    const previousVersion = question.version;
+    const changed = await question.revise(fields, req.user.id);
+
+    if (changed.length > 0) {
+      await audit(req, 'question.update', question.id, { fields: changed, fromVersion: previousVersion, toVersion: question.version });
+    }
+    logger.info('Question updated', { questionId: question.id, actorId: req.user.id, fields: changed });
+
+    res.status(200).json({
+      success: true,
+      message: 'Question updated',
+      data: { question: formatQuestion(question, { withHistory: true }) }
+    });
+  } catch (error) {
+    logger.error('Error updating question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update question'
+    });
+  }
+});
+
+// Retire rather than delete: sessions and exports keep referring to the question
+router.delete('/:questionId', [param('questionId').isUUID()], validate, async (req, res) => {
+  try {
+    const question = await findQuestion(req, res);
+    if (!question) return;
+
+    if (!question.isActive) {
+      return res.status(400).json({ success: false, error: 'Question is already retired' });
+    }
+
+    await question.update({ isActive: false });
+    await audit(req, 'question.retire', question.id, { version: question.version });
+    logger.info('Question retired', { questionId: question.id, actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Question retired'
+    });
+  } catch (error) {
+    logger.error('Error retiring question:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retire question'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { ScoringRubric, AuditLog } = require('../database/models');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { DIMENSIONS, CATEGORIES, VOICE_COMPONENTS, SPEECH_RATE_BANDS, DEFAULT_RUBRIC, normalizeRubric } = require('../services/scoring/rubric');
+const logger = require('../utils/logger');
+
+const MAX_LEVELS = 10;
+
+// Every signed-in user can see active rubrics; coaches and admins maintain them
+router.use(authenticateToken);
+const staffOnly = authorizeRoles('coach', 'admin');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const audit = (req, action, targetId, details) => AuditLog.record({
+  actor: req.user,
+  action,
+  targetType: 'scoring_rubric',
+  targetId,
+  details,
+  ipAddress: req.ip
+});
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScore = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+const isWeight = (value) => typeof value === 'number' && value >= 0;
+
+// Rubric fields; name is required when creating. Only the parts that differ
+// from the default rubric need to be sent.
+const rubricValidators = (creating) => [
+  creating
+    ? body('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters')
+    : body('name').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('dimensions')
+    .optional()
+    .isArray({ max: DIMENSIONS.length })
+    .custom(dimensions => dimensions.every(dimension =>
+      dimension && DIMENSIONS.includes(dimension.key) &&
+      (dimension.label === undefined || (typeof dimension.label === 'string' && dimension.label.trim().length > 0 && dimension.label.length <= 100)) &&
+      (dimension.description === undefined || (typeof dimension.description === 'string' && dimension.description.length <= 500))
+    ))
+    .withMessage(`Each dimension needs a key (${DIMENSIONS.join(', ')}) and an optional label and description`)
+    .bail()
+    .custom(dimensions => new Set(dimensions.map(dimension => dimension.key)).size === dimensions.length)
+    .withMessage('Dimensions must have different keys'),
+  body('categoryWeights')
+    .optional()
+    .custom(weights => isObject(weights) && Object.entries(weights).every(([category, categoryWeights]) =>
+      CATEGORIES.includes(category) && isObject(categoryWeights) &&
+      Object.entries(categoryWeights).every(([dimension, weight]) => DIMENSIONS.includes(dimension) && isWeight(weight)) &&
+      Object.values(categoryWeights).some(weight => weight > 0)
+    ))
+    .withMessage(`Category weights map a category (${CATEGORIES.join(', ')}) to non-negative dimension weights, at least one above zero`),
+  body('thresholds')
+    .optional()
+    .custom(thresholds => isObject(thresholds) &&
+      Object.entries(thresholds).every(([name, value]) => ['strength', 'improvement'].includes(name) && isScore(value)))
+    .withMessage('Thresholds are strength and improvement scores between 0 and 100')
+    .bail()
+    .custom(thresholds => {
+      const { strength, improvement } = { ...DEFAULT_RUBRIC.thresholds, ...thresholds };
+      return improvement <= strength;
+    })
+    .withMessage('The improvement threshold cannot be above the strength threshold'),
+  body('levels')
+    .optional()
+    .isArray({ min: 1, max: MAX_LEVELS })
+    .withMessage(`Levels must be an array of 1 to ${MAX_LEVELS} items`)
+    .bail()
+    .custom(levels => levels.every(level =>
+      level && isScore(level.min) && typeof level.label === 'string' && level.label.trim().length > 0 && level.label.length <= 50
+    ))
+    .withMessage('Each level needs a minimum score between 0 and 100 and a label')
+    .bail()
+    .custom(levels => new Set(levels.map(level => level.min)).size === levels.length)
+    .withMessage('Levels must have different minimum scores'),
+  body('voice')
+    .optional()
+    .custom(voice => isObject(voice) &&
+      Object.keys(voice).every(key => ['weights', 'speechRate'].includes(key)) &&
+      (voice.weights === undefined || (isObject(voice.weights) &&
+        Object.entries(voice.weights).every(([component, weight]) => VOICE_COMPONENTS.includes(component) && isWeight(weight)))) &&
+      (voice.speechRate === undefined || (isObject(voice.speechRate) &&
+        Object.entries(voice.speechRate).every(([band, range]) =>
+          SPEECH_RATE_BANDS.includes(band) && Array.isArray(range) && range.length === 2 &&
+          range.every(value => typeof value === 'number' && value >= 0) && range[0] < range[1]
+        )))
+    )
+    .withMessage(`Voice weights are non-negative numbers for ${VOICE_COMPONENTS.join(', ')}; speech rate bands (${SPEECH_RATE_BANDS.join(', ')}) are [low, high] words per minute`),
+  body('isActive').optional().isBoolean()
+];
+
+const EDITABLE_FIELDS = ['name', 'description', 'dimensions', 'categoryWeights', 'thresholds', 'levels', 'voice', 'isActive'];
+
+// Stored shape of the request's rubric fields
+const readRubric = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).forEach(field => {
+    fields[field] = body[field];
+  });
+  if (fields.dimensions) {
+    fields.dimensions = fields.dimensions.map(dimension => {
+      const stored = { key: dimension.key };
+      if (dimension.label) stored.label = dimension.label.trim();
+      if (dimension.description) stored.description = dimension.description;
+      return stored;
+    });
+  }
+  if (fields.levels) {
+    fields.levels = fields.levels.map(level => ({ min: level.min, label: level.label.trim() }));
+  }
+  return fields;
+};
+
+// The complete rubric scoring uses, with the stored record's status
+const formatRubric = (rubric) => ({
+  ...rubric.toRubric(),
+  isActive: rubric.isActive,
+  createdAt: rubric.createdAt,
+  updatedAt: rubric.updatedAt
+});
+
+// Candidates only see active rubrics
+const findRubric = async (req, res) => {
+  const rubric = await ScoringRubric.findByPk(req.params.rubricId);
+  if (!rubric || (!rubric.isActive && !req.user.hasRole('coach', 'admin'))) {
+    res.status(404).json({ success: false, error: 'Scoring rubric not found' });
+    return null;
+  }
+  return rubric;
+};
+
+const isDuplicateName = (error) => error.name === 'SequelizeUniqueConstraintError';
+
+// List rubrics with the default used when none is selected; staff can include inactive ones
+router.get('/', [
+  query('includeInactive').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+  try {
+    const whereClause = {};
+    if (!(req.query.includeInactive && req.user.hasRole('coach', 'admin'))) {
+      whereClause.isActive = true;
+    }
+
+    const rubrics = await ScoringRubric.findAll({ where: whereClause, order: [['name', 'ASC']] });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rubrics: rubrics.map(formatRubric),
+        default: normalizeRubric(DEFAULT_RUBRIC)
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing scoring rubrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scoring rubrics'
+    });
+  }
+});
+
+router.get('/default', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { rubric: normalizeRubric(DEFAULT_RUBRIC) }
+  });
+});
+
+router.get('/:rubricId', [param('rubricId').isUUID()], validate, async (req, res) => {
+  try {
+    const rubric = await findRubric(req, res);
+    if (!rubric) return;
+
+    res.status(200).json({
+      success: true,
+      data: { rubric: formatRubric(rubric) }
+    });
+  } catch (error) {
+    logger.error('Error fetching scoring rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scoring rubric'
+    });
+  }
+});
+
+router.post('/', staffOnly, rubricValidators(true), validate, async (req, res) => {
+  try {
+    const rubric = await ScoringRubric.create({ ...readRubric(req.body), createdBy: req.user.id });
+
+    await audit(req, 'rubric.create', rubric.id, { name: rubric.name });
+    logger.info('Scoring rubric created', { rubricId: rubric.id, actorId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Scoring rubric created',
+      data: { rubric: formatRubric(rubric) }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ success: false, error: 'A scoring rubric with this name already exists' });
+    }
+    logger.error('Error creating scoring rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create scoring rubric'
+    });
+  }
+});
+
+router.put('/:rubricId', staffOnly, [param('rubricId').isUUID(), ...rubricValidators(false)], validate, async (req, res) => {
+  try {
+    const rubric = await findRubric(req, res);
+    if (!rubric) return;
+
+    const updates = readRubric(req.body);
+    const changed = Object.keys(updates).filter(field => JSON.stringify(rubric[field]) !== JSON.stringify(updates[field]));
+
+    await rubric.update(updates);
+
+    if (changed.length > 0) {
+      await audit(req, 'rubric.update', rubric.id, { fields: changed });
+    }
+    logger.info('Scoring rubric updated', { rubricId: rubric.id, actorId: req.user.id, fields: changed });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scoring rubric updated',
+      data: { rubric: formatRubric(rubric) }
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ success: false, error: 'A scoring rubric with this name already exists' });
+    }
+    logger.error('Error updating scoring rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update scoring rubric'
+    });
+  }
+});
+
+// Deactivate rather than delete: sessions keep the rubric they were started with
+router.delete('/:rubricId', staffOnly, [param('rubricId').isUUID()], validate, async (req, res) => {
+  try {
+    const rubric = await findRubric(req, res);
+    if (!rubric) return;
+
+    if (!rubric.isActive) {
+      return res.status(400).json({ success: false, error: 'Scoring rubric is already inactive' });
+    }
+
+    await rubric.update({ isActive: false });
+    await audit(req, 'rubric.deactivate', rubric.id, { name: rubric.name });
+    logger.info('Scoring rubric deactivated', { rubricId: rubric.id, actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scoring rubric deactivated'
+    });
+  } catch (error) {
+    logger.error('Error deactivating scoring rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate scoring rubric'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { User, Session, Progress } = require('../database/models');
+const { User, Session, Progress, CompanyPack, ScoringRubric } = require('../database/models');
 const { authenticateToken } = require('../middleware/auth');
 const openaiService = require('../services/openaiService');
+const documentService = require('../services/documentService');
+const questionBankService = require('../services/questionBankService');
+const difficultyService = require('../services/difficultyService');
+const starAnalysisService = require('../services/starAnalysisService');
+const recordingService = require('../services/recordingService');
 const voiceAnalysisService = require('../services/voiceAnalysisService');
+const scoringService = require('../services/scoringService');
+const rubricService = require('../services/rubricService');
 const logger = require('../utils/logger');
 
+const INITIAL_QUESTION_COUNT = 5; // questions generated when a mock interview starts
+
 // Start new session
 router.post('/start', authenticateToken, [
   body('sessionType')
@@ -17,7 +26,20 @@ router.post('/start', authenticateToken, [
     .isIn(['technology', 'finance', 'healthcare', 'education', 'retail', 'manufacturing', 'consulting', 'non-profit', 'government', 'other']),
   body('roleLevel')
     .optional()
-    .isIn(['entry', 'mid', 'senior', 'executive'])
+    .isIn(['entry', 'mid', 'senior', 'executive']),
+  body('companyPackId')
+    .optional()
+    .isUUID()
+    .withMessage('Company pack ID must be a UUID'),
+  body('rubricId')
+    .optional()
+    .isUUID()
+    .withMessage('Scoring rubric ID must be a UUID'),
+  body('bankQuestions')
+    .optional()
+    .isInt({ min: 0, max: INITIAL_QUESTION_COUNT })
+    .withMessage(`Bank questions must be between 0 and ${INITIAL_QUESTION_COUNT}`)
+    .toInt()
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -31,27 +53,70 @@ router.post('/start', authenticateToken, [
     }
 
     const user = req.user;
-    const { sessionType, industry, roleLevel, callSid } = req.body;
+    const { sessionType, industry, roleLevel, callSid, companyPackId, rubricId, bankQuestions = 0 } = req.body;
+
+    // Company-specific interview: questions and scoring follow the pack
+    let companyPack = null;
+    if (companyPackId) {
+      companyPack = await CompanyPack.findActiveById(companyPackId);
+      if (!companyPack) {
+        return res.status(404).json({
+          success: false,
+          error: 'Company pack not found'
+        });
+      }
+    }
+
+    // Scoring rubric for this session only, ahead of the pack's and the user's
+    let scoringRubric = null;
+    if (rubricId) {
+      scoringRubric = await ScoringRubric.findActiveById(rubricId);
+      if (!scoringRubric) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scoring rubric not found'
+        });
+      }
+    }
 
     // Create new session
     const session = await Session.create({
       userId: user.id,
       sessionType: sessionType,
-      industry: industry || user.industry,
+      industry: industry || (companyPack && companyPack.industry) || user.industry,
       roleLevel: roleLevel || user.experienceLevel,
       callSid: callSid || null,
+      companyPackId: companyPack ? companyPack.id : null,
+      rubricId: scoringRubric ? scoringRubric.id : null,
       status: 'active'
     });
 
-    // Generate initial questions if it's a mock interview
+    // Initial questions for a mock interview: bankQuestions from the question
+    // bank, the rest generated
     let questions = [];
     if (sessionType === 'mock_interview') {
-      questions = await openaiService.generateInterviewQuestions({
+      const difficulty = difficultyService.getStartLevel(user);
+      const bank = await questionBankService.pickQuestions({
         industry: session.industry,
-        experienceLevel: session.roleLevel,
-        questionCount: 5
+        roleLevel: session.roleLevel,
+        count: bankQuestions,
+        difficulty
       });
 
+      let generated = [];
+      if (bank.length < INITIAL_QUESTION_COUNT) {
+        generated = await openaiService.generateInterviewQuestions({
+          industry: session.industry,
+          experienceLevel: session.roleLevel,
+          questionCount: INITIAL_QUESTION_COUNT - bank.length,
+          difficulty,
+          candidateContext: documentService.getCandidateContext(user),
+          companyPack: companyPack ? companyPack.toPromptContext() : null
+        });
+      }
+
+      questions = questionBankService.mixQuestions(generated, bank);
+
       // Add questions to session
       for (const question of questions) {
         await session.addQuestion(question);
@@ -69,6 +134,8 @@ router.post('/start', authenticateToken, [
           sessionType: session.sessionType,
           industry: session.industry,
           roleLevel: session.roleLevel,
+          companyPack: companyPack ? { id: companyPack.id, name: companyPack.name } : null,
+          scoringRubric: scoringRubric ? { id: scoringRubric.id, name: scoringRubric.name } : null,
           status: session.status,
           questions: questions,
           createdAt: session.createdAt
@@ -137,31 +204,49 @@ router.post('/:sessionId/response', authenticateToken, [
       });
     }
 
-    // Analyze voice patterns
-    const voiceAnalysis = voiceAnalysisService.analyzeVoice(text, duration);
-
-    // Analyze response content
+    // Analyze response content, against the company pack's rubric when the session
+    // has one, and voice patterns, both scored with the session's scoring rubric
+    const companyPack = session.companyPackId ? await CompanyPack.findByPk(session.companyPackId) : null;
+    const scoringRubric = await rubricService.resolve({ session, user, companyPack });
+    const voiceAnalysis = voiceAnalysisService.analyzeVoice(text, duration, {}, null, { scoringRubric });
     const analysis = await openaiService.analyzeResponse({
       question: question.text,
       userResponse: text,
       questionCategory: question.category,
-      userProfile: user
+      userProfile: user,
+      companyPack: companyPack ? companyPack.toPromptContext() : null,
+      scoringRubric
     });
 
-    // Add response to session
+    // Behavioral answers are split into STAR components
+    const star = starAnalysisService.analyzeResponse(text, question.category, analysis);
+
+    // Add response to session, keeping its own scores and feedback
     await session.addResponse({
       questionId: questionId,
       text: text,
       timestamp: new Date().toISOString(),
       duration: duration,
       transcription: transcription || text,
-      metrics: voiceAnalysis
+      category: question.category,
+      metrics: voiceAnalysis,
+      scores: analysis.scores,
+      weightedScore: scoringService.scoreAnalysis(analysis, question.category, companyPack ? companyPack.rubric : null, scoringRubric),
+      rubricScores: analysis.rubricScores || null,
+      feedback: analysis.feedback,
+      analysis: analysis.analysis,
+      analysisSource: analysis.source,
+      star,
+      followUp: analysis.followUp || null
     });
 
-    // Update session scores
-    await session.updateScores(analysis.scores);
+    // Update session scores from all answers so far
+    await session.updateScores(scoringService.aggregateResponses(session.responses, scoringRubric) || {});
     await session.updateMetrics(voiceAnalysis.metrics);
-    await session.updateFeedback(analysis.feedback);
+    await session.updateFeedback({
+      ...analysis.feedback,
+      analysisSources: scoringService.summarizeAnalysisSources(session.responses)
+    });
 
     // Update progress tracking
     await updateUserProgress(user.id, analysis.scores, voiceAnalysis);
@@ -178,7 +263,11 @@ router.post('/:sessionId/response', authenticateToken, [
       data: {
         analysis: {
           scores: analysis.scores,
+          rubricScores: analysis.rubricScores || null,
           feedback: analysis.feedback,
+          source: analysis.source,
+          followUp: analysis.followUp || null,
+          star,
           voiceAnalysis: voiceAnalysis.overall
         },
         nextQuestion: getNextQuestion(session, questionId)
@@ -318,6 +407,7 @@ router.get('/:sessionId/analytics', authenticateToken, async (req, res) => {
     }
 
     // Generate analytics
+    const scoringRubric = await rubricService.resolve({ session, user });
     const analytics = {
       performance: {
         overallScore: session.scores?.overall || 0,
@@ -334,6 +424,11 @@ router.get('/:sessionId/analytics', authenticateToken, async (req, res) => {
         confidence: session.metrics?.confidenceLevel || 0,
         clarity: session.metrics?.clarity || 0
       },
+      scoringRubric: rubricService.summarize(scoringRubric),
+      questions: scoringService.buildQuestionBreakdown(session.questions || [], session.responses || [], scoringRubric),
+      difficulty: difficultyService.summarize(session),
+      star: starAnalysisService.summarize(session),
+      analysisSources: scoringService.summarizeAnalysisSources(session.responses || []),
       progress: {
         questionsAnswered: session.responses?.length || 0,
         totalQuestions: session.questions?.length || 0,
@@ -341,7 +436,7 @@ router.get('/:sessionId/analytics', authenticateToken, async (req, res) => {
           (session.responses?.length / session.questions.length) * 100 : 0
       },
       insights: generateSessionInsights(session),
-      recommendations: await generateSessionRecommendations(session, user)
+      recommendations: await generateSessionRecommendations(session, user, scoringRubric)
     };
 
     res.status(200).json({
@@ -357,6 +452,52 @@ router.get('/:sessionId/analytics', authenticateToken, async (req, res) => {
   }
 });
 
+// Replay the recording of one of the caller's own phone answers (index is 0-based)
+router.get('/:sessionId/responses/:index/audio', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const { sessionId } = req.params;
+
+    const session = await Session.findByPk(sessionId);
+    if (!session || session.userId !== user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const index = /^\d+$/.test(req.params.index) ? parseInt(req.params.index, 10) : -1;
+    const response = (session.responses || [])[index];
+    if (!response || !response.recording || !response.recording.filename) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      });
+    }
+
+    const audio = await recordingService.read(response.recording);
+    if (!audio) {
+      return res.status(410).json({
+        success: false,
+        error: 'Recording is no longer available'
+      });
+    }
+
+    res.set({
+      'Content-Type': recordingService.getContentType(response.recording),
+      'Content-Length': audio.length,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(audio);
+  } catch (error) {
+    logger.error('Error fetching answer recording:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recording'
+    });
+  }
+});
+
 // Helper functions
 async function updateUserProgress(userId, scores, voiceAnalysis) {
   try {
@@ -391,15 +532,17 @@ async function generateSessionSummary(session, user) {
   try {
     const responses = session.responses || [];
     const scores = session.scores || {};
+    const scoringRubric = await rubricService.resolve({ session, user });
     
     return {
       totalQuestions: session.questions?.length || 0,
       questionsAnswered: responses.length,
       averageScore: scores.overall || 0,
-      strengths: identifyStrengths(scores),
-      areasForImprovement: identifyWeaknesses(scores),
+      scoringRubric: rubricService.summarize(scoringRubric),
+      strengths: scoringService.identifyStrengths(scores, scoringRubric),
+      areasForImprovement: scoringService.identifyWeaknesses(scores, scoringRubric),
       keyInsights: generateKeyInsights(session),
-      nextSteps: await generateNextSteps(user, scores)
+      nextSteps: await generateNextSteps(user, scores, scoringRubric)
     };
   } catch (error) {
     logger.error('Error generating session summary:', error);
@@ -415,30 +558,6 @@ async function generateSessionSummary(session, user) {
   }
 }
 
-function identifyStrengths(scores) {
-  const strengths = [];
-  const scoreThreshold = 80;
-
-  if (scores.content >= scoreThreshold) strengths.push('Content Quality');
-  if (scores.structure >= scoreThreshold) strengths.push('Answer Structure');
-  if (scores.communication >= scoreThreshold) strengths.push('Communication');
-  if (scores.industryKnowledge >= scoreThreshold) strengths.push('Industry Knowledge');
-
-  return strengths;
-}
-
-function identifyWeaknesses(scores) {
-  const weaknesses = [];
-  const improvementThreshold = 70;
-
-  if (scores.content < improvementThreshold) weaknesses.push('Content Quality');
-  if (scores.structure < improvementThreshold) weaknesses.push('Answer Structure');
-  if (scores.communication < improvementThreshold) weaknesses.push('Communication');
-  if (scores.industryKnowledge < improvementThreshold) weaknesses.push('Industry Knowledge');
-
-  return weaknesses;
-}
-
 function generateKeyInsights(session) {
   const insights = [];
   const scores = session.scores || {};
@@ -463,22 +582,23 @@ function generateKeyInsights(session) {
   return insights;
 }
 
-async function generateNextSteps(user, scores) {
+async function generateNextSteps(user, scores, scoringRubric) {
   const nextSteps = [];
+  const { improvement } = scoringRubric.thresholds;
 
-  if (scores.content < 70) {
+  if (scores.content < improvement) {
     nextSteps.push('Practice using the STAR method for behavioral questions');
   }
 
-  if (scores.structure < 70) {
+  if (scores.structure < improvement) {
     nextSteps.push('Focus on organizing answers with clear beginning, middle, and end');
   }
 
-  if (scores.communication < 70) {
+  if (scores.communication < improvement) {
     nextSteps.push('Practice speaking clearly and at an appropriate pace');
   }
 
-  if (scores.industryKnowledge < 70) {
+  if (scores.industryKnowledge < improvement) {
     nextSteps.push('Review industry-specific knowledge and terminology');
   }
 
@@ -513,15 +633,16 @@ function generateSessionInsights(session) {
   return insights;
 }
 
-async function generateSessionRecommendations(session, user) {
+async function generateSessionRecommendations(session, user, scoringRubric) {
   try {
     const scores = session.scores || {};
     const weaknesses = [];
+    const { improvement } = scoringRubric.thresholds;
 
-    if (scores.content < 70) weaknesses.push('content');
-    if (scores.structure < 70) weaknesses.push('structure');
-    if (scores.communication < 70) weaknesses.push('communication');
-    if (scores.industryKnowledge < 70) weaknesses.push('industry knowledge');
+    if (scores.content < improvement) weaknesses.push('content');
+    if (scores.structure < improvement) weaknesses.push('structure');
+    if (scores.communication < improvement) weaknesses.push('communication');
+    if (scores.industryKnowledge < improvement) weaknesses.push('industry knowledge');
 
     if (weaknesses.length > 0) {
       return await openaiService.generateCoachingRecommendations({
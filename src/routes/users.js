@@ -1,8 +1,12 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { User, Session, Progress } = require('../database/models');
 const { authenticateToken } = require('../middleware/auth');
+const { hasProvider } = require('../services/tts');
+const tokenService = require('../services/tokenService');
+const documentService = require('../services/documentService');
 const logger = require('../utils/logger');
 
 // Get user profile
@@ -18,10 +22,16 @@ router.get('/profile', authenticateToken, async (req, res) => {
           phoneNumber: user.phoneNumber,
           name: user.name,
           email: user.email,
+          role: user.role,
           industry: user.industry,
           experienceLevel: user.experienceLevel,
           targetRoles: user.targetRoles,
           preferences: user.preferences,
+          pinEnabled: user.hasPin(),
+          documents: {
+            resume: documentService.summarize(user.resume),
+            jobDescription: documentService.summarize(user.jobDescription)
+          },
           totalSessions: user.totalSessions,
           averageScore: user.averageScore,
           lastActiveAt: user.lastActiveAt,
@@ -63,7 +73,11 @@ router.put('/profile', authenticateToken, [
   body('preferences')
     .optional()
     .isObject()
-    .withMessage('Preferences must be an object')
+    .withMessage('Preferences must be an object'),
+  body('preferences.voice.provider')
+    .optional()
+    .custom(hasProvider)
+    .withMessage('Unknown voice provider')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -120,6 +134,204 @@ router.put('/profile', authenticateToken, [
   }
 });
 
+// Set or change the PIN asked for when calling in
+router.put('/pin', authenticateToken, [
+  body('pin')
+    .isString()
+    .matches(/^\d{4,8}$/)
+    .withMessage('PIN must be 4 to 8 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    await user.setPin(req.body.pin);
+
+    logger.info('Call PIN set', { userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'PIN set. You will be asked for it when you call.',
+      data: { pinEnabled: true }
+    });
+  } catch (error) {
+    logger.error('Error setting PIN:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set PIN'
+    });
+  }
+});
+
+// Remove the PIN; calls from the registered number are then recognised without one
+router.delete('/pin', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    await user.setPin(null);
+
+    logger.info('Call PIN removed', { userId: user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'PIN removed',
+      data: { pinEnabled: false }
+    });
+  } catch (error) {
+    logger.error('Error removing PIN:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove PIN'
+    });
+  }
+});
+
+// Uploads are kept in memory; only the extracted text is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: documentService.MAX_FILE_BYTES, files: 1 }
+});
+
+// URL segment -> document kind on the user
+const DOCUMENT_PATHS = { resume: 'resume', 'job-description': 'jobDescription' };
+const DOCUMENT_LABELS = { resume: 'Resume', jobDescription: 'Job description' };
+
+const DOCUMENT_ERRORS = {
+  unsupported_format: 'Unsupported file type. Upload a .txt, .md or .pdf file',
+  too_large: 'File is too large (5 MB maximum)',
+  no_text: 'No readable text found in the document'
+};
+
+// A file in the "file" field of a multipart form; JSON bodies pass through
+const receiveDocument = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? DOCUMENT_ERRORS.too_large : 'Invalid upload'
+      });
+    }
+    next();
+  });
+};
+
+// Upload a resume or target job description (.txt, .md or .pdf file, or the text as JSON)
+router.put('/:document(resume|job-description)', authenticateToken, receiveDocument, [
+  body('text')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage('Text must be between 1 and 100000 characters'),
+  body('format')
+    .optional()
+    .isIn(['text', 'markdown'])
+    .withMessage('Format must be text or markdown')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const kind = DOCUMENT_PATHS[req.params.document];
+
+    let source;
+    if (req.file) {
+      source = { buffer: req.file.buffer, fileName: req.file.originalname, mimeType: req.file.mimetype };
+    } else if (req.body.text) {
+      source = { buffer: Buffer.from(req.body.text, 'utf8'), mimeType: req.body.format === 'markdown' ? 'text/markdown' : 'text/plain' };
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload a file in the "file" field or send the text'
+      });
+    }
+
+    const extraction = documentService.extractText(source);
+    if (!extraction.extracted) {
+      return res.status(400).json({
+        success: false,
+        error: DOCUMENT_ERRORS[extraction.reason]
+      });
+    }
+
+    const document = await documentService.saveDocument(user, kind, {
+      text: extraction.text,
+      format: extraction.format,
+      fileName: source.fileName || null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${DOCUMENT_LABELS[kind]} saved`,
+      data: { [kind]: documentService.summarize(document) }
+    });
+  } catch (error) {
+    logger.error('Error saving document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save document'
+    });
+  }
+});
+
+// Details extracted from the uploaded resume and job description
+router.get('/documents', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resume: documentService.summarize(user.resume),
+        jobDescription: documentService.summarize(user.jobDescription)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents'
+    });
+  }
+});
+
+// Remove an uploaded document; questions are then generated without it
+router.delete('/:document(resume|job-description)', authenticateToken, async (req, res) => {
+  try {
+    const kind = DOCUMENT_PATHS[req.params.document];
+
+    if (!(await documentService.removeDocument(req.user, kind))) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${DOCUMENT_LABELS[kind].toLowerCase()} uploaded`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${DOCUMENT_LABELS[kind]} removed`
+    });
+  } catch (error) {
+    logger.error('Error removing document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove document'
+    });
+  }
+});
+
 // Get user sessions
 router.get('/sessions', authenticateToken, async (req, res) => {
   try {
@@ -300,6 +512,10 @@ router.delete('/account', authenticateToken, async (req, res) => {
     user.isActive = false;
     await user.save();
 
+    // End every login, including the one making this request
+    await tokenService.logout(req.tokenPayload, 'account_deactivated');
+    await tokenService.logoutAll(user.id, 'account_deactivated');
+
     logger.info('User account deactivated', { userId: user.id });
 
     res.status(200).json({
@@ -1,11 +1,16 @@
 const express = require('express');
+const twilio = require('twilio');
 const router = express.Router();
 const twilioService = require('../services/twilioService');
-const openaiService = require('../services/openaiService');
-const voiceAnalysisService = require('../services/voiceAnalysisService');
-const { User, Session } = require('../database/models');
+const callFlowService = require('../services/callFlowService');
+const { Session } = require('../database/models');
+const { verifyTwilioSignature } = require('../middleware/twilioWebhook');
+const { getSystemPrompt } = require('../flows/promptCatalog');
 const logger = require('../utils/logger');
 
+// Reject any callback that is not signed by Twilio
+router.use(verifyTwilioSignature);
+
 // GET handler for testing (browser access)
 router.get('/voice', (req, res) => {
   res.json({
@@ -18,34 +23,47 @@ router.get('/voice', (req, res) => {
   });
 });
 
+// Read Twilio params, falling back to the query string we append to redirect URLs
+function getCallParams(req) {
+  const params = twilioService.parseWebhookParams(req);
+  return {
+    ...params,
+    callSid: params.callSid || req.query.callSid,
+    from: params.from || req.query.from,
+    questionId: req.query.questionId
+  };
+}
+
+function sendTwiML(res, twiml) {
+  if (!res.headersSent) {
+    res.type('text/xml');
+    res.send(twiml);
+  }
+}
+
+// Last-resort TwiML that does not depend on TTS providers
+function technicalIssueTwiML() {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say({ voice: 'alice' }, getSystemPrompt('technicalIssue'));
+  twiml.hangup();
+  return twiml.toString();
+}
+
 // Twilio voice webhook - handles incoming calls
 router.post('/voice', async (req, res) => {
   try {
-    const params = twilioService.parseWebhookParams(req);
+    const params = getCallParams(req);
     logger.info('Incoming call received', { callSid: params.callSid, from: params.from });
 
-    // Generate welcome message and main menu
-    const welcomeMessage = `Welcome to AI Interview Coaching. I'm your personal interview coach. 
-      Press 1 for a mock interview, press 2 for coaching tips, or press 3 to speak to a representative. 
-      What would you like to do today?`;
-
-    const twiml = await twilioService.generateTwiMLResponse({
-      message: welcomeMessage,
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/menu`,
-      timeout: 10
-    });
-
-    res.type('text/xml');
-    res.send(twiml);
+    // Identify the caller before anything else (PIN, onboarding or welcome back)
+    const twiml = await callFlowService.startCall(params);
+    sendTwiML(res, twiml);
   } catch (error) {
     logger.error('Error handling voice webhook:', error);
     
-    const errorTwiml = await twilioService.generateHangupTwiML(
-      'Sorry, we are experiencing technical difficulties. Please try again later.'
-    );
+    const errorTwiml = await twilioService.generateHangupTwiML(getSystemPrompt('technicalDifficulties'));
     
-    res.type('text/xml');
-    res.send(errorTwiml);
+    sendTwiML(res, errorTwiml);
   }
 });
 
@@ -59,1165 +77,139 @@ router.get('/menu', (req, res) => {
 });
 
 // Handle menu selection
-router.post('/menu', async (req, res) => {
-  try {
-    const params = twilioService.parseWebhookParams(req);
-    const userInput = params.speechResult || params.digits;
-    
-    logger.info('Menu selection received', { callSid: params.callSid, input: userInput });
+async function handleMenu(req, res) {
+  const menuId = req.params.menuId || callFlowService.definition.entry;
 
-    // Set timeout to respond within 8 seconds
-    const timeout = setTimeout(() => {
-      if (!res.headersSent) {
-        logger.error('Menu processing timeout - responding with default');
-        const defaultTwiml = new (require('twilio')).twiml.VoiceResponse();
-        defaultTwiml.say('Please hold.');
-        res.type('text/xml');
-        res.send(defaultTwiml.toString());
-      }
-    }, 8000);
-
-    let response;
-
-    if (userInput && (userInput.includes('1') || userInput.toLowerCase().includes('mock interview'))) {
-      // Start mock interview - RESPOND IMMEDIATELY with redirect
-      response = await twilioService.generateTwiMLResponse({
-        message: 'Great! Let me start your mock interview. Please hold while I prepare your first question.',
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/start-interview?from=${params.from}&callSid=${params.callSid}`,
-        timeout: 1,
-        redirect: true // Use redirect instead of gather
-      });
-      
-      // Process setup in background (don't await)
-      setupMockInterviewAsync(params).catch(err => {
-        logger.error('Failed to setup mock interview:', err);
-      });
-      
-    } else if (userInput && (userInput.includes('2') || userInput.toLowerCase().includes('coaching'))) {
-      // Start coaching session - RESPOND IMMEDIATELY with redirect
-      response = await twilioService.generateTwiMLResponse({
-        message: 'Great! Let me start your coaching session. Please hold while I prepare.',
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/start-coaching?from=${params.from}&callSid=${params.callSid}`,
-        timeout: 1,
-        redirect: true // Use redirect instead of gather
-      });
-      
-      // Process setup in background
-      setupCoachingAsync(params).catch(err => {
-        logger.error('Failed to setup coaching:', err);
-      });
-      
-    } else if (userInput && (userInput.includes('3') || userInput.toLowerCase().includes('representative'))) {
-      // Transfer to representative
-      response = handleRepresentativeTransfer(params);
-    } else {
-      // Invalid selection or timeout - repeat menu
-      const twiml = new (require('twilio')).twiml.VoiceResponse();
-      twiml.say({ voice: 'alice' }, 'I didn\'t understand that. Let me repeat the options. Press 1 for a mock interview, press 2 for coaching tips, or press 3 to speak to a representative.');
-      twiml.gather({
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/menu`,
-        timeout: 15,
-        input: ['speech', 'dtmf']
-      });
-      response = twiml.toString();
-    }
-
-    clearTimeout(timeout);
+  // Set timeout to respond within 8 seconds
+  const timeout = setTimeout(() => {
     if (!res.headersSent) {
-    res.type('text/xml');
-    res.send(response);
-    }
-  } catch (error) {
-    logger.error('Error handling menu selection:', error);
-    
-    // Quick response - don't hang up
-    if (!res.headersSent) {
-      const errorTwiml = await twilioService.generateTwiMLResponse({
-        message: 'Let me start your mock interview.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/menu`,
-        timeout: 1
-    });
-    
-    res.type('text/xml');
-    res.send(errorTwiml);
+      logger.error('Menu processing timeout - responding with default');
+      const defaultTwiml = new twilio.twiml.VoiceResponse();
+      defaultTwiml.say(getSystemPrompt('pleaseHold'));
+      defaultTwiml.redirect({ method: 'POST' }, callFlowService.menuUrl(menuId));
+      sendTwiML(res, defaultTwiml.toString());
     }
-  }
-});
+  }, 8000);
 
-// Setup mock interview in background (async)
-async function setupMockInterviewAsync(params) {
   try {
-    logger.info('Setting up mock interview in background');
-    
-    // Find or create user
-    let user = await User.findByPhoneNumber(params.from);
-    if (!user) {
-      user = await User.createUser({
-        phoneNumber: params.from,
-        name: 'Interview Candidate',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      });
-    }
-
-    // Create new session
-    await Session.create({
-      userId: user.id,
-      sessionType: 'mock_interview',
-      industry: user.industry,
-      roleLevel: user.experienceLevel,
+    const params = getCallParams(req);
+    logger.info('Menu selection received', {
       callSid: params.callSid,
-      status: 'active'
+      menu: menuId,
+      input: params.speechResult || params.digits
     });
-    
-    logger.info('Mock interview setup complete');
+
+    const twiml = await callFlowService.handleMenuInput(menuId, params);
+    sendTwiML(res, twiml);
   } catch (error) {
-    logger.error('Error in background mock interview setup:', error);
-  }
-}
+    logger.error('Error handling menu selection:', error);
 
-// Setup coaching in background (async)
-async function setupCoachingAsync(params) {
-  try {
-    logger.info('Setting up coaching session in background');
-    
-    // Find or create user
-    let user = await User.findByPhoneNumber(params.from);
-    if (!user) {
-      user = await User.createUser({
-        phoneNumber: params.from,
-        name: 'Interview Candidate',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      });
+    // Quick response - don't hang up, send the caller back to the main menu
+    try {
+      sendTwiML(res, await callFlowService.renderMenu(undefined, { retry: true }));
+    } catch (menuError) {
+      sendTwiML(res, technicalIssueTwiML());
     }
-
-    // Create coaching session
-    await Session.create({
-      userId: user.id,
-      sessionType: 'coaching',
-      industry: user.industry,
-      roleLevel: user.experienceLevel,
-      callSid: params.callSid,
-      status: 'active'
-    });
-    
-    logger.info('Coaching setup complete');
-  } catch (error) {
-    logger.error('Error in background coaching setup:', error);
+  } finally {
+    clearTimeout(timeout);
   }
 }
 
-// New endpoint to start interview after setup
-router.post('/start-interview', async (req, res) => {
-  try {
-    const params = twilioService.parseWebhookParams(req);
-    const callSid = params.callSid || req.query.callSid;
-    const from = params.from || req.query.from;
-    
-    logger.info('Starting interview', { callSid, from });
-
-    // Find or create user
-    let user = await User.findByPhoneNumber(from);
-    if (!user) {
-      user = await User.createUser({
-        phoneNumber: from,
-        name: 'Interview Candidate',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      });
-    }
-
-    // Find or create session
-    let session = await Session.findActiveByCallSid(callSid);
-    if (!session) {
-      session = await Session.create({
-        userId: user.id,
-        sessionType: 'mock_interview',
-        industry: user.industry,
-        roleLevel: user.experienceLevel,
-        callSid: callSid,
-        status: 'active'
-      });
-    }
-
-    // Generate first question
-    const questions = await openaiService.generateInterviewQuestions({
-      industry: user.industry,
-      experienceLevel: user.experienceLevel,
-      questionCount: 1
-    });
-
-    if (questions.length > 0) {
-      const firstQuestion = questions[0];
-      await session.addQuestion(firstQuestion);
+router.post('/menu', handleMenu);
+router.post('/menu/:menuId', handleMenu);
 
-      const message = `Here's your first question: ${firstQuestion.text}. Please take a moment to think, then provide your answer.`;
-
-      const twiml = await twilioService.generateRecordingTwiML({
-        message: message,
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/response`,
-        timeout: 120,
-        finishOnKey: '#',
-        timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/response-timeout`
-      });
-      
-      res.type('text/xml');
-      res.send(twiml);
-    } else {
-      throw new Error('Failed to generate interview questions');
-    }
-  } catch (error) {
-    logger.error('Error starting interview:', error);
-    
-    const errorTwiml = await twilioService.generateRecordingTwiML({
-      message: 'Here\'s your first question: Tell me about yourself. Please provide your response.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/response`,
-      timeout: 120,
-      finishOnKey: '#'
-    });
-    
-    res.type('text/xml');
-    res.send(errorTwiml);
-  }
-});
-
-// New endpoint to start coaching after setup
-router.post('/start-coaching', async (req, res) => {
+// Identity step: PIN entry and onboarding answers for new callers
+router.post('/identity/pin', async (req, res) => {
   try {
-    const params = twilioService.parseWebhookParams(req);
-    const callSid = params.callSid || req.query.callSid;
-    const from = params.from || req.query.from;
-    
-    logger.info('Starting coaching session', { callSid, from });
-
-    // Find or create user
-    let user = await User.findByPhoneNumber(from);
-    if (!user) {
-      user = await User.createUser({
-        phoneNumber: from,
-        name: 'Interview Candidate',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      });
-    }
-
-    // Find or create session
-    let session = await Session.findActiveByCallSid(callSid);
-    if (!session) {
-      session = await Session.create({
-        userId: user.id,
-        sessionType: 'coaching',
-        industry: user.industry,
-        roleLevel: user.experienceLevel,
-        callSid: callSid,
-        status: 'active'
-      });
-    }
-
-    // Generate coaching questions
-    const coachingQuestions = await generateCoachingQuestions(user);
-    if (coachingQuestions.length > 0) {
-      const firstQuestion = coachingQuestions[0];
-      await session.addQuestion(firstQuestion);
-
-      const message = `Here's your first question: ${firstQuestion.text}. Please provide your response.`;
+    const params = getCallParams(req);
+    logger.info('PIN entered', { callSid: params.callSid });
 
-      const twiml = await twilioService.generateRecordingTwiML({
-        message: message,
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-response`,
-        timeout: 120,
-        finishOnKey: '#',
-        timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-timeout`
-      });
-      
-      res.type('text/xml');
-      res.send(twiml);
-    } else {
-      throw new Error('Failed to generate coaching questions');
-    }
+    sendTwiML(res, await callFlowService.handlePinInput(params));
   } catch (error) {
-    logger.error('Error starting coaching:', error);
-    
-    const errorTwiml = await twilioService.generateRecordingTwiML({
-      message: 'Here\'s your first question: Tell me about yourself. Please provide your response.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-response`,
-      timeout: 120,
-      finishOnKey: '#'
-    });
-    
-    res.type('text/xml');
-    res.send(errorTwiml);
+    logger.error('Error verifying PIN:', error);
+    sendTwiML(res, technicalIssueTwiML());
   }
 });
 
-// Handle user response to interview question
-router.post('/response', async (req, res) => {
+router.post('/identity/onboarding/:field', async (req, res) => {
   try {
-    const params = twilioService.parseWebhookParams(req);
-    logger.info('User response received', { callSid: params.callSid });
-
-    // Find active session
-    const session = await Session.findActiveByCallSid(params.callSid);
-    if (!session) {
-      throw new Error('No active session found');
-    }
-
-    // Get user
-    const user = await session.getUser();
-
-    // IMPORTANT: Respond to Twilio immediately to avoid timeout
-    // Use redirect to continue after processing
-    const processingMessage = 'Thank you for that answer. Please hold while I prepare your next question.';
-    const twiml = await twilioService.generateTwiMLResponse({
-      message: processingMessage,
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/continue-interview?callSid=${params.callSid}`,
-      timeout: 1 // Very short timeout to immediately redirect
-    });
-
-    res.type('text/xml');
-    res.send(twiml);
-
-    // Process response asynchronously (don't await)
-    processResponseAsync(session, user, params).catch(error => {
-      logger.error('Async response processing failed:', error);
-    });
+    const params = getCallParams(req);
+    logger.info('Onboarding answer received', { callSid: params.callSid, field: req.params.field });
 
+    sendTwiML(res, await callFlowService.handleOnboardingInput(req.params.field, params));
   } catch (error) {
-    logger.error('Error handling user response:', error);
-    
-    // Quick error response
-    const errorTwiml = await twilioService.generateTwiMLResponse({
-      message: 'Let me continue with your next question.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/continue-interview?callSid=${req.body.CallSid}`,
-      timeout: 1
-    });
-    
-    res.type('text/xml');
-    res.send(errorTwiml);
+    logger.error('Error handling onboarding answer:', error);
+    sendTwiML(res, technicalIssueTwiML());
   }
 });
 
-// New endpoint to continue interview after processing
-router.post('/continue-interview', async (req, res) => {
-  const startTime = Date.now();
-  
+// Company pack chosen from the main menu
+router.post('/company', async (req, res) => {
   try {
-    const params = twilioService.parseWebhookParams(req);
-    const callSid = params.callSid || req.query.callSid;
-    
-    logger.info('Continuing interview', { callSid });
-
-    // Find active session - RELOAD to get latest data
-    const session = await Session.findActiveByCallSid(callSid);
-    if (!session) {
-      throw new Error('No active session found');
-    }
-    
-    // Reload session to get fresh data from database
-    await session.reload();
-
-    // Get user
-    const user = await session.getUser();
-
-    // Check how many questions and responses we have
-    const questions = session.questions || [];
-    const responses = session.responses || [];
-    
-    logger.info('Session state:', { 
-      sessionId: session.id,
-      totalQuestions: questions.length, 
-      totalResponses: responses.length,
-      questionTexts: questions.map(q => q.text.substring(0, 50))
-    });
-
-    // Generate next question or end session
-    let twiml;
-    
-    // END CONDITION: 5 responses received (not just 5 questions asked)
-    if (responses.length >= 5) {
-      // User has answered 5 questions - END INTERVIEW
-      logger.info('✓ Interview complete - 5 responses received, ending session');
-      
-      await endMockInterview(session, user);
-      
-      // Generate final feedback message
-      const overallScore = session.scores?.overall || 0;
-      let feedbackMessage = `Thank you for completing the mock interview! `;
-      
-      if (overallScore > 80) {
-        feedbackMessage += `You performed excellently with an overall score of ${Math.round(overallScore)} out of 100. `;
-      } else if (overallScore > 60) {
-        feedbackMessage += `You performed well with an overall score of ${Math.round(overallScore)} out of 100. `;
-      } else if (overallScore > 0) {
-        feedbackMessage += `Your overall score is ${Math.round(overallScore)} out of 100. `;
-      }
-      
-      feedbackMessage += `Your detailed feedback and analysis has been saved. Check your session history for improvement tips. Have a great day!`;
-      
-      twiml = await twilioService.generateHangupTwiML(feedbackMessage);
-      
-    } else if (questions.length >= 5) {
-      // We have 5 questions but user hasn't answered all yet
-      // This shouldn't happen, but if it does, ask the unanswered question
-      logger.warn('Have 5 questions but only', responses.length, 'responses');
-      
-      if (responses.length < questions.length) {
-        const unansweredQuestion = questions[responses.length];
-        const message = `Here's your next question: ${unansweredQuestion.text}. Please provide your response.`;
-        
-        twiml = await twilioService.generateRecordingTwiML({
-          message: message,
-          action: `${process.env.WEBHOOK_BASE_URL}/webhook/response`,
-          timeout: 120,
-          finishOnKey: '#',
-          timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/response-timeout`
-        });
-      } else {
-        // All 5 answered, end
-        await endMockInterview(session, user);
-        const message = `Thank you for completing the mock interview. Have a great day!`;
-        twiml = await twilioService.generateHangupTwiML(message);
-      }
-      
-    } else {
-      // Need more questions - generate next one with context
-      logger.info(`Generating question ${questions.length + 1} of 5 with OpenAI...`);
-      const nextQuestion = await generateNextQuestion(session, user);
-      
-      if (nextQuestion) {
-        logger.info('✓ Contextual question generated:', { 
-          questionNumber: questions.length + 1,
-          text: nextQuestion.text.substring(0, 100) 
-        });
-        
-        const message = `Here's your next question: ${nextQuestion.text}. Please provide your response.`;
-        
-        twiml = await twilioService.generateRecordingTwiML({
-          message: message,
-          action: `${process.env.WEBHOOK_BASE_URL}/webhook/response`,
-          timeout: 120,
-          finishOnKey: '#',
-          timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/response-timeout`
-        });
-      } else {
-        // Failed to generate question - end gracefully
-        logger.error('Failed to generate question - ending session');
-        await endMockInterview(session, user);
-        const message = `Thank you for your time. Your interview session has been saved. Have a great day!`;
-        twiml = await twilioService.generateHangupTwiML(message);
-      }
-    }
-
-    const duration = Date.now() - startTime;
-    logger.info(`Continue-interview completed in ${duration}ms`);
-
-    res.type('text/xml');
-    res.send(twiml);
+    const params = getCallParams(req);
+    logger.info('Company choice received', { callSid: params.callSid });
 
+    sendTwiML(res, await callFlowService.handleCompanyInput(params));
   } catch (error) {
-    logger.error('Error continuing interview:', error);
-    logger.error('Error stack:', error.stack);
-    
-    // End session gracefully on errors
-    const twiml = new (require('twilio')).twiml.VoiceResponse();
-    twiml.say({ voice: 'alice' }, 'I apologize, but we encountered a technical issue. Thank you for your time. Your responses have been saved. Have a great day!');
-    twiml.hangup();
-    
-    res.type('text/xml');
-    res.send(twiml.toString());
+    logger.error('Error handling company choice:', error);
+    sendTwiML(res, technicalIssueTwiML());
   }
 });
 
-// Async function to process response in background
-async function processResponseAsync(session, user, params) {
-  try {
-    logger.info('Starting async response processing', { sessionId: session.id });
-    
-    // Process response and AI analysis
-    if (params.recordingUrl) {
-      await processRecordedResponse(session, user, params);
-    } else if (params.transcriptionText) {
-      await processTranscribedResponse(session, user, params);
-    }
-    
-    logger.info('Async response processing completed', { sessionId: session.id });
-  } catch (error) {
-    logger.error('Error in async response processing:', error);
-    // Continue anyway - the continue endpoint will handle it
-  }
-}
-
-// Handle response timeout (when user doesn't provide response within time limit)
-router.post('/response-timeout', async (req, res) => {
+// Profile changes from the profile menu: the new value, then its confirmation
+router.post('/profile/:field', async (req, res) => {
   try {
-    const params = twilioService.parseWebhookParams(req);
-    logger.info('Response timeout received', { callSid: params.callSid });
+    const params = getCallParams(req);
+    logger.info('Profile answer received', { callSid: params.callSid, field: req.params.field });
 
-    // Find active session
-    const session = await Session.findActiveByCallSid(params.callSid);
-    if (!session) {
-      throw new Error('No active session found');
-    }
-
-    // Get user
-    const user = await session.getUser();
-
-    // Continue with next question instead of hanging up
-    const responses = session.responses || [];
-    const questions = session.questions || [];
-    
-    if (responses.length < questions.length) {
-      // Still have questions, continue with next one
-      const nextQuestion = questions[responses.length];
-      const message = `No problem, let's continue. Here's your next question: ${nextQuestion.text}. Please provide your response.`;
-      
-      const twiml = await twilioService.generateRecordingTwiML({
-        message: message,
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/response`,
-        timeout: 120,
-        finishOnKey: '#',
-        timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/response-timeout`
-      });
-      
-      res.type('text/xml');
-      res.send(twiml);
-    } else {
-      // End session gracefully
-      await endMockInterview(session, user);
-      const message = `Thank you for your time. Your mock interview session has ended. Have a great day!`;
-      const twiml = await twilioService.generateHangupTwiML(message);
-      
-      res.type('text/xml');
-      res.send(twiml);
-    }
+    sendTwiML(res, await callFlowService.handleProfileInput(req.params.field, params));
   } catch (error) {
-    logger.error('Error handling response timeout:', error);
-    
-    // Continue with a fallback question
-    const twiml = await twilioService.generateRecordingTwiML({
-      message: 'Let\'s continue with your interview. Here\'s your next question: Tell me about yourself. Please provide your response.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/response`,
-      timeout: 120,
-      finishOnKey: '#',
-      timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/response-timeout`
-    });
-    
-    res.type('text/xml');
-    res.send(twiml);
+    logger.error('Error handling profile answer:', error);
+    sendTwiML(res, technicalIssueTwiML());
   }
 });
 
-// Process recorded response
-async function processRecordedResponse(session, user, params) {
-  try {
-    // Get transcription from recording
-    const recordings = await twilioService.getCallRecordings(params.callSid);
-    if (recordings.length > 0) {
-      const transcription = await twilioService.getTranscription(recordings[0].sid);
-      
-      if (transcription && transcription.transcriptionText) {
-        await processTranscribedResponse(session, user, {
-          ...params,
-          transcriptionText: transcription.transcriptionText
-        });
-      }
-    }
-  } catch (error) {
-    logger.error('Error processing recorded response:', error);
-  }
-}
-
-// Process transcribed response
-async function processTranscribedResponse(session, user, params) {
+router.post('/profile/:field/confirm', async (req, res) => {
   try {
-    const transcript = params.transcriptionText;
-    const responses = session.responses || [];
-    const questions = session.questions || [];
-    
-    if (responses.length >= questions.length) {
-      logger.warn('More responses than questions - skipping processing');
-      return;
-    }
+    const params = getCallParams(req);
+    logger.info('Profile change confirmation received', { callSid: params.callSid, field: req.params.field });
 
-    const currentQuestion = questions[responses.length];
-    
-    // PARALLEL PROCESSING: Run analysis simultaneously
-    const [analysis, voiceAnalysis] = await Promise.all([
-      openaiService.analyzeResponse({
-        question: currentQuestion.text,
-        userResponse: transcript,
-        questionCategory: currentQuestion.category,
-        userProfile: user
-      }),
-      Promise.resolve(voiceAnalysisService.analyzeVoice(transcript, 30)) // Voice analysis is synchronous
-    ]);
-
-    // BATCH DATABASE OPERATIONS: Update everything at once
-    const responseData = {
-      questionId: currentQuestion.id,
-      text: transcript,
-      timestamp: new Date().toISOString(),
-      duration: 30, // Estimated duration
-      transcription: transcript,
-      metrics: voiceAnalysis
-    };
-
-    // Update session with all data in one operation
-    await session.update({
-      responses: [...(session.responses || []), responseData],
-      scores: { ...session.scores, ...analysis.scores },
-      metrics: { ...session.metrics, ...voiceAnalysis.metrics },
-      feedback: { ...session.feedback, ...analysis.feedback }
-    });
-
-    logger.info('Response processed successfully', {
-      sessionId: session.id,
-      questionId: currentQuestion.id,
-      scores: analysis.scores
-    });
+    sendTwiML(res, await callFlowService.handleProfileConfirm(req.params.field, req.query.value, params));
   } catch (error) {
-    logger.error('Error processing transcribed response:', error);
+    logger.error('Error confirming profile change:', error);
+    sendTwiML(res, technicalIssueTwiML());
   }
-}
-
-// Generate next question - ALWAYS uses OpenAI, NO fallbacks
-async function generateNextQuestion(session, user) {
-  try {
-    logger.info('=== GENERATE NEXT QUESTION START ===');
-    logger.info('Session ID before reload:', session.id);
-    logger.info('Questions before reload:', (session.questions || []).length);
-    
-    // Reload session to get latest questions from database
-    await session.reload();
-    
-    logger.info('Session reloaded from database');
-    logger.info('Questions after reload:', (session.questions || []).length);
-    
-    const questions = session.questions || [];
-    const responses = session.responses || [];
-    
-    logger.info('Session state:');
-    logger.info('  - Questions count:', questions.length);
-    logger.info('  - Responses count:', responses.length);
-    logger.info('  - Previous questions:');
-    questions.forEach((q, i) => {
-      logger.info(`     ${i+1}. ${q.text.substring(0, 80)}...`);
-    });
-    
-    // Check if we have enough questions (limit to 5 for phone interview)
-    if (questions.length >= 5) {
-      logger.info('✓ Already have 5 questions, returning null to end interview');
-      return null;
-    }
-
-    // Build list of previous question texts and answers for context
-    const previousQuestionTexts = questions.map(q => q.text);
-    const previousAnswerTexts = responses.map(r => r.text || r.transcription || '');
-    
-    logger.info('Preparing OpenAI request:');
-    logger.info('  - Industry:', user.industry);
-    logger.info('  - Experience:', user.experienceLevel);
-    logger.info('  - Previous questions to avoid:', previousQuestionTexts.length);
-    logger.info('  - Previous answers for context:', previousAnswerTexts.length);
-    
-    if (previousQuestionTexts.length > 0) {
-      logger.info('  - Questions to avoid:');
-      previousQuestionTexts.forEach((q, i) => {
-        logger.info(`     ${i+1}. ${q.substring(0, 80)}...`);
-      });
-    }
-
-    // Generate next question with OpenAI - NO TIMEOUT, WITH CONTEXT
-    logger.info('>>> Calling OpenAI API...');
-    const newQuestions = await openaiService.generateInterviewQuestions({
-      industry: user.industry,
-      experienceLevel: user.experienceLevel,
-      questionCount: 1,
-      previousQuestions: previousQuestionTexts,
-      previousAnswers: previousAnswerTexts, // Include answers for context
-      focusAreas: ['behavioral', 'technical']
-    });
-
-    logger.info('<<< OpenAI API returned');
-    logger.info('✓ OpenAI response:', { 
-      questionCount: newQuestions.length,
-      question: newQuestions.length > 0 ? newQuestions[0].text : 'NONE',
-      fullQuestion: newQuestions.length > 0 ? newQuestions[0] : null
-    });
-
-    if (newQuestions.length > 0) {
-      const nextQuestion = newQuestions[0];
-      
-      // Verify it's different from previous questions
-      const isDuplicate = previousQuestionTexts.some(prev => 
-        prev.toLowerCase().trim() === nextQuestion.text.toLowerCase().trim()
-      );
-      
-      if (isDuplicate) {
-        logger.error('⚠️ OpenAI generated duplicate question! Trying again...');
-        // Try one more time with stronger prompt and context
-        const retryQuestions = await openaiService.generateInterviewQuestions({
-          industry: user.industry,
-          experienceLevel: user.experienceLevel,
-          questionCount: 1,
-          previousQuestions: [...previousQuestionTexts, 'CRITICAL: Generate a COMPLETELY DIFFERENT question'],
-          previousAnswers: previousAnswerTexts,
-          focusAreas: ['behavioral', 'technical']
-        });
-        
-        if (retryQuestions.length > 0 && retryQuestions[0].text !== nextQuestion.text) {
-          logger.info('✓ Retry successful, got unique question');
-          return await saveQuestionToSession(session, retryQuestions[0]);
-        } else {
-          logger.warn('Retry also gave duplicate, using it anyway');
-        }
-      }
-      
-      return await saveQuestionToSession(session, nextQuestion);
-    }
-
-    logger.error('❌ OpenAI returned no questions!');
-    return null;
-  } catch (error) {
-    logger.error('❌ Error generating next question:', error);
-    logger.error('Error details:', error.message);
-    logger.error('Stack trace:', error.stack);
-    return null;
-  }
-}
-
-// Helper function to save question to session
-async function saveQuestionToSession(session, question) {
-  logger.info('=== SAVING QUESTION TO SESSION ===');
-  logger.info('Session ID:', session.id);
-  logger.info('Question to add:', question.text);
-  logger.info('Questions before save:', (session.questions || []).length);
-  
-  try {
-    // Add question using the model method
-    await session.addQuestion(question);
-    
-    logger.info('✓ addQuestion() called successfully');
-    
-    // Reload from database to get fresh data
-    await session.reload();
-    
-    const updatedQuestions = session.questions || [];
-    logger.info('✓ Session reloaded from database');
-    logger.info('✓ Total questions after save:', updatedQuestions.length);
-    logger.info('✓ All questions in session:');
-    updatedQuestions.forEach((q, i) => {
-      logger.info(`   ${i+1}. ${q.text.substring(0, 80)}...`);
-    });
-    
-    // Double-check it was actually saved
-    if (updatedQuestions.length === 0) {
-      logger.error('❌ CRITICAL: Questions array is empty after save!');
-      logger.error('Session data:', JSON.stringify(session.toJSON(), null, 2));
-    }
-    
-    return question;
-  } catch (error) {
-    logger.error('❌ Error saving question to session:', error);
-    logger.error('Error stack:', error.stack);
-    throw error;
-  }
-}
-
-// End mock interview session with comprehensive feedback
-async function endMockInterview(session, user) {
-  try {
-    logger.info('=== ENDING MOCK INTERVIEW ===');
-    
-    // Reload session to get all responses
-    await session.reload();
-    
-    const responses = session.responses || [];
-    const questions = session.questions || [];
-    
-    logger.info('Final session data:', {
-      sessionId: session.id,
-      totalQuestions: questions.length,
-      totalResponses: responses.length
-    });
-    
-    // Calculate final scores from all responses
-    if (responses.length > 0) {
-      let totalContentScore = 0;
-      let totalStructureScore = 0;
-      let totalCommunicationScore = 0;
-      let totalIndustryScore = 0;
-      let count = 0;
-      
-      responses.forEach(response => {
-        if (response.scores) {
-          totalContentScore += response.scores.content || 0;
-          totalStructureScore += response.scores.structure || 0;
-          totalCommunicationScore += response.scores.communication || 0;
-          totalIndustryScore += response.scores.industryKnowledge || 0;
-          count++;
-        }
-      });
-      
-      if (count > 0) {
-        const averageScores = {
-          content: Math.round(totalContentScore / count),
-          structure: Math.round(totalStructureScore / count),
-          communication: Math.round(totalCommunicationScore / count),
-          industryKnowledge: Math.round(totalIndustryScore / count),
-          overall: Math.round((totalContentScore + totalStructureScore + totalCommunicationScore + totalIndustryScore) / (count * 4))
-        };
-        
-        await session.updateScores(averageScores);
-        logger.info('Final scores calculated:', averageScores);
-      }
-    }
-    
-    // Complete session
-    await session.completeSession();
-    
-    // Update user stats
-    await user.incrementSessionCount();
-    
-    // Calculate average score
-    const overallScore = session.scores?.overall || 0;
-    if (overallScore > 0) {
-      await user.updateAverageScore(overallScore);
-    }
+});
 
-    logger.info('✓ Mock interview session completed successfully', {
-      sessionId: session.id,
-      userId: user.id,
-      questionsAsked: questions.length,
-      responsesReceived: responses.length,
-      finalScore: overallScore
-    });
-  } catch (error) {
-    logger.error('Error ending mock interview:', error);
-    logger.error('Error details:', error.message);
-  }
-}
+// Run one state of a call flow (mock interview, coaching, assessment, practice...)
+async function handleFlowState(flowId, state, req, res) {
+  const startTime = Date.now();
 
-// Handle coaching tips request
-async function handleCoachingTips(params) {
   try {
-    // Find or create user
-    let user = await User.findByPhoneNumber(params.from);
-    if (!user) {
-      user = await User.createUser({
-        phoneNumber: params.from,
-        name: 'Interview Candidate',
-        industry: 'technology',
-        experienceLevel: 'mid'
-      });
-    }
-
-    // Create coaching session
-    const session = await Session.create({
-      userId: user.id,
-      sessionType: 'coaching',
-      industry: user.industry,
-      roleLevel: user.experienceLevel,
-      callSid: params.callSid,
-      status: 'active'
-    });
-
-    // Generate coaching questions
-    const coachingQuestions = await generateCoachingQuestions(user);
-    if (coachingQuestions.length > 0) {
-      const firstQuestion = coachingQuestions[0];
-      await session.addQuestion(firstQuestion);
+    const params = getCallParams(req);
+    logger.info('Call flow state', { flowId, state, callSid: params.callSid });
 
-      const message = `Great! Let's start your coaching session. I'll ask you questions and provide feedback to help you improve. Here's your first question: ${firstQuestion.text}. Please provide your response.`;
+    const twiml = await callFlowService.handleState(flowId, state, params);
+    sendTwiML(res, twiml);
 
-      return await twilioService.generateRecordingTwiML({
-        message: message,
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-response`,
-        timeout: 120,
-        finishOnKey: '#',
-        timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-timeout`
-      });
-    } else {
-      throw new Error('Failed to generate coaching questions');
-    }
+    logger.info(`${flowId}.${state} completed in ${Date.now() - startTime}ms`);
   } catch (error) {
-    logger.error('Error starting coaching session:', error);
-    throw error;
+    logger.error(`Error handling ${flowId}.${state}:`, error);
+    sendTwiML(res, technicalIssueTwiML());
   }
 }
 
-// Handle coaching response
-router.post('/coaching-response', async (req, res) => {
-  try {
-    const params = twilioService.parseWebhookParams(req);
-    logger.info('Coaching response received', { callSid: params.callSid });
-
-    // Find active coaching session
-    const session = await Session.findActiveByCallSid(params.callSid);
-    if (!session || session.sessionType !== 'coaching') {
-      throw new Error('No active coaching session found');
-    }
-
-    // Get user
-    const user = await session.getUser();
-
-    // IMPORTANT: Respond to Twilio immediately to avoid timeout
-    const processingMessage = 'Thank you for that response. Please hold while I prepare your next question.';
-    const twiml = await twilioService.generateTwiMLResponse({
-      message: processingMessage,
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/continue-coaching?callSid=${params.callSid}`,
-      timeout: 1
-    });
-
-    res.type('text/xml');
-    res.send(twiml);
-
-    // Process response asynchronously
-    processResponseAsync(session, user, params).catch(error => {
-      logger.error('Async coaching response processing failed:', error);
-    });
-
-  } catch (error) {
-    logger.error('Error handling coaching response:', error);
-    
-    // Quick error response
-    const errorTwiml = await twilioService.generateTwiMLResponse({
-      message: 'Let me continue with your next question.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/continue-coaching?callSid=${req.body.CallSid}`,
-      timeout: 1
-    });
-    
-    res.type('text/xml');
-    res.send(errorTwiml);
-  }
+router.post('/flow/:flowId/:state', (req, res) => {
+  handleFlowState(req.params.flowId, req.params.state, req, res);
 });
 
-// New endpoint to continue coaching after processing
-router.post('/continue-coaching', async (req, res) => {
-  try {
-    const params = twilioService.parseWebhookParams(req);
-    const callSid = params.callSid || req.query.callSid;
-    
-    logger.info('Continuing coaching session', { callSid });
-
-    // Find active coaching session
-    const session = await Session.findActiveByCallSid(callSid);
-    if (!session || session.sessionType !== 'coaching') {
-      throw new Error('No active coaching session found');
-    }
-
-    // Get user
-    const user = await session.getUser();
-
-    // Generate next coaching question or end session
-    const nextQuestion = await generateNextCoachingQuestion(session, user);
-    
-    let twiml;
-    if (nextQuestion) {
-      const message = `Here's your next coaching question: ${nextQuestion.text}. Please provide your response.`;
-      
-      twiml = await twilioService.generateRecordingTwiML({
-        message: message,
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-response`,
-        timeout: 120,
-        finishOnKey: '#',
-        timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-timeout`
-      });
-    } else {
-      // End coaching session
-      await endCoachingSession(session, user);
-      const message = `Thank you for completing the coaching session. You've received personalized feedback to help improve your interview skills. Have a great day!`;
-      twiml = await twilioService.generateHangupTwiML(message);
-    }
-
-    res.type('text/xml');
-    res.send(twiml);
-
-  } catch (error) {
-    logger.error('Error continuing coaching session:', error);
-    
-    // Don't hang up on errors, continue with next question
-    const errorTwiml = await twilioService.generateRecordingTwiML({
-      message: 'Here\'s your next coaching question: Tell me about a time when you had to work under pressure. Please provide your response.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-response`,
-      timeout: 120,
-      finishOnKey: '#',
-      timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-timeout`
-    });
-    
-    res.type('text/xml');
-    res.send(errorTwiml);
-  }
-});
-
-// Handle coaching timeout
-router.post('/coaching-timeout', async (req, res) => {
-  try {
-    const params = twilioService.parseWebhookParams(req);
-    logger.info('Coaching timeout received', { callSid: params.callSid });
-
-    // Find active coaching session
-    const session = await Session.findActiveByCallSid(params.callSid);
-    if (!session) {
-      throw new Error('No active coaching session found');
-    }
-
-    // Get user
-    const user = await session.getUser();
-
-    // Continue with next question instead of hanging up
-    const responses = session.responses || [];
-    const questions = session.questions || [];
-    
-    if (responses.length < questions.length) {
-      // Still have questions, continue with next one
-      const nextQuestion = questions[responses.length];
-      const message = `No problem, let's continue. Here's your next coaching question: ${nextQuestion.text}. Please provide your response.`;
-      
-      const twiml = await twilioService.generateRecordingTwiML({
-        message: message,
-        action: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-response`,
-        timeout: 120,
-        finishOnKey: '#',
-        timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-timeout`
-      });
-      
-      res.type('text/xml');
-      res.send(twiml);
-    } else {
-      // End session gracefully
-      await endCoachingSession(session, user);
-      const message = `Thank you for your time. Your coaching session has ended. Have a great day!`;
-      const twiml = await twilioService.generateHangupTwiML(message);
-      
-      res.type('text/xml');
-      res.send(twiml);
-    }
-  } catch (error) {
-    logger.error('Error handling coaching timeout:', error);
-    
-    // Continue with a fallback question
-    const twiml = await twilioService.generateRecordingTwiML({
-      message: 'Let\'s continue with your coaching session. Here\'s your next question: Tell me about yourself. Please provide your response.',
-      action: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-response`,
-      timeout: 120,
-      finishOnKey: '#',
-      timeoutAction: `${process.env.WEBHOOK_BASE_URL}/webhook/coaching-timeout`
-    });
-    
-    res.type('text/xml');
-    res.send(twiml);
-  }
+// Legacy per-flow paths (e.g. /start-interview, /coaching-response)
+callFlowService.getAliases().forEach(({ path, flowId, state }) => {
+  router.post(`/${path}`, (req, res) => {
+    handleFlowState(flowId, state, req, res);
+  });
 });
 
-// Generate coaching questions
-async function generateCoachingQuestions(user) {
-  try {
-    const coachingQuestions = await openaiService.generateInterviewQuestions({
-      industry: user.industry,
-      experienceLevel: user.experienceLevel,
-      questionCount: 3, // Fewer questions for coaching session
-      focusAreas: ['behavioral', 'communication']
-    });
-
-    return coachingQuestions;
-  } catch (error) {
-    logger.error('Error generating coaching questions:', error);
-    
-    // Return fallback coaching questions
-    return [
-      {
-        id: 'coaching_1',
-        text: 'Tell me about yourself and your background.',
-        category: 'behavioral',
-        difficulty: 'medium'
-      },
-      {
-        id: 'coaching_2',
-        text: 'Describe a time when you had to work under pressure.',
-        category: 'behavioral',
-        difficulty: 'medium'
-      },
-      {
-        id: 'coaching_3',
-        text: 'What are your greatest strengths and how do they apply to this role?',
-        category: 'behavioral',
-        difficulty: 'medium'
-      }
-    ];
-  }
-}
-
-// Generate next coaching question
-async function generateNextCoachingQuestion(session, user) {
-  try {
-    const questions = session.questions || [];
-    const responses = session.responses || [];
-    
-    // Check if we have enough questions (limit to 3 for coaching session)
-    if (questions.length >= 3) {
-      return null;
-    }
-
-    // Generate next coaching question
-    const newQuestions = await openaiService.generateInterviewQuestions({
-      industry: user.industry,
-      experienceLevel: user.experienceLevel,
-      questionCount: 1,
-      previousQuestions: questions.map(q => q.text),
-      focusAreas: ['behavioral', 'communication']
-    });
-
-    if (newQuestions.length > 0) {
-      const nextQuestion = newQuestions[0];
-      await session.addQuestion(nextQuestion);
-      return nextQuestion;
-    }
-
-    return null;
-  } catch (error) {
-    logger.error('Error generating next coaching question:', error);
-    return null;
-  }
-}
-
-// End coaching session
-async function endCoachingSession(session, user) {
-  try {
-    // Complete session
-    await session.completeSession();
-    
-    // Update user stats
-    await user.incrementSessionCount();
-    
-    // Calculate average score
-    const overallScore = session.scores?.overall || 0;
-    if (overallScore > 0) {
-      await user.updateAverageScore(overallScore);
-    }
-
-    logger.info('Coaching session completed', {
-      sessionId: session.id,
-      userId: user.id,
-      finalScore: overallScore
-    });
-  } catch (error) {
-    logger.error('Error ending coaching session:', error);
-  }
-}
-
-// Handle representative transfer
-function handleRepresentativeTransfer(params) {
-  const twiml = new (require('twilio')).twiml.VoiceResponse();
-  twiml.say({ voice: 'alice' }, 'I\'m transferring you to a representative. Please hold while I connect you.');
-  
-  // Transfer to your phone number
-  twiml.dial('+18573959451');
-  
-  return twiml.toString();
-}
-
 // Handle call status updates
 router.post('/status', (req, res) => {
   try {
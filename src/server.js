@@ -7,6 +7,7 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const database = require('./database/connection');
+const audioCacheService = require('./services/audioCacheService');
 const errorHandler = require('./middleware/errorHandler');
 
 // Import routes
@@ -16,6 +17,10 @@ const userRoutes = require('./routes/users');
 const sessionRoutes = require('./routes/sessions');
 const healthRoutes = require('./routes/health');
 const audioRoutes = require('./routes/audio');
+const adminRoutes = require('./routes/admin');
+const companyRoutes = require('./routes/companies');
+const questionRoutes = require('./routes/questions');
+const rubricRoutes = require('./routes/rubrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -65,6 +70,10 @@ app.use('/webhook', webhookRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/rubrics', rubricRoutes);
 app.use('/audio', audioRoutes);
 
 // Root endpoint
@@ -78,7 +87,11 @@ app.get('/', (req, res) => {
       webhooks: '/webhook',
       auth: '/api/auth',
       users: '/api/users',
-      sessions: '/api/sessions'
+      sessions: '/api/sessions',
+      admin: '/api/admin',
+      companies: '/api/companies',
+      questions: '/api/questions',
+      rubrics: '/api/rubrics'
     }
   });
 });
@@ -101,19 +114,26 @@ async function startServer() {
     await database.authenticate();
     logger.info('Database connection established successfully');
 
-    // Sync database models
+    // Sync database models (creates missing tables; columns added to existing
+    // tables come from npm run migrate, see database/migrate.js)
     await database.sync({ alter: process.env.NODE_ENV === 'development' });
     logger.info('Database models synchronized');
 
-    // Pre-generate common MurfAI messages (don't block server startup)
-    if (process.env.USE_MURFAI_TTS !== 'false' && process.env.MURF_API_KEY) {
-      logger.info('Pre-generating common MurfAI messages in background...');
+    // Pre-generate audio for static prompts (don't block server startup)
+    if (process.env.PREGENERATE_AUDIO_ON_START !== 'false') {
+      logger.info('Pre-generating prompt audio in background...');
       const twilioService = require('./services/twilioService');
       twilioService.preGenerateCommonMessages().catch(error => {
         logger.warn('Failed to pre-generate messages (will generate on demand):', error.message);
       });
     }
 
+    // Delete answer recordings past their retention period, now and daily
+    require('./services/recordingService').schedulePurge();
+
+    // Drop expired refresh tokens and revoked access tokens, now and daily
+    require('./services/tokenService').schedulePrune();
+
     // Start server
     app.listen(PORT, () => {
       logger.info(`🚀 AI Interview Coaching IVR System running on port ${PORT}`);
@@ -130,12 +150,14 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await audioCacheService.flush();
   await database.close();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await audioCacheService.flush();
   await database.close();
   process.exit(0);
 });
@@ -151,6 +173,9 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-startServer();
+// Only listen when run directly, so tests and the call simulator can load the app
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,171 @@
+// Per-granule levels of an MPEG audio Layer III (MP3) stream, read from the
+// frame headers and side information without decoding the spectrum: a granule
+// with no big-value coefficients is silent, otherwise its global gain (the
+// quantizer step, about 1.5 dB per step) and the number of coefficients it
+// codes give a relative level. Enough to tell speech from silence and compare
+// loudness within one recording, not an absolute measurement.
+
+const VERSIONS = { 0: 'mpeg2.5', 2: 'mpeg2', 3: 'mpeg1' };
+const BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  lsf: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const SAMPLE_RATES = {
+  mpeg1: [44100, 48000, 32000],
+  mpeg2: [22050, 24000, 16000],
+  'mpeg2.5': [11025, 12000, 8000]
+};
+const SAMPLES_PER_GRANULE = 576;
+const SILENT_LEVEL = -96;
+
+class BitReader {
+  constructor(buffer, offset) {
+    this.buffer = buffer;
+    this.position = offset * 8;
+  }
+
+  read(bits) {
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      const byte = this.buffer[this.position >> 3];
+      value = (value << 1) | ((byte >> (7 - (this.position & 7))) & 1);
+      this.position += 1;
+    }
+    return value;
+  }
+
+  skip(bits) {
+    this.position += bits;
+  }
+}
+
+// Length of an ID3v2 tag at the start of the file (10-byte header, syncsafe size)
+const id3Length = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+  const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+};
+
+const parseHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const version = VERSIONS[(buffer[offset + 1] >> 3) & 0x03];
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (!version || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null; // not Layer III, free-format or reserved values
+  }
+
+  const mpeg1 = version === 'mpeg1';
+  const bitrate = BITRATES[mpeg1 ? 'mpeg1' : 'lsf'][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channels = (buffer[offset + 3] >> 6) === 3 ? 1 : 2;
+
+  return {
+    version,
+    mpeg1,
+    crc: (buffer[offset + 1] & 0x01) === 0,
+    sampleRate,
+    channels,
+    granules: mpeg1 ? 2 : 1,
+    length: Math.floor(((mpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding,
+    sideInfoLength: mpeg1 ? (channels === 1 ? 17 : 32) : (channels === 1 ? 9 : 17)
+  };
+};
+
+// { part23Length, bigValues, globalGain } per granule and channel
+const readSideInfo = (buffer, offset, header) => {
+  const reader = new BitReader(buffer, offset);
+  const { mpeg1, channels, granules } = header;
+
+  if (mpeg1) {
+    reader.skip(9 + (channels === 1 ? 5 : 3) + 4 * channels); // main_data_begin, private bits, scfsi
+  } else {
+    reader.skip(8 + (channels === 1 ? 1 : 2));
+  }
+
+  const result = [];
+  for (let granule = 0; granule < granules; granule++) {
+    const entries = [];
+    for (let channel = 0; channel < channels; channel++) {
+      const part23Length = reader.read(12);
+      const bigValues = reader.read(9);
+      const globalGain = reader.read(8);
+      // scalefac_compress, block/table fields, then the trailing flags
+      reader.skip(mpeg1 ? 4 + 1 + 22 + 3 : 9 + 1 + 22 + 2);
+      entries.push({ part23Length, bigValues, globalGain });
+    }
+    result.push(entries);
+  }
+  return result;
+};
+
+const granuleLevel = (entries) => Math.max(...entries.map(({ part23Length, bigValues, globalGain }) => {
+  if (bigValues === 0 && part23Length < 64) {
+    return SILENT_LEVEL;
+  }
+  return 1.505 * (globalGain - 210) + 10 * Math.log10(Math.max(1, bigValues * 2));
+}));
+
+const isMp3 = (buffer) => {
+  const start = id3Length(buffer);
+  const header = parseHeader(buffer, start);
+  return Boolean(header) && Boolean(parseHeader(buffer, start + header.length) || start + header.length >= buffer.length);
+};
+
+// { format, sampleRate, channels, frameDuration, levels } or null when no frames are found
+const readMp3Levels = (buffer) => {
+  const levels = [];
+  let stream = null;
+  let offset = id3Length(buffer);
+
+  while (offset + 4 <= buffer.length) {
+    const header = parseHeader(buffer, offset);
+    if (!header || (stream && header.sampleRate !== stream.sampleRate)) {
+      offset += 1; // resync on the next frame header
+      continue;
+    }
+
+    const sideInfo = offset + 4 + (header.crc ? 2 : 0);
+    if (offset + header.length > buffer.length || sideInfo + header.sideInfoLength > buffer.length) {
+      break;
+    }
+
+    // The Xing/Info or VBRI header frame of VBR files carries no audio
+    const tag = buffer.toString('latin1', sideInfo + header.sideInfoLength, sideInfo + header.sideInfoLength + 4);
+    const vbri = buffer.toString('latin1', offset + 36, offset + 40);
+    if (levels.length === 0 && (tag === 'Xing' || tag === 'Info' || vbri === 'VBRI')) {
+      offset += header.length;
+      continue;
+    }
+
+    stream = stream || header;
+    readSideInfo(buffer, sideInfo, header).forEach(entries => levels.push(granuleLevel(entries)));
+    offset += header.length;
+  }
+
+  if (!stream) {
+    return null;
+  }
+
+  return {
+    format: 'mp3',
+    sampleRate: stream.sampleRate,
+    channels: stream.channels,
+    frameDuration: SAMPLES_PER_GRANULE / stream.sampleRate,
+    levels,
+    silentLevel: SILENT_LEVEL
+  };
+};
+
+module.exports = {
+  isMp3,
+  readMp3Levels
+};
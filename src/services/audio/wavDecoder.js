@@ -0,0 +1,114 @@
+// Samples of a RIFF/WAVE file as mono floats in [-1, 1] (channels averaged).
+// Covers what telephony and recorders produce: 8/16/24/32-bit PCM, 32/64-bit
+// float, and G.711 mu-law and A-law. Returns null for anything else.
+
+const FORMATS = {
+  1: 'pcm',
+  3: 'float',
+  6: 'alaw',
+  7: 'mulaw'
+};
+const EXTENSIBLE = 0xFFFE;
+
+const isWav = (buffer) => buffer.length >= 12
+  && buffer.toString('latin1', 0, 4) === 'RIFF'
+  && buffer.toString('latin1', 8, 12) === 'WAVE';
+
+// G.711 expansions to 16-bit linear
+const mulawSample = (byte) => {
+  const value = ~byte & 0xFF;
+  const magnitude = ((((value & 0x0F) << 3) + 0x84) << ((value & 0x70) >> 4)) - 0x84;
+  return value & 0x80 ? -magnitude : magnitude;
+};
+
+const alawSample = (byte) => {
+  const value = byte ^ 0x55;
+  const exponent = (value & 0x70) >> 4;
+  let magnitude = (value & 0x0F) << 4;
+  magnitude = exponent === 0 ? magnitude + 8 : (magnitude + 0x108) << (exponent - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+};
+
+const readSample = (buffer, offset, encoding, bits) => {
+  switch (encoding) {
+    case 'mulaw':
+      return mulawSample(buffer[offset]) / 32768;
+    case 'alaw':
+      return alawSample(buffer[offset]) / 32768;
+    case 'float':
+      return bits === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+    default:
+      if (bits === 8) return (buffer[offset] - 128) / 128;
+      if (bits === 16) return buffer.readInt16LE(offset) / 32768;
+      if (bits === 24) return buffer.readIntLE(offset, 3) / 8388608;
+      return buffer.readInt32LE(offset) / 2147483648;
+  }
+};
+
+const decodeWav = (buffer) => {
+  if (!isWav(buffer)) {
+    return null;
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    const end = Math.min(buffer.length, start + size); // streamed files may under-report or overflow
+
+    if (id === 'fmt ' && end - start >= 16) {
+      let code = buffer.readUInt16LE(start);
+      if (code === EXTENSIBLE && end - start >= 26) {
+        code = buffer.readUInt16LE(start + 24); // first bytes of the sub-format GUID
+      }
+      format = {
+        encoding: FORMATS[code] || null,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bits: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      data = { start, end };
+      break;
+    }
+
+    offset = start + size + (size % 2); // chunks are word-aligned
+  }
+
+  if (!format || !format.encoding || !data || !format.channels || !format.sampleRate) {
+    return null;
+  }
+  const bytes = format.encoding === 'mulaw' || format.encoding === 'alaw' ? 1 : format.bits / 8;
+  if (![1, 2, 3, 4, 8].includes(bytes) || (format.encoding === 'float' && ![4, 8].includes(bytes))) {
+    return null;
+  }
+
+  const frameBytes = bytes * format.channels;
+  const count = Math.floor((data.end - data.start) / frameBytes);
+  const samples = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readSample(buffer, data.start + i * frameBytes + channel * bytes, format.encoding, format.bits);
+    }
+    samples[i] = sum / format.channels;
+  }
+
+  return {
+    format: 'wav',
+    encoding: format.encoding,
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    samples
+  };
+};
+
+module.exports = {
+  isWav,
+  decodeWav
+};
@@ -0,0 +1,262 @@
+const { isWav, decodeWav } = require('./audio/wavDecoder');
+const { isMp3, readMp3Levels } = require('./audio/mp3Frames');
+const recordingService = require('./recordingService');
+const logger = require('../utils/logger');
+
+const FRAME_SECONDS = 0.01; // level frames for decoded samples
+const SILENT_LEVEL = -96; // dBFS floor
+const QUIET_RECORDING_DB = -50; // decoded audio never louder than this holds no speech
+const MIN_DYNAMIC_RANGE_DB = 10; // below this the whole recording is one state
+const MIN_PAUSE_SECONDS = 0.25; // shorter gaps are between words, not pauses
+const LONG_PAUSE_SECONDS = 2;
+const MIN_SPEECH_SECONDS = 0.1; // shorter bursts are clicks and line noise
+const MIN_RATE_SEGMENT_SECONDS = 1; // stretches of speech long enough for a rate
+const MAX_SYLLABLE_FRAME_SECONDS = 0.03; // coarser levels cannot resolve syllables
+const SYLLABLE_DIP_DB = 2;
+const MAX_LISTED_SILENCES = 100;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const percentile = (values, fraction) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+};
+
+const spread = (values) => {
+  if (values.length === 0) {
+    return { mean: null, stdDev: null };
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, stdDev: Math.sqrt(variance) };
+};
+
+// Talk time, silences, pauses, speaking-rate variance and volume consistency
+// measured from an answer recording (WAV decoded in full, MP3 from its frame
+// side information; see ./audio). Feeds voiceAnalysisService in place of the
+// estimates it makes from the transcript alone.
+class AudioAnalysisService {
+  // Level envelope { format, sampleRate, channels, frameDuration, levels (dB) }, or null
+  readLevels(buffer) {
+    if (isWav(buffer)) {
+      const decoded = decodeWav(buffer);
+      return decoded ? this.levelsFromSamples(decoded) : null;
+    }
+    if (isMp3(buffer)) {
+      return readMp3Levels(buffer);
+    }
+    return null;
+  }
+
+  levelsFromSamples({ format, sampleRate, channels, samples }) {
+    const frameLength = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+    const levels = [];
+
+    for (let start = 0; start < samples.length; start += frameLength) {
+      const end = Math.min(samples.length, start + frameLength);
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(sum / (end - start));
+      levels.push(rms > 0 ? Math.max(SILENT_LEVEL, 20 * Math.log10(rms)) : SILENT_LEVEL);
+    }
+
+    return { format, sampleRate, channels, frameDuration: frameLength / sampleRate, levels, absolute: true };
+  }
+
+  // Frames above the speech threshold: floor plus 40% of the way to the peak level
+  detectSpeech({ levels, absolute }) {
+    const floor = percentile(levels, 0.1);
+    const peak = percentile(levels, 0.95);
+
+    if (peak - floor < MIN_DYNAMIC_RANGE_DB) {
+      const silent = peak <= SILENT_LEVEL || (absolute && peak < QUIET_RECORDING_DB);
+      return { threshold: null, speech: levels.map(() => !silent) };
+    }
+
+    const threshold = floor + Math.max(6, 0.4 * (peak - floor));
+    return { threshold, speech: levels.map(level => level > threshold) };
+  }
+
+  // [{ speech, start, end }] runs of frames, with gaps too short to be pauses
+  // merged into speech and bursts too short to be speech merged into silence
+  findRuns(speech, frameDuration) {
+    const coalesce = (runs) => runs.reduce((merged, run) => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.speech === run.speech) {
+        previous.end = run.end;
+      } else {
+        merged.push({ ...run });
+      }
+      return merged;
+    }, []);
+    const seconds = (run) => (run.end - run.start) * frameDuration;
+
+    let runs = coalesce(speech.map((isSpeech, index) => ({ speech: isSpeech, start: index, end: index + 1 })));
+    runs = coalesce(runs.map((run, index) => {
+      const inner = index > 0 && index < runs.length - 1; // leading and trailing silence stay
+      return !run.speech && inner && seconds(run) < MIN_PAUSE_SECONDS ? { ...run, speech: true } : run;
+    }));
+    runs = coalesce(runs.map(run => (run.speech && seconds(run) < MIN_SPEECH_SECONDS ? { ...run, speech: false } : run)));
+
+    return runs.map(run => ({ speech: run.speech, start: run.start * frameDuration, end: run.end * frameDuration }));
+  }
+
+  // Syllable nuclei: level peaks above the threshold separated by a dip
+  countSyllables(levels, threshold, from, to) {
+    const peaks = [];
+    for (let i = Math.max(from, 1); i < Math.min(to, levels.length - 1); i++) {
+      if (levels[i] <= threshold || levels[i] < levels[i - 1] || levels[i] < levels[i + 1]) {
+        continue;
+      }
+      const last = peaks[peaks.length - 1];
+      if (last === undefined) {
+        peaks.push(i);
+        continue;
+      }
+      const dip = Math.min(...levels.slice(last, i + 1));
+      if (Math.min(levels[last], levels[i]) - dip >= SYLLABLE_DIP_DB) {
+        peaks.push(i);
+      } else if (levels[i] > levels[last]) {
+        peaks[peaks.length - 1] = i;
+      }
+    }
+    return peaks.length;
+  }
+
+  // Rate of each stretch of speech between pauses: words per minute from the
+  // transcript's word timings, or syllables per second from the levels
+  measureRates(envelope, threshold, segments, words) {
+    const timed = (words || []).filter(word => typeof word.start === 'number' && typeof word.end === 'number');
+    const long = segments.filter(segment => segment.end - segment.start >= MIN_RATE_SEGMENT_SECONDS);
+    let basis = null;
+    let rates = [];
+
+    if (timed.length > 0) {
+      basis = 'words';
+      rates = long.map(segment => {
+        const count = timed.filter(word => {
+          const middle = (word.start + word.end) / 2;
+          return middle >= segment.start && middle < segment.end;
+        }).length;
+        return { start: segment.start, end: segment.end, rate: (count / (segment.end - segment.start)) * 60 };
+      });
+    } else if (threshold !== null && envelope.frameDuration <= MAX_SYLLABLE_FRAME_SECONDS) {
+      basis = 'syllables';
+      rates = long.map(segment => {
+        const from = Math.round(segment.start / envelope.frameDuration);
+        const to = Math.round(segment.end / envelope.frameDuration);
+        return { start: segment.start, end: segment.end, rate: this.countSyllables(envelope.levels, threshold, from, to) / (segment.end - segment.start) };
+      });
+    }
+
+    const { mean, stdDev } = spread(rates.map(segment => segment.rate));
+    return {
+      basis,
+      unit: basis === 'words' ? 'words_per_minute' : basis === 'syllables' ? 'syllables_per_second' : null,
+      segments: rates.map(segment => ({ start: round(segment.start), end: round(segment.end), rate: round(segment.rate) })),
+      mean: mean === null ? null : round(mean),
+      stdDev: stdDev === null ? null : round(stdDev),
+      variation: mean ? round(stdDev / mean) : null // coefficient of variation
+    };
+  }
+
+  // Loudness of the speech frames overall and between stretches of speech.
+  // Consistency drops 10 points per dB the stretches differ by beyond 2 dB.
+  measureEnergy(envelope, segments) {
+    const frameLevels = (segment) => envelope.levels.slice(
+      Math.round(segment.start / envelope.frameDuration),
+      Math.round(segment.end / envelope.frameDuration)
+    );
+    const speechLevels = segments.flatMap(frameLevels);
+    if (speechLevels.length === 0) {
+      return { meanLevel: null, stdDev: null, segmentStdDev: null, range: null, consistency: null, relative: !envelope.absolute };
+    }
+
+    const overall = spread(speechLevels);
+    const bySegment = spread(segments.map(segment => spread(frameLevels(segment)).mean));
+    return {
+      meanLevel: round(overall.mean, 1),
+      stdDev: round(overall.stdDev, 1),
+      segmentStdDev: round(bySegment.stdDev, 1),
+      range: round(percentile(speechLevels, 0.9) - percentile(speechLevels, 0.1), 1),
+      consistency: Math.round(Math.max(0, Math.min(100, 100 - Math.max(0, bySegment.stdDev - 2) * 10))),
+      relative: !envelope.absolute // MP3 levels are relative to the recording, not dBFS
+    };
+  }
+
+  // Measurements of a recording. words are the transcript's word timings
+  // (sttService), used for speaking rates when present. Returns null when the
+  // audio is not WAV or MP3 or cannot be read.
+  analyze(buffer, { words = [] } = {}) {
+    try {
+      const envelope = buffer && buffer.length > 0 ? this.readLevels(buffer) : null;
+      if (!envelope || envelope.levels.length === 0) {
+        return null;
+      }
+
+      const duration = envelope.levels.length * envelope.frameDuration;
+      const { threshold, speech } = this.detectSpeech(envelope);
+      const runs = this.findRuns(speech, envelope.frameDuration);
+      const segments = runs.filter(run => run.speech);
+      const silences = runs.filter(run => !run.speech);
+
+      const onset = segments.length > 0 ? segments[0].start : duration;
+      const offset = segments.length > 0 ? segments[segments.length - 1].end : duration;
+      const pauses = silences.filter(run => run.start > onset && run.end < offset);
+      const pauseLengths = pauses.map(run => run.end - run.start);
+      const pauseTotal = pauseLengths.reduce((sum, length) => sum + length, 0);
+      const talkTime = offset - onset;
+
+      return {
+        format: envelope.format,
+        sampleRate: envelope.sampleRate,
+        channels: envelope.channels,
+        duration: round(duration),
+        talkTime: round(talkTime), // first word to last
+        speechTime: round(segments.reduce((sum, run) => sum + run.end - run.start, 0)),
+        responseLatency: round(onset), // silence before the answer starts
+        trailingSilence: round(duration - offset),
+        silences: silences.slice(0, MAX_LISTED_SILENCES).map(run => ({
+          start: round(run.start),
+          end: round(run.end),
+          duration: round(run.end - run.start)
+        })),
+        pauses: {
+          count: pauses.length,
+          total: round(pauseTotal),
+          averageLength: pauses.length > 0 ? round(pauseTotal / pauses.length) : 0,
+          longest: pauses.length > 0 ? round(Math.max(...pauseLengths)) : 0,
+          long: pauseLengths.filter(length => length >= LONG_PAUSE_SECONDS).length,
+          ratio: talkTime > 0 ? round(pauseTotal / talkTime) : 0
+        },
+        speakingRate: this.measureRates(envelope, threshold, segments, words),
+        energy: this.measureEnergy(envelope, segments)
+      };
+    } catch (error) {
+      logger.error('Error analyzing answer audio:', error);
+      return null;
+    }
+  }
+
+  // Measurements of a stored answer recording (recordingService entry), or null
+  async analyzeRecording(entry, options) {
+    if (!entry || !entry.filename) {
+      return null;
+    }
+    try {
+      const audio = await recordingService.read(entry);
+      return audio ? this.analyze(audio, options) : null;
+    } catch (error) {
+      logger.warn('Could not read answer recording for analysis:', error.message);
+      return null;
+    }
+  }
+}
+
+const audioAnalysisService = new AudioAnalysisService();
+audioAnalysisService.MIN_PAUSE_SECONDS = MIN_PAUSE_SECONDS;
+audioAnalysisService.LONG_PAUSE_SECONDS = LONG_PAUSE_SECONDS;
+
+module.exports = audioAnalysisService;
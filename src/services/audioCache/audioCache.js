@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const INDEX_NAME = 'index.json';
+const AUDIO_FILE = /^[a-zA-Z0-9-_]+\.(mp3|wav)$/;
+
+// Generated audio keyed by a hash of the text, voice and synthesis params.
+// A metadata index (stored beside the audio as index.json) records what each
+// file says, its size, hit count and last access; when the cache grows past
+// maxBytes or maxEntries the least recently used files are evicted.
+class AudioCache {
+  constructor({ backend, maxBytes = 200 * 1024 * 1024, maxEntries = 1000, saveDelayMs = 1000 }) {
+    this.backend = backend;
+    this.maxBytes = maxBytes;
+    this.maxEntries = maxEntries;
+    this.saveDelayMs = saveDelayMs;
+    this.entries = null;
+    this.loading = null;
+    this.saving = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  // Same key format the MurfAI cache has always used, so existing files are reused
+  static generateKey(text, voiceId, ...params) {
+    return crypto
+      .createHash('sha256')
+      .update([text, voiceId, ...params].join('-'))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.readIndex();
+    }
+    await this.loading;
+    return this.entries;
+  }
+
+  async readIndex() {
+    this.entries = new Map();
+
+    let raw = null;
+    try {
+      raw = await this.backend.get(INDEX_NAME);
+    } catch (error) {
+      logger.error('Failed to read audio cache index:', error.message || error);
+    }
+
+    if (raw) {
+      try {
+        JSON.parse(raw.toString('utf8')).entries.forEach(entry => this.entries.set(entry.key, entry));
+        return;
+      } catch (error) {
+        logger.warn('Audio cache index is corrupt, rebuilding it from stored files');
+      }
+    }
+
+    await this.adoptUntrackedFiles();
+  }
+
+  // Index audio written before the index existed (text and voice unknown)
+  async adoptUntrackedFiles() {
+    const objects = await this.backend.list();
+
+    objects.filter(object => AUDIO_FILE.test(object.name)).forEach(object => {
+      const [key, format] = object.name.split('.');
+      this.entries.set(key, {
+        key,
+        filename: object.name,
+        format,
+        text: null,
+        voiceId: null,
+        provider: null,
+        promptId: null,
+        params: {},
+        size: object.size,
+        hits: 0,
+        createdAt: object.modifiedAt,
+        lastAccessedAt: object.modifiedAt
+      });
+    });
+
+    if (this.entries.size > 0) {
+      logger.info(`Indexed ${this.entries.size} existing audio files`);
+      await this.save();
+    }
+  }
+
+  // Write the index now (after stores and deletes)
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const data = Buffer.from(JSON.stringify({ version: 1, entries: [...this.entries.values()] }, null, 2));
+    this.saving = this.saving
+      .then(() => this.backend.put(INDEX_NAME, data))
+      .catch(error => logger.error('Failed to save audio cache index:', error.message || error));
+    return this.saving;
+  }
+
+  // Write the index shortly (after hits, so busy calls don't rewrite it every time)
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+    if (this.saveTimer.unref) {
+      this.saveTimer.unref();
+    }
+  }
+
+  // Write any pending index changes (before exit)
+  async flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+    await this.saving;
+  }
+
+  // Metadata for a cached key, counting the hit; null on a miss
+  async lookup(key) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    entry.hits += 1;
+    entry.lastAccessedAt = new Date().toISOString();
+    this.scheduleSave();
+    return { ...entry };
+  }
+
+  // Store generated audio with what produced it, then evict if over budget
+  async store(key, data, metadata = {}) {
+    const entries = await this.load();
+    const format = (metadata.format || 'wav').toLowerCase();
+    const filename = `${key}.${format}`;
+    const now = new Date().toISOString();
+
+    await this.backend.put(filename, data);
+
+    const previous = entries.get(key);
+    if (previous && previous.filename !== filename) {
+      await this.backend.delete(previous.filename);
+    }
+
+    const entry = {
+      key,
+      filename,
+      format,
+      text: metadata.text || null,
+      voiceId: metadata.voiceId || null,
+      provider: metadata.provider || null,
+      promptId: metadata.promptId || (previous && previous.promptId) || null,
+      params: metadata.params || {},
+      size: data.length,
+      hits: previous ? previous.hits : 0,
+      createdAt: now,
+      lastAccessedAt: now
+    };
+    entries.set(key, entry);
+
+    await this.evict(key);
+    await this.save();
+    return { ...entry };
+  }
+
+  // Audio bytes for a file name, or null; serving a file counts as an access
+  async read(filename) {
+    const entries = await this.load();
+    const data = await this.backend.get(filename);
+
+    const entry = [...entries.values()].find(candidate => candidate.filename === filename);
+    if (entry && data) {
+      entry.lastAccessedAt = new Date().toISOString();
+      this.scheduleSave();
+    }
+
+    return data;
+  }
+
+  async remove(key) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    await this.backend.delete(entry.filename);
+    entries.delete(key);
+    return true;
+  }
+
+  // Drop least recently used entries until within maxBytes and maxEntries.
+  // keepKey (the file just stored) is never evicted.
+  async evict(keepKey = null) {
+    const entries = await this.load();
+    const byAge = [...entries.values()]
+      .filter(entry => entry.key !== keepKey)
+      .sort((a, b) => new Date(a.lastAccessedAt) - new Date(b.lastAccessedAt));
+
+    let totalBytes = this.getTotalBytes();
+    const evicted = [];
+
+    while (byAge.length > 0 && (totalBytes > this.maxBytes || entries.size > this.maxEntries)) {
+      const entry = byAge.shift();
+      await this.remove(entry.key);
+      totalBytes -= entry.size;
+      evicted.push(entry.filename);
+    }
+
+    if (evicted.length > 0) {
+      logger.info('Evicted audio from cache', { count: evicted.length, totalBytes });
+    }
+
+    return evicted;
+  }
+
+  // Remove entries not used in the last olderThanDays days (all entries when omitted)
+  async clear({ olderThanDays } = {}) {
+    const entries = await this.load();
+    const cutoff = olderThanDays === undefined ? Infinity : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+
+    let deletedCount = 0;
+    for (const entry of [...entries.values()]) {
+      if (new Date(entry.lastAccessedAt).getTime() < cutoff) {
+        await this.remove(entry.key);
+        deletedCount++;
+      }
+    }
+
+    await this.save();
+    return { deletedCount };
+  }
+
+  getTotalBytes() {
+    return [...(this.entries || new Map()).values()].reduce((total, entry) => total + entry.size, 0);
+  }
+
+  // Entries sorted by lastAccessedAt, createdAt, hits or size (most first)
+  async list({ sortBy = 'lastAccessedAt', limit } = {}) {
+    const entries = [...(await this.load()).values()];
+    const value = (entry) => (typeof entry[sortBy] === 'number' ? entry[sortBy] : new Date(entry[sortBy]).getTime());
+
+    const sorted = entries.sort((a, b) => value(b) - value(a)).map(entry => ({ ...entry }));
+    return limit ? sorted.slice(0, limit) : sorted;
+  }
+
+  async getStats() {
+    const entries = [...(await this.load()).values()];
+
+    return {
+      backend: this.backend.name,
+      count: entries.length,
+      totalBytes: this.getTotalBytes(),
+      maxBytes: this.maxBytes,
+      maxEntries: this.maxEntries,
+      hits: entries.reduce((total, entry) => total + entry.hits, 0)
+    };
+  }
+}
+
+module.exports = AudioCache;
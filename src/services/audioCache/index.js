@@ -0,0 +1,29 @@
+const AudioCache = require('./audioCache');
+const LocalBackend = require('./localBackend');
+const S3Backend = require('./s3Backend');
+
+// Audio cache storage backends by name, as used in AUDIO_CACHE_BACKEND.
+// A backend stores opaque objects by file name: put(name, data), get(name)
+// (null when missing), delete(name) and list() -> [{ name, size, modifiedAt }].
+const backends = {
+  local: (options) => new LocalBackend(options),
+  s3: (options) => new S3Backend(options)
+};
+
+const registerBackend = (name, factory) => {
+  backends[name] = factory;
+};
+
+const createBackend = (name, options = {}) => {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown audio cache backend: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  AudioCache,
+  createBackend,
+  registerBackend
+};
@@ -0,0 +1,66 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Cache objects as files in one directory (temp/audio by default)
+class LocalBackend {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.directory = options.directory || path.join(__dirname, '../../../temp/audio');
+  }
+
+  resolve(name) {
+    return path.join(this.directory, path.basename(name));
+  }
+
+  async put(name, data) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write then rename so readers never see a half-written file
+    const filepath = this.resolve(name);
+    const tempPath = `${filepath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filepath);
+  }
+
+  async get(name) {
+    try {
+      return await fs.readFile(this.resolve(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(name) {
+    try {
+      await fs.unlink(this.resolve(name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const objects = await Promise.all(files.map(async (name) => {
+      const stats = await fs.stat(this.resolve(name));
+      return stats.isFile() ? { name, size: stats.size, modifiedAt: stats.mtime.toISOString() } : null;
+    }));
+
+    return objects.filter(Boolean);
+  }
+}
+
+module.exports = LocalBackend;
@@ -0,0 +1,143 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as AWS signatures expect
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const readTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+};
+
+// Cache objects in an S3-compatible bucket (AWS S3, MinIO, R2, ...), using
+// path-style URLs and Signature Version 4 so no SDK is needed.
+class S3Backend {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.endpoint = (options.endpoint || process.env.AUDIO_CACHE_S3_ENDPOINT || '').replace(/\/+$/, '');
+    this.bucket = options.bucket || process.env.AUDIO_CACHE_S3_BUCKET;
+    this.region = options.region || process.env.AUDIO_CACHE_S3_REGION || 'us-east-1';
+    this.accessKeyId = options.accessKeyId || process.env.AUDIO_CACHE_S3_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.AUDIO_CACHE_S3_SECRET_ACCESS_KEY;
+    this.prefix = options.prefix !== undefined ? options.prefix : (process.env.AUDIO_CACHE_S3_PREFIX || 'audio/');
+    this.http = options.http || axios;
+
+    if (!this.endpoint || !this.bucket) {
+      throw new Error('AUDIO_CACHE_S3_ENDPOINT and AUDIO_CACHE_S3_BUCKET are required for the s3 audio cache');
+    }
+    if (!this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 audio cache credentials not configured');
+    }
+  }
+
+  objectUrl(name) {
+    const key = `${this.prefix}${name}`.split('/').map(encode).join('/');
+    return new URL(`${this.endpoint}/${encode(this.bucket)}/${key}`);
+  }
+
+  // Authorization headers for one request (AWS Signature Version 4)
+  sign(method, url, body, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join('');
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+      .sort()
+      .join('&');
+
+    const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  async request(method, url, body) {
+    const response = await this.http.request({
+      method,
+      url: url.toString(),
+      data: body,
+      headers: this.sign(method, url, body),
+      responseType: 'arraybuffer',
+      validateStatus: () => true
+    });
+
+    if (response.status >= 300 && response.status !== 404) {
+      throw new Error(`S3 ${method} ${url.pathname} failed with status ${response.status}`);
+    }
+
+    return response;
+  }
+
+  async put(name, data) {
+    await this.request('PUT', this.objectUrl(name), data);
+  }
+
+  async get(name) {
+    const response = await this.request('GET', this.objectUrl(name));
+    return response.status === 404 ? null : Buffer.from(response.data);
+  }
+
+  async delete(name) {
+    await this.request('DELETE', this.objectUrl(name));
+  }
+
+  async list() {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const url = new URL(`${this.endpoint}/${encode(this.bucket)}`);
+      url.searchParams.set('list-type', '2');
+      url.searchParams.set('prefix', this.prefix);
+      if (continuationToken) {
+        url.searchParams.set('continuation-token', continuationToken);
+      }
+
+      const response = await this.request('GET', url);
+      const xml = Buffer.from(response.data || '').toString('utf8');
+
+      (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach(contents => {
+        objects.push({
+          name: readTag(contents, 'Key').substring(this.prefix.length),
+          size: parseInt(readTag(contents, 'Size'), 10) || 0,
+          modifiedAt: readTag(contents, 'LastModified')
+        });
+      });
+
+      continuationToken = readTag(xml, 'IsTruncated') === 'true' ? readTag(xml, 'NextContinuationToken') : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+}
+
+module.exports = S3Backend;
@@ -0,0 +1,85 @@
+const { AudioCache, createBackend } = require('./audioCache');
+const logger = require('../utils/logger');
+
+// The shared audio cache used by the TTS providers and the /audio route.
+// Storage comes from AUDIO_CACHE_BACKEND (local disk by default, or an
+// S3-compatible bucket); a misconfigured backend degrades to local disk.
+class AudioCacheService {
+  constructor() {
+    this.cache = null;
+  }
+
+  getCache() {
+    if (!this.cache) {
+      this.cache = new AudioCache({
+        backend: this.createDefaultBackend(),
+        maxBytes: (parseInt(process.env.AUDIO_CACHE_MAX_MB, 10) || 200) * 1024 * 1024,
+        maxEntries: parseInt(process.env.AUDIO_CACHE_MAX_ENTRIES, 10) || 1000
+      });
+    }
+    return this.cache;
+  }
+
+  createDefaultBackend() {
+    const name = process.env.AUDIO_CACHE_BACKEND || 'local';
+
+    try {
+      return createBackend(name, { directory: process.env.AUDIO_CACHE_DIR });
+    } catch (error) {
+      logger.warn(`Audio cache backend "${name}" unavailable (${error.message}) - using local disk`);
+      return createBackend('local', { directory: process.env.AUDIO_CACHE_DIR });
+    }
+  }
+
+  // Swap the cache (tests); returns the previous one
+  setCache(cache) {
+    const previous = this.cache;
+    this.cache = cache;
+    return previous;
+  }
+
+  generateKey(text, voiceId, ...params) {
+    return AudioCache.generateKey(text, voiceId, ...params);
+  }
+
+  // Public URL Twilio fetches a cached file from
+  getUrl(filename) {
+    return `${process.env.WEBHOOK_BASE_URL || ''}/audio/${filename}`;
+  }
+
+  lookup(key) {
+    return this.getCache().lookup(key);
+  }
+
+  store(key, data, metadata) {
+    return this.getCache().store(key, data, metadata);
+  }
+
+  read(filename) {
+    return this.getCache().read(filename);
+  }
+
+  async remove(key) {
+    const removed = await this.getCache().remove(key);
+    await this.getCache().save();
+    return removed;
+  }
+
+  clear(options) {
+    return this.getCache().clear(options);
+  }
+
+  list(options) {
+    return this.getCache().list(options);
+  }
+
+  getStats() {
+    return this.getCache().getStats();
+  }
+
+  flush() {
+    return this.cache ? this.cache.flush() : Promise.resolve();
+  }
+}
+
+module.exports = new AudioCacheService();
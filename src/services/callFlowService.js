@@ -0,0 +1,601 @@
+const twilio = require('twilio');
+const twilioService = require('./twilioService');
+const interviewService = require('./interviewService');
+const callerIdentityService = require('./callerIdentityService');
+const profileService = require('./profileService');
+const starAnalysisService = require('./starAnalysisService');
+const sttService = require('./sttService');
+const ivrFlow = require('../flows/ivrFlow');
+const logger = require('../utils/logger');
+
+// Interprets the declarative call flow in flows/ivrFlow.js and turns each
+// webhook hit into TwiML. Routes only translate HTTP to engine calls.
+class CallFlowService {
+  constructor(definition = ivrFlow) {
+    this.definition = definition;
+
+    // Background work still running (answer analysis, session setup)
+    this.pendingTasks = new Set();
+
+    // Background work a state can trigger, referenced by name from the flow definition
+    this.tasks = {
+      processResponse: ({ session, user, params }) => interviewService.processResponse(session, user, params),
+      endSession: ({ session, user }) => interviewService.endSession(session, user)
+    };
+  }
+
+  registerTask(name, task) {
+    this.tasks[name] = task;
+  }
+
+  // Run work after the TwiML has been sent, keeping track of it until it settles
+  runInBackground(promise, description) {
+    const pending = Promise.resolve(promise)
+      .catch(error => {
+        logger.error(`${description} failed:`, error);
+      })
+      .finally(() => {
+        this.pendingTasks.delete(pending);
+      });
+
+    this.pendingTasks.add(pending);
+    return pending;
+  }
+
+  // Resolves once no background work is pending (used by the call simulator)
+  async whenIdle() {
+    while (this.pendingTasks.size > 0) {
+      await Promise.all([...this.pendingTasks]);
+    }
+  }
+
+  getMenu(menuId = this.definition.entry) {
+    const menu = this.definition.menus[menuId];
+    if (!menu) {
+      throw new Error(`Unknown menu: ${menuId}`);
+    }
+    return menu;
+  }
+
+  getFlow(flowId) {
+    const flow = this.definition.flows[flowId];
+    if (!flow) {
+      throw new Error(`Unknown call flow: ${flowId}`);
+    }
+    return { id: flowId, ...flow };
+  }
+
+  getState(flow, stateName) {
+    const state = flow.states[stateName];
+    if (!state) {
+      throw new Error(`Unknown state "${stateName}" in flow ${flow.id}`);
+    }
+    return state;
+  }
+
+  // Every alias (legacy path) declared by the flows, as { path, flowId, state }
+  getAliases() {
+    const aliases = [];
+    Object.entries(this.definition.flows).forEach(([flowId, flow]) => {
+      Object.entries(flow.aliases || {}).forEach(([state, path]) => {
+        aliases.push({ path, flowId, state });
+      });
+    });
+    return aliases;
+  }
+
+  webhookUrl(path, query = {}) {
+    const queryString = Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return `${process.env.WEBHOOK_BASE_URL}/webhook/${path}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  menuUrl(menuId = this.definition.entry) {
+    return menuId === this.definition.entry
+      ? this.webhookUrl('menu')
+      : this.webhookUrl(`menu/${menuId}`);
+  }
+
+  stateUrl(flowId, stateName, query = {}) {
+    return this.webhookUrl(`flow/${flowId}/${stateName}`, query);
+  }
+
+  renderPrompt(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : ''));
+  }
+
+  getPrompt(flow, promptName, values) {
+    const template = flow.prompts[promptName];
+    if (template === undefined) {
+      throw new Error(`Unknown prompt "${promptName}" in flow ${flow.id}`);
+    }
+    return this.renderPrompt(template, values);
+  }
+
+  // Spoken score line for closing prompts, based on the flow's score tiers
+  getScoreSummary(flow, session) {
+    const score = Math.round(session?.scores?.overall || 0);
+    const tier = (flow.scoreSummaries || []).find(summary => score > summary.above);
+    return tier ? this.renderPrompt(tier.text, { score }) : '';
+  }
+
+  // Spoken STAR recap for closing prompts, from the flow's starRecap texts
+  getStarRecap(flow, session) {
+    const summary = flow.starRecap && session ? starAnalysisService.summarize(session) : null;
+    if (!summary || summary.answers === 0) {
+      return '';
+    }
+    if (summary.complete) {
+      return flow.starRecap.complete;
+    }
+    return this.renderPrompt(flow.starRecap.summary, summary) + flow.starRecap.tips[summary.weakest];
+  }
+
+  // Greeting plus the entry menu
+  async renderMenu(menuId = this.definition.entry, { retry = false, intro = null, preferences } = {}) {
+    const menu = this.getMenu(menuId);
+
+    return await twilioService.generateTwiMLResponse({
+      intro,
+      message: retry ? menu.retryPrompt : menu.prompt,
+      action: this.menuUrl(menuId),
+      timeout: retry ? menu.retryTimeout : menu.timeout,
+      preferences
+    });
+  }
+
+  // Every inbound call starts here: recognise the caller, then ask for their
+  // PIN, onboard them or go straight to the menu
+  async startCall(params) {
+    const { identity, user } = await callerIdentityService.identify(params);
+    return await this.renderIdentity(identity, user);
+  }
+
+  async renderIdentity(identity, user, { retry = false, intro = null } = {}) {
+    const config = this.definition.identity;
+
+    switch (identity.status) {
+      case 'verified':
+        return await this.renderMenu(this.definition.entry, {
+          intro: intro || this.renderPrompt(config.welcomeBack, { name: user.name }),
+          preferences: user.preferences
+        });
+      case 'pin':
+        return await twilioService.generateTwiMLResponse({
+          message: retry ? config.pin.retryPrompt : config.pin.prompt,
+          action: this.webhookUrl('identity/pin'),
+          timeout: config.pin.timeout,
+          input: ['dtmf'],
+          finishOnKey: '#',
+          actionOnEmptyResult: true,
+          preferences: user?.preferences
+        });
+      case 'onboarding':
+        return await this.renderOnboardingStep(identity, { retry });
+      default:
+        return await twilioService.generateHangupTwiML(this.getRejectPrompt(identity.rejectReason));
+    }
+  }
+
+  getRejectPrompt(reason) {
+    const config = this.definition.identity;
+    switch (reason) {
+      case 'anonymous':
+        return config.anonymous;
+      case 'inactive':
+        return config.inactive;
+      case 'locked':
+        return config.pin.locked;
+      case 'pin_failed':
+        return config.pin.failed;
+      default:
+        return config.onboarding.failed;
+    }
+  }
+
+  async renderOnboardingStep(identity, { retry = false } = {}) {
+    const onboarding = this.definition.identity.onboarding;
+    const step = callerIdentityService.getCurrentStep(identity);
+    const isFirstStep = step === onboarding.steps[0] && !retry;
+
+    return await twilioService.generateTwiMLResponse({
+      intro: isFirstStep ? onboarding.intro : null,
+      message: retry ? step.retryPrompt : step.prompt,
+      action: this.webhookUrl(`identity/onboarding/${step.field}`),
+      timeout: step.timeout,
+      input: step.input || ['speech', 'dtmf'],
+      hints: step.options ? step.options.flatMap(option => option.keywords).join(',') : null,
+      actionOnEmptyResult: true
+    });
+  }
+
+  async handlePinInput(params) {
+    const result = await callerIdentityService.verifyPin(params.callSid, params.digits);
+    return await this.renderIdentity(result.identity, result.user, { retry: !result.verified });
+  }
+
+  async handleOnboardingInput(field, params) {
+    const step = callerIdentityService.getOnboardingStep(field);
+    const input = params.speechResult || params.digits;
+
+    let value = null;
+    if (input) {
+      value = step.options
+        ? this.matchMenuOption(step, input)?.value || null
+        : callerIdentityService.parseName(input);
+    }
+
+    const result = await callerIdentityService.answerOnboarding(params.callSid, field, value);
+
+    if (result.status === 'completed') {
+      return await this.renderIdentity(result.identity, result.user, {
+        intro: this.renderPrompt(this.definition.identity.onboarding.complete, { name: result.user.name })
+      });
+    }
+
+    return await this.renderIdentity(result.identity, result.user, { retry: result.status === 'retry' });
+  }
+
+  // Keywords win over digits so that speech like "30 minutes" is not read as option 3
+  matchMenuOption(menu, input) {
+    if (!input) {
+      return null;
+    }
+
+    const normalized = input.toLowerCase();
+    return menu.options.find(option => (option.keywords || []).some(keyword => normalized.includes(keyword))) ||
+      menu.options.find(option => normalized.includes(option.digit)) ||
+      null;
+  }
+
+  // Every option the input mentions, e.g. DTMF 13 or "behavioral and leadership"
+  matchMenuOptions(menu, input) {
+    if (!input) {
+      return [];
+    }
+
+    const normalized = input.toLowerCase();
+    return menu.options.filter(option =>
+      normalized.includes(option.digit) ||
+      (option.keywords || []).some(keyword => normalized.includes(keyword))
+    );
+  }
+
+  // Route a menu selection to a flow, a sub-menu or a transfer
+  async handleMenuInput(menuId, params) {
+    // Only identified callers get past the identity step
+    const user = await callerIdentityService.getVerifiedUser(params.callSid);
+    if (!user) {
+      return await this.startCall(params);
+    }
+
+    const menu = this.getMenu(menuId);
+    const option = this.matchMenuOption(menu, params.speechResult || params.digits);
+
+    if (!option) {
+      return await this.renderMenu(menuId, { retry: true });
+    }
+
+    if (option.transfer) {
+      return await this.renderTransfer(option.transfer);
+    }
+
+    if (option.menu) {
+      return await this.renderMenu(option.menu);
+    }
+
+    if (option.company) {
+      return await this.renderCompanyChoice(user);
+    }
+
+    if (option.profile === 'review') {
+      return await this.renderMenu('profile', {
+        intro: this.renderPrompt(this.definition.profile.review, profileService.describe(user)),
+        preferences: user.preferences
+      });
+    }
+
+    if (option.profile) {
+      return await this.renderProfileField(option.profile, user);
+    }
+
+    return await this.enterFlow(option.flow, params);
+  }
+
+  // Ask for a new value of one profile field
+  async renderProfileField(name, user, { retry = false } = {}) {
+    const field = profileService.getField(name);
+
+    return await twilioService.generateTwiMLResponse({
+      message: retry ? field.retryPrompt : field.prompt,
+      action: this.webhookUrl(`profile/${name}`),
+      timeout: field.timeout,
+      input: field.input || ['speech', 'dtmf'],
+      finishOnKey: field.finishOnKey,
+      hints: field.options ? field.options.flatMap(option => option.keywords).join(',') : null,
+      actionOnEmptyResult: true,
+      preferences: user.preferences
+    });
+  }
+
+  // Turn what the caller said or pressed into a value for the field; null when not understood
+  parseProfileAnswer(name, input) {
+    const field = profileService.getField(name);
+
+    if (field.list) {
+      return profileService.parseList(input);
+    }
+    if (field.multiple) {
+      const values = this.matchMenuOptions(field, input).map(option => option.value);
+      return values.length > 0 ? values : null;
+    }
+
+    const option = this.matchMenuOption(field, input);
+    return option ? option.value : null;
+  }
+
+  // Read the new value back and ask the caller to confirm it before saving
+  async handleProfileInput(name, params) {
+    const user = await callerIdentityService.getVerifiedUser(params.callSid);
+    if (!user) {
+      return await this.startCall(params);
+    }
+
+    const config = this.definition.profile;
+    const input = params.speechResult || params.digits;
+    if (!input) {
+      return await this.renderMenu('profile', { intro: config.unchanged, preferences: user.preferences });
+    }
+
+    const value = this.parseProfileAnswer(name, input);
+    if (value === null || !profileService.isValid(name, value)) {
+      return await this.renderProfileField(name, user, { retry: true });
+    }
+
+    return await twilioService.generateTwiMLResponse({
+      message: this.renderPrompt(config.confirm, { value: profileService.describeValue(name, value) }),
+      action: this.webhookUrl(`profile/${name}/confirm`, { value: JSON.stringify(value) }),
+      timeout: 10,
+      hints: config.confirmOptions.flatMap(option => option.keywords).join(','),
+      actionOnEmptyResult: true,
+      preferences: user.preferences
+    });
+  }
+
+  // Save the confirmed value, ask again, or leave the profile as it was
+  async handleProfileConfirm(name, encodedValue, params) {
+    const user = await callerIdentityService.getVerifiedUser(params.callSid);
+    if (!user) {
+      return await this.startCall(params);
+    }
+
+    const config = this.definition.profile;
+    const choice = this.matchMenuOption({ options: config.confirmOptions }, params.speechResult || params.digits);
+    if (!choice) {
+      return await this.renderMenu('profile', { intro: config.unchanged, preferences: user.preferences });
+    }
+    if (!choice.save) {
+      return await this.renderProfileField(name, user);
+    }
+
+    let value;
+    try {
+      value = JSON.parse(encodedValue);
+    } catch (error) {
+      value = null;
+    }
+    if (value === null || !profileService.isValid(name, value)) {
+      return await this.renderProfileField(name, user, { retry: true });
+    }
+
+    await profileService.update(user, name, value);
+
+    return await this.renderMenu('profile', {
+      intro: this.renderPrompt(config.saved, {
+        label: profileService.getField(name).label,
+        value: profileService.describeValue(name, value)
+      }),
+      preferences: user.preferences
+    });
+  }
+
+  // Ask which company pack to practise for, listing the active packs by number
+  async renderCompanyChoice(user, { retry = false } = {}) {
+    const config = this.definition.company;
+    const packs = await interviewService.listCompanyPacks(config.maxOptions);
+
+    if (packs.length === 0) {
+      return await this.renderMenu(this.definition.entry, { intro: config.none, preferences: user.preferences });
+    }
+
+    const options = packs.map((pack, index) => this.renderPrompt(config.option, { digit: index + 1, name: pack.name })).join(', ');
+
+    return await twilioService.generateTwiMLResponse({
+      message: this.renderPrompt(retry ? config.retryPrompt : config.prompt, {
+        options: options.charAt(0).toUpperCase() + options.slice(1)
+      }),
+      action: this.webhookUrl('company'),
+      timeout: config.timeout,
+      hints: packs.flatMap(pack => [pack.name, ...(pack.aliases || [])]).join(','),
+      actionOnEmptyResult: true,
+      preferences: user.preferences
+    });
+  }
+
+  // Start the company's mock interview for the pack the caller chose
+  async handleCompanyInput(params) {
+    const user = await callerIdentityService.getVerifiedUser(params.callSid);
+    if (!user) {
+      return await this.startCall(params);
+    }
+
+    const input = params.speechResult || params.digits;
+    if (!input) {
+      return await this.renderMenu(this.definition.entry, { preferences: user.preferences });
+    }
+
+    const packs = await interviewService.listCompanyPacks(this.definition.company.maxOptions);
+    const companyPack = params.digits
+      ? packs[parseInt(params.digits, 10) - 1]
+      : packs.find(pack => pack.matchesSpeech(input));
+
+    if (!companyPack) {
+      return await this.renderCompanyChoice(user, { retry: true });
+    }
+
+    return await this.enterFlow(this.definition.company.flow, params, { companyPack });
+  }
+
+  // Announce the flow and redirect to its start state, preparing the session meanwhile
+  async enterFlow(flowId, params, { companyPack = null } = {}) {
+    const flow = this.getFlow(flowId);
+
+    const twiml = await twilioService.generateTwiMLResponse({
+      message: companyPack
+        ? this.renderPrompt(this.definition.company.intro, { company: companyPack.name })
+        : flow.prompts.intro,
+      action: this.stateUrl(flowId, 'start', { from: params.from, callSid: params.callSid }),
+      timeout: 1,
+      redirect: true
+    });
+
+    if (companyPack) {
+      // Created before answering, so the start state cannot create one without the pack
+      await interviewService.ensureSession(flow, params, { companyPack });
+    } else {
+      // Create the session in the background so the start state finds it ready
+      this.runInBackground(interviewService.ensureSession(flow, params), `Preparing ${flowId} session`);
+    }
+
+    return twiml;
+  }
+
+  async renderTransfer(transferId) {
+    const transfer = this.definition.transfers[transferId];
+    if (!transfer) {
+      throw new Error(`Unknown transfer: ${transferId}`);
+    }
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    await twilioService.speak(twiml, transfer.prompt);
+    twiml.dial(transfer.number);
+    return twiml.toString();
+  }
+
+  // Run one state of a flow and return its TwiML
+  async handleState(flowId, stateName, params) {
+    const flow = this.getFlow(flowId);
+    const state = this.getState(flow, stateName);
+
+    try {
+      const context = await this.loadContext(flow, state, params);
+      return await this.renderState(flow, state, context);
+    } catch (error) {
+      logger.error(`Error in ${flowId}.${stateName}:`, error);
+
+      if (!state.onError) {
+        throw error;
+      }
+
+      return await this.renderState(flow, state.onError, { params, session: null, user: null });
+    }
+  }
+
+  async loadContext(flow, state, params) {
+    if (state.setup) {
+      const { session, user } = await interviewService.ensureSession(flow, params);
+      return { params, session, user };
+    }
+
+    const { session, user } = await interviewService.getActiveSession(flow, params.callSid);
+    return { params, session, user };
+  }
+
+  async renderState(flow, state, context) {
+    switch (state.type) {
+      case 'record':
+        return await this.renderRecordState(flow, state, context);
+      case 'redirect':
+        return await this.renderRedirectState(flow, state, context);
+      case 'hangup':
+        return await this.renderHangupState(flow, state, context);
+      default:
+        throw new Error(`Unknown state type "${state.type}" in flow ${flow.id}`);
+    }
+  }
+
+  async resolveQuestion(flow, state, { session, user }) {
+    if (state.fallbackQuestion !== undefined) {
+      return interviewService.getFallbackQuestion(flow, state.fallbackQuestion);
+    }
+
+    if (state.question === 'unanswered') {
+      return interviewService.getUnansweredQuestion(session);
+    }
+
+    return await interviewService.generateNextQuestion(flow, session, user);
+  }
+
+  async renderRecordState(flow, state, context) {
+    const question = await this.resolveQuestion(flow, state, context);
+
+    if (!question) {
+      return await this.renderState(flow, this.getState(flow, state.exhausted), context);
+    }
+
+    const callSid = context.params.callSid;
+    const prompt = state.followUpPrompt && interviewService.isFollowUp(question) ? state.followUpPrompt : state.prompt;
+
+    return await twilioService.generateRecordingTwiML({
+      message: this.getPrompt(flow, prompt, { question: question.text }),
+      // Both the recording and transcription callbacks say which question was answered
+      action: this.stateUrl(flow.id, state.next, { callSid, questionId: question.id }),
+      timeout: flow.recording.timeout,
+      finishOnKey: flow.recording.finishOnKey,
+      transcribe: sttService.usesTwilioTranscription(),
+      timeoutAction: state.timeoutNext ? this.stateUrl(flow.id, state.timeoutNext, { callSid }) : null,
+      preferences: context.user?.preferences
+    });
+  }
+
+  async renderRedirectState(flow, state, context) {
+    const twiml = await twilioService.generateTwiMLResponse({
+      message: this.getPrompt(flow, state.prompt),
+      action: this.stateUrl(flow.id, state.next, { callSid: context.params.callSid }),
+      timeout: 1, // Very short timeout to immediately redirect
+      preferences: context.user?.preferences
+    });
+
+    // Respond to Twilio right away; the task runs in the background
+    if (state.task) {
+      this.runInBackground(this.runTask(state.task, context), `Background task ${state.task}`);
+    }
+
+    return twiml;
+  }
+
+  async renderHangupState(flow, state, context) {
+    if (state.task && context.session) {
+      await this.runTask(state.task, context);
+    }
+
+    const message = this.getPrompt(flow, state.prompt, {
+      scoreSummary: this.getScoreSummary(flow, context.session),
+      starRecap: this.getStarRecap(flow, context.session)
+    });
+
+    return await twilioService.generateHangupTwiML(message, { preferences: context.user?.preferences });
+  }
+
+  async runTask(taskName, context) {
+    const task = this.tasks[taskName];
+    if (!task) {
+      throw new Error(`Unknown call flow task: ${taskName}`);
+    }
+    return await task(context);
+  }
+}
+
+module.exports = new CallFlowService();
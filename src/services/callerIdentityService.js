@@ -0,0 +1,207 @@
+const { User, CallIdentity } = require('../database/models');
+const ivrFlow = require('../flows/ivrFlow');
+const logger = require('../utils/logger');
+
+const E164 = /^\+[1-9]\d{1,14}$/;
+
+// Inbound caller identification: recognise registered numbers, check PINs and
+// turn onboarding answers into a profile. The call flow engine decides what to
+// say; this service owns the identity of each call.
+// Results are plain objects; callFlowService maps them to prompts.
+class CallerIdentityService {
+  constructor(definition = ivrFlow.identity) {
+    this.definition = definition;
+  }
+
+  // Identity for the call, created on its first webhook. Returns { identity, user }.
+  async identify({ callSid, from }) {
+    let identity = await CallIdentity.findByPk(callSid);
+
+    if (identity) {
+      const user = identity.userId ? await User.findByPk(identity.userId) : null;
+      if (identity.isVerified() && (!user || !user.isActive)) {
+        await identity.reject('inactive');
+      }
+      return { identity, user };
+    }
+
+    const user = from && E164.test(from) ? await User.findByPhoneNumber(from) : null;
+
+    let status = 'verified';
+    let rejectReason = null;
+    if (!from || !E164.test(from)) {
+      status = 'rejected';
+      rejectReason = 'anonymous';
+    } else if (!user) {
+      status = 'onboarding';
+    } else if (!user.isActive) {
+      status = 'rejected';
+      rejectReason = 'inactive';
+    } else if (user.hasPin()) {
+      status = user.isPinLocked() ? 'rejected' : 'pin';
+      rejectReason = user.isPinLocked() ? 'locked' : null;
+    }
+
+    identity = await CallIdentity.create({
+      callSid,
+      phoneNumber: from || 'unknown',
+      userId: user ? user.id : null,
+      status,
+      rejectReason,
+      verifiedAt: status === 'verified' ? new Date() : null
+    });
+
+    logger.info('Caller identified', { callSid, status, userId: identity.userId, rejectReason });
+    return { identity, user };
+  }
+
+  // The caller's account once the identity step is done, otherwise null
+  async getVerifiedUser(callSid) {
+    const identity = callSid ? await CallIdentity.findByPk(callSid) : null;
+    if (!identity || !identity.isVerified()) {
+      return null;
+    }
+
+    const user = await User.findByPk(identity.userId);
+    return user && user.isActive ? user : null;
+  }
+
+  // Check a PIN entered on the call. Consecutive failures across calls lock the PIN.
+  // Returns { verified: true, identity, user } or
+  // { verified: false, identity, reason: 'invalid' | 'too_many_attempts' | 'locked' | 'inactive', attemptsRemaining }.
+  async verifyPin(callSid, pin) {
+    const config = this.definition.pin;
+    const identity = await CallIdentity.findByPk(callSid);
+    if (!identity || identity.status !== 'pin') {
+      throw new Error(`Call ${callSid} is not waiting for a PIN`);
+    }
+
+    const user = await User.findByPk(identity.userId);
+    if (!user || !user.isActive) {
+      await identity.reject('inactive');
+      return { verified: false, identity, reason: 'inactive' };
+    }
+
+    if (user.isPinLocked()) {
+      await identity.reject('locked');
+      return { verified: false, identity, reason: 'locked' };
+    }
+
+    if (await user.checkPin(pin)) {
+      await user.update({ pinFailedAttempts: 0, pinLockedUntil: null });
+      await identity.verify(user.id);
+      logger.info('Caller PIN verified', { callSid, userId: user.id });
+      return { verified: true, identity, user };
+    }
+
+    await user.increment('pinFailedAttempts');
+    await user.reload();
+
+    if (user.pinFailedAttempts >= config.lockAfter) {
+      await user.update({ pinLockedUntil: new Date(Date.now() + config.lockMinutes * 60 * 1000) });
+      await identity.reject('locked');
+      logger.warn('PIN locked after repeated failures', { callSid, userId: user.id });
+      return { verified: false, identity, reason: 'locked' };
+    }
+
+    await identity.increment('attempts');
+    await identity.reload();
+
+    if (identity.attempts >= config.maxAttempts) {
+      await identity.reject('pin_failed');
+      logger.warn('Caller failed PIN verification', { callSid, userId: user.id });
+      return { verified: false, identity, reason: 'too_many_attempts' };
+    }
+
+    return { verified: false, identity, reason: 'invalid', attemptsRemaining: config.maxAttempts - identity.attempts };
+  }
+
+  getOnboardingStep(field) {
+    const step = this.definition.onboarding.steps.find(candidate => candidate.field === field);
+    if (!step) {
+      throw new Error(`Unknown onboarding step: ${field}`);
+    }
+    return step;
+  }
+
+  // First step the caller has not answered yet
+  getCurrentStep(identity) {
+    const profile = identity.profile || {};
+    return this.definition.onboarding.steps.find(step => profile[step.field] === undefined) || null;
+  }
+
+  // "My name is jane doe." -> "Jane Doe"; null when nothing usable was heard
+  parseName(speech) {
+    const name = String(speech || '')
+      .replace(/^(hi|hello)[,.!]?\s+/i, '')
+      .replace(/^(my name is|my name's|this is|i am|i'm|it's|it is)\s+/i, '')
+      .replace(/[^\p{L}\s'-]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+
+    return name.length >= 2 && name.length <= 100 ? name : null;
+  }
+
+  // Store the answer to an onboarding step; value is null when the input was not understood.
+  // Returns { status: 'next' | 'retry' | 'failed' | 'completed', identity, user }.
+  async answerOnboarding(callSid, field, value) {
+    const identity = await CallIdentity.findByPk(callSid);
+    if (!identity || identity.status !== 'onboarding') {
+      throw new Error(`Call ${callSid} is not onboarding`);
+    }
+
+    const step = this.getCurrentStep(identity);
+    if (!step || step.field !== field) {
+      // Repeated or out-of-order webhook; ask the current step again
+      return { status: 'next', identity };
+    }
+
+    if (value === null || value === undefined) {
+      await identity.increment('attempts');
+      await identity.reload();
+
+      if (identity.attempts >= this.definition.onboarding.maxAttempts) {
+        await identity.reject('onboarding_failed');
+        logger.warn('Caller onboarding abandoned', { callSid, field });
+        return { status: 'failed', identity };
+      }
+      return { status: 'retry', identity };
+    }
+
+    const profile = { ...identity.profile, [field]: value };
+    await identity.update({ profile, attempts: 0 });
+
+    if (this.getCurrentStep(identity)) {
+      return { status: 'next', identity };
+    }
+
+    return await this.completeOnboarding(identity);
+  }
+
+  async completeOnboarding(identity) {
+    let user;
+    try {
+      user = await User.createUser({
+        phoneNumber: identity.phoneNumber,
+        name: identity.profile.name,
+        industry: identity.profile.industry,
+        experienceLevel: identity.profile.experienceLevel,
+        targetRoles: []
+      });
+    } catch (error) {
+      // e.g. the number registered through the API meanwhile; it may have a PIN
+      logger.error('Could not create profile from onboarding:', error);
+      await identity.reject('onboarding_failed');
+      return { status: 'failed', identity };
+    }
+
+    await identity.verify(user.id);
+    logger.info('Caller onboarded', { callSid: identity.callSid, userId: user.id });
+    return { status: 'completed', identity, user };
+  }
+}
+
+module.exports = new CallerIdentityService();
@@ -0,0 +1,139 @@
+const { User } = require('../database/models');
+
+const LEVELS = User.PREFERENCE_VALUES.difficultyLevel; // easy, medium, hard
+const QUESTION_CATEGORIES = ['behavioral', 'technical', 'situational'];
+const STRONG_SCORE = 80; // an answer at or above this raises the difficulty
+const WEAK_SCORE = 55; // an answer below this lowers it
+
+// Adaptive difficulty for question/answer flows: each question's difficulty
+// and category follow the score of the answer before it. The plan is stored
+// on the question (difficulty, category, adaptation) so the trajectory can
+// always be rebuilt from the session's questions.
+class DifficultyService {
+  // The caller's preferred difficulty, used for the first question
+  getStartLevel(user) {
+    const preferred = user && user.preferences ? user.preferences.difficultyLevel : null;
+    return LEVELS.includes(preferred) ? preferred : 'medium';
+  }
+
+  shiftLevel(level, steps) {
+    const index = Math.max(0, LEVELS.indexOf(level));
+    return LEVELS[Math.min(LEVELS.length - 1, Math.max(0, index + steps))];
+  }
+
+  answerScore(response) {
+    if (!response) {
+      return null;
+    }
+    if (Number.isFinite(response.weightedScore)) {
+      return response.weightedScore;
+    }
+    const overall = Number(response.scores && response.scores.overall);
+    return Number.isFinite(overall) ? overall : null;
+  }
+
+  // Next category among the flow's focus areas: one not asked yet, otherwise the
+  // one with the lowest average score. Null when no focus area is a question category.
+  pickCategory(focusAreas = [], questions = [], responses = [], exclude = null) {
+    const categories = focusAreas.filter(area => QUESTION_CATEGORIES.includes(area));
+    const candidates = categories.length > 1 ? categories.filter(category => category !== exclude) : categories;
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const untried = candidates.find(category => !questions.some(question => question.category === category));
+    if (untried) {
+      return untried;
+    }
+
+    const average = (category) => {
+      const scores = responses
+        .filter((response, index) => (response.category || (questions[index] || {}).category) === category)
+        .map(response => this.answerScore(response))
+        .filter(score => score !== null);
+      return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : Infinity;
+    };
+
+    return candidates.reduce((weakest, category) => (average(category) < average(weakest) ? category : weakest));
+  }
+
+  // Plan the next question from the answer to the last one asked.
+  // Returns { difficulty, category, supportive, reason, previousScore }, where reason is
+  // 'start', 'strong_answer', 'steady', 'weak_answer', 'supportive_follow_up' or
+  // 'pending' (the last answer has not been scored yet).
+  planNext({ user, questions = [], responses = [], focusAreas = [] }) {
+    const start = this.getStartLevel(user);
+
+    if (questions.length === 0) {
+      return { difficulty: start, category: this.pickCategory(focusAreas), supportive: false, reason: 'start', previousScore: null };
+    }
+
+    const lastQuestion = questions[questions.length - 1];
+    const current = LEVELS.includes(lastQuestion.difficulty) ? lastQuestion.difficulty : start;
+    const lastResponse = responses.length >= questions.length ? responses[questions.length - 1] : null;
+    const previousScore = this.answerScore(lastResponse);
+
+    if (previousScore === null) {
+      return { difficulty: current, category: this.pickCategory(focusAreas, questions, responses), supportive: false, reason: 'pending', previousScore };
+    }
+
+    if (previousScore >= STRONG_SCORE) {
+      return {
+        difficulty: this.shiftLevel(current, 1),
+        category: this.pickCategory(focusAreas, questions, responses, lastQuestion.category),
+        supportive: false,
+        reason: 'strong_answer',
+        previousScore
+      };
+    }
+
+    if (previousScore < WEAK_SCORE) {
+      // Already at the easiest level: stay on the topic with a supportive follow-up
+      const supportive = current === LEVELS[0];
+      return {
+        difficulty: this.shiftLevel(current, -1),
+        category: lastQuestion.category || this.pickCategory(focusAreas, questions, responses),
+        supportive,
+        reason: supportive ? 'supportive_follow_up' : 'weak_answer',
+        previousScore
+      };
+    }
+
+    return { difficulty: current, category: this.pickCategory(focusAreas, questions, responses), supportive: false, reason: 'steady', previousScore };
+  }
+
+  // Difficulty of each question in order, as stored in Session.metrics.difficultyTrajectory
+  buildTrajectory(questions = []) {
+    return questions.map((question, index) => ({
+      question: index + 1,
+      difficulty: question.difficulty || null,
+      category: question.category || null,
+      reason: question.adaptation ? question.adaptation.reason : null,
+      previousScore: question.adaptation ? question.adaptation.previousScore : null
+    }));
+  }
+
+  // Trajectory with the score each answer got, and where the session started and ended
+  summarize(session) {
+    const questions = session.questions || [];
+    const responses = session.responses || [];
+    const stored = session.metrics && session.metrics.difficultyTrajectory;
+    const trajectory = (stored && stored.length === questions.length ? stored : this.buildTrajectory(questions))
+      .map((entry, index) => ({ ...entry, score: this.answerScore(responses[index]) }));
+
+    const levels = trajectory.map(entry => entry.difficulty).filter(level => LEVELS.includes(level));
+    return {
+      start: levels[0] || null,
+      end: levels[levels.length - 1] || null,
+      highest: levels.reduce((highest, level) => (LEVELS.indexOf(level) > LEVELS.indexOf(highest) ? level : highest), levels[0] || null),
+      trajectory
+    };
+  }
+}
+
+const difficultyService = new DifficultyService();
+difficultyService.LEVELS = LEVELS;
+difficultyService.STRONG_SCORE = STRONG_SCORE;
+difficultyService.WEAK_SCORE = WEAK_SCORE;
+
+module.exports = difficultyService;
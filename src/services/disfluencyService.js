@@ -0,0 +1,292 @@
+const HESITATION_SECONDS = 1; // a gap this long inside a sentence is a hesitation
+const KEY_PHRASE_WORDS = 3; // how far after a hesitation to look for the word it held up
+const QUOTE_WORDS = 4; // words quoted either side of an instance
+const ALIGN_WINDOW = 4; // transcript tokens searched for each timed word
+
+const TYPES = ['filler', 'repetition', 'self_correction', 'false_start', 'hesitation'];
+const BREAK = /[,;:—–()]|\s-+\s|\.\.\.|…/; // text that sets a word off from its neighbours
+const ELLIPSIS = /\.\.\.|…/g;
+
+// Whether the text between two words ends a sentence (a trailing-off "..." does not)
+const endsSentenceIn = (between) => /[.!?]/.test((between || '').replace(ELLIPSIS, ''));
+
+// Finds disfluencies in an answer: fillers in the places they act as fillers,
+// repeated words, self-corrections, false starts and, with the STT provider's
+// word timings, long hesitations before key phrases. Every instance carries its
+// character span in the transcript (and time, when timed) so feedback can
+// quote the exact moment.
+class DisfluencyService {
+  constructor() {
+    // Always fillers, wherever they occur
+    this.hesitationSounds = ['um', 'uh', 'er', 'erm', 'ah', 'hmm', 'mm', 'umm', 'uhm', 'uhh'];
+
+    // Fillers only at the start of a sentence, set off by commas or straight
+    // after another filler: "So, we..." but not "so that", "I'm sure the..."
+    this.discourseMarkers = [
+      ['you', 'know'], ['i', 'mean'], ['kind', 'of'], ['sort', 'of'],
+      ['so'], ['well'], ['like'], ['actually'], ['basically'], ['literally'], ['honestly'],
+      ['okay'], ['ok'], ['alright'], ['right'], ['sure'], ['anyway']
+    ];
+
+    // Mid-sentence, after a break, these replace what was just said: "five, I mean six"
+    this.correctionMarkers = [
+      ['let', 'me', 'rephrase'], ['scratch', 'that'], ['what', 'i', 'meant', 'was'],
+      ['or', 'rather'], ['no', 'wait'], ['i', 'mean'], ['sorry'], ['actually'], ['wait'], ['no']
+    ];
+
+    // Words that legitimately appear twice in a row
+    this.allowedRepeats = ['had', 'that'];
+
+    // Function words that are not key phrases
+    this.stopWords = new Set([
+      'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from',
+      'i', 'we', 'you', 'he', 'she', 'it', 'they', 'me', 'us', 'my', 'our', 'your', 'their', 'its',
+      'is', 'was', 'were', 'are', 'be', 'been', 'am', 'had', 'have', 'has', 'do', 'did', 'that', 'this',
+      'then', 'there', 'which', 'who', 'what', 'when', 'as', 'if', 'so', 'just', 'very'
+    ]);
+  }
+
+  // Words of the transcript with their offsets and the text between them
+  tokenize(transcript) {
+    const tokens = [];
+    const pattern = /[\w'’]+(?:-[\w'’]+)*-?/g;
+    let match;
+
+    while ((match = pattern.exec(transcript)) !== null) {
+      const previous = tokens[tokens.length - 1];
+      const before = transcript.slice(previous ? previous.end : 0, match.index);
+      tokens.push({
+        text: match[0],
+        norm: this.normalize(match[0]),
+        truncated: match[0].endsWith('-'),
+        start: match.index,
+        end: match.index + match[0].length,
+        sentenceStart: !previous || endsSentenceIn(before),
+        breakBefore: BREAK.test(before),
+        time: null
+      });
+      if (previous) {
+        previous.after = before;
+      }
+    }
+
+    if (tokens.length > 0) {
+      tokens[tokens.length - 1].after = transcript.slice(tokens[tokens.length - 1].end);
+      tokens[tokens.length - 1].final = true;
+    }
+    return tokens;
+  }
+
+  normalize(word) {
+    return String(word).toLowerCase().replace(/’/g, '\'').replace(/[^\w']/g, '');
+  }
+
+  // Attach the provider's word timings ({ word, start, end }) to the tokens
+  // they belong to. Returns whether any token got a timing.
+  alignTimings(tokens, words) {
+    let next = 0;
+    let aligned = false;
+
+    (words || []).forEach(word => {
+      if (typeof word.start !== 'number' || typeof word.end !== 'number') {
+        return;
+      }
+      const norm = this.normalize(word.word);
+      const limit = Math.min(tokens.length, next + ALIGN_WINDOW);
+      for (let i = next; i < limit; i++) {
+        if (tokens[i].norm === norm) {
+          tokens[i].time = { start: word.start, end: word.end };
+          next = i + 1;
+          aligned = true;
+          return;
+        }
+      }
+    });
+
+    return aligned;
+  }
+
+  // Length of the phrase (one of phrases, as word lists) starting at token
+  // index, longest first; 0 when none starts there
+  matchPhrase(tokens, index, phrases) {
+    const found = phrases
+      .filter(phrase => phrase.every((word, offset) => tokens[index + offset] && tokens[index + offset].norm === word))
+      .sort((a, b) => b.length - a.length)[0];
+    return found ? found.length : 0;
+  }
+
+  endsSentence(token) {
+    return Boolean(token.final) || endsSentenceIn(token.after);
+  }
+
+  // Whether a gap before this token is long enough, mid-sentence, to be a hesitation
+  pausedBefore(tokens, index) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+    if (!previous || !token.time || !previous.time || endsSentenceIn(previous.after)) {
+      return false;
+    }
+    return token.time.start - previous.time.end >= HESITATION_SECONDS;
+  }
+
+  // All disfluencies in an answer, in order. words are the STT word timings.
+  // Returns { instances, wordCount, timed }.
+  detect(transcript, words = []) {
+    const text = typeof transcript === 'string' ? transcript : '';
+    const tokens = this.tokenize(text);
+    const timed = this.alignTimings(tokens, words);
+    const instances = [];
+    const fillerAt = new Set();
+
+    const record = (type, from, to, extra = {}) => {
+      instances.push({ type, ...this.position(text, tokens, from, to), ...extra });
+    };
+
+    let i = 0;
+    while (i < tokens.length) {
+      const token = tokens[i];
+      const afterFiller = fillerAt.has(i - 1) && !endsSentenceIn(tokens[i - 1].after);
+      const startsSentence = token.sentenceStart || this.pausedBefore(tokens, i);
+
+      if (this.hesitationSounds.includes(token.norm)) {
+        fillerAt.add(i);
+        record('filler', i, i, { filler: token.norm });
+        i += 1;
+        continue;
+      }
+
+      // Single-word markers must be set off on both sides: "five, no, six" but not "we tried, no luck"
+      const correction = !startsSentence && token.breakBefore ? this.matchPhrase(tokens, i, this.correctionMarkers) : 0;
+      const correctionEnd = tokens[i + correction - 1];
+      const setOffCorrection = correction > 1 || (correction === 1 && BREAK.test(token.after));
+      if (setOffCorrection && tokens[i + correction] && !this.endsSentence(correctionEnd)) {
+        record('self_correction', i, i + correction - 1, { marker: tokens.slice(i, i + correction).map(t => t.norm).join(' ') });
+        i += correction;
+        continue;
+      }
+
+      const marker = this.matchPhrase(tokens, i, this.discourseMarkers);
+      if (marker) {
+        const last = tokens[i + marker - 1];
+        const setOff = token.breakBefore && (BREAK.test(last.after) || this.endsSentence(last));
+        if (startsSentence || setOff || afterFiller) {
+          const filler = tokens.slice(i, i + marker).map(t => t.norm).join(' ');
+          for (let j = i; j < i + marker; j++) fillerAt.add(j);
+          record('filler', i, i + marker - 1, { filler });
+          i += marker;
+          continue;
+        }
+      }
+
+      if (token.truncated) {
+        record('false_start', i, i);
+      }
+
+      i += 1;
+    }
+
+    this.findRepetitions(tokens, fillerAt).forEach(([from, to]) => record('repetition', from, to));
+    this.findHesitations(tokens, fillerAt).forEach(({ from, to, gap }) => record('hesitation', from, to, { gap }));
+    this.findEllipses(text, tokens).forEach(({ from, to }) => record('hesitation', from, to, { gap: null }));
+
+    instances.sort((a, b) => a.start - b.start || TYPES.indexOf(a.type) - TYPES.indexOf(b.type));
+    return { instances, wordCount: tokens.length, timed };
+  }
+
+  // [from, to] token ranges where a word or a two-word phrase is said twice
+  // in a row within a sentence ("I I", "we went we went")
+  findRepetitions(tokens, fillerAt) {
+    const ranges = [];
+    const sameSentence = (from, to) => tokens.slice(from, to).every(token => !endsSentenceIn(token.after));
+
+    let i = 1;
+    while (i < tokens.length) {
+      const pair = i >= 3 && tokens[i - 3].norm === tokens[i - 1].norm && tokens[i - 2].norm === tokens[i].norm;
+      if (pair && tokens[i - 3].norm !== tokens[i - 2].norm && sameSentence(i - 3, i) && !fillerAt.has(i)) {
+        ranges.push([i - 3, i]);
+        i += 1;
+        continue;
+      }
+
+      const same = tokens[i].norm === tokens[i - 1].norm && sameSentence(i - 1, i);
+      if (same && !fillerAt.has(i) && !this.allowedRepeats.includes(tokens[i].norm)) {
+        const previous = ranges[ranges.length - 1];
+        if (previous && previous[1] === i - 1 && tokens[previous[0]].norm === tokens[i].norm) {
+          previous[1] = i; // "I I I" is one repetition
+        } else {
+          ranges.push([i - 1, i]);
+        }
+      }
+      i += 1;
+    }
+
+    return ranges;
+  }
+
+  // Mid-sentence gaps in the word timings, reported against the key phrase
+  // they held up (the next content word and the words up to it)
+  findHesitations(tokens, fillerAt) {
+    const hesitations = [];
+
+    tokens.forEach((token, index) => {
+      if (!this.pausedBefore(tokens, index)) {
+        return;
+      }
+      const limit = Math.min(tokens.length, index + KEY_PHRASE_WORDS);
+      for (let j = index; j < limit; j++) {
+        if (!fillerAt.has(j) && this.isContentWord(tokens[j].norm)) {
+          const gap = Math.round((token.time.start - tokens[index - 1].time.end) * 100) / 100;
+          hesitations.push({ from: index, to: j, gap });
+          return;
+        }
+      }
+    });
+
+    return hesitations;
+  }
+
+  // Without timings, a transcribed "..." inside a sentence marks a hesitation
+  findEllipses(text, tokens) {
+    const found = [];
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      if (previous && !previous.time && /\.\.\.|…/.test(previous.after) && !endsSentenceIn(previous.after)) {
+        const limit = Math.min(tokens.length, index + KEY_PHRASE_WORDS);
+        for (let j = index; j < limit; j++) {
+          if (this.isContentWord(tokens[j].norm)) {
+            found.push({ from: index, to: j });
+            return;
+          }
+        }
+      }
+    });
+    return found;
+  }
+
+  isContentWord(norm) {
+    return /\d/.test(norm) || (norm.length > 2 && !this.stopWords.has(norm) && !this.hesitationSounds.includes(norm));
+  }
+
+  // { text, start, end, wordIndex, time, quote } of tokens from..to
+  position(text, tokens, from, to) {
+    const first = tokens[from];
+    const last = tokens[to];
+    const quoteStart = tokens[Math.max(0, from - QUOTE_WORDS)].start;
+    const quoteEnd = tokens[Math.min(tokens.length - 1, to + QUOTE_WORDS)].end;
+
+    return {
+      text: text.slice(first.start, last.end),
+      start: first.start,
+      end: last.end,
+      wordIndex: from,
+      time: first.time && last.time ? { start: first.time.start, end: last.time.end } : null,
+      quote: text.slice(quoteStart, quoteEnd)
+    };
+  }
+}
+
+const disfluencyService = new DisfluencyService();
+disfluencyService.TYPES = TYPES;
+disfluencyService.HESITATION_SECONDS = HESITATION_SECONDS;
+
+module.exports = disfluencyService;
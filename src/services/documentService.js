@@ -0,0 +1,178 @@
+const path = require('path');
+const openaiService = require('./openaiService');
+const { extractPdfText } = require('./documents/pdfText');
+const logger = require('../utils/logger');
+
+const KINDS = ['resume', 'jobDescription'];
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_TEXT_CHARS = 20000; // stored per document
+const MAX_MODEL_CHARS = 12000; // sent to the model for extraction
+const MAX_LIST_ITEMS = 15;
+
+const FORMATS = {
+  '.txt': 'text',
+  '.text': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.pdf': 'pdf'
+};
+
+const MIME_FORMATS = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'application/pdf': 'pdf'
+};
+
+// Resumes and job descriptions uploaded by candidates: text extraction,
+// key details (skills, employers, projects, requirements) stored on the user,
+// and the context handed to question generation.
+class DocumentService {
+  getFormat({ fileName, mimeType, buffer }) {
+    if (buffer && buffer.slice(0, 5).toString('latin1') === '%PDF-') {
+      return 'pdf';
+    }
+    return FORMATS[path.extname(fileName || '').toLowerCase()] || MIME_FORMATS[(mimeType || '').split(';')[0]] || null;
+  }
+
+  // Headings, emphasis, links and code marks removed; list items kept as "- item"
+  markdownToText(markdown) {
+    return markdown
+      .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+      .replace(/^[ \t]*[*+][ \t]+/gm, '- ')
+      .replace(/^[ \t]*>[ \t]?/gm, '')
+      .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+      .replace(/(\*\*|__)(.*?)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1');
+  }
+
+  normalizeText(text) {
+    return String(text)
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Returns { extracted: true, text, format } or { extracted: false, reason: 'unsupported_format' | 'too_large' | 'no_text' }
+  extractText({ buffer, fileName, mimeType }) {
+    const format = this.getFormat({ fileName, mimeType, buffer });
+    if (!format) {
+      return { extracted: false, reason: 'unsupported_format' };
+    }
+    if (buffer.length > MAX_FILE_BYTES) {
+      return { extracted: false, reason: 'too_large' };
+    }
+
+    let text;
+    if (format === 'pdf') {
+      text = extractPdfText(buffer, { maxChars: MAX_TEXT_CHARS });
+    } else {
+      text = buffer.toString('utf8');
+      // Binary content mislabelled as text
+      if (text.includes('\u0000') || (text.match(/\uFFFD/g) || []).length > text.length / 20) {
+        return { extracted: false, reason: 'no_text' };
+      }
+      if (format === 'markdown') {
+        text = this.markdownToText(text);
+      }
+    }
+
+    text = this.normalizeText(text);
+    if (text.replace(/[^\p{L}]/gu, '').length < 20) {
+      return { extracted: false, reason: 'no_text' };
+    }
+
+    return { extracted: true, text: text.slice(0, MAX_TEXT_CHARS), format };
+  }
+
+  cleanList(items) {
+    return [...new Set((items || [])
+      .map(item => String(item).trim().slice(0, 300))
+      .filter(Boolean))]
+      .slice(0, MAX_LIST_ITEMS);
+  }
+
+  // Extract the key details and store the document on the user (replacing any earlier one)
+  async saveDocument(user, kind, { text, format, fileName = null }) {
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Unknown document kind: ${kind}`);
+    }
+
+    const details = await openaiService.extractDocumentDetails(kind, text.slice(0, MAX_MODEL_CHARS));
+
+    const document = {
+      fileName,
+      format,
+      text,
+      summary: String(details.summary || '').trim(),
+      skills: this.cleanList(details.skills),
+      ...(kind === 'resume'
+        ? { employers: this.cleanList(details.employers), projects: this.cleanList(details.projects) }
+        : {
+            title: String(details.title || '').trim(),
+            company: String(details.company || '').trim(),
+            requirements: this.cleanList(details.requirements)
+          }),
+      source: details.source,
+      uploadedAt: new Date().toISOString()
+    };
+
+    user[kind] = document;
+    await user.save();
+
+    logger.info('Candidate document saved', { userId: user.id, kind, format, characters: text.length, source: details.source });
+    return document;
+  }
+
+  async removeDocument(user, kind) {
+    const existed = Boolean(user[kind]);
+    user[kind] = null;
+    await user.save();
+    return existed;
+  }
+
+  // A stored document without its full text, for API responses
+  summarize(document) {
+    if (!document) {
+      return null;
+    }
+    const { text, ...details } = document;
+    return { ...details, characters: (text || '').length };
+  }
+
+  // What question generation needs to know, or null when nothing was uploaded
+  getCandidateContext(user) {
+    const { resume, jobDescription } = user;
+    if (!resume && !jobDescription) {
+      return null;
+    }
+
+    return {
+      resume: resume
+        ? { skills: resume.skills || [], employers: resume.employers || [], projects: resume.projects || [], summary: resume.summary || '' }
+        : null,
+      jobDescription: jobDescription
+        ? {
+            title: jobDescription.title || '',
+            company: jobDescription.company || '',
+            skills: jobDescription.skills || [],
+            requirements: jobDescription.requirements || []
+          }
+        : null
+    };
+  }
+}
+
+const documentService = new DocumentService();
+documentService.KINDS = KINDS;
+documentService.MAX_FILE_BYTES = MAX_FILE_BYTES;
+
+module.exports = documentService;
@@ -0,0 +1,197 @@
+const zlib = require('zlib');
+
+// Text from the content streams of a PDF. Covers what resume builders and word
+// processors export: uncompressed or FlateDecode streams with literal or hex
+// strings. Fonts with custom encodings (CID fonts without a plain-text fallback)
+// come out empty, and the caller reports the document as unreadable.
+
+const STREAM = /\bstream\r?\n/g;
+
+// Uploads are untrusted: a few kilobytes of FlateDecode can inflate to
+// gigabytes. Content streams carry positioning operators as well as the text
+// they show, so each character of text gets this many bytes of inflated
+// stream, shared by all the document's streams.
+const DEFAULT_MAX_CHARS = 20000;
+const STREAM_BYTES_PER_CHAR = 50;
+
+// Returns the stream's content, null when it is not text we can read, or
+// { exceeded: true } when inflating it would pass maxOutputLength
+const decodeStream = (dictionary, data, maxOutputLength) => {
+  if (/\/Subtype\s*\/Image|\/Length1|\/FontFile/.test(dictionary)) {
+    return null;
+  }
+  if (/\/Filter\s*\[?\s*\/FlateDecode\s*\]?/.test(dictionary)) {
+    try {
+      return zlib.inflateSync(data, { maxOutputLength }).toString('latin1');
+    } catch (error) {
+      return error.code === 'ERR_BUFFER_TOO_LARGE' ? { exceeded: true } : null;
+    }
+  }
+  // Any other filter (DCT, LZW, ASCII85...) is not text we can read
+  return /\/Filter/.test(dictionary) ? null : data.toString('latin1');
+};
+
+// Escapes inside a literal string: \n \( \\ \053 and line continuations
+const readLiteral = (content, start) => {
+  let depth = 1;
+  let text = '';
+  let i = start + 1;
+
+  while (i < content.length && depth > 0) {
+    const char = content[i];
+    if (char === '\\') {
+      const next = content[i + 1];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+      if (escapes[next]) {
+        text += escapes[next];
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8));
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+      } else {
+        text += next || '';
+        i += 2;
+      }
+      continue;
+    }
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (depth > 0) text += char;
+    i += 1;
+  }
+
+  return { text, end: i };
+};
+
+const decodeHex = (hex) => {
+  const digits = hex.replace(/\s/g, '');
+  const bytes = Buffer.from(digits.length % 2 ? `${digits}0` : digits, 'hex');
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return bytes.slice(2).swap16().toString('utf16le');
+  }
+  return bytes.toString('latin1');
+};
+
+// Walk the operators of one content stream, keeping shown strings and turning
+// line moves into newlines
+const readContent = (content) => {
+  let output = '';
+  let operands = [];
+  let i = 0;
+
+  const show = (value) => {
+    output += value;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '(') {
+      const literal = readLiteral(content, i);
+      operands.push(literal.text);
+      i = literal.end;
+    } else if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      operands.push(decodeHex(content.slice(i + 1, end === -1 ? content.length : end)));
+      i = end === -1 ? content.length : end + 1;
+    } else if (char === '[') {
+      operands.push('[');
+      i += 1;
+    } else if (char === ']') {
+      // TJ array: strings, with large negative offsets standing for spaces
+      const start = operands.lastIndexOf('[');
+      const items = operands.slice(start + 1);
+      operands = operands.slice(0, start);
+      operands.push({ array: items });
+      i += 1;
+    } else if (char === '%') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end + 1;
+    } else if (/[A-Za-z'"*]/.test(char)) {
+      const operator = content.slice(i).match(/^[A-Za-z'"*]+/)[0];
+      i += operator.length;
+
+      const last = operands[operands.length - 1];
+      if (operator === 'Tj' && typeof last === 'string') {
+        show(last);
+      } else if ((operator === '\'' || operator === '"') && typeof last === 'string') {
+        show(`\n${last}`);
+      } else if (operator === 'TJ' && last && last.array) {
+        show(last.array.map(item => (typeof item === 'number' && item < -200 ? ' ' : typeof item === 'string' ? item : '')).join(''));
+      } else if (operator === 'T*' || operator === 'ET') {
+        show('\n');
+      } else if ((operator === 'Td' || operator === 'TD') && Number(operands[operands.length - 1]) !== 0) {
+        show('\n');
+      } else if (operator === 'Td' || operator === 'TD') {
+        show(' ');
+      }
+      operands = [];
+    } else if (/[-+.\d]/.test(char)) {
+      const number = content.slice(i).match(/^[-+]?\d*\.?\d+/);
+      if (number) {
+        operands.push(parseFloat(number[0]));
+        i += number[0].length;
+      } else {
+        i += 1;
+      }
+    } else if (char === '/') {
+      const name = content.slice(i).match(/^\/[^\s/[\]()<>{}%]*/)[0];
+      operands.push({ name });
+      i += name.length;
+    } else {
+      i += 1;
+    }
+  }
+
+  return output;
+};
+
+// Text of the document's streams, up to about maxChars: decoding stops once
+// that much text has been read or the inflate budget is spent
+const extractPdfText = (buffer, { maxChars = DEFAULT_MAX_CHARS } = {}) => {
+  const source = buffer.toString('latin1');
+  const parts = [];
+  let textLength = 0;
+  let inflateBudget = maxChars * STREAM_BYTES_PER_CHAR;
+  let match;
+
+  STREAM.lastIndex = 0;
+  while (textLength < maxChars && inflateBudget > 0 && (match = STREAM.exec(source)) !== null) {
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    if (end === -1) {
+      break;
+    }
+
+    // The stream dictionary sits between "n 0 obj" and "stream"
+    const dictionary = source.slice(source.lastIndexOf('obj', match.index), match.index);
+    const content = decodeStream(dictionary, buffer.slice(start, end), inflateBudget);
+    if (content && content.exceeded) {
+      break;
+    }
+    if (content && /\/FlateDecode/.test(dictionary)) {
+      inflateBudget -= content.length;
+    }
+    if (content && /\bBT\b/.test(content)) {
+      const text = readContent(content);
+      parts.push(text);
+      textLength += text.length;
+    }
+    STREAM.lastIndex = end;
+  }
+
+  return parts.join('\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+module.exports = {
+  extractPdfText
+};
@@ -0,0 +1,533 @@
+const crypto = require('crypto');
+const openaiService = require('./openaiService');
+const voiceAnalysisService = require('./voiceAnalysisService');
+const audioAnalysisService = require('./audioAnalysisService');
+const scoringService = require('./scoringService');
+const callerIdentityService = require('./callerIdentityService');
+const documentService = require('./documentService');
+const questionBankService = require('./questionBankService');
+const difficultyService = require('./difficultyService');
+const starAnalysisService = require('./starAnalysisService');
+const recordingService = require('./recordingService');
+const sttService = require('./sttService');
+const rubricService = require('./rubricService');
+const { Session, CompanyPack } = require('../database/models');
+const logger = require('../utils/logger');
+
+// How long the next question waits for the last answer's analysis. The wait runs
+// inside the Twilio webhook, which gives up after 15 seconds, and the same
+// request still has to generate the question and synthesize it.
+const DEFAULT_ANALYSIS_WAIT_MS = 3000;
+const MAX_ANALYSIS_WAIT_MS = 5000;
+
+// Session lifecycle for phone-based question/answer flows. The call flow engine
+// decides what to say; this service owns what happens to users and sessions.
+class InterviewService {
+  constructor() {
+    // Answer analyses still running, by session id (see waitForAnalysis)
+    this.pendingAnalyses = new Map();
+  }
+
+  // Find the active session for this call or create one for the flow, optionally
+  // for a company pack. The caller must have passed the identity step (callerIdentityService).
+  async ensureSession(flow, { callSid }, { companyPack = null } = {}) {
+    const user = await callerIdentityService.getVerifiedUser(callSid);
+    if (!user) {
+      throw new Error(`Caller on ${callSid} has not been identified`);
+    }
+
+    let session = await Session.findActiveByCallSid(callSid);
+    if (!session) {
+      session = await Session.create({
+        userId: user.id,
+        sessionType: flow.sessionType,
+        industry: user.industry,
+        roleLevel: user.experienceLevel,
+        callSid: callSid,
+        companyPackId: companyPack ? companyPack.id : null,
+        status: 'active'
+      });
+      logger.info('Session created for call', {
+        sessionId: session.id,
+        callSid,
+        sessionType: flow.sessionType,
+        companyPackId: session.companyPackId
+      });
+    }
+
+    return { session, user };
+  }
+
+  // Load the active session for a call, checking it belongs to the flow
+  async getActiveSession(flow, callSid) {
+    const session = await Session.findActiveByCallSid(callSid);
+    if (!session || session.sessionType !== flow.sessionType) {
+      throw new Error(`No active ${flow.sessionType} session found`);
+    }
+
+    await session.reload();
+    const user = await session.getUser();
+    return { session, user };
+  }
+
+  // Active company packs callers can choose from, by name
+  async listCompanyPacks(limit) {
+    return await CompanyPack.findActive({ limit });
+  }
+
+  // The company pack the session was started for, if it still exists
+  async getCompanyPack(session) {
+    return session.companyPackId ? await CompanyPack.findByPk(session.companyPackId) : null;
+  }
+
+  // First question that has been asked but not yet answered
+  getUnansweredQuestion(session) {
+    const questions = session.questions || [];
+    const responses = session.responses || [];
+    return responses.length < questions.length ? questions[responses.length] : null;
+  }
+
+  // Generate and store the next question, or return null when the flow's limits
+  // are reached. A follow-up probing the last answer comes first; follow-ups do
+  // not count towards the limits.
+  async generateNextQuestion(flow, session, user) {
+    // The caller hears the acknowledgement while the last answer is analysed;
+    // follow-ups and difficulty both depend on that analysis
+    if (!await this.waitForAnalysis(session.id)) {
+      logger.warn('Answer analysis still running - choosing the next question without it', { sessionId: session.id });
+    }
+
+    await session.reload();
+
+    const questions = session.questions || [];
+    const responses = session.responses || [];
+    const { maxQuestions, maxResponses } = flow.limits;
+
+    const followUp = this.buildFollowUp(flow, questions, responses);
+    if (followUp) {
+      logger.info(`Following up on question ${followUp.parentIndex + 1}`, {
+        sessionId: session.id,
+        gap: followUp.followUp.gap,
+        depth: followUp.depth
+      });
+      return await this.addQuestion(session, followUp);
+    }
+
+    const mainQuestions = questions.filter(question => !this.isFollowUp(question));
+    const mainResponses = responses.filter((response, index) => questions[index] && !this.isFollowUp(questions[index]));
+
+    if (mainQuestions.length >= maxQuestions || mainResponses.length >= maxResponses) {
+      logger.info('Question limit reached', {
+        sessionId: session.id,
+        questions: mainQuestions.length,
+        responses: mainResponses.length
+      });
+      return null;
+    }
+
+    // Difficulty and category follow the score of the previous answer, awaited
+    // above; 'pending' means its analysis did not finish in time
+    const plan = difficultyService.planNext({ user, questions, responses, focusAreas: flow.questions.focusAreas });
+    const adaptation = { reason: plan.reason, previousScore: plan.previousScore };
+
+    const previousQuestions = questions.map(q => q.text);
+    const options = {
+      industry: user.industry,
+      experienceLevel: user.experienceLevel,
+      sessionType: flow.sessionType,
+      questionCount: 1,
+      previousQuestions,
+      focusAreas: flow.questions.focusAreas,
+      difficulty: plan.difficulty,
+      category: plan.category,
+      supportive: plan.supportive
+    };
+
+    if (flow.questions.includeAnswers) {
+      options.previousAnswers = responses.map(r => r.text || r.transcription || '');
+    }
+
+    if (flow.questions.useCandidateDocuments) {
+      options.candidateContext = documentService.getCandidateContext(user);
+    }
+
+    const companyPack = await this.getCompanyPack(session);
+    if (companyPack) {
+      options.companyPack = companyPack.toPromptContext({ questionIndex: mainQuestions.length, questionCount: maxQuestions });
+    } else if (!plan.supportive && questionBankService.isBankTurn(mainQuestions.length, flow.questions.bankRatio)) {
+      // Company interviews always follow the pack; other sessions mix in bank questions
+      const [bankQuestion] = await questionBankService.pickQuestions({
+        industry: user.industry,
+        roleLevel: user.experienceLevel,
+        focusAreas: flow.questions.focusAreas,
+        askedQuestions: questions,
+        difficulty: plan.difficulty,
+        category: plan.category
+      });
+      if (bankQuestion) {
+        logger.info(`Using bank question ${mainQuestions.length + 1} of ${maxQuestions}`, {
+          sessionId: session.id,
+          questionId: bankQuestion.id,
+          bankVersion: bankQuestion.bankVersion
+        });
+        return await this.addQuestion(session, { ...bankQuestion, adaptation });
+      }
+    }
+
+    logger.info(`Generating question ${mainQuestions.length + 1} of ${maxQuestions}`, {
+      sessionId: session.id,
+      sessionType: flow.sessionType,
+      difficulty: plan.difficulty,
+      category: plan.category,
+      reason: plan.reason
+    });
+
+    let newQuestions = await openaiService.generateInterviewQuestions(options);
+    let nextQuestion = newQuestions && newQuestions.length > 0 ? newQuestions[0] : null;
+
+    if (nextQuestion && flow.questions.retryDuplicates && this.isDuplicate(nextQuestion, previousQuestions)) {
+      logger.warn('Generated a duplicate question, retrying once', { sessionId: session.id });
+      newQuestions = await openaiService.generateInterviewQuestions({
+        ...options,
+        previousQuestions: [...previousQuestions, 'CRITICAL: Generate a COMPLETELY DIFFERENT question']
+      });
+      if (newQuestions && newQuestions.length > 0 && !this.isDuplicate(newQuestions[0], previousQuestions)) {
+        nextQuestion = newQuestions[0];
+      }
+    }
+
+    if (!nextQuestion) {
+      nextQuestion = this.getFallbackQuestion(flow, mainQuestions.length);
+    }
+
+    if (!nextQuestion) {
+      logger.error('No question available for session', { sessionId: session.id });
+      return null;
+    }
+
+    return await this.addQuestion(session, { ...nextQuestion, difficulty: plan.difficulty, adaptation });
+  }
+
+  // Store a question and the difficulty trajectory it extends
+  async addQuestion(session, question) {
+    await session.addQuestion(question);
+    await session.update({
+      metrics: { ...session.metrics, difficultyTrajectory: difficultyService.buildTrajectory(session.questions) }
+    });
+    return question;
+  }
+
+  isFollowUp(question) {
+    return Number.isInteger(question.parentIndex);
+  }
+
+  // A probe of the gap the last answer's analysis found, as a question linked to
+  // the one it follows up on. Null when the answer has not been analysed, had no
+  // gap, or the question already has flow.questions.maxFollowUpDepth follow-ups.
+  buildFollowUp(flow, questions, responses) {
+    const maxDepth = flow.questions.maxFollowUpDepth || 0;
+    const lastIndex = questions.length - 1;
+    const lastResponse = lastIndex >= 0 && responses.length === questions.length ? responses[lastIndex] : null;
+    if (maxDepth <= 0 || !lastResponse || !lastResponse.followUp) {
+      return null;
+    }
+
+    const lastQuestion = questions[lastIndex];
+    const depth = (lastQuestion.depth || 0) + 1;
+    const text = lastResponse.followUp.question;
+    if (depth > maxDepth || !text || this.isDuplicate({ text }, questions.map(q => q.text))) {
+      return null;
+    }
+
+    const parentIndex = this.isFollowUp(lastQuestion) ? lastQuestion.parentIndex : lastIndex;
+    const parent = questions[parentIndex];
+    return {
+      id: crypto.randomUUID(),
+      text,
+      category: parent.category,
+      difficulty: lastQuestion.difficulty,
+      expectedKeywords: parent.expectedKeywords || [],
+      evaluationCriteria: parent.evaluationCriteria || [],
+      source: 'follow_up',
+      parentId: parent.id,
+      parentIndex,
+      depth,
+      followUp: { gap: lastResponse.followUp.gap, detail: lastResponse.followUp.detail || '' },
+      adaptation: { reason: 'follow_up', previousScore: difficultyService.answerScore(lastResponse) }
+    };
+  }
+
+  isDuplicate(question, previousQuestions) {
+    const text = (question.text || '').toLowerCase().trim();
+    return previousQuestions.some(prev => prev.toLowerCase().trim() === text);
+  }
+
+  getFallbackQuestion(flow, index = 0) {
+    const fallback = flow.questions.fallback || [];
+    if (fallback.length === 0) {
+      return null;
+    }
+    return fallback[index % fallback.length];
+  }
+
+  getAnalysisWait() {
+    const wait = parseInt(process.env.ANSWER_ANALYSIS_WAIT_MS, 10) || DEFAULT_ANALYSIS_WAIT_MS;
+    return Math.min(wait, MAX_ANALYSIS_WAIT_MS);
+  }
+
+  // Keep track of an answer's analysis until it settles
+  trackAnalysis(sessionId, analysis) {
+    const pending = this.pendingAnalyses.get(sessionId) || new Set();
+    pending.add(analysis);
+    this.pendingAnalyses.set(sessionId, pending);
+
+    analysis.finally(() => {
+      pending.delete(analysis);
+      if (pending.size === 0 && this.pendingAnalyses.get(sessionId) === pending) {
+        this.pendingAnalyses.delete(sessionId);
+      }
+    });
+  }
+
+  // Wait up to timeout ms for the session's answers to be analysed.
+  // Resolves false when one is still running.
+  async waitForAnalysis(sessionId, timeout = this.getAnalysisWait()) {
+    const pending = this.pendingAnalyses.get(sessionId);
+    if (!pending || pending.size === 0) {
+      return true;
+    }
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    const settled = await Promise.race([Promise.all([...pending]).then(() => true), timedOut]);
+    clearTimeout(timer);
+    return settled;
+  }
+
+  // Analyse an answer delivered by a Twilio recording or transcription callback
+  processResponse(session, user, params) {
+    const analysis = this.handleResponse(session, user, params);
+    this.trackAnalysis(session.id, analysis);
+    return analysis;
+  }
+
+  async handleResponse(session, user, params) {
+    try {
+      logger.info('Starting async response processing', { sessionId: session.id });
+
+      if (params.transcriptionText) {
+        // Twilio's transcription callback: the answer's recording callback may be waiting for it
+        const recording = recordingService.fromParams(params);
+        if (!recording || !sttService.deliver(recording.sid, sttService.fromCallback(params))) {
+          await this.processTranscribedResponse(session, user, params);
+        }
+      } else if (params.recordingUrl) {
+        await this.processRecordedResponse(session, user, params);
+      }
+
+      logger.info('Async response processing completed', { sessionId: session.id });
+    } catch (error) {
+      logger.error('Error in async response processing:', error);
+    }
+  }
+
+  // The question an answer belongs to: the one its <Record> asked (questionId on
+  // the action URL), else the first one not yet answered
+  getAnsweredQuestion(session, questionId) {
+    const asked = questionId ? (session.questions || []).find(question => question.id === questionId) : null;
+    return asked || this.getUnansweredQuestion(session);
+  }
+
+  isAnswered(session, question) {
+    return (session.responses || []).some(response => response.questionId === question.id);
+  }
+
+  // The session's responses with this one added in question order, so an answer
+  // analysed after a later one still lines up with its question
+  insertResponse(session, question, responseData) {
+    const questionIds = (session.questions || []).map(q => q.id);
+    const index = questionIds.indexOf(question.id);
+    const responses = [...(session.responses || [])];
+    const later = responses.findIndex(response => questionIds.indexOf(response.questionId) > index);
+    responses.splice(later === -1 ? responses.length : later, 0, responseData);
+    return responses;
+  }
+
+  hasRecording(session, sid) {
+    return (session.responses || []).some(response => response.recording && response.recording.sid === sid);
+  }
+
+  // The <Record> action callback: store the recording, wait (bounded) for its
+  // transcript from the STT providers, then analyse it
+  async processRecordedResponse(session, user, params) {
+    try {
+      const recording = recordingService.fromParams(params);
+      if (!recording) {
+        return;
+      }
+
+      await session.reload();
+      if (this.hasRecording(session, recording.sid)) {
+        return;
+      }
+
+      const stored = await recordingService.store(recording);
+      const transcript = await sttService.waitForTranscript({ ...recording, stored }, {
+        language: user.preferences?.language
+      });
+      if (!transcript) {
+        logger.warn('No transcript for answer - not analysed', { sessionId: session.id, recordingSid: recording.sid });
+        return;
+      }
+
+      await this.processTranscribedResponse(session, user, params, { transcript, recording: stored });
+    } catch (error) {
+      logger.error('Error processing recorded response:', error);
+    }
+  }
+
+  // Analyse a transcribed answer. transcript and recording are passed when the
+  // recording callback already produced them; otherwise they come from params.
+  async processTranscribedResponse(session, user, params, { transcript = sttService.fromCallback(params), recording: storedEntry = null } = {}) {
+    try {
+      await session.reload();
+
+      const text = transcript ? transcript.text : '';
+      const currentQuestion = this.getAnsweredQuestion(session, params.questionId);
+
+      if (!currentQuestion || this.isAnswered(session, currentQuestion)) {
+        logger.warn('No unanswered question for this answer - skipping processing', { sessionId: session.id });
+        return;
+      }
+
+      if (!text) {
+        return;
+      }
+
+      // Both the action and the transcription callback can deliver the same answer
+      const recording = recordingService.fromParams(params);
+      if (recording && this.hasRecording(session, recording.sid)) {
+        logger.info('Recording already processed - skipping', { sessionId: session.id, recordingSid: recording.sid });
+        return;
+      }
+
+      const companyPack = await this.getCompanyPack(session);
+      const scoringRubric = await rubricService.resolve({ session, user, companyPack });
+      const [analysis, storedRecording] = await Promise.all([
+        openaiService.analyzeResponse({
+          question: currentQuestion.text,
+          userResponse: text,
+          questionCategory: currentQuestion.category,
+          userProfile: user,
+          companyPack: companyPack ? companyPack.toPromptContext() : null,
+          scoringRubric
+        }),
+        storedEntry || (recording ? recordingService.store(recording) : null)
+      ]);
+
+      // Talk time, pauses and volume measured in the recording when it could be read
+      const acoustics = await audioAnalysisService.analyzeRecording(storedRecording, { words: transcript.words });
+      const lastWord = transcript.words[transcript.words.length - 1];
+      const duration = (acoustics && acoustics.duration) || (recording && recording.duration) || (lastWord && Math.ceil(lastWord.end)) || 30; // estimated when unknown
+      const voiceAnalysis = voiceAnalysisService.analyzeVoice(text, duration, {}, acoustics, { words: transcript.words, scoringRubric });
+
+      // Each response keeps its own scores so the final aggregate can be computed
+      const responseData = {
+        questionId: currentQuestion.id,
+        text,
+        timestamp: new Date().toISOString(),
+        duration,
+        transcription: text,
+        transcript: {
+          provider: transcript.provider,
+          language: transcript.language,
+          confidence: transcript.confidence,
+          words: transcript.words
+        },
+        category: currentQuestion.category,
+        metrics: voiceAnalysis,
+        scores: analysis.scores,
+        weightedScore: scoringService.scoreAnalysis(analysis, currentQuestion.category, companyPack ? companyPack.rubric : null, scoringRubric),
+        rubricScores: analysis.rubricScores || null,
+        feedback: analysis.feedback,
+        analysis: analysis.analysis,
+        analysisSource: analysis.source,
+        star: starAnalysisService.analyzeResponse(text, currentQuestion.category, analysis),
+        followUp: analysis.followUp || null,
+        recording: storedRecording
+      };
+
+      // The answer may have been stored by the other callback, and other answers
+      // may have been stored, while this one was analysed
+      await session.reload();
+      if ((storedRecording && this.hasRecording(session, storedRecording.sid)) || this.isAnswered(session, currentQuestion)) {
+        return;
+      }
+
+      const updatedResponses = this.insertResponse(session, currentQuestion, responseData);
+
+      await session.update({
+        responses: updatedResponses,
+        scores: { ...session.scores, ...scoringService.aggregateResponses(updatedResponses, scoringRubric) },
+        metrics: {
+          ...session.metrics,
+          ...voiceAnalysis.metrics,
+          difficultyTrajectory: difficultyService.buildTrajectory(session.questions)
+        },
+        feedback: {
+          ...session.feedback,
+          ...analysis.feedback,
+          analysisSources: scoringService.summarizeAnalysisSources(updatedResponses)
+        }
+      });
+
+      logger.info('Response processed successfully', {
+        sessionId: session.id,
+        questionId: currentQuestion.id,
+        scores: analysis.scores,
+        weightedScore: responseData.weightedScore,
+        analysisSource: analysis.source
+      });
+    } catch (error) {
+      logger.error('Error processing transcribed response:', error);
+    }
+  }
+
+  // Aggregate scores, complete the session and update the caller's stats
+  async endSession(session, user) {
+    try {
+      await session.reload();
+
+      const responses = session.responses || [];
+      const scoringRubric = await rubricService.resolve({ session, user });
+      const finalScores = scoringService.aggregateResponses(responses, scoringRubric);
+      if (finalScores) {
+        await session.updateScores(finalScores);
+        logger.info('Final scores calculated:', finalScores);
+      }
+
+      await session.completeSession();
+      await user.incrementSessionCount();
+
+      const overallScore = session.scores?.overall || 0;
+      if (overallScore > 0) {
+        await user.updateAverageScore(overallScore);
+      }
+
+      logger.info('Session completed', {
+        sessionId: session.id,
+        userId: user.id,
+        sessionType: session.sessionType,
+        questionsAsked: (session.questions || []).length,
+        responsesReceived: responses.length,
+        finalScore: overallScore
+      });
+    } catch (error) {
+      logger.error('Error ending session:', error);
+    }
+  }
+}
+
+module.exports = new InterviewService();
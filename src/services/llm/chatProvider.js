@@ -0,0 +1,70 @@
+const prompts = require('./prompts');
+const { parseOutput, buildRepairPrompt } = require('./structuredOutput');
+const logger = require('../../utils/logger');
+
+// Base for providers that speak the chat-completions protocol. Subclasses only
+// implement complete(messages, config) and return the raw message content.
+class ChatProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async complete(messages, config) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  // Ask the model, validate the reply against the operation's schema and, when
+  // it does not fit, re-prompt up to config.maxRepairs times.
+  // Resolves to { data, source } with source 'model' or 'repair'.
+  async runOperation(operation, options, config) {
+    const messages = prompts[operation](options);
+    let content = await this.complete(messages, config);
+    let outcome = parseOutput(operation, content);
+
+    if (!outcome.error) {
+      return { data: outcome.value, source: 'model' };
+    }
+
+    const maxRepairs = config.maxRepairs || 0;
+    for (let attempt = 1; attempt <= maxRepairs; attempt++) {
+      logger.warn(`Invalid ${operation} output from ${this.name}, requesting repair ${attempt}/${maxRepairs}`, {
+        error: outcome.error
+      });
+
+      content = await this.complete([
+        ...messages,
+        { role: 'assistant', content },
+        { role: 'user', content: buildRepairPrompt(outcome.error) }
+      ], config);
+      outcome = parseOutput(operation, content);
+
+      if (!outcome.error) {
+        return { data: outcome.value, source: 'repair' };
+      }
+    }
+
+    throw new Error(`Invalid ${operation} output from ${this.name}: ${outcome.error}`);
+  }
+
+  generateInterviewQuestions(options, config) {
+    return this.runOperation('generateInterviewQuestions', options, config);
+  }
+
+  analyzeResponse(options, config) {
+    return this.runOperation('analyzeResponse', options, config);
+  }
+
+  generateCoachingRecommendations(options, config) {
+    return this.runOperation('generateCoachingRecommendations', options, config);
+  }
+
+  analyzeSpeechPatterns(options, config) {
+    return this.runOperation('analyzeSpeechPatterns', options, config);
+  }
+
+  extractDocumentDetails(options, config) {
+    return this.runOperation('extractDocumentDetails', options, config);
+  }
+}
+
+module.exports = ChatProvider;
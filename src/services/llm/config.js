@@ -0,0 +1,58 @@
+// Per-operation model settings. Defaults match what the OpenAI integration has
+// always used; each can be overridden from the environment, e.g.
+//   LLM_MODEL=gpt-4o-mini                 - model for every operation
+//   LLM_ANALYSIS_MODEL=gpt-4o             - model for response analysis only
+//   LLM_QUESTIONS_TEMPERATURE=0.9
+//   LLM_COACHING_MAX_TOKENS=2500
+//   LLM_MAX_REPAIRS=2                     - re-prompts when a reply fails validation
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo-0125';
+const DEFAULT_MAX_REPAIRS = 1;
+const MAX_REPAIRS_LIMIT = 3; // Each repair is another full model call
+
+const OPERATIONS = {
+  generateInterviewQuestions: { envPrefix: 'LLM_QUESTIONS', temperature: 0.8, maxTokens: 1500 },
+  analyzeResponse: { envPrefix: 'LLM_ANALYSIS', temperature: 0.3, maxTokens: 1000 },
+  generateCoachingRecommendations: { envPrefix: 'LLM_COACHING', temperature: 0.6, maxTokens: 2000 },
+  analyzeSpeechPatterns: { envPrefix: 'LLM_SPEECH', temperature: 0.3, maxTokens: 800 },
+  extractDocumentDetails: { envPrefix: 'LLM_DOCUMENTS', temperature: 0.1, maxTokens: 1200 }
+};
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Resolved { model, temperature, maxTokens, maxRepairs } for one operation
+const getOperationConfig = (operation, env = process.env) => {
+  const defaults = OPERATIONS[operation];
+  if (!defaults) {
+    throw new Error(`Unknown LLM operation: ${operation}`);
+  }
+
+  const { envPrefix } = defaults;
+  return {
+    model: env[`${envPrefix}_MODEL`] || env.LLM_MODEL || DEFAULT_MODEL,
+    temperature: readNumber(env[`${envPrefix}_TEMPERATURE`], defaults.temperature),
+    maxTokens: Math.round(readNumber(env[`${envPrefix}_MAX_TOKENS`], defaults.maxTokens)),
+    maxRepairs: Math.min(MAX_REPAIRS_LIMIT, Math.max(0, Math.round(readNumber(
+      env[`${envPrefix}_MAX_REPAIRS`],
+      readNumber(env.LLM_MAX_REPAIRS, DEFAULT_MAX_REPAIRS)
+    ))))
+  };
+};
+
+// Provider named by LLM_PROVIDER, or OpenAI when a key is set, otherwise offline
+const getProviderName = (env = process.env) => {
+  if (env.LLM_PROVIDER) {
+    return env.LLM_PROVIDER;
+  }
+  return env.OPENAI_API_KEY ? 'openai' : 'offline';
+};
+
+module.exports = {
+  DEFAULT_MODEL,
+  OPERATIONS,
+  getOperationConfig,
+  getProviderName
+};
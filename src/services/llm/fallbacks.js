@@ -0,0 +1,382 @@
+// Deterministic results used when no model is available: by the offline
+// provider, and by openaiService when a provider call fails.
+
+const FALLBACK_QUESTIONS = {
+  behavioral: [
+    "Tell me about a time when you had to work with a difficult team member.",
+    "Describe a situation where you had to meet a tight deadline.",
+    "Give me an example of when you had to learn something new quickly.",
+    "Tell me about a time you failed and what you learned from it.",
+    "Describe a project you're most proud of."
+  ],
+  technical: [
+    "Explain your approach to debugging a complex issue.",
+    "How do you ensure code quality in your projects?",
+    "Describe your experience with version control systems.",
+    "What's your process for code review?",
+    "How do you stay updated with new technologies?"
+  ]
+};
+
+// Questions built from the candidate's resume and target job description,
+// in the order they are asked: projects, the job's requirements, employers,
+// then skills the job asks for that the resume does not mention
+const getGroundedQuestions = (candidateContext) => {
+  const { resume, jobDescription } = candidateContext || {};
+  const questions = [];
+  const add = (text, category) => questions.push({ id: `grounded_${questions.length}`, text, category });
+  const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1).replace(/[.;:]+$/, '');
+
+  if (resume) {
+    resume.projects.slice(0, 2).forEach(project => {
+      add(`Your resume says you ${lowerFirst(project)}. Walk me through your part in it and the result.`, 'behavioral');
+    });
+  }
+  if (jobDescription) {
+    jobDescription.requirements.slice(0, 2).forEach(requirement => {
+      add(`This role asks for ${lowerFirst(requirement)}. Tell me about a time you showed that.`, 'behavioral');
+    });
+  }
+  if (resume) {
+    resume.employers.slice(0, 1).forEach(employer => {
+      add(`What was the hardest problem you worked on at ${employer}, and how did you solve it?`, 'behavioral');
+    });
+  }
+  if (jobDescription) {
+    const resumeSkills = (resume ? resume.skills : []).map(skill => skill.toLowerCase());
+    jobDescription.skills
+      .filter(skill => !resumeSkills.includes(skill.toLowerCase()))
+      .slice(0, 1)
+      .forEach(skill => {
+        add(`The role calls for ${skill}. How have you used it, or how would you get up to speed?`, 'technical');
+      });
+  }
+
+  return questions;
+};
+
+// Questions from a company pack's themes and values (CompanyPack.toPromptContext)
+const getCompanyQuestions = (companyPack) => {
+  if (!companyPack) {
+    return [];
+  }
+
+  const { name, questionThemes = [], values = [] } = companyPack;
+  const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+
+  return [
+    ...questionThemes.map(theme => `${name} interviews often cover ${lowerFirst(theme)}. Tell me about a time your work involved it.`),
+    ...values.map(value => `One of ${name}'s values is ${lowerFirst(value)}. Give me an example of how you have lived that value at work.`)
+  ].map((text, index) => ({ id: `company_${index}`, text, category: 'behavioral' }));
+};
+
+// Asked instead of a harder question after a weak answer at the easiest level
+const SUPPORTIVE_QUESTIONS = [
+  "Let's stay with that topic and take it one step at a time. Think of one specific moment, even a small one. What happened, and what did you do?",
+  "No problem, let's make that more concrete. Pick one example you know well. What was the situation, and what was your part in it?"
+];
+
+// Company and resume questions first, then alternate behavioral and technical
+// questions, skipping any already asked. A requested category moves its
+// questions to the front; a supportive follow-up comes before everything.
+const getFallbackQuestions = (industry, experienceLevel, count, previousQuestions = [], options = {}) => {
+  const { candidateContext = null, companyPack = null, difficulty = 'medium', category = null, supportive = false } = options;
+  const categories = ['behavioral', 'technical'];
+  const pool = [...getCompanyQuestions(companyPack), ...getGroundedQuestions(candidateContext)];
+  const perCategory = Math.max(...categories.map(category => FALLBACK_QUESTIONS[category].length));
+
+  for (let i = 0; i < perCategory; i++) {
+    categories.forEach(category => {
+      const text = FALLBACK_QUESTIONS[category][i];
+      if (text) {
+        pool.push({ id: `fallback_${pool.length}`, text, category });
+      }
+    });
+  }
+
+  if (category) {
+    pool.sort((a, b) => (b.category === category) - (a.category === category));
+  }
+  if (supportive) {
+    pool.unshift(...SUPPORTIVE_QUESTIONS.map((text, index) => ({ id: `supportive_${index}`, text, category: category || 'behavioral' })));
+  }
+
+  const asked = previousQuestions.map(text => String(text).toLowerCase().trim());
+  const unasked = pool.filter(question => !asked.includes(question.text.toLowerCase().trim()));
+  const candidates = unasked.length > 0 ? unasked : pool;
+
+  const selectedQuestions = [];
+  for (let i = 0; i < count; i++) {
+    const question = candidates[i % candidates.length];
+    selectedQuestions.push({
+      id: question.id,
+      text: question.text,
+      category: question.category,
+      difficulty,
+      expectedKeywords: [],
+      evaluationCriteria: ['clarity', 'specificity', 'relevance']
+    });
+  }
+
+  return selectedQuestions;
+};
+
+// A company pack's rubric scored by keyword: criteria whose keywords the answer
+// mentions score above the overall estimate, the others below it
+const getFallbackRubricScores = (response, rubric, overall) => {
+  const text = response.toLowerCase();
+  const rubricScores = {};
+  rubric.forEach(criterion => {
+    const mentioned = (criterion.keywords || []).some(keyword => text.includes(keyword.toLowerCase()));
+    rubricScores[criterion.name] = Math.round(Math.max(0, Math.min(100, overall + (mentioned ? 10 : -10))));
+  });
+  return rubricScores;
+};
+
+// Follow-up probes by gap; {detail} is the vague phrase or the unexplained term
+const FOLLOW_UP_PROBES = {
+  missing_situation: "Can you set the scene a little more? Where were you, and what was at stake?",
+  missing_task: "What exactly were you responsible for in that situation?",
+  missing_action: "What did you personally do there, step by step?",
+  missing_result: "What was the measurable result, and how did you know it worked?",
+  vague_claim: "You said \"{detail}\". Can you give me a specific example or a number that shows it?",
+  unexplained_term: "You mentioned {detail}. Can you explain what that is and why it mattered here?"
+};
+
+const SITUATION_PATTERN = /\b(when|while|during|once|at my|in my|last (?:year|quarter|month|week)|previous|project|team|company|client|customer)\b/i;
+const ACTION_PATTERN = /\bI\s+(?!(?:would|will|could|should|might|may|can|think|believe|guess|feel|am|was|just)\b)[a-z]+/i; // "I" and a verb that is not a hedge
+const RESULT_PATTERN = /\b(?:result\w*|outcome|impact|led to|so that|increas\w*|reduc\w*|decreas\w*|improv\w*|sav\w*|grew|dropped|doubled|halved|by half|on time|faster|shipped|launched|delivered|achiev\w*|won|recovered)\b|\d/i;
+const VAGUE_PATTERN = /\b(?:a lot|lots of|tons of|always|never|very (?:successful|good|well|important)|huge(?:ly)?|massive(?:ly)?|many things|various things|stuff|basically|kind of|sort of)\b/i;
+const ACRONYM_PATTERN = /\b[A-Z][A-Z0-9]{1,5}s?\b/g;
+const COMMON_ACRONYMS = ['OK', 'US', 'UK', 'EU', 'CEO', 'CTO', 'CFO', 'COO', 'VP', 'HR', 'IT', 'PM', 'AM', 'TV', 'ID'];
+
+// The first gap worth probing in an answer, or null. Behavioral answers are
+// checked for STAR action, result and situation first (the task is rarely
+// stated on its own, so it is left to the model); every answer is checked for
+// vague claims without numbers and acronyms it never explains.
+const getFallbackFollowUp = (response = '', category) => {
+  const text = response.trim();
+  if (!text) {
+    return null;
+  }
+
+  const gaps = [];
+  if (category === 'behavioral') {
+    if (!ACTION_PATTERN.test(text)) {
+      gaps.push({ gap: 'missing_action', detail: 'No first-person action' });
+    }
+    if (!RESULT_PATTERN.test(text)) {
+      gaps.push({ gap: 'missing_result', detail: 'No outcome or measurable result' });
+    }
+    if (!SITUATION_PATTERN.test(text)) {
+      gaps.push({ gap: 'missing_situation', detail: 'No context for the example' });
+    }
+  }
+
+  const vague = /\d/.test(text) ? null : text.match(VAGUE_PATTERN);
+  if (vague) {
+    gaps.push({ gap: 'vague_claim', detail: vague[0] });
+  }
+
+  const term = (text.match(ACRONYM_PATTERN) || []).find(acronym => {
+    if (COMMON_ACRONYMS.includes(acronym.replace(/s$/, ''))) {
+      return false;
+    }
+    const escaped = acronym.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return !new RegExp(`${escaped}\\s*\\(|${escaped},?\\s+(?:which|meaning|means|stands for|is a|is an)\\b`).test(text);
+  });
+  if (term) {
+    gaps.push({ gap: 'unexplained_term', detail: term });
+  }
+
+  // Technical and situational answers: terms before vague claims
+  const first = category === 'behavioral' ? gaps[0] : (gaps.find(gap => gap.gap === 'unexplained_term') || gaps[0]);
+  return first ? { ...first, question: FOLLOW_UP_PROBES[first.gap].replace('{detail}', first.detail) } : null;
+};
+
+const getFallbackAnalysis = (response = '', category, companyPack = null) => {
+  const wordCount = response.split(' ').length;
+  const hasExamples = response.toLowerCase().includes('example') || response.toLowerCase().includes('time');
+  const rubric = companyPack && companyPack.rubric ? companyPack.rubric : [];
+  const overall = Math.min(85, 65 + (wordCount / 15));
+
+  const analysis = {
+    scores: {
+      content: Math.min(90, 60 + (wordCount / 10)),
+      structure: hasExamples ? 80 : 60,
+      communication: 75,
+      industryKnowledge: 70,
+      overall
+    },
+    feedback: {
+      strengths: ["Provided a response", "Engaged with the question"],
+      weaknesses: ["Could be more specific", "Consider adding examples"],
+      suggestions: ["Use the STAR method", "Provide more concrete examples"]
+    },
+    analysis: {
+      usesStarMethod: false,
+      keywordUsage: [],
+      confidenceLevel: "medium",
+      specificity: "medium"
+    },
+    improvementTips: ["Practice with more examples", "Work on clarity"],
+    followUp: getFallbackFollowUp(response, category)
+  };
+
+  if (rubric.length > 0) {
+    analysis.rubricScores = getFallbackRubricScores(response, rubric, overall);
+  }
+  return analysis;
+};
+
+const getFallbackRecommendations = (weaknesses = []) => {
+  return {
+    immediateActions: [
+      {
+        action: "Practice common interview questions",
+        priority: "high",
+        timeline: "1 week",
+        resources: ["Interview prep guides", "Practice sessions"]
+      }
+    ],
+    longTermGoals: [
+      {
+        goal: "Improve overall interview performance",
+        targetDate: "3 months",
+        milestones: ["Complete 10 practice sessions", "Improve confidence score"]
+      }
+    ],
+    practicePlan: {
+      focusAreas: weaknesses.length > 0 ? weaknesses : ["communication", "confidence"],
+      sessionFrequency: "weekly",
+      sessionDuration: "30 minutes",
+      nextSessionType: "mock_interview"
+    },
+    resources: {
+      articles: [],
+      videos: [],
+      tools: ["Interview practice app", "Recording device for self-review"]
+    }
+  };
+};
+
+const getFallbackSpeechAnalysis = (metrics = {}) => {
+  return {
+    speechAnalysis: {
+      clarity: "medium",
+      pace: "good",
+      confidence: "medium",
+      fillerWords: {
+        count: metrics.fillerWords || 0,
+        frequency: "medium",
+        words: []
+      },
+      pauses: {
+        count: metrics.pauseCount || 0,
+        averageLength: "medium",
+        effectiveness: "good"
+      }
+    },
+    communicationScore: 75,
+    recommendations: ["Continue practicing", "Focus on clarity"]
+  };
+};
+
+// Skills recognised in documents when no model is available
+const SKILL_KEYWORDS = [
+  'JavaScript', 'TypeScript', 'Python', 'Java', 'Go', 'C#', 'C++', 'Ruby', 'SQL', 'Node.js', 'React', 'Angular',
+  'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Kafka', 'PostgreSQL', 'MongoDB', 'GraphQL',
+  'machine learning', 'data analysis', 'Excel', 'Tableau', 'Salesforce', 'SAP', 'financial modeling',
+  'project management', 'product management', 'agile', 'Scrum', 'stakeholder management', 'leadership',
+  'mentoring', 'communication', 'negotiation', 'budgeting', 'customer service', 'sales', 'marketing'
+];
+
+const ACTION_VERBS = /^(built|led|launched|designed|developed|created|implemented|migrated|managed|delivered|reduced|increased|improved|grew|automated|introduced|shipped|owned|ran|drove|scaled|cut|saved)\b/i;
+const REQUIREMENT_HEADINGS = /^(requirements|qualifications|what you('|’)ll need|what we('|’)re looking for|must have|you have|about you|skills)\b/i;
+const MAX_ITEMS = 8;
+const MAX_SKILLS = 15;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Line-based reading of a plain-text resume or job description
+const getFallbackDocumentDetails = (kind = 'resume', text = '') => {
+  const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const bullet = /^([-*\u2022\u25AA]|\d+[.)])\s+/;
+  const unique = (items) => [...new Set(items)].slice(0, MAX_ITEMS);
+
+  // Short names (Go, SQL, SAP) only count with their usual capitalisation
+  const skills = [...new Set(SKILL_KEYWORDS.filter(skill =>
+    new RegExp(`(^|[^\\w])${escapeRegExp(skill)}(?![\\w#+])`, skill.length > 3 ? 'i' : '').test(text)
+  ))].slice(0, MAX_SKILLS);
+
+  if (kind === 'jobDescription') {
+    let inRequirements = false;
+    const underHeading = [];
+    const bullets = [];
+    lines.forEach(line => {
+      if (!bullet.test(line) && line.length < 60) {
+        inRequirements = REQUIREMENT_HEADINGS.test(line.replace(/^#+\s*/, ''));
+        return;
+      }
+      if (bullet.test(line)) {
+        const item = line.replace(bullet, '').trim();
+        bullets.push(item);
+        if (inRequirements) {
+          underHeading.push(item);
+        }
+      }
+    });
+
+    const companyMatch = String(text).match(/\bCompany:\s*(.+)/i) || (lines[0] || '').match(/\bat\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*)*)/);
+    return {
+      title: (lines[0] || '').replace(/^#+\s*/, '').replace(/\s+at\s+.*$/, '').slice(0, 100),
+      company: companyMatch ? companyMatch[1].trim() : '',
+      summary: '',
+      skills,
+      employers: [],
+      projects: [],
+      requirements: unique(underHeading.length > 0 ? underHeading : bullets)
+    };
+  }
+
+  const employers = [];
+  lines.forEach(line => {
+    // "Senior Engineer at Acme Corp, 2019 - 2023" or "Acme Corp | Senior Engineer | 2019 - 2023"
+    if (!/\b(19|20)\d{2}\b/.test(line)) {
+      return;
+    }
+    const atMatch = line.match(/\bat\s+([A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*)*)/);
+    const pipeMatch = line.replace(/^#+\s*/, '').match(/^([A-Z][\w&.' -]*?)\s*[|\u2013\u2014,]\s/);
+    const employer = atMatch ? atMatch[1] : pipeMatch ? pipeMatch[1] : null;
+    if (employer) {
+      employers.push(employer.trim());
+    }
+  });
+
+  const projects = lines
+    .filter(line => bullet.test(line))
+    .map(line => line.replace(bullet, '').trim())
+    .filter(line => ACTION_VERBS.test(line));
+
+  return {
+    title: '',
+    company: '',
+    summary: '',
+    skills,
+    employers: unique(employers),
+    projects: unique(projects).slice(0, 5),
+    requirements: []
+  };
+};
+
+module.exports = {
+  FALLBACK_QUESTIONS,
+  FOLLOW_UP_PROBES,
+  SKILL_KEYWORDS,
+  getFallbackQuestions,
+  getFallbackAnalysis,
+  getFallbackFollowUp,
+  getFallbackRecommendations,
+  getFallbackSpeechAnalysis,
+  getFallbackDocumentDetails
+};
@@ -0,0 +1,33 @@
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const OfflineProvider = require('./offlineProvider');
+const { getProviderName } = require('./config');
+
+// LLM providers by name, as used in LLM_PROVIDER. A provider implements
+// generateInterviewQuestions, analyzeResponse, generateCoachingRecommendations,
+// analyzeSpeechPatterns and extractDocumentDetails, each taking (options, { model, temperature,
+// maxTokens, maxRepairs }) and resolving to { data, source }, where source is
+// 'model', 'repair' or 'fallback'.
+const providers = {
+  openai: options => new OpenAIProvider(options),
+  openai_compatible: options => new OpenAICompatibleProvider(options),
+  offline: () => new OfflineProvider()
+};
+
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const createProvider = (name = getProviderName(), options = {}) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createProvider,
+  registerProvider,
+  getProviderName
+};
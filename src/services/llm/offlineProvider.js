@@ -0,0 +1,47 @@
+const fallbacks = require('./fallbacks');
+
+// Deterministic provider that never leaves the machine. Used when no model is
+// configured, in the call simulator and in tests. Its results count as fallbacks.
+class OfflineProvider {
+  constructor() {
+    this.name = 'offline';
+  }
+
+  result(data) {
+    return { data, source: 'fallback' };
+  }
+
+  async generateInterviewQuestions(options = {}) {
+    const {
+      industry = 'technology',
+      experienceLevel = 'mid',
+      questionCount = 5,
+      previousQuestions = [],
+      candidateContext = null,
+      companyPack = null,
+      difficulty,
+      category = null,
+      supportive = false
+    } = options;
+
+    return this.result(fallbacks.getFallbackQuestions(industry, experienceLevel, questionCount, previousQuestions, { candidateContext, companyPack, difficulty, category, supportive }));
+  }
+
+  async analyzeResponse(options = {}) {
+    return this.result(fallbacks.getFallbackAnalysis(options.userResponse, options.questionCategory, options.companyPack));
+  }
+
+  async generateCoachingRecommendations(options = {}) {
+    return this.result(fallbacks.getFallbackRecommendations(options.weaknesses));
+  }
+
+  async analyzeSpeechPatterns(options = {}) {
+    return this.result(fallbacks.getFallbackSpeechAnalysis(options.metrics));
+  }
+
+  async extractDocumentDetails(options = {}) {
+    return this.result(fallbacks.getFallbackDocumentDetails(options.kind, options.text));
+  }
+}
+
+module.exports = OfflineProvider;
@@ -0,0 +1,45 @@
+const axios = require('axios');
+const ChatProvider = require('./chatProvider');
+
+// Any server exposing an OpenAI-style /chat/completions endpoint
+// (Ollama, LM Studio, vLLM, llama.cpp server...). LLM_BASE_URL should include
+// the API prefix, e.g. http://localhost:11434/v1
+class OpenAICompatibleProvider extends ChatProvider {
+  constructor(options = {}) {
+    super('openai_compatible');
+
+    this.baseUrl = (options.baseUrl || process.env.LLM_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY;
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000;
+    this.http = options.http || axios;
+
+    if (!this.baseUrl) {
+      throw new Error('LLM_BASE_URL not configured for the OpenAI-compatible provider');
+    }
+  }
+
+  async complete(messages, config) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.http.post(`${this.baseUrl}/chat/completions`, {
+      model: config.model,
+      messages,
+      temperature: config.temperature,
+      max_tokens: config.maxTokens
+    }, {
+      headers,
+      timeout: this.timeout
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('OpenAI-compatible endpoint returned no message content');
+    }
+    return content;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,29 @@
+const OpenAI = require('openai');
+const ChatProvider = require('./chatProvider');
+
+// OpenAI's hosted models through the official SDK
+class OpenAIProvider extends ChatProvider {
+  constructor(options = {}) {
+    super('openai');
+
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    this.client = options.client || new OpenAI({ apiKey });
+  }
+
+  async complete(messages, config) {
+    const completion = await this.client.chat.completions.create({
+      model: config.model,
+      messages,
+      temperature: config.temperature,
+      max_tokens: config.maxTokens
+    });
+
+    return completion.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAIProvider;
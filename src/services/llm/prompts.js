@@ -0,0 +1,320 @@
+// Chat prompts for each LLM operation. Every builder returns the messages array
+// sent to chat-completion style providers.
+
+const { DIMENSIONS, DEFAULT_RUBRIC, normalizeRubric } = require('../scoring/rubric');
+
+// Company pack section (CompanyPack.toPromptContext) for question generation or answer analysis
+const describeCompanyPack = (companyPack, purpose) => {
+  if (!companyPack) {
+    return '';
+  }
+
+  const { name, values = [], questionThemes = [], interviewStages = [], rubric = [], stage } = companyPack;
+  let text = `\n\nThis is a ${name} interview.\n`;
+  if (values.length > 0) {
+    text += `${name} values: ${values.join('; ')}\n`;
+  }
+
+  if (purpose === 'questions') {
+    if (questionThemes.length > 0) {
+      text += `Themes ${name} interviewers are known for: ${questionThemes.join('; ')}\n`;
+    }
+    if (interviewStages.length > 0) {
+      text += `Interview stages: ${interviewStages.map(item => `${item.name}${item.description ? ` (${item.description})` : ''}`).join('; ')}\n`;
+    }
+    if (stage) {
+      text += `Ask the next question as part of the ${stage.name} stage${stage.description ? `: ${stage.description}` : ''}.\n`;
+    }
+    text += `Ask questions the way ${name} interviewers would: draw on these themes and test these values.`;
+    return text;
+  }
+
+  if (rubric.length > 0) {
+    text += `Evaluation rubric (criterion, weight, what good looks like):\n${rubric.map(criterion => `- ${criterion.name} (${criterion.weight}): ${criterion.description || ''}`).join('\n')}\n`;
+    text += `Score every rubric criterion from 0 to 100 in "rubricScores", keyed by criterion name, and judge the answer against ${name}'s values.`;
+  }
+  return text;
+};
+
+// What each difficulty level asks of the candidate (difficultyService)
+const DIFFICULTY_GUIDANCE = {
+  easy: 'a familiar, single-situation question the candidate can answer from everyday experience',
+  medium: 'a typical interview question that needs a specific example',
+  hard: 'a probing question with trade-offs, ambiguity, scale or conflicting priorities'
+};
+
+const generateInterviewQuestions = (options = {}) => {
+  const {
+    industry = 'technology',
+    experienceLevel = 'mid',
+    questionCount = 5,
+    previousQuestions = [],
+    previousAnswers = [],
+    focusAreas = ['behavioral', 'technical'],
+    candidateContext = null,
+    companyPack = null,
+    difficulty = null,
+    category = null,
+    supportive = false
+  } = options;
+
+  // Build context from previous Q&A
+  let conversationContext = '';
+  if (previousQuestions.length > 0 && previousAnswers.length > 0) {
+    conversationContext = '\n\nPrevious conversation context:\n';
+    for (let i = 0; i < Math.min(previousQuestions.length, previousAnswers.length); i++) {
+      conversationContext += `Q${i+1}: ${previousQuestions[i]}\n`;
+      conversationContext += `A${i+1}: ${previousAnswers[i].substring(0, 200)}...\n\n`;
+    }
+    conversationContext += 'Use this context to ask relevant follow-up questions that build on what the candidate has shared.';
+  }
+
+  // Resume and target job description uploaded by the candidate (documentService.getCandidateContext)
+  let candidateBackground = '';
+  if (candidateContext) {
+    const { resume, jobDescription } = candidateContext;
+    candidateBackground = '\n\nCandidate background:\n';
+    if (resume) {
+      candidateBackground += `Resume skills: ${resume.skills.join(', ') || 'not listed'}\n`;
+      candidateBackground += `Employers: ${resume.employers.join(', ') || 'not listed'}\n`;
+      candidateBackground += `Projects and achievements:\n${resume.projects.map(project => `- ${project}`).join('\n') || '- not listed'}\n`;
+    }
+    if (jobDescription) {
+      candidateBackground += `Target job: ${[jobDescription.title, jobDescription.company].filter(Boolean).join(' at ') || 'not named'}\n`;
+      candidateBackground += `Job requirements:\n${jobDescription.requirements.map(requirement => `- ${requirement}`).join('\n') || '- not listed'}\n`;
+      candidateBackground += `Skills the job asks for: ${jobDescription.skills.join(', ') || 'not listed'}\n`;
+    }
+    candidateBackground += 'Ground the questions in this material: refer to the candidate\'s actual projects and employers by name, and probe the job requirements they have least evidence for.';
+  }
+
+  // Adaptive difficulty: the level chosen from the previous answer's score
+  let adaptation = '';
+  if (difficulty) {
+    adaptation += `\n- Difficulty: ${difficulty}, ${DIFFICULTY_GUIDANCE[difficulty]}`;
+  }
+  if (supportive && previousQuestions.length > 0) {
+    adaptation += `\n- The candidate struggled with the last question ("${previousQuestions[previousQuestions.length - 1]}"). Ask a supportive follow-up on the same topic: encouraging, simpler, and focused on one concrete example`;
+  }
+
+  const systemPrompt = `You are an expert interview coach conducting a ${experienceLevel}-level ${industry} interview. Generate ${questionCount} high-quality, contextual interview questions.
+
+Requirements:
+- Questions should be appropriate for ${experienceLevel} level in ${industry} industry
+- Focus on: ${focusAreas.join(', ')}
+- DO NOT repeat any of these questions: ${previousQuestions.join(' | ')}
+- Make questions realistic, challenging, and conversational
+- If previous answers are provided, build follow-up questions based on candidate's experience
+- Ask questions that dig deeper into their specific background and examples
+- ${category ? `Keep to ${category} questions` : 'Vary between behavioral, technical, and situational questions'}${adaptation}
+${conversationContext}${candidateBackground}${describeCompanyPack(companyPack, 'questions')}
+
+Return as JSON array with this structure:
+[
+  {
+    "id": "unique_id",
+    "text": "question text",
+    "category": "behavioral|technical|situational",
+    "difficulty": "easy|medium|hard",
+    "expectedKeywords": ["keyword1", "keyword2"],
+    "evaluationCriteria": ["criteria1", "criteria2"]
+  }
+]`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: `Generate ${questionCount} contextual questions for ${industry} ${experienceLevel} level interview. Previous questions asked: ${previousQuestions.length}` }
+  ];
+};
+
+const analyzeResponse = (options = {}) => {
+  const {
+    question,
+    userResponse,
+    questionCategory = 'behavioral',
+    companyPack = null,
+    scoringRubric = normalizeRubric(DEFAULT_RUBRIC)
+  } = options;
+
+  // The scoring rubric names and describes the dimensions and weights the overall score
+  const weights = scoringRubric.categoryWeights[questionCategory] || scoringRubric.categoryWeights.default;
+  const criteria = scoringRubric.dimensions
+    .map((dimension, index) => `${index + 1}. ${dimension.label} ("${dimension.key}", 0-100): ${dimension.description}`)
+    .join('\n');
+  const totalWeight = DIMENSIONS.reduce((sum, dimension) => sum + weights[dimension], 0);
+  const weighting = scoringRubric.dimensions
+    .filter(dimension => weights[dimension.key] > 0)
+    .map(dimension => `${dimension.label} ${Math.round((weights[dimension.key] / totalWeight) * 100)}%`)
+    .join(', ');
+
+  const systemPrompt = `You are an expert interview coach analyzing a candidate's response. Provide detailed feedback using these criteria:
+
+${criteria}
+${scoringRubric.dimensions.length + 1}. Overall Score (0-100): Weighted average (${weighting})
+
+For behavioral questions, look for STAR method (Situation, Task, Action, Result). Also return "star" with each component's words quoted exactly from the answer ("" when the answer leaves it out) and a 0-100 score for how complete it is; for other questions set "star" to null.
+For technical questions, evaluate accuracy and depth of knowledge.${describeCompanyPack(companyPack, 'analysis')}
+
+If the answer leaves a gap worth probing, set "followUp" to the most important one: a missing STAR component (missing_situation, missing_task, missing_action, missing_result), a vague claim with no example or number (vague_claim), or a technical term the candidate never explained (unexplained_term). Put the vague phrase or term in "detail" and write one short, spoken follow-up question that probes only that gap, such as "What was the measurable result?". Set "followUp" to null when the answer is complete.
+
+Return JSON with this structure:
+{
+  "scores": {
+    "content": 85,
+    "structure": 78,
+    "communication": 82,
+    "industryKnowledge": 90,
+    "overall": 84
+  },
+  "feedback": {
+    "strengths": ["strength1", "strength2"],
+    "weaknesses": ["weakness1", "weakness2"],
+    "suggestions": ["suggestion1", "suggestion2"]
+  },
+  "analysis": {
+    "usesStarMethod": true,
+    "keywordUsage": ["keyword1", "keyword2"],
+    "confidenceLevel": "high|medium|low",
+    "specificity": "high|medium|low"
+  },
+  "improvementTips": ["tip1", "tip2"],
+  "star": {
+    "situation": { "text": "words from the answer", "score": 80 },
+    "task": { "text": "", "score": 0 },
+    "action": { "text": "words from the answer", "score": 85 },
+    "result": { "text": "words from the answer", "score": 70 }
+  },
+  "followUp": { "gap": "missing_result", "detail": "", "question": "What was the measurable result?" }${companyPack && companyPack.rubric && companyPack.rubric.length > 0 ? ',\n  "rubricScores": { "criterion name": 80 }' : ''}
+}`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    {
+      role: 'user',
+      content: `Question: ${question}\n\nUser Response: ${userResponse}\n\nCategory: ${questionCategory}`
+    }
+  ];
+};
+
+const generateCoachingRecommendations = (options = {}) => {
+  const {
+    userProfile,
+    sessionHistory,
+    progressData,
+    weaknesses = []
+  } = options;
+
+  const systemPrompt = `You are an expert career coach. Analyze the user's interview performance and create personalized recommendations.
+
+User Profile: ${JSON.stringify(userProfile)}
+Recent Sessions: ${JSON.stringify(sessionHistory)}
+Progress Data: ${JSON.stringify(progressData)}
+Identified Weaknesses: ${weaknesses.join(', ')}
+
+Provide recommendations in this JSON format:
+{
+  "immediateActions": [
+    {
+      "action": "action description",
+      "priority": "high|medium|low",
+      "timeline": "1 week|2 weeks|1 month",
+      "resources": ["resource1", "resource2"]
+    }
+  ],
+  "longTermGoals": [
+    {
+      "goal": "goal description",
+      "targetDate": "3 months",
+      "milestones": ["milestone1", "milestone2"]
+    }
+  ],
+  "practicePlan": {
+    "focusAreas": ["area1", "area2"],
+    "sessionFrequency": "daily|weekly|bi-weekly",
+    "sessionDuration": "15|30|45 minutes",
+    "nextSessionType": "mock_interview|coaching|assessment"
+  },
+  "resources": {
+    "articles": ["url1", "url2"],
+    "videos": ["url1", "url2"],
+    "tools": ["tool1", "tool2"]
+  }
+}`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: 'Generate personalized coaching recommendations' }
+  ];
+};
+
+const analyzeSpeechPatterns = ({ transcript, metrics = {} } = {}) => {
+  const systemPrompt = `Analyze the speech patterns in this interview response. Consider speech rate, filler words, confidence indicators, and communication effectiveness.
+
+Transcript: ${transcript}
+Metrics: ${JSON.stringify(metrics)}
+
+Return analysis in JSON format:
+{
+  "speechAnalysis": {
+    "clarity": "high|medium|low",
+    "pace": "too_fast|good|too_slow",
+    "confidence": "high|medium|low",
+    "fillerWords": {
+      "count": 5,
+      "frequency": "high|medium|low",
+      "words": ["um", "uh", "like"]
+    },
+    "pauses": {
+      "count": 3,
+      "averageLength": "short|medium|long",
+      "effectiveness": "good|distracting|helpful"
+    }
+  },
+  "communicationScore": 85,
+  "recommendations": [
+    "Reduce filler words",
+    "Speak more slowly",
+    "Add more pauses for emphasis"
+  ]
+}`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: 'Analyze the speech patterns' }
+  ];
+};
+
+const extractDocumentDetails = ({ kind = 'resume', text = '' } = {}) => {
+  const systemPrompt = kind === 'jobDescription'
+    ? `Extract the key details of this job description for interview preparation. Use the wording of the document and do not invent anything.
+
+Return JSON with this structure:
+{
+  "title": "job title",
+  "company": "company name or empty",
+  "skills": ["skill1", "skill2"],
+  "requirements": ["requirement1", "requirement2"],
+  "summary": "one sentence describing the role"
+}`
+    : `Extract the key details of this resume for interview preparation. Use the wording of the document and do not invent anything.
+
+Return JSON with this structure:
+{
+  "skills": ["skill1", "skill2"],
+  "employers": ["employer1", "employer2"],
+  "projects": ["one-sentence project or achievement", "another"],
+  "summary": "one sentence describing the candidate"
+}`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: text }
+  ];
+};
+
+module.exports = {
+  generateInterviewQuestions,
+  analyzeResponse,
+  generateCoachingRecommendations,
+  analyzeSpeechPatterns,
+  extractDocumentDetails
+};
@@ -0,0 +1,124 @@
+const Joi = require('joi');
+
+// Shapes we accept from a model for each operation. Unknown keys are kept so
+// richer answers pass through; missing optional lists default to empty.
+
+const score = Joi.number().min(0).max(100);
+const level = Joi.string().valid('high', 'medium', 'low').insensitive();
+const stringList = Joi.array().items(Joi.string().allow('')).default([]);
+const starComponent = Joi.object({
+  text: Joi.string().allow('').default(''), // the words of the answer that make up the component
+  score
+}).unknown(true);
+const FOLLOW_UP_GAPS = ['missing_situation', 'missing_task', 'missing_action', 'missing_result', 'vague_claim', 'unexplained_term'];
+
+const question = Joi.object({
+  id: Joi.alternatives().try(Joi.string(), Joi.number()),
+  text: Joi.string().trim().min(1).required(),
+  category: Joi.string().valid('behavioral', 'technical', 'situational').insensitive().default('behavioral'),
+  difficulty: Joi.string().valid('easy', 'medium', 'hard').insensitive().default('medium'),
+  expectedKeywords: stringList,
+  evaluationCriteria: stringList
+}).unknown(true);
+
+const questions = Joi.array().items(question).min(1).required();
+
+const analysis = Joi.object({
+  scores: Joi.object({
+    content: score.required(),
+    structure: score.required(),
+    communication: score.required(),
+    industryKnowledge: score.required(),
+    overall: score.required()
+  }).unknown(true).required(),
+  feedback: Joi.object({
+    strengths: stringList,
+    weaknesses: stringList,
+    suggestions: stringList
+  }).unknown(true).required(),
+  analysis: Joi.object({
+    usesStarMethod: Joi.boolean(),
+    keywordUsage: stringList,
+    confidenceLevel: level,
+    specificity: level
+  }).unknown(true).default({}),
+  improvementTips: stringList,
+  rubricScores: Joi.object().pattern(Joi.string(), score), // company pack rubric, by criterion name
+  // Behavioral answers: the STAR components, each with a 0-100 completeness score
+  star: Joi.object({
+    situation: starComponent.required(),
+    task: starComponent.required(),
+    action: starComponent.required(),
+    result: starComponent.required()
+  }).unknown(true).allow(null),
+  // The gap a follow-up question should probe, or null when the answer is complete
+  followUp: Joi.object({
+    gap: Joi.string().valid(...FOLLOW_UP_GAPS).required(),
+    detail: Joi.string().allow('').default(''),
+    question: Joi.string().trim().min(1).required()
+  }).unknown(true).allow(null).default(null)
+}).unknown(true).required();
+
+const recommendations = Joi.object({
+  immediateActions: Joi.array().items(Joi.object({
+    action: Joi.string().required(),
+    priority: level,
+    timeline: Joi.string(),
+    resources: stringList
+  }).unknown(true)).default([]),
+  longTermGoals: Joi.array().items(Joi.object({
+    goal: Joi.string().required(),
+    targetDate: Joi.string(),
+    milestones: stringList
+  }).unknown(true)).default([]),
+  practicePlan: Joi.object({
+    focusAreas: stringList,
+    sessionFrequency: Joi.string(),
+    sessionDuration: Joi.string(),
+    nextSessionType: Joi.string()
+  }).unknown(true).required(),
+  resources: Joi.object({
+    articles: stringList,
+    videos: stringList,
+    tools: stringList
+  }).unknown(true).default({})
+}).unknown(true).required();
+
+const speechAnalysis = Joi.object({
+  speechAnalysis: Joi.object({
+    clarity: level.required(),
+    pace: Joi.string().valid('too_fast', 'good', 'too_slow').insensitive().required(),
+    confidence: level.required(),
+    fillerWords: Joi.object({
+      count: Joi.number().min(0).required(),
+      frequency: level,
+      words: stringList
+    }).unknown(true),
+    pauses: Joi.object({
+      count: Joi.number().min(0).required(),
+      averageLength: Joi.string(),
+      effectiveness: Joi.string()
+    }).unknown(true)
+  }).unknown(true).required(),
+  communicationScore: score.required(),
+  recommendations: stringList
+}).unknown(true).required();
+
+// Resume and job description details; each kind fills the keys it has
+const documentDetails = Joi.object({
+  title: Joi.string().allow('').default(''),
+  company: Joi.string().allow('').default(''),
+  summary: Joi.string().allow('').default(''),
+  skills: stringList,
+  employers: stringList,
+  projects: stringList,
+  requirements: stringList
+}).unknown(true).required();
+
+module.exports = {
+  generateInterviewQuestions: questions,
+  analyzeResponse: analysis,
+  generateCoachingRecommendations: recommendations,
+  analyzeSpeechPatterns: speechAnalysis,
+  extractDocumentDetails: documentDetails
+};
@@ -0,0 +1,79 @@
+const schemas = require('./schemas');
+
+// Pieces of a reply that might hold the JSON: the whole text, each ```fenced```
+// block, then the span from the first opening bracket to the last closing one
+// (models like to add "Here is the JSON:" or a closing remark).
+const getJsonCandidates = (text) => {
+  const trimmed = String(text || '').trim();
+  const candidates = [trimmed];
+
+  const fencePattern = /```(?:json|JSON)?\s*([\s\S]*?)```/g;
+  let match;
+  while ((match = fencePattern.exec(trimmed)) !== null) {
+    candidates.push(match[1].trim());
+  }
+
+  // Outermost structure first, so a list of objects is not read as its first object
+  [['{', '}'], ['[', ']']]
+    .map(([open, close]) => ({ start: trimmed.indexOf(open), end: trimmed.lastIndexOf(close) }))
+    .filter(({ start, end }) => start !== -1 && end > start)
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      candidates.push(trimmed.slice(start, end + 1));
+    });
+
+  return [...new Set(candidates.filter(candidate => candidate.length > 0))];
+};
+
+// First candidate that parses as JSON, or undefined
+const extractJson = (text) => {
+  for (const candidate of getJsonCandidates(text)) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+};
+
+// Models sometimes wrap a list: {"questions": [...]} instead of [...]
+const unwrapList = (schema, value) => {
+  if (schema.type !== 'array' || !value || Array.isArray(value) || typeof value !== 'object') {
+    return value;
+  }
+  const lists = Object.values(value).filter(Array.isArray);
+  return lists.length === 1 ? lists[0] : value;
+};
+
+// Parse and validate a model reply for an operation.
+// Returns { value } on success or { error } describing what is wrong.
+const parseOutput = (operation, text) => {
+  const schema = schemas[operation];
+  if (!schema) {
+    throw new Error(`No output schema for LLM operation: ${operation}`);
+  }
+
+  const parsed = extractJson(text);
+  if (parsed === undefined) {
+    return { error: 'Reply did not contain valid JSON' };
+  }
+
+  const { value, error } = schema.validate(unwrapList(schema, parsed), { abortEarly: false, convert: true });
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+
+  return { value };
+};
+
+// Follow-up message asking the model to fix its previous reply
+const buildRepairPrompt = (error) => {
+  return `Your previous reply could not be used: ${error}. Reply again with only the corrected JSON, matching the structure requested above, with no explanation or markdown.`;
+};
+
+module.exports = {
+  extractJson,
+  parseOutput,
+  buildRepairPrompt
+};
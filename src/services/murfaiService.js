@@ -2,13 +2,13 @@ const WebSocket = require('ws');
 const logger = require('../utils/logger');
 const fs = require('fs').promises;
 const path = require('path');
+const audioCacheService = require('./audioCacheService');
 
 class MurfAIService {
   constructor() {
     this.apiKey = process.env.MURF_API_KEY;
     this.wsUrl = 'wss://api.murf.ai/v1/speech/stream-input';
     this.outputDir = path.join(__dirname, '../../temp/audio');
-    this.publicAudioUrl = process.env.WEBHOOK_BASE_URL || '';
     
     if (!this.apiKey) {
       logger.warn('MurfAI API key not configured - TTS will fall back to Twilio');
@@ -46,7 +46,8 @@ class MurfAIService {
       pitch = 0,
       speed = 0,
       style = 'Conversational',
-      useCache = true
+      useCache = true,
+      promptId = null
     } = options;
 
     if (!text || text.trim().length === 0) {
@@ -86,7 +87,12 @@ class MurfAIService {
       logger.logApiCall('MurfAI', 'textToSpeech', duration, true);
 
       // Save audio file
-      const audioUrl = await this.saveAudioFile(audioData, cacheKey, format);
+      const audioUrl = await this.saveAudioFile(audioData, cacheKey, format, {
+        text,
+        voiceId,
+        promptId,
+        params: { sampleRate, pitch, speed, style }
+      });
 
       return {
         audioUrl: audioUrl,
@@ -307,30 +313,19 @@ class MurfAIService {
     }
   }
 
-  // Save audio file to temp directory and return public URL
-  async saveAudioFile(audioData, cacheKey, format = 'wav') {
+  // Save audio to the cache and return its public URL
+  async saveAudioFile(audioData, cacheKey, format = 'wav', metadata = {}) {
     try {
-      const filename = `${cacheKey}.${format.toLowerCase()}`;
-      const filepath = path.join(this.outputDir, filename);
-      
-      // Save the audio data
-      await fs.writeFile(filepath, audioData);
-      
-      // Verify the file was written
-      const stats = await fs.stat(filepath);
-      logger.info('Audio file saved', { 
-        filename, 
-        size: audioData.length,
-        writtenSize: stats.size,
-        path: filepath
+      const entry = await audioCacheService.store(cacheKey, audioData, {
+        ...metadata,
+        format,
+        provider: 'murfai'
       });
-      
+
       // Return public URL for Twilio to access
-      const publicUrl = `${this.publicAudioUrl}/audio/${filename}`;
-      
-      // Log the full URL for debugging
-      logger.info('Audio URL generated:', publicUrl);
-      
+      const publicUrl = audioCacheService.getUrl(entry.filename);
+      logger.info('Audio file saved', { filename: entry.filename, size: entry.size, url: publicUrl });
+
       return publicUrl;
     } catch (error) {
       logger.error('Failed to save audio file:', error);
@@ -340,71 +335,41 @@ class MurfAIService {
 
   // Generate cache key for audio files
   generateCacheKey(text, voiceId, pitch, speed) {
-    const crypto = require('crypto');
-    const hash = crypto
-      .createHash('sha256')
-      .update(`${text}-${voiceId}-${pitch}-${speed}`)
-      .digest('hex');
-    
-    return hash.substring(0, 16);
+    return audioCacheService.generateKey(text, voiceId, pitch, speed);
   }
 
   // Get cached audio if exists
   async getCachedAudio(cacheKey) {
     try {
-      const formats = ['wav', 'mp3'];
-      
-      for (const format of formats) {
-        const filename = `${cacheKey}.${format}`;
-        const filepath = path.join(this.outputDir, filename);
-        
-        try {
-          await fs.access(filepath);
-          const publicUrl = `${this.publicAudioUrl}/audio/${filename}`;
-          const audioData = await fs.readFile(filepath);
-          
-          return {
-            audioUrl: publicUrl,
-            audioData: audioData,
-            cacheKey: cacheKey,
-            cached: true
-          };
-        } catch (err) {
-          // File doesn't exist, continue to next format
-          continue;
-        }
+      const entry = await audioCacheService.lookup(cacheKey);
+      if (!entry) {
+        return null;
       }
-      
-      return null;
+
+      const audioData = await audioCacheService.read(entry.filename);
+      if (!audioData) {
+        // Indexed but the file is gone; regenerate it
+        return null;
+      }
+
+      return {
+        audioUrl: audioCacheService.getUrl(entry.filename),
+        audioData: audioData,
+        cacheKey: cacheKey,
+        cached: true
+      };
     } catch (error) {
       logger.error('Error checking cache:', error);
       return null;
     }
   }
 
-  // Clear old cached audio files (older than specified days)
+  // Clear cached audio not played in the specified number of days
   async clearCache(olderThanDays = 7) {
     try {
-      const files = await fs.readdir(this.outputDir);
-      const now = Date.now();
-      const maxAge = olderThanDays * 24 * 60 * 60 * 1000;
-      
-      let deletedCount = 0;
-      
-      for (const file of files) {
-        const filepath = path.join(this.outputDir, file);
-        const stats = await fs.stat(filepath);
-        const age = now - stats.mtimeMs;
-        
-        if (age > maxAge) {
-          await fs.unlink(filepath);
-          deletedCount++;
-        }
-      }
-      
-      logger.info('Cache cleared', { deletedCount, olderThanDays });
-      
-      return { deletedCount };
+      const result = await audioCacheService.clear({ olderThanDays });
+      logger.info('Cache cleared', { deletedCount: result.deletedCount, olderThanDays });
+      return result;
     } catch (error) {
       logger.error('Failed to clear cache:', error);
       throw error;
@@ -423,38 +388,6 @@ class MurfAIService {
       { id: 'en-GB-charles', name: 'Charles', language: 'en-GB', gender: 'male' }
     ];
   }
-
-  // Pre-generate common messages for faster response times
-  async preGenerateCommonMessages() {
-    // Check if MurfAI is properly configured
-    if (!this.apiKey) {
-      logger.warn('MurfAI not configured, skipping pre-generation');
-      return [];
-    }
-
-    // Only pre-generate the MOST COMMON messages to reduce startup time
-    const commonMessages = [
-      'Thank you for that answer. Please hold while I prepare your next question.',
-      'Here\'s your next question.',
-      'Thank you for that response. Please hold while I prepare your next question.',
-      'Let me continue with your next question.',
-      'Please provide your response.'
-    ];
-
-    try {
-      logger.info(`Pre-generating ${commonMessages.length} most common messages...`);
-      const results = await this.batchTextToSpeech(commonMessages, { useCache: true });
-      logger.info('Common messages pre-generated successfully', { 
-        total: commonMessages.length,
-        successful: results.length,
-        failed: commonMessages.length - results.length
-      });
-      return results;
-    } catch (error) {
-      logger.warn('Failed to pre-generate common messages (will generate on-demand):', error.message);
-      return [];
-    }
-  }
 }
 
 module.exports = new MurfAIService();
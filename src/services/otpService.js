@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { OtpCode } = require('../database/models');
+const smsService = require('./smsService');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// SMS one-time passcodes: issue, throttle and verify.
+// Results are plain objects; routes map the reason to an HTTP status.
+class OTPService {
+  getConfig() {
+    return {
+      length: parseInt(process.env.OTP_LENGTH, 10) || 6,
+      ttlSeconds: parseInt(process.env.OTP_TTL_SECONDS, 10) || 300,
+      maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+      resendIntervalSeconds: parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS, 10) || 60,
+      maxSendsPerHour: parseInt(process.env.OTP_MAX_SENDS_PER_HOUR, 10) || 5
+    };
+  }
+
+  generateCode(length) {
+    return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+  }
+
+  // Seconds until another code may be sent to this number, 0 if allowed now
+  async getResendDelay(phoneNumber, purpose, config) {
+    const now = Date.now();
+    const recent = await OtpCode.findSentSince(phoneNumber, new Date(now - HOUR_MS), purpose);
+
+    const waits = [0];
+    if (recent.length > 0) {
+      waits.push(recent[recent.length - 1].createdAt.getTime() + config.resendIntervalSeconds * 1000 - now);
+    }
+    if (recent.length >= config.maxSendsPerHour) {
+      waits.push(recent[recent.length - config.maxSendsPerHour].createdAt.getTime() + HOUR_MS - now);
+    }
+
+    return Math.ceil(Math.max(...waits) / 1000);
+  }
+
+  // Send a new code, replacing any unused one.
+  // Returns { sent: true, expiresIn, resendAfter } or { sent: false, reason: 'throttled', retryAfter }.
+  async requestCode(phoneNumber, purpose = 'login') {
+    const config = this.getConfig();
+
+    const retryAfter = await this.getResendDelay(phoneNumber, purpose, config);
+    if (retryAfter > 0) {
+      logger.warn('OTP request throttled', { phoneNumber, purpose, retryAfter });
+      return { sent: false, reason: 'throttled', retryAfter };
+    }
+
+    const code = this.generateCode(config.length);
+    await OtpCode.invalidatePending(phoneNumber, purpose);
+    const otp = await OtpCode.create({
+      phoneNumber,
+      purpose,
+      codeHash: OtpCode.hashCode(phoneNumber, code),
+      expiresAt: new Date(Date.now() + config.ttlSeconds * 1000)
+    });
+
+    try {
+      const minutes = Math.ceil(config.ttlSeconds / 60);
+      await smsService.send(phoneNumber, `Your AI Interview Coaching code is ${code}. It expires in ${minutes} minute${minutes === 1 ? '' : 's'}. Don't share it with anyone.`);
+    } catch (error) {
+      // Nothing reached the caller, so don't count it against the resend limits
+      await otp.destroy();
+      throw error;
+    }
+
+    logger.info('OTP sent', { phoneNumber, purpose });
+    return { sent: true, expiresIn: config.ttlSeconds, resendAfter: config.resendIntervalSeconds };
+  }
+
+  // Check a code. Returns { valid: true } or { valid: false, reason, attemptsRemaining }
+  // where reason is 'invalid', 'expired' (no usable code) or 'too_many_attempts'.
+  async verifyCode(phoneNumber, code, purpose = 'login') {
+    const { maxAttempts } = this.getConfig();
+    const otp = await OtpCode.findLatest(phoneNumber, purpose);
+
+    if (!otp || otp.consumedAt || otp.isExpired()) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    if (otp.attempts >= maxAttempts) {
+      return { valid: false, reason: 'too_many_attempts' };
+    }
+
+    if (!otp.matches(String(code))) {
+      await otp.recordFailedAttempt();
+      const attemptsRemaining = Math.max(0, maxAttempts - otp.attempts);
+      logger.warn('Invalid OTP entered', { phoneNumber, purpose, attemptsRemaining });
+
+      return attemptsRemaining === 0
+        ? { valid: false, reason: 'too_many_attempts' }
+        : { valid: false, reason: 'invalid', attemptsRemaining };
+    }
+
+    if (!(await otp.consume())) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    return { valid: true };
+  }
+}
+
+module.exports = new OTPService();
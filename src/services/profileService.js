@@ -0,0 +1,106 @@
+const { User } = require('../database/models');
+const ivrFlow = require('../flows/ivrFlow');
+const logger = require('../utils/logger');
+
+const MAX_LIST_ITEMS = 5;
+
+// Profile changes made over the phone. callFlowService matches what the caller
+// said or pressed to option values; this service checks those values against
+// the User model, reads them back in words and saves them.
+class ProfileService {
+  constructor(definition = ivrFlow.profile) {
+    this.definition = definition;
+  }
+
+  getField(name) {
+    const field = this.definition.fields[name];
+    if (!field) {
+      throw new Error(`Unknown profile field: ${name}`);
+    }
+    return field;
+  }
+
+  // "I'm preparing for product manager and data analyst" -> ['Product Manager', 'Data Analyst']
+  parseList(speech) {
+    const items = String(speech || '')
+      .replace(/^(i'm|i am)?\s*(preparing|applying|looking)\s+for\s+/i, '')
+      .split(/,|;|\band\b|\bor\b/i)
+      .map(item => item.replace(/[^\p{L}\p{N}\s'&/-]/gu, '').replace(/\s+/g, ' ').trim())
+      .filter(item => item.length >= 2 && item.length <= 100)
+      .map(item => item.replace(/\b\p{L}/gu, letter => letter.toUpperCase()));
+
+    const unique = [...new Set(items)].slice(0, MAX_LIST_ITEMS);
+    return unique.length > 0 ? unique : null;
+  }
+
+  // Only values the User model (or its preference lists) accepts
+  isValid(name, value) {
+    const field = this.getField(name);
+
+    if (name === 'industry') {
+      return User.INDUSTRIES.includes(value);
+    }
+    if (name === 'experienceLevel') {
+      return User.EXPERIENCE_LEVELS.includes(value);
+    }
+    if (field.list) {
+      return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.length > 0);
+    }
+
+    const allowed = User.PREFERENCE_VALUES[name] || [];
+    if (field.multiple) {
+      return Array.isArray(value) && value.length > 0 && value.every(item => allowed.includes(item));
+    }
+    return allowed.includes(value);
+  }
+
+  getValue(user, name) {
+    return this.getField(name).preference ? (user.preferences || {})[name] : user[name];
+  }
+
+  // A value as it is read to the caller, using option labels where set
+  describeValue(name, value) {
+    const field = this.getField(name);
+    const values = (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null);
+
+    if (values.length === 0) {
+      return this.definition.none;
+    }
+
+    const words = values.map(item => {
+      const option = (field.options || []).find(candidate => candidate.value === item);
+      return option ? (option.label || String(option.value)) : String(item);
+    });
+
+    return words.length === 1
+      ? words[0]
+      : `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+  }
+
+  // Placeholder values for the spoken profile review
+  describe(user) {
+    const values = { name: user.name };
+    Object.keys(this.definition.fields).forEach(name => {
+      values[name] = this.describeValue(name, this.getValue(user, name));
+    });
+    return values;
+  }
+
+  async update(user, name, value) {
+    if (!this.isValid(name, value)) {
+      throw new Error(`Invalid value for profile field ${name}`);
+    }
+
+    if (this.getField(name).preference) {
+      user.preferences = { ...user.preferences, [name]: value };
+    } else {
+      user[name] = value;
+    }
+    await user.save();
+
+    logger.info('Profile updated by phone', { userId: user.id, field: name });
+    return user;
+  }
+}
+
+module.exports = new ProfileService();
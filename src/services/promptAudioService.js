@@ -0,0 +1,124 @@
+const tts = require('./tts');
+const ttsService = require('./ttsService');
+const audioCacheService = require('./audioCacheService');
+const { getStaticPrompts } = require('../flows/promptCatalog');
+const logger = require('../utils/logger');
+
+// Pre-generates audio for the static prompts in the prompt catalog, for every
+// configured voice, so the first live call does not wait on TTS.
+//
+// A prompt is 'cached' when audio for its current text and voice is in the
+// audio cache, 'stale' when only audio for an older wording is (the catalog
+// text changed since it was generated) and 'missing' otherwise.
+class PromptAudioService {
+  // Voices to warm: TTS_PREGENERATE_VOICES ("murfai:en-US-natalie,local"), or the
+  // default voice of each provider in the TTS chain. Providers that render
+  // nothing ahead of time (Twilio <Say>) are left out.
+  getVoices() {
+    const configured = process.env.TTS_PREGENERATE_VOICES
+      ? process.env.TTS_PREGENERATE_VOICES.split(',').map(entry => entry.trim()).filter(Boolean)
+      : ttsService.getDefaultChain();
+
+    const voices = [];
+    configured.forEach(entry => {
+      const [provider, voiceId] = entry.split(':');
+      if (!tts.hasProvider(provider)) {
+        logger.warn(`Ignoring unknown TTS provider "${provider}" for pre-generation`);
+        return;
+      }
+
+      const instance = ttsService.getProvider(provider);
+      if (!instance.getCacheKey) {
+        return;
+      }
+
+      const voice = { provider, voiceId: voiceId || instance.defaultVoice() };
+      if (!voices.some(existing => existing.provider === voice.provider && existing.voiceId === voice.voiceId)) {
+        voices.push(voice);
+      }
+    });
+
+    return voices;
+  }
+
+  // Cache status of every prompt for every voice
+  async getStatus({ prompts = getStaticPrompts(), voices = this.getVoices() } = {}) {
+    const entries = await audioCacheService.list();
+
+    return voices.map(voice => {
+      const provider = ttsService.getProvider(voice.provider);
+
+      return {
+        ...voice,
+        configured: provider.isConfigured(),
+        prompts: prompts.map(prompt => {
+          const key = provider.getCacheKey(prompt.text, { voiceId: voice.voiceId });
+          const outdated = entries
+            .filter(entry => entry.promptId === prompt.id && entry.provider === voice.provider &&
+              entry.voiceId === voice.voiceId && entry.key !== key)
+            .map(entry => entry.key);
+
+          let status = 'missing';
+          if (entries.some(entry => entry.key === key)) {
+            status = 'cached';
+          } else if (outdated.length > 0) {
+            status = 'stale';
+          }
+
+          return { ...prompt, key, status, outdated };
+        })
+      };
+    });
+  }
+
+  // Synthesize every stale or missing prompt and drop audio for old wordings.
+  // Returns the status report, with generated/error set on prompts it touched.
+  async pregenerate(options = {}) {
+    const report = await this.getStatus(options);
+
+    for (const voice of report) {
+      if (!voice.configured) {
+        logger.info(`TTS provider ${voice.provider} not configured, skipping pre-generation`);
+        continue;
+      }
+
+      const provider = ttsService.getProvider(voice.provider);
+
+      // One prompt at a time: MurfAI streams over a single WebSocket per request
+      for (const prompt of voice.prompts) {
+        if (prompt.status !== 'cached') {
+          try {
+            await provider.synthesize(prompt.text, { voiceId: voice.voiceId, promptId: prompt.id });
+            prompt.generated = true;
+          } catch (error) {
+            prompt.error = error.message || String(error);
+            logger.warn(`Failed to pre-generate ${prompt.id} with ${voice.provider}:`, prompt.error);
+          }
+        }
+
+        for (const key of prompt.outdated) {
+          await audioCacheService.remove(key);
+        }
+      }
+    }
+
+    await audioCacheService.flush();
+    return report;
+  }
+
+  // Prompt counts per status for one voice of a report
+  summarize(voice) {
+    return voice.prompts.reduce((counts, prompt) => {
+      counts[prompt.status] += 1;
+      if (prompt.generated) {
+        counts.generated += 1;
+      }
+      if (prompt.error) {
+        counts.failed += 1;
+      }
+      return counts;
+    }, { cached: 0, stale: 0, missing: 0, generated: 0, failed: 0 });
+  }
+}
+
+module.exports = new PromptAudioService();
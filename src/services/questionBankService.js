@@ -0,0 +1,339 @@
+const { Question, User } = require('../database/models');
+const logger = require('../utils/logger');
+
+const CSV_COLUMNS = ['id', 'text', 'category', 'difficulty', 'industry', 'roleLevel', 'tags', 'expectedKeywords', 'evaluationCriteria', 'version', 'isActive'];
+const LIST_FIELDS = ['tags', 'expectedKeywords', 'evaluationCriteria'];
+const LIST_SEPARATOR = '|'; // between list items in a CSV cell
+const MAX_LIST_ITEMS = 20;
+const MAX_IMPORT_ROWS = 1000;
+const PREFERENCE_POOL = 20; // least-used questions considered when a difficulty or category is wanted
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Spreadsheets evaluate cells starting with these as formulas. Question text
+// can come from generated questions grounded in candidate uploads, so exported
+// cells get a leading ' (shown as text) that import takes off again.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const readCsvCell = (cell) => (cell.startsWith('\'') && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+// The curated question bank: record validation, JSON and CSV import/export,
+// promoting generated questions and picking bank questions for sessions.
+// Results are plain objects; routes map them to responses.
+class QuestionBankService {
+  // Stored fields of a question record from the API or an import file. List
+  // fields may be arrays or "a|b" strings. Returns { fields, errors }; only the
+  // fields present in the record are included.
+  readRecord(record) {
+    const fields = {};
+    const errors = [];
+    const present = (field) => record[field] !== undefined;
+
+    if (present('text')) {
+      const text = typeof record.text === 'string' ? record.text.replace(/\s+/g, ' ').trim() : '';
+      if (text.length < 10 || text.length > 1000) {
+        errors.push('text must be between 10 and 1000 characters');
+      }
+      fields.text = text;
+    }
+
+    [['category', Question.CATEGORIES], ['difficulty', Question.DIFFICULTIES]].forEach(([field, allowed]) => {
+      if (present(field) && record[field] !== '') {
+        const value = String(record[field]).trim().toLowerCase();
+        if (!allowed.includes(value)) {
+          errors.push(`${field} must be one of ${allowed.join(', ')}`);
+        }
+        fields[field] = value;
+      }
+    });
+
+    [['industry', User.INDUSTRIES], ['roleLevel', User.EXPERIENCE_LEVELS]].forEach(([field, allowed]) => {
+      if (present(field)) {
+        const value = record[field] === null || record[field] === '' ? null : String(record[field]).trim().toLowerCase();
+        if (value !== null && !allowed.includes(value)) {
+          errors.push(`${field} must be empty or one of ${allowed.join(', ')}`);
+        }
+        fields[field] = value;
+      }
+    });
+
+    LIST_FIELDS.forEach(field => {
+      if (!present(field)) {
+        return;
+      }
+      const raw = record[field];
+      const items = Array.isArray(raw) ? raw : String(raw === null ? '' : raw).split(LIST_SEPARATOR);
+      if (!items.every(item => typeof item === 'string')) {
+        errors.push(`${field} must only contain strings`);
+        return;
+      }
+      let values = items.map(item => item.trim()).filter(Boolean);
+      if (field === 'tags') {
+        values = [...new Set(values.map(tag => tag.toLowerCase()))];
+      }
+      if (values.length > MAX_LIST_ITEMS) {
+        errors.push(`${field} can have up to ${MAX_LIST_ITEMS} items`);
+      }
+      fields[field] = values;
+    });
+
+    if (present('isActive') && record.isActive !== '') {
+      const value = String(record.isActive).toLowerCase();
+      if (!['true', 'false'].includes(value)) {
+        errors.push('isActive must be true or false');
+      }
+      fields.isActive = value === 'true';
+    }
+
+    return { fields, errors };
+  }
+
+  toCsv(questions) {
+    const rows = questions.map(question => CSV_COLUMNS.map(column => {
+      const value = question[column];
+      return csvCell(LIST_FIELDS.includes(column) ? (value || []).join(LIST_SEPARATOR) : value);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  // RFC 4180 rows: quoted cells may hold commas, quotes ("") and line breaks.
+  // Returns an array of rows, or null when a quote is never closed.
+  parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      return null;
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  }
+
+  // Records from an import file. Returns { records } or
+  // { error: 'invalid_json' | 'invalid_csv' | 'missing_columns' | 'no_records' | 'too_many_records' }.
+  parseRecords(content, format) {
+    let records;
+
+    if (format === 'json') {
+      try {
+        const parsed = JSON.parse(content.replace(/^\uFEFF/, ''));
+        records = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+      } catch (error) {
+        return { error: 'invalid_json' };
+      }
+      if (!Array.isArray(records) || !records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+        return { error: 'invalid_json' };
+      }
+    } else {
+      const rows = this.parseCsvRows(content.replace(/^\uFEFF/, ''));
+      if (!rows) {
+        return { error: 'invalid_csv' };
+      }
+      if (rows.length === 0) {
+        return { error: 'no_records' };
+      }
+      const header = rows[0].map(column => column.trim());
+      if (!header.includes('text') && !header.includes('id')) {
+        return { error: 'missing_columns' };
+      }
+      records = rows.slice(1).map(cells => {
+        const record = {};
+        header.forEach((column, index) => {
+          if (CSV_COLUMNS.includes(column) && cells[index] !== undefined) {
+            record[column] = readCsvCell(cells[index]);
+          }
+        });
+        return record;
+      });
+    }
+
+    if (records.length === 0) {
+      return { error: 'no_records' };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { error: 'too_many_records' };
+    }
+    return { records };
+  }
+
+  // Add or update bank questions. Records with the id of a bank question revise
+  // it; others are created unless the bank already has the same text. Invalid
+  // records are reported by position (1-based, header excluded) and skipped.
+  async importQuestions(records, actor = null) {
+    const summary = { created: 0, updated: 0, unchanged: 0, duplicates: 0, errors: [] };
+
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      const { fields, errors } = this.readRecord(record);
+      const row = index + 1;
+
+      if (errors.length > 0) {
+        summary.errors.push({ row, errors });
+        continue;
+      }
+
+      const id = record.id ? String(record.id).trim() : '';
+      const existing = UUID.test(id) ? await Question.findByPk(id) : null;
+      if (existing) {
+        const changed = await existing.revise(fields, actor ? actor.id : null);
+        summary[changed.length > 0 ? 'updated' : 'unchanged']++;
+        continue;
+      }
+
+      if (!fields.text) {
+        summary.errors.push({ row, errors: ['text is required for new questions'] });
+        continue;
+      }
+
+      if (await Question.findByText(fields.text)) {
+        summary.duplicates++;
+        continue;
+      }
+
+      await Question.create({ ...fields, source: 'imported', createdBy: actor ? actor.id : null });
+      summary.created++;
+    }
+
+    logger.info('Questions imported', { ...summary, errors: summary.errors.length });
+    return summary;
+  }
+
+  // Copy a question asked in a session into the bank, with optional field overrides.
+  // Returns { promoted: true, question } or
+  // { promoted: false, reason: 'not_found' | 'already_in_bank' | 'duplicate', question }.
+  async promote(session, questionIndex, overrides = {}, actor = null) {
+    const asked = (session.questions || [])[questionIndex];
+    if (!asked) {
+      return { promoted: false, reason: 'not_found' };
+    }
+    if (asked.source === 'bank') {
+      return { promoted: false, reason: 'already_in_bank', question: await Question.findByPk(asked.id) };
+    }
+
+    const fields = {
+      text: asked.text,
+      category: Question.CATEGORIES.includes(asked.category) ? asked.category : 'behavioral',
+      difficulty: Question.DIFFICULTIES.includes(asked.difficulty) ? asked.difficulty : 'medium',
+      industry: User.INDUSTRIES.includes(session.industry) ? session.industry : null,
+      roleLevel: session.roleLevel,
+      expectedKeywords: asked.expectedKeywords || [],
+      evaluationCriteria: asked.evaluationCriteria || [],
+      ...overrides
+    };
+
+    const duplicate = await Question.findByText(fields.text);
+    if (duplicate) {
+      return { promoted: false, reason: 'duplicate', question: duplicate };
+    }
+
+    const question = await Question.create({
+      ...fields,
+      source: 'generated',
+      sourceSessionId: session.id,
+      createdBy: actor ? actor.id : null
+    });
+
+    logger.info('Question promoted to the bank', { questionId: question.id, sessionId: session.id });
+    return { promoted: true, question };
+  }
+
+  // Whether question number index (0-based) comes from the bank when ratio of a
+  // session's questions do; bank turns are spread evenly, generated ones first.
+  isBankTurn(index, ratio) {
+    if (!ratio || ratio <= 0) {
+      return false;
+    }
+    return Math.floor((index + 1) * ratio + 1e-9) > Math.floor(index * ratio + 1e-9);
+  }
+
+  // Up to count bank questions for a session that have not been asked yet, as
+  // session questions. Focus areas that are question categories narrow the choice;
+  // questions of the wanted category, then difficulty, come first.
+  async pickQuestions({ industry, roleLevel, focusAreas = [], askedQuestions = [], count = 1, difficulty = null, category = null }) {
+    if (count <= 0) {
+      return [];
+    }
+
+    const asked = askedQuestions.map(question => String(question.text).toLowerCase().trim());
+    const candidates = await Question.findForSession({
+      industry,
+      roleLevel,
+      categories: focusAreas.filter(area => Question.CATEGORIES.includes(area)),
+      excludeIds: askedQuestions.filter(question => question.source === 'bank').map(question => question.id),
+      limit: PREFERENCE_POOL + count + asked.length
+    });
+
+    const preference = (question) => (question.category === category ? 2 : 0) + (question.difficulty === difficulty ? 1 : 0);
+    const picked = candidates
+      .filter(question => !asked.includes(question.text.toLowerCase().trim()))
+      .sort((a, b) => preference(b) - preference(a))
+      .slice(0, count);
+    if (picked.length > 0) {
+      await Question.increment('usageCount', { where: { id: picked.map(question => question.id) } });
+      await Question.update({ lastUsedAt: new Date() }, { where: { id: picked.map(question => question.id) } });
+    }
+
+    return picked.map(question => question.toSessionQuestion());
+  }
+
+  // Place bank questions at their turns among generated ones
+  mixQuestions(generated, bank) {
+    const total = generated.length + bank.length;
+    const ratio = total > 0 ? bank.length / total : 0;
+    const queues = { bank: [...bank], generated: [...generated] };
+
+    const mixed = [];
+    for (let index = 0; index < total; index++) {
+      const preferred = this.isBankTurn(index, ratio) ? 'bank' : 'generated';
+      const queue = queues[preferred].length > 0 ? queues[preferred] : queues[preferred === 'bank' ? 'generated' : 'bank'];
+      mixed.push(queue.shift());
+    }
+    return mixed;
+  }
+}
+
+const questionBankService = new QuestionBankService();
+questionBankService.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = questionBankService;
@@ -0,0 +1,169 @@
+const path = require('path');
+const { createBackend } = require('./audioCache');
+const twilioService = require('./twilioService');
+const logger = require('../utils/logger');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECORDING_SID = /\/Recordings\/(RE\w+)/;
+const CONTENT_TYPES = { mp3: 'audio/mpeg', wav: 'audio/wav' };
+
+// Answer recordings: each <Record> callback's audio is downloaded from Twilio
+// into a storage backend (RECORDING_STORAGE_BACKEND, the same local/s3 backends
+// as the audio cache) and linked to the response it answers. Stored files are
+// kept for RECORDING_RETENTION_DAYS, then purged.
+class RecordingService {
+  constructor() {
+    this.backend = null;
+  }
+
+  getBackend() {
+    if (!this.backend) {
+      this.backend = this.createDefaultBackend();
+    }
+    return this.backend;
+  }
+
+  createDefaultBackend() {
+    const name = process.env.RECORDING_STORAGE_BACKEND || 'local';
+    const options = {
+      directory: process.env.RECORDING_STORAGE_DIR || path.join(__dirname, '../../temp/recordings'),
+      prefix: process.env.RECORDING_S3_PREFIX || 'recordings/'
+    };
+
+    try {
+      return createBackend(name, options);
+    } catch (error) {
+      logger.warn(`Recording storage backend "${name}" unavailable (${error.message}) - using local disk`);
+      return createBackend('local', options);
+    }
+  }
+
+  // Swap the storage backend (tests, simulator); returns the previous one
+  setBackend(backend) {
+    const previous = this.backend;
+    this.backend = backend;
+    return previous;
+  }
+
+  // mp3 by default; wav (about four times larger) gives exact acoustic measurements
+  getFormat() {
+    return process.env.RECORDING_FORMAT === 'wav' ? 'wav' : 'mp3';
+  }
+
+  getContentType(entry) {
+    return CONTENT_TYPES[entry.format] || CONTENT_TYPES.mp3;
+  }
+
+  getRetentionDays() {
+    const days = parseInt(process.env.RECORDING_RETENTION_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  // { sid, url, duration } of the recording a webhook callback refers to, or null.
+  // Older callbacks only carry the URL, which ends in the recording SID.
+  fromParams(params = {}) {
+    if (!params.recordingUrl && !params.recordingSid) {
+      return null;
+    }
+    const match = (params.recordingUrl || '').match(RECORDING_SID);
+    const sid = params.recordingSid || (match ? match[1] : null);
+    if (!sid) {
+      return null;
+    }
+    return {
+      sid,
+      url: params.recordingUrl || null,
+      duration: parseInt(params.recordingDuration, 10) || null
+    };
+  }
+
+  // Download a recording and store it. Returns the response's recording entry;
+  // when the download fails the entry is kept without a file so the answer
+  // still links to Twilio's copy.
+  async store(recording) {
+    const format = this.getFormat();
+    const entry = {
+      sid: recording.sid,
+      sourceUrl: recording.url,
+      duration: recording.duration,
+      filename: null,
+      format,
+      size: null,
+      storedAt: null,
+      expiresAt: null
+    };
+
+    if (!recording.sid) {
+      return entry;
+    }
+
+    try {
+      const audio = await twilioService.downloadRecording(recording.sid, format);
+      const filename = `${recording.sid}.${format}`;
+      await this.getBackend().put(filename, audio);
+
+      const storedAt = new Date();
+      entry.filename = filename;
+      entry.size = audio.length;
+      entry.storedAt = storedAt.toISOString();
+      entry.expiresAt = new Date(storedAt.getTime() + this.getRetentionDays() * DAY_MS).toISOString();
+
+      // Our copy is the one candidates replay; optionally drop Twilio's
+      if (process.env.RECORDING_DELETE_FROM_TWILIO === 'true') {
+        await twilioService.deleteRecording(recording.sid).catch(error => {
+          logger.warn('Failed to delete recording from Twilio:', error.message);
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to store answer recording:', error);
+    }
+
+    return entry;
+  }
+
+  isExpired(entry, now = new Date()) {
+    return Boolean(entry.expiresAt) && new Date(entry.expiresAt) <= now;
+  }
+
+  // Audio of a stored recording entry, or null when it was never stored,
+  // has expired or has been purged
+  async read(entry) {
+    if (!entry || !entry.filename || this.isExpired(entry)) {
+      return null;
+    }
+    return await this.getBackend().get(entry.filename);
+  }
+
+  // Delete stored recordings older than the retention period.
+  // Returns { deleted, kept }.
+  async purgeExpired(now = new Date()) {
+    const cutoff = now.getTime() - this.getRetentionDays() * DAY_MS;
+    const backend = this.getBackend();
+    const objects = await backend.list();
+    const expired = objects.filter(object => new Date(object.modifiedAt).getTime() <= cutoff);
+
+    for (const object of expired) {
+      await backend.delete(object.name);
+    }
+
+    if (expired.length > 0) {
+      logger.info('Purged expired answer recordings', { deleted: expired.length });
+    }
+    return { deleted: expired.length, kept: objects.length - expired.length };
+  }
+
+  // Purge now and then once a day while the server runs
+  schedulePurge() {
+    const purge = () => this.purgeExpired().catch(error => {
+      logger.warn('Failed to purge answer recordings:', error.message);
+    });
+    purge();
+    setInterval(purge, DAY_MS).unref();
+  }
+}
+
+const recordingService = new RecordingService();
+recordingService.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+
+module.exports = recordingService;
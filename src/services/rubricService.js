@@ -0,0 +1,47 @@
+const { ScoringRubric, CompanyPack } = require('../database/models');
+const { DEFAULT_RUBRIC, normalizeRubric } = require('./scoring/rubric');
+const logger = require('../utils/logger');
+
+// Picks the scoring rubric for a session: the one chosen for the session, else
+// its company pack's, else the user's (e.g. their organisation's), else the
+// default. Rubrics chosen for a session keep applying after they are
+// deactivated; ones set on a pack or user stop applying.
+class RubricService {
+  getDefault() {
+    return { ...normalizeRubric(DEFAULT_RUBRIC), source: 'default' };
+  }
+
+  // companyPack is loaded from the session when not passed (null means none)
+  async resolve({ session = null, user = null, companyPack } = {}) {
+    let pack = companyPack;
+    if (pack === undefined) {
+      pack = session && session.companyPackId ? await CompanyPack.findByPk(session.companyPackId) : null;
+    }
+
+    const choices = [
+      { source: 'session', id: session && session.rubricId },
+      { source: 'company', id: pack && pack.rubricId },
+      { source: 'user', id: user && user.rubricId }
+    ];
+
+    for (const { source, id } of choices) {
+      if (!id) {
+        continue;
+      }
+      const rubric = await ScoringRubric.findByPk(id);
+      if (rubric && (rubric.isActive || source === 'session')) {
+        return { ...rubric.toRubric(), source };
+      }
+      logger.warn(`Scoring rubric ${id} for the ${source} is unavailable - skipping`);
+    }
+
+    return this.getDefault();
+  }
+
+  // { id, name, source } naming the rubric a result was scored with
+  summarize(rubric) {
+    return { id: rubric.id, name: rubric.name, source: rubric.source || null };
+  }
+}
+
+module.exports = new RubricService();
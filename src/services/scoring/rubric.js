@@ -0,0 +1,106 @@
+// Scoring rubrics: how answers are scored and labelled. A rubric relabels and
+// describes the four dimensions the analysis scores, weights them by question
+// category, sets the strength and improvement thresholds and the level labels,
+// and weights and bands the voice analysis. DEFAULT_RUBRIC is the scoring used
+// when no rubric is selected; stored rubrics (models/ScoringRubric) only need
+// the parts they change and are filled in from it by normalizeRubric().
+
+// Scoring dimensions returned by openaiService.analyzeResponse
+const DIMENSIONS = ['content', 'structure', 'communication', 'industryKnowledge'];
+const CATEGORIES = ['behavioral', 'technical', 'situational', 'default'];
+const VOICE_COMPONENTS = ['speechRate', 'fillerWords', 'disfluencies', 'pauses', 'confidence', 'clarity', 'energy'];
+const SPEECH_RATE_BANDS = ['ideal', 'good', 'fair']; // [low, high] words per minute, narrowest first
+
+const DEFAULT_RUBRIC = {
+  id: null,
+  name: 'Default',
+  description: 'Balanced scoring for general interview practice',
+  dimensions: [
+    { key: 'content', label: 'Content Quality', description: 'Relevance, completeness, specificity' },
+    { key: 'structure', label: 'Answer Structure', description: 'Organization, STAR method usage, clarity' },
+    { key: 'communication', label: 'Communication', description: 'Clarity, confidence, pace' },
+    { key: 'industryKnowledge', label: 'Industry Knowledge', description: 'Technical accuracy, terminology' }
+  ],
+  // How much each dimension counts for an answer, by question category
+  categoryWeights: {
+    behavioral: { content: 0.3, structure: 0.3, communication: 0.3, industryKnowledge: 0.1 },
+    technical: { content: 0.3, structure: 0.15, communication: 0.15, industryKnowledge: 0.4 },
+    situational: { content: 0.35, structure: 0.25, communication: 0.25, industryKnowledge: 0.15 },
+    default: { content: 0.25, structure: 0.25, communication: 0.25, industryKnowledge: 0.25 }
+  },
+  // Dimension scores at or above strength are strengths, below improvement need work
+  thresholds: { strength: 80, improvement: 70 },
+  // Label of a score: the first level whose min it reaches
+  levels: [
+    { min: 80, label: 'excellent' },
+    { min: 65, label: 'good' },
+    { min: 50, label: 'fair' },
+    { min: 35, label: 'poor' },
+    { min: 0, label: 'very_poor' }
+  ],
+  voice: {
+    weights: { speechRate: 1, fillerWords: 1, disfluencies: 1, pauses: 1, confidence: 1, clarity: 1, energy: 1 },
+    speechRate: { ideal: [140, 160], good: [120, 180], fair: [100, 200] }
+  }
+};
+
+// Complete rubric from a stored one: missing dimensions, categories and
+// settings come from the default. A category the rubric leaves out uses the
+// rubric's own default weights when it has them.
+const normalizeRubric = (rubric = null) => {
+  const source = rubric || {};
+  const customWeights = source.categoryWeights || {};
+  const voice = source.voice || {};
+
+  const dimensions = DEFAULT_RUBRIC.dimensions.map(dimension => {
+    const custom = (source.dimensions || []).find(item => item && item.key === dimension.key) || {};
+    return {
+      key: dimension.key,
+      label: custom.label || dimension.label,
+      description: custom.description || dimension.description
+    };
+  });
+
+  const categoryWeights = {};
+  CATEGORIES.forEach(category => {
+    const custom = customWeights[category] || (category !== 'default' ? customWeights.default : null);
+    categoryWeights[category] = {};
+    DIMENSIONS.forEach(dimension => {
+      categoryWeights[category][dimension] = custom
+        ? (Number(custom[dimension]) >= 0 ? Number(custom[dimension]) : 0)
+        : DEFAULT_RUBRIC.categoryWeights[category][dimension];
+    });
+  });
+
+  const levels = Array.isArray(source.levels) && source.levels.length > 0 ? source.levels : DEFAULT_RUBRIC.levels;
+
+  return {
+    id: source.id || null,
+    name: source.name || DEFAULT_RUBRIC.name,
+    description: source.description !== undefined ? source.description : DEFAULT_RUBRIC.description,
+    dimensions,
+    categoryWeights,
+    thresholds: { ...DEFAULT_RUBRIC.thresholds, ...source.thresholds },
+    levels: [...levels].map(level => ({ min: level.min, label: level.label })).sort((a, b) => b.min - a.min),
+    voice: {
+      weights: { ...DEFAULT_RUBRIC.voice.weights, ...voice.weights },
+      speechRate: { ...DEFAULT_RUBRIC.voice.speechRate, ...voice.speechRate }
+    }
+  };
+};
+
+// Level label for a 0-100 score
+const getLevel = (score, rubric = DEFAULT_RUBRIC) => {
+  const level = rubric.levels.find(item => score >= item.min);
+  return level ? level.label : rubric.levels[rubric.levels.length - 1].label;
+};
+
+module.exports = {
+  DIMENSIONS,
+  CATEGORIES,
+  VOICE_COMPONENTS,
+  SPEECH_RATE_BANDS,
+  DEFAULT_RUBRIC,
+  normalizeRubric,
+  getLevel
+};
@@ -0,0 +1,194 @@
+const { DIMENSIONS, DEFAULT_RUBRIC } = require('./scoring/rubric');
+const logger = require('../utils/logger');
+
+// Scores answers and sessions. Weights and thresholds come from the session's
+// scoring rubric (rubricService.resolve); the default rubric when none is passed.
+class ScoringService {
+  // How much each dimension counts for an answer in this question category
+  getCategoryWeights(category, scoringRubric = DEFAULT_RUBRIC) {
+    return scoringRubric.categoryWeights[category] || scoringRubric.categoryWeights.default;
+  }
+
+  // Weighted overall score for a single answer
+  scoreResponse(scores = {}, category, scoringRubric = DEFAULT_RUBRIC) {
+    const weights = this.getCategoryWeights(category, scoringRubric);
+    let weightedTotal = 0;
+    let weightSum = 0;
+
+    DIMENSIONS.forEach(dimension => {
+      const score = Number(scores[dimension]);
+      if (Number.isFinite(score) && weights[dimension] > 0) {
+        weightedTotal += score * weights[dimension];
+        weightSum += weights[dimension];
+      }
+    });
+
+    if (weightSum === 0) {
+      const overall = Number(scores.overall);
+      return Number.isFinite(overall) ? Math.round(overall) : 0;
+    }
+
+    return Math.round(weightedTotal / weightSum);
+  }
+
+  // Weighted average of a company pack's rubric scores, or null when none were given
+  scoreRubric(rubricScores, rubric = []) {
+    if (!rubricScores) {
+      return null;
+    }
+
+    let weightedTotal = 0;
+    let weightSum = 0;
+    rubric.forEach(criterion => {
+      const score = Number(rubricScores[criterion.name]);
+      const weight = Number(criterion.weight) > 0 ? Number(criterion.weight) : 1;
+      if (Number.isFinite(score)) {
+        weightedTotal += score * weight;
+        weightSum += weight;
+      }
+    });
+
+    return weightSum > 0 ? Math.round(weightedTotal / weightSum) : null;
+  }
+
+  // Overall score for an analysed answer: the company pack's rubric when the
+  // analysis scored it, otherwise the scoring rubric's category weights
+  scoreAnalysis(analysis, category, rubric = null, scoringRubric = DEFAULT_RUBRIC) {
+    const rubricScore = rubric ? this.scoreRubric(analysis.rubricScores, rubric) : null;
+    return rubricScore !== null ? rubricScore : this.scoreResponse(analysis.scores, category, scoringRubric);
+  }
+
+  // Aggregate per-answer scores into session scores. Each dimension is averaged
+  // using the category weight of the answer it came from, so e.g. industry
+  // knowledge shown in a technical answer counts more than in a behavioral one.
+  aggregateResponses(responses = [], scoringRubric = DEFAULT_RUBRIC) {
+    const scored = responses.filter(response => response && response.scores);
+
+    if (scored.length === 0) {
+      return null;
+    }
+
+    const totals = {};
+    const weightSums = {};
+    const plain = {}; // unweighted, for dimensions the rubric gives no weight
+    DIMENSIONS.forEach(dimension => {
+      totals[dimension] = 0;
+      weightSums[dimension] = 0;
+      plain[dimension] = { total: 0, count: 0 };
+    });
+
+    let overallTotal = 0;
+
+    scored.forEach(response => {
+      const weights = this.getCategoryWeights(response.category, scoringRubric);
+
+      DIMENSIONS.forEach(dimension => {
+        const score = Number(response.scores[dimension]);
+        if (!Number.isFinite(score)) {
+          return;
+        }
+        plain[dimension].total += score;
+        plain[dimension].count += 1;
+        if (weights[dimension] > 0) {
+          totals[dimension] += score * weights[dimension];
+          weightSums[dimension] += weights[dimension];
+        }
+      });
+
+      overallTotal += Number.isFinite(response.weightedScore)
+        ? response.weightedScore
+        : this.scoreResponse(response.scores, response.category, scoringRubric);
+    });
+
+    const aggregate = {};
+    DIMENSIONS.forEach(dimension => {
+      if (weightSums[dimension] > 0) {
+        aggregate[dimension] = Math.round(totals[dimension] / weightSums[dimension]);
+      } else {
+        aggregate[dimension] = plain[dimension].count > 0 ? Math.round(plain[dimension].total / plain[dimension].count) : 0;
+      }
+    });
+    aggregate.overall = Math.round(overallTotal / scored.length);
+    aggregate.responsesScored = scored.length;
+
+    // Company pack rubric: average per criterion over the answers that scored it
+    const rubricTotals = {};
+    scored.filter(response => response.rubricScores).forEach(response => {
+      Object.entries(response.rubricScores).forEach(([criterion, score]) => {
+        if (Number.isFinite(Number(score))) {
+          rubricTotals[criterion] = rubricTotals[criterion] || { total: 0, count: 0 };
+          rubricTotals[criterion].total += Number(score);
+          rubricTotals[criterion].count += 1;
+        }
+      });
+    });
+    if (Object.keys(rubricTotals).length > 0) {
+      aggregate.rubric = {};
+      Object.entries(rubricTotals).forEach(([criterion, { total, count }]) => {
+        aggregate.rubric[criterion] = Math.round(total / count);
+      });
+    }
+
+    logger.debug('Aggregated session scores', aggregate);
+
+    return aggregate;
+  }
+
+  // Labels of the dimensions scored at or above the rubric's strength threshold
+  identifyStrengths(scores = {}, scoringRubric = DEFAULT_RUBRIC) {
+    return scoringRubric.dimensions
+      .filter(dimension => scores[dimension.key] !== undefined && Number(scores[dimension.key]) >= scoringRubric.thresholds.strength)
+      .map(dimension => dimension.label);
+  }
+
+  // Labels of the dimensions scored below the rubric's improvement threshold
+  identifyWeaknesses(scores = {}, scoringRubric = DEFAULT_RUBRIC) {
+    return scoringRubric.dimensions
+      .filter(dimension => scores[dimension.key] !== undefined && Number(scores[dimension.key]) < scoringRubric.thresholds.improvement)
+      .map(dimension => dimension.label);
+  }
+
+  // How many answers were analysed by the model, by a repaired reply or by the fallback
+  summarizeAnalysisSources(responses = []) {
+    const summary = { model: 0, repair: 0, fallback: 0 };
+    responses.forEach(response => {
+      if (summary[response.analysisSource] !== undefined) {
+        summary[response.analysisSource] += 1;
+      }
+    });
+    return summary;
+  }
+
+  // Per-question breakdown for analytics
+  buildQuestionBreakdown(questions = [], responses = [], scoringRubric = DEFAULT_RUBRIC) {
+    return responses.map((response, index) => {
+      const question = questions.find(q => q.id === response.questionId) || questions[index] || {};
+
+      return {
+        index,
+        questionId: response.questionId,
+        question: question.text || null,
+        category: response.category || question.category || null,
+        difficulty: question.difficulty || null,
+        scores: response.scores || null,
+        weightedScore: Number.isFinite(response.weightedScore) ? response.weightedScore : null,
+        rubricScores: response.rubricScores || null,
+        weights: this.getCategoryWeights(response.category || question.category, scoringRubric),
+        feedback: response.feedback || null,
+        analysisSource: response.analysisSource || null,
+        star: response.star || null,
+        voiceMetrics: response.metrics ? {
+          overall: response.metrics.overall || null,
+          wordsPerMinute: response.metrics.speechRate?.wordsPerMinute ?? null,
+          fillerWords: response.metrics.fillerWords?.count ?? null,
+          disfluencies: response.metrics.disfluencies?.count ?? null,
+          confidence: response.metrics.confidence?.score ?? null,
+          clarity: response.metrics.clarity?.score ?? null
+        } : null,
+        timestamp: response.timestamp
+      };
+    });
+  }
+}
+
+module.exports = new ScoringService();
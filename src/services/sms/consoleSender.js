@@ -0,0 +1,36 @@
+const logger = require('../../utils/logger');
+
+const OUTBOX_SIZE = 50;
+
+// Development sender: logs each message and keeps the latest ones in an
+// in-memory outbox instead of sending anything
+class ConsoleSender {
+  constructor() {
+    this.name = 'console';
+    this.outbox = [];
+  }
+
+  async send(to, body) {
+    const message = {
+      id: `console_${Date.now()}_${this.outbox.length}`,
+      to,
+      body,
+      sentAt: new Date().toISOString()
+    };
+
+    this.outbox.push(message);
+    if (this.outbox.length > OUTBOX_SIZE) {
+      this.outbox.shift();
+    }
+
+    logger.info(`SMS to ${to}: ${body}`);
+    return { id: message.id, status: 'logged' };
+  }
+
+  // Messages sent to a number (or all), newest last
+  getOutbox(to) {
+    return to ? this.outbox.filter(message => message.to === to) : [...this.outbox];
+  }
+}
+
+module.exports = ConsoleSender;
@@ -0,0 +1,35 @@
+const TwilioSender = require('./twilioSender');
+const ConsoleSender = require('./consoleSender');
+
+// SMS senders by name, as used in SMS_PROVIDER. A sender implements
+// send(to, body) -> { id, status }.
+const senders = {
+  twilio: () => new TwilioSender(),
+  console: () => new ConsoleSender()
+};
+
+const registerSender = (name, factory) => {
+  senders[name] = factory;
+};
+
+const createSender = (name) => {
+  const factory = senders[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS sender: ${name}`);
+  }
+  return factory();
+};
+
+// SMS_PROVIDER, else real SMS in production and the console outbox elsewhere
+const getSenderName = (env = process.env) => {
+  if (env.SMS_PROVIDER) {
+    return env.SMS_PROVIDER;
+  }
+  return env.NODE_ENV === 'production' ? 'twilio' : 'console';
+};
+
+module.exports = {
+  createSender,
+  registerSender,
+  getSenderName
+};
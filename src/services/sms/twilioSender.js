@@ -0,0 +1,15 @@
+// Real SMS through the Twilio Messaging API
+class TwilioSender {
+  constructor() {
+    this.name = 'twilio';
+    // Required lazily: twilioService refuses to load without credentials
+    this.twilioService = require('../twilioService');
+  }
+
+  async send(to, body) {
+    const message = await this.twilioService.sendSMS(to, body);
+    return { id: message.sid, status: message.status };
+  }
+}
+
+module.exports = TwilioSender;
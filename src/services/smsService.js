@@ -0,0 +1,37 @@
+const { createSender, getSenderName } = require('./sms');
+const logger = require('../utils/logger');
+
+// Outgoing SMS. The sender (see services/sms) is chosen by SMS_PROVIDER and
+// created on first use, so development can run on the console outbox.
+class SMSService {
+  constructor() {
+    this.sender = null;
+  }
+
+  getSender() {
+    if (!this.sender) {
+      this.sender = createSender(getSenderName());
+      logger.info(`Using ${this.sender.name} SMS sender`);
+    }
+    return this.sender;
+  }
+
+  // Swap the sender (tests); returns the previous one
+  setSender(sender) {
+    const previous = this.sender;
+    this.sender = sender;
+    return previous;
+  }
+
+  async send(to, body) {
+    return await this.getSender().send(to, body);
+  }
+
+  // Messages held by the console sender; null when SMS is really sent
+  getOutbox(to) {
+    const sender = this.getSender();
+    return sender.getOutbox ? sender.getOutbox(to) : null;
+  }
+}
+
+module.exports = new SMSService();
@@ -0,0 +1,205 @@
+const logger = require('../utils/logger');
+
+const COMPONENTS = ['situation', 'task', 'action', 'result'];
+const COMPLETE_SCORE = 60; // average completeness at which a component counts as covered
+
+// Splits behavioral answers into STAR (Situation, Task, Action, Result) spans
+// and scores how complete each part is. The model's breakdown is used when the
+// analysis came from a model; otherwise the heuristics here segment the answer.
+class StarAnalysisService {
+  constructor() {
+    // Phrases that mark a clause as each component
+    this.cues = {
+      situation: [
+        /\b(?:when|while|during|once|at the time|back then|last (?:year|quarter|month|week))\b/i,
+        /\b(?:at my|in my) (?:last|previous|first|current|old)?\s*(?:role|job|company|team|position|internship)\b/i,
+        /\b(?:we|our team|the team|the company|the project|a customer|a client) (?:was|were|had)\b/i,
+        /\bthere (?:was|were)\b/i
+      ],
+      task: [
+        /\b(?:my|our) (?:role|job|goal|task|responsibility|brief) (?:was|is)\b/i,
+        /\bI (?:was|am) (?:responsible|asked|tasked|expected|in charge)\b/i,
+        /\bI (?:needed|had|wanted) to\b/i,
+        /\b(?:the|our) (?:goal|target|deadline|objective) was\b/i
+      ],
+      action: [
+        /\bI\s+(?!(?:was|am|had|have|would|will|could|should|might|may|can|think|believe|guess|feel|just|needed|wanted)\b)[a-z]+/i,
+        /\b(?:so|then|first|next|after that|finally),? (?:I|we)\b/i
+      ],
+      result: [
+        /\b(?:as a result|in the end|the result|the outcome|this led to|which led to|ended up|so that)\b/i,
+        /\b(?:increas|reduc|decreas|improv|sav|grew|cut|dropp|doubl|halv|shipp|launch|deliver|achiev|won|recover)\w*\b/i,
+        /\d+\s*(?:%|percent|x\b|times\b|hours?\b|days?\b|weeks?\b|minutes?\b)/i
+      ]
+    };
+
+    // Details that make each component specific, worth extra points
+    this.detail = {
+      situation: /\b(?:role|team|company|project|customer|client|\d{4})\b/i,
+      task: /\b(?:I|my)\b/i,
+      action: /\b(?:first|then|next|finally|because|by)\b/i,
+      result: /\d/
+    };
+  }
+
+  // Clauses of an answer with their offsets: sentences, split again before
+  // connectives and new subjects that usually start a new STAR part
+  splitClauses(transcript) {
+    const clauses = [];
+    const boundary = /[^.!?;]+[.!?;]*|[.!?;]+/g;
+    let match;
+
+    while ((match = boundary.exec(transcript)) !== null) {
+      const sentence = match[0];
+      const parts = sentence.split(/(?=,?\s+(?:so|then|and then|which|as a result|in the end|and (?:we|our|it|this|they))\s+)/i);
+      let offset = match.index;
+      parts.forEach(part => {
+        const text = part.replace(/^[\s,]+/, '').trimEnd();
+        if (/\w/.test(text)) {
+          const start = offset + part.indexOf(text);
+          clauses.push({ text, start, end: start + text.length });
+        }
+        offset += part.length;
+      });
+    }
+
+    return clauses;
+  }
+
+  // Component a clause belongs to: the one with most cues, ties going to the
+  // earliest one not before the previous clause's; no cues continues the previous
+  classifyClause(text, previous) {
+    const counts = COMPONENTS.map(component => this.cues[component].filter(cue => cue.test(text)).length);
+    const best = Math.max(...counts);
+    if (best === 0) {
+      return previous || 'situation';
+    }
+
+    const floor = previous ? COMPONENTS.indexOf(previous) : 0;
+    const tied = COMPONENTS.filter((component, index) => counts[index] === best);
+    return tied.find(component => COMPONENTS.indexOf(component) >= floor) || tied[0];
+  }
+
+  // 0-100 completeness of one component from its text
+  scoreComponent(component, text) {
+    if (!text) {
+      return 0;
+    }
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const score = 40 + Math.min(30, words * 2) + (this.detail[component].test(text) ? 30 : 0);
+    return Math.min(100, score);
+  }
+
+  // Heuristic STAR breakdown of an answer
+  segmentAnswer(transcript = '') {
+    try {
+      const spans = {};
+      COMPONENTS.forEach(component => {
+        spans[component] = [];
+      });
+
+      let previous = null;
+      this.splitClauses(transcript).forEach(clause => {
+        previous = this.classifyClause(clause.text, previous);
+        spans[previous].push(clause);
+      });
+
+      const breakdown = {};
+      COMPONENTS.forEach(component => {
+        const text = spans[component].map(span => span.text).join(' ');
+        breakdown[component] = {
+          text,
+          spans: spans[component].map(({ start, end }) => ({ start, end })),
+          score: this.scoreComponent(component, text)
+        };
+      });
+
+      return this.finish(breakdown, 'heuristic');
+    } catch (error) {
+      logger.error('Error segmenting STAR answer:', error);
+      return null;
+    }
+  }
+
+  // A model's { situation: { text, score }, ... } located in the transcript
+  fromModel(star, transcript = '') {
+    const breakdown = {};
+    const lower = transcript.toLowerCase();
+
+    COMPONENTS.forEach(component => {
+      const part = star[component] || {};
+      const text = typeof part.text === 'string' ? part.text.trim() : '';
+      const start = text ? lower.indexOf(text.toLowerCase()) : -1;
+      breakdown[component] = {
+        text,
+        spans: start >= 0 ? [{ start, end: start + text.length }] : [],
+        score: text ? Math.round(Number(part.score) || 0) : 0
+      };
+    });
+
+    return this.finish(breakdown, 'model');
+  }
+
+  finish(breakdown, source) {
+    const scores = COMPONENTS.map(component => breakdown[component].score);
+    return {
+      ...breakdown,
+      overall: Math.round(scores.reduce((sum, score) => sum + score, 0) / COMPONENTS.length),
+      missing: COMPONENTS.filter(component => !breakdown[component].text),
+      source
+    };
+  }
+
+  // STAR breakdown stored on a response: behavioral answers only, from the model
+  // when its analysis included one, otherwise from the heuristics
+  analyzeResponse(transcript, category, analysis = {}) {
+    if (category !== 'behavioral' || !transcript) {
+      return null;
+    }
+    if (analysis.star && analysis.source !== 'fallback') {
+      return this.fromModel(analysis.star, transcript);
+    }
+    return this.segmentAnswer(transcript);
+  }
+
+  // Average completeness per component over a session's analysed answers, with
+  // the breakdown of each one
+  summarize(session) {
+    const questions = session.questions || [];
+    const answers = (session.responses || [])
+      .map((response, index) => ({ response, index }))
+      .filter(({ response }) => response.star);
+
+    const components = {};
+    COMPONENTS.forEach(component => {
+      const scores = answers.map(({ response }) => response.star[component].score);
+      components[component] = {
+        average: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+        missing: answers.filter(({ response }) => !response.star[component].text).length // answers leaving it out
+      };
+    });
+
+    const ranked = answers.length > 0
+      ? [...COMPONENTS].sort((a, b) => components[b].average - components[a].average)
+      : [];
+
+    return {
+      answers: answers.length,
+      components,
+      strongest: ranked[0] || null,
+      weakest: ranked[ranked.length - 1] || null,
+      complete: answers.length > 0 && COMPONENTS.every(component => components[component].average >= COMPLETE_SCORE),
+      questions: answers.map(({ response, index }) => ({
+        question: index + 1,
+        text: (questions[index] || {}).text || null,
+        star: response.star
+      }))
+    };
+  }
+}
+
+const starAnalysisService = new StarAnalysisService();
+starAnalysisService.COMPONENTS = COMPONENTS;
+starAnalysisService.COMPLETE_SCORE = COMPLETE_SCORE;
+
+module.exports = starAnalysisService;
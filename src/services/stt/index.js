@@ -0,0 +1,37 @@
+const TwilioTranscriptionProvider = require('./twilioProvider');
+const WhisperProvider = require('./whisperProvider');
+const LocalProvider = require('./localProvider');
+
+// Speech-to-text providers by name, as used in STT_PROVIDERS. A provider
+// implements isConfigured(), supportsLanguage(language) and
+// transcribe(recording, { language, timeout }), where recording is
+// { sid, url, duration, stored } (see recordingService), resolving to a transcript:
+//   { text, language, confidence, words: [{ word, start, end, confidence }] }
+// or null when it has none. Timings are in seconds; confidence is 0-1 or null.
+// Asynchronous providers (asynchronous: true) may resolve to null until the
+// transcript is ready, and are polled until the wait times out.
+const providers = {
+  twilio: () => new TwilioTranscriptionProvider(),
+  whisper: (options) => new WhisperProvider(options),
+  local: (options) => new LocalProvider(options)
+};
+
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const hasProvider = (name) => Boolean(providers[name]);
+
+const createProvider = (name, options = {}) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown STT provider: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createProvider,
+  registerProvider,
+  hasProvider
+};
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const WORDS_PER_SECOND = 2.5;
+
+// Offline stub: transcripts come from fixtures instead of audio, either added
+// with addFixture(sid, transcript) or read from STT_FIXTURES_DIR as <sid>.json
+// (a transcript object) or <sid>.txt (plain text, given evenly spaced word timings).
+class LocalProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.asynchronous = false;
+    this.directory = options.directory || process.env.STT_FIXTURES_DIR || path.join(__dirname, '../../../temp/transcripts');
+    this.fixtures = new Map(Object.entries(options.fixtures || {}));
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supportsLanguage() {
+    return true;
+  }
+
+  addFixture(sid, transcript) {
+    this.fixtures.set(sid, transcript);
+  }
+
+  async readFixture(sid) {
+    if (this.fixtures.has(sid)) {
+      return this.fixtures.get(sid);
+    }
+
+    const base = path.join(this.directory, path.basename(sid));
+    for (const extension of ['.json', '.txt']) {
+      try {
+        const content = await fs.readFile(`${base}${extension}`, 'utf8');
+        return extension === '.json' ? JSON.parse(content) : content;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  async transcribe(recording, { language } = {}) {
+    const fixture = await this.readFixture(recording.sid);
+    if (fixture === null) {
+      return null;
+    }
+
+    const transcript = typeof fixture === 'string' ? { text: fixture } : fixture;
+    const text = String(transcript.text || '').trim();
+    return {
+      text,
+      language: transcript.language || language || null,
+      confidence: typeof transcript.confidence === 'number' ? transcript.confidence : null,
+      words: transcript.words || this.estimateWords(text, recording.duration)
+    };
+  }
+
+  // Words spread evenly over the recording, or at a typical speaking rate
+  estimateWords(text, duration) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const slot = duration ? duration / Math.max(1, words.length) : 1 / WORDS_PER_SECOND;
+    return words.map((word, index) => ({
+      word,
+      start: Math.round(index * slot * 100) / 100,
+      end: Math.round((index + 1) * slot * 100) / 100,
+      confidence: null
+    }));
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,36 @@
+const twilioService = require('../twilioService');
+
+// Twilio's own <Record transcribe="true"> transcription: English only, text
+// without word timings, and ready some time after the recording. Each call
+// checks once; the transcription callback can also deliver it (sttService.deliver).
+class TwilioTranscriptionProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.asynchronous = true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supportsLanguage(language) {
+    return !language || /^en\b/i.test(language);
+  }
+
+  async transcribe(recording) {
+    const transcription = await twilioService.getTranscription(recording.sid);
+    if (!transcription || (transcription.status && transcription.status !== 'completed')) {
+      return null;
+    }
+    return this.toTranscript(transcription.transcriptionText);
+  }
+
+  toTranscript(text) {
+    if (!text) {
+      return null;
+    }
+    return { text, language: 'en-US', confidence: null, words: [] };
+  }
+}
+
+module.exports = TwilioTranscriptionProvider;
@@ -0,0 +1,87 @@
+const axios = require('axios');
+const twilioService = require('../twilioService');
+const recordingService = require('../recordingService');
+
+// Any server exposing an OpenAI-style /audio/transcriptions endpoint (OpenAI
+// Whisper, faster-whisper-server, whisper.cpp server...). STT_WHISPER_URL
+// should include the API prefix, e.g. https://api.openai.com/v1
+class WhisperProvider {
+  constructor(options = {}) {
+    this.name = 'whisper';
+    this.asynchronous = false;
+    this.baseUrl = (options.baseUrl || process.env.STT_WHISPER_URL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.STT_WHISPER_API_KEY;
+    this.model = options.model || process.env.STT_WHISPER_MODEL || 'whisper-1';
+    this.http = options.http || axios;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  supportsLanguage() {
+    return true;
+  }
+
+  // The stored copy of the recording, or Twilio's MP3 when it was not stored
+  async getAudio(recording) {
+    const stored = await recordingService.read(recording.stored);
+    if (stored) {
+      return { audio: stored, format: recording.stored.format };
+    }
+    return { audio: await twilioService.downloadRecording(recording.sid, 'mp3'), format: 'mp3' };
+  }
+
+  async transcribe(recording, { language, timeout } = {}) {
+    const { audio, format } = await this.getAudio(recording);
+
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: recordingService.getContentType({ format }) }), `${recording.sid}.${format}`);
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'word');
+    if (language) {
+      form.append('language', language.split('-')[0].toLowerCase()); // ISO-639-1
+    }
+
+    const headers = {};
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.http.post(`${this.baseUrl}/audio/transcriptions`, form, { headers, timeout });
+    return this.parse(response.data, language);
+  }
+
+  // verbose_json: { text, language, words: [{ word, start, end, probability? }], segments: [{ avg_logprob }] }
+  parse(data, language) {
+    if (!data || typeof data.text !== 'string') {
+      throw new Error('Whisper endpoint returned no transcript text');
+    }
+
+    const words = (data.words || []).map(word => ({
+      word: String(word.word).trim(),
+      start: word.start,
+      end: word.end,
+      confidence: typeof word.probability === 'number' ? word.probability : null
+    }));
+
+    const scored = words.filter(word => word.confidence !== null);
+    const segments = (data.segments || []).filter(segment => typeof segment.avg_logprob === 'number');
+    let confidence = null;
+    if (scored.length > 0) {
+      confidence = scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length;
+    } else if (segments.length > 0) {
+      confidence = segments.reduce((sum, segment) => sum + Math.exp(segment.avg_logprob), 0) / segments.length;
+    }
+
+    return {
+      text: data.text.trim(),
+      language: data.language || language || null,
+      confidence: confidence === null ? null : Math.round(confidence * 100) / 100,
+      words
+    };
+  }
+}
+
+module.exports = WhisperProvider;
@@ -0,0 +1,179 @@
+const stt = require('./stt');
+const logger = require('../utils/logger');
+
+const DEFAULT_WAIT_MS = 45000;
+const DEFAULT_POLL_MS = 3000;
+const MAX_DELIVERED = 200; // transcripts delivered before anyone waited for them
+
+// Turns answer recordings into transcripts. Providers are tried in chain order
+// (STT_PROVIDERS, default twilio), skipping ones that are not configured or do
+// not handle the caller's language. waitForTranscript() is the single wait step
+// before an answer is analysed: it gives up after STT_WAIT_TIMEOUT_MS.
+class STTService {
+  constructor() {
+    this.providers = {};
+    this.chainOverride = null;
+    this.waiters = new Map();
+    this.delivered = new Map();
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = stt.createProvider(name);
+    }
+    return this.providers[name];
+  }
+
+  registerProvider(name, factory) {
+    stt.registerProvider(name, factory);
+    delete this.providers[name];
+  }
+
+  getDefaultChain() {
+    if (this.chainOverride) {
+      return this.chainOverride;
+    }
+    if (process.env.STT_PROVIDERS) {
+      return process.env.STT_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    return ['twilio'];
+  }
+
+  // Replace the default chain (tests, simulator); returns the previous override
+  setDefaultChain(chain) {
+    const previous = this.chainOverride;
+    this.chainOverride = chain;
+    return previous;
+  }
+
+  // Providers that can transcribe an answer in this language
+  getChain(language) {
+    return this.getDefaultChain().filter(name => {
+      if (!stt.hasProvider(name)) {
+        logger.warn(`Ignoring unknown STT provider "${name}"`);
+        return false;
+      }
+      const provider = this.getProvider(name);
+      return provider.isConfigured() && provider.supportsLanguage(language);
+    });
+  }
+
+  // Whether <Record> should ask Twilio to transcribe
+  usesTwilioTranscription() {
+    return this.getDefaultChain().includes('twilio');
+  }
+
+  getWaitTimeout() {
+    return parseInt(process.env.STT_WAIT_TIMEOUT_MS, 10) || DEFAULT_WAIT_MS;
+  }
+
+  // Transcript carried by Twilio's transcription callback, or null
+  fromCallback(params = {}) {
+    const transcript = this.getProvider('twilio').toTranscript(params.transcriptionText);
+    return transcript ? { provider: 'twilio', ...transcript } : null;
+  }
+
+  // Hand over a transcript that arrived by callback (Twilio's transcribeCallback).
+  // Returns true when an answer was waiting for it.
+  deliver(sid, transcript) {
+    const waiter = this.waiters.get(sid);
+    if (waiter) {
+      waiter(transcript);
+      return true;
+    }
+
+    this.delivered.set(sid, transcript);
+    if (this.delivered.size > MAX_DELIVERED) {
+      this.delivered.delete(this.delivered.keys().next().value);
+    }
+    return false;
+  }
+
+  // Transcript of a recording ({ sid, url, duration, stored }) with its source
+  // provider, or null when no provider has one within the timeout.
+  async waitForTranscript(recording, { language, timeoutMs = this.getWaitTimeout(), pollIntervalMs = DEFAULT_POLL_MS } = {}) {
+    if (this.delivered.has(recording.sid)) {
+      const transcript = this.delivered.get(recording.sid);
+      this.delivered.delete(recording.sid);
+      return transcript;
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    let timer = null;
+    let delivered = null;
+    const delivery = new Promise(resolve => {
+      delivered = resolve;
+    });
+    this.waiters.set(recording.sid, delivered);
+
+    // Resolves after ms, or as soon as a transcript is delivered
+    const pause = (ms) => Promise.race([
+      delivery,
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), ms);
+      })
+    ]).finally(() => clearTimeout(timer));
+
+    const chain = this.getChain(language);
+    try {
+      for (const name of chain) {
+        const provider = this.getProvider(name);
+
+        while (Date.now() < deadline) {
+          const transcript = await Promise.race([
+            delivery,
+            this.attempt(provider, recording, { language, timeout: deadline - Date.now() })
+          ]);
+          if (transcript && transcript.text) {
+            return this.normalize(transcript, provider.name);
+          }
+          if (!provider.asynchronous || transcript === undefined) {
+            break;
+          }
+
+          const early = await pause(Math.min(pollIntervalMs, deadline - Date.now()));
+          if (early && early.text) {
+            return early;
+          }
+        }
+      }
+
+      // Nothing from the chain yet: a callback may still deliver before the deadline
+      const remaining = deadline - Date.now();
+      const awaitsCallback = chain.some(name => this.getProvider(name).asynchronous);
+      const late = awaitsCallback && remaining > 0 ? await pause(remaining) : null;
+      if (!late) {
+        logger.warn('No transcript before the STT timeout', { recordingSid: recording.sid, timeoutMs });
+      }
+      return late && late.text ? late : null;
+    } finally {
+      this.waiters.delete(recording.sid);
+    }
+  }
+
+  normalize(transcript, provider) {
+    return {
+      provider: transcript.provider || provider,
+      text: transcript.text,
+      language: transcript.language || null,
+      confidence: typeof transcript.confidence === 'number' ? transcript.confidence : null,
+      words: Array.isArray(transcript.words) ? transcript.words : []
+    };
+  }
+
+  // One provider call: a transcript, null when it has none yet, or undefined
+  // when it failed (the chain moves on)
+  async attempt(provider, recording, options) {
+    try {
+      return await provider.transcribe(recording, options);
+    } catch (error) {
+      logger.warn(`STT provider ${provider.name} failed: ${error.message}`);
+      return undefined;
+    }
+  }
+}
+
+const sttService = new STTService();
+sttService.DEFAULT_WAIT_MS = DEFAULT_WAIT_MS;
+
+module.exports = sttService;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, RefreshToken, RevokedToken } = require('../database/models');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Short-lived access tokens (JWTs with a jti) paired with rotating refresh
+// tokens stored server-side. Revoked access tokens are listed until they expire.
+class TokenService {
+  getConfig() {
+    return {
+      accessExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      refreshTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30
+    };
+  }
+
+  signAccessToken(userId) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+      { userId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.getConfig().accessExpiresIn, jwtid: jti }
+    );
+    const { iat, exp } = jwt.decode(token);
+
+    return { token, jti, expiresIn: exp - iat, expiresAt: new Date(exp * 1000) };
+  }
+
+  // Start a session, or continue a refresh token family when familyId is given.
+  // Returns { token, refreshToken, expiresIn, refreshExpiresAt, record }.
+  async issueTokens(user, { familyId, userAgent, ipAddress } = {}) {
+    const access = this.signAccessToken(user.id);
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    const record = await RefreshToken.create({
+      userId: user.id,
+      tokenHash: RefreshToken.hashToken(refreshToken),
+      familyId: familyId || crypto.randomUUID(),
+      accessTokenJti: access.jti,
+      accessTokenExpiresAt: access.expiresAt,
+      expiresAt: new Date(Date.now() + this.getConfig().refreshTtlDays * DAY_MS),
+      userAgent: userAgent ? userAgent.substring(0, 255) : null,
+      ipAddress: ipAddress || null
+    });
+
+    return {
+      token: access.token,
+      refreshToken,
+      expiresIn: access.expiresIn,
+      refreshExpiresAt: record.expiresAt,
+      record
+    };
+  }
+
+  // Exchange a refresh token for a new pair. Presenting a token that was
+  // already rotated means it leaked, so the whole family is revoked.
+  // Returns { refreshed: true, user, tokens } or { refreshed: false, reason }.
+  async refresh(refreshToken, meta = {}) {
+    const record = await RefreshToken.findByToken(refreshToken);
+    if (!record) {
+      return { refreshed: false, reason: 'invalid' };
+    }
+
+    if (record.revokedAt) {
+      if (record.replacedById) {
+        logger.warn('Refresh token reuse detected', { userId: record.userId, familyId: record.familyId });
+        await this.revokeFamily(record.familyId, 'reuse_detected');
+      }
+      return { refreshed: false, reason: 'revoked' };
+    }
+
+    if (record.isExpired()) {
+      return { refreshed: false, reason: 'expired' };
+    }
+
+    const user = await User.findByPk(record.userId);
+    if (!user || !user.isActive) {
+      await this.revokeSession(record, 'inactive_user');
+      return { refreshed: false, reason: 'inactive' };
+    }
+
+    const tokens = await this.issueTokens(user, { ...meta, familyId: record.familyId });
+
+    // Lost a race with a concurrent refresh of the same token
+    if (!(await record.revoke('rotated', tokens.record.id))) {
+      logger.warn('Concurrent refresh token use', { userId: user.id, familyId: record.familyId });
+      await this.revokeFamily(record.familyId, 'reuse_detected');
+      return { refreshed: false, reason: 'revoked' };
+    }
+
+    return { refreshed: true, user, tokens };
+  }
+
+  async revokeAccessToken({ jti, userId, expiresAt }, reason) {
+    if (!jti) {
+      return;
+    }
+    await RevokedToken.revoke({ jti, userId, reason, expiresAt });
+  }
+
+  async revokeSession(record, reason) {
+    await record.revoke(reason);
+    await this.revokeAccessToken({
+      jti: record.accessTokenJti,
+      userId: record.userId,
+      expiresAt: record.accessTokenExpiresAt
+    }, reason);
+  }
+
+  async revokeFamily(familyId, reason) {
+    const records = await RefreshToken.findActiveByFamily(familyId);
+    for (const record of records) {
+      await this.revokeSession(record, reason);
+    }
+    return records.length;
+  }
+
+  // End the session an access token belongs to. `payload` is the decoded JWT.
+  async logout(payload, reason = 'logout') {
+    await this.revokeAccessToken({
+      jti: payload.jti,
+      userId: payload.userId,
+      expiresAt: new Date(payload.exp * 1000)
+    }, reason);
+
+    if (!payload.jti) {
+      return 0;
+    }
+
+    const record = await RefreshToken.findOne({ where: { accessTokenJti: payload.jti } });
+    return record ? await this.revokeFamily(record.familyId, reason) : 0;
+  }
+
+  // End every session of a user; returns how many were active
+  async logoutAll(userId, reason = 'logout_all') {
+    const records = await RefreshToken.findActiveByUserId(userId);
+    for (const record of records) {
+      await this.revokeSession(record, reason);
+    }
+
+    logger.info('Revoked all sessions', { userId, sessions: records.length, reason });
+    return records.length;
+  }
+
+  async isRevoked(jti) {
+    return await RevokedToken.isRevoked(jti);
+  }
+
+  // Drop refresh tokens and revocation entries past their expiry
+  async pruneExpired() {
+    const revoked = await RevokedToken.pruneExpired();
+    const refreshTokens = await RefreshToken.pruneExpired();
+    return { revoked, refreshTokens };
+  }
+
+  // Prune now and then once a day while the server runs
+  schedulePrune() {
+    const prune = () => this.pruneExpired().catch(error => {
+      logger.warn('Failed to prune expired tokens:', error.message);
+    });
+    prune();
+    setInterval(prune, DAY_MS).unref();
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,34 @@
+const MurfAIProvider = require('./murfaiProvider');
+const TwilioSayProvider = require('./twilioSayProvider');
+const LocalProvider = require('./localProvider');
+
+// TTS providers by name, as used in TTS_PROVIDERS and User.preferences.voice.
+// A provider implements isConfigured(), defaultVoice() and
+// synthesize(text, { voiceId, language }), resolving to a speech segment:
+//   { type: 'play', url, text }            - audio file for <Play>
+//   { type: 'say', text, voice, language } - text for <Say>
+const providers = {
+  murfai: () => new MurfAIProvider(),
+  twilio: () => new TwilioSayProvider(),
+  local: () => new LocalProvider()
+};
+
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const hasProvider = (name) => Boolean(providers[name]);
+
+const createProvider = (name, options = {}) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown TTS provider: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createProvider,
+  registerProvider,
+  hasProvider
+};
@@ -0,0 +1,69 @@
+const { AudioCache } = require('../audioCache');
+const audioCacheService = require('../audioCacheService');
+
+const SAMPLE_RATE = 8000;
+const WORDS_PER_SECOND = 2.5;
+
+// Offline engine stub: caches a quiet placeholder WAV (a short tone per word)
+// so the <Play> path can be exercised without a TTS account.
+class LocalProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.cache = options.cache || audioCacheService;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  defaultVoice() {
+    return 'local-default';
+  }
+
+  getCacheKey(text, { voiceId }) {
+    return AudioCache.generateKey(text, voiceId, 'local');
+  }
+
+  async synthesize(text, { voiceId, promptId }) {
+    const key = this.getCacheKey(text, { voiceId });
+
+    let entry = await this.cache.lookup(key);
+    if (!entry) {
+      entry = await this.cache.store(key, this.renderWav(text), { format: 'wav', text, voiceId, provider: 'local', promptId });
+    }
+
+    return { type: 'play', url: audioCacheService.getUrl(entry.filename), text };
+  }
+
+  // 16-bit mono PCM: a 440Hz blip at the start of each word-length slot
+  renderWav(text) {
+    const words = Math.max(1, text.split(/\s+/).filter(Boolean).length);
+    const samples = Math.ceil((words / WORDS_PER_SECOND) * SAMPLE_RATE);
+    const slot = Math.floor(samples / words);
+    const blip = Math.floor(SAMPLE_RATE * 0.05);
+
+    const buffer = Buffer.alloc(44 + samples * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples * 2, 40);
+
+    for (let i = 0; i < samples; i++) {
+      const value = i % slot < blip ? Math.round(Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE) * 3000) : 0;
+      buffer.writeInt16LE(value, 44 + i * 2);
+    }
+
+    return buffer;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,29 @@
+const murfaiService = require('../murfaiService');
+
+// MurfAI studio voices, rendered to audio files that Twilio <Play>s
+class MurfAIProvider {
+  constructor() {
+    this.name = 'murfai';
+  }
+
+  isConfigured() {
+    return Boolean(murfaiService.apiKey);
+  }
+
+  defaultVoice() {
+    return process.env.MURF_DEFAULT_VOICE || 'en-US-natalie';
+  }
+
+  // Key the audio cache uses for this text and voice (default pitch and speed)
+  getCacheKey(text, { voiceId }) {
+    return murfaiService.generateCacheKey(text, voiceId, 0, 0);
+  }
+
+  // promptId tags pre-generated catalog prompts in the audio cache
+  async synthesize(text, { voiceId, promptId }) {
+    const audioUrl = await murfaiService.generateAudioUrl(text, { voiceId, promptId });
+    return { type: 'play', url: audioUrl, text };
+  }
+}
+
+module.exports = MurfAIProvider;
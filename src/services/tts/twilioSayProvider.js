@@ -0,0 +1,21 @@
+// Twilio's built-in <Say>, including Amazon Polly voices ("Polly.Joanna").
+// Nothing is rendered ahead of time, so it cannot fail and ends every chain.
+class TwilioSayProvider {
+  constructor() {
+    this.name = 'twilio';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  defaultVoice() {
+    return process.env.TWILIO_SAY_VOICE || 'alice';
+  }
+
+  async synthesize(text, { voiceId, language }) {
+    return { type: 'say', text, voice: voiceId, language };
+  }
+}
+
+module.exports = TwilioSayProvider;
@@ -0,0 +1,199 @@
+const tts = require('./tts');
+const logger = require('../utils/logger');
+
+// Picks a TTS provider for each prompt. Providers are tried in chain order
+// (TTS_PROVIDERS, with the caller's preferred provider first); one that keeps
+// failing is skipped for a cool-down period. Twilio <Say> ends every chain, so
+// synthesize() always returns something speakable.
+class TTSService {
+  constructor() {
+    this.providers = {};
+    this.health = {};
+    this.chainOverride = null;
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = tts.createProvider(name);
+    }
+    return this.providers[name];
+  }
+
+  registerProvider(name, factory) {
+    tts.registerProvider(name, factory);
+    delete this.providers[name];
+  }
+
+  // Provider order from TTS_PROVIDERS, or from USE_MURFAI_TTS for older deployments
+  getDefaultChain() {
+    if (this.chainOverride) {
+      return this.chainOverride;
+    }
+
+    if (process.env.TTS_PROVIDERS) {
+      return process.env.TTS_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    return process.env.USE_MURFAI_TTS !== 'false' ? ['murfai', 'twilio'] : ['twilio'];
+  }
+
+  // Replace the default chain (tests, simulator); returns the previous override
+  setDefaultChain(chain) {
+    const previous = this.chainOverride;
+    this.chainOverride = chain;
+    return previous;
+  }
+
+  // Chain for one prompt. preferences is User.preferences; its voice entry
+  // ({ provider, voiceId, language }) moves that provider to the front.
+  getChain({ preferences, useTTS } = {}) {
+    let chain = useTTS === false ? ['twilio'] : [...this.getDefaultChain()];
+
+    const preferred = preferences?.voice?.provider;
+    if (useTTS !== false && preferred) {
+      chain = [preferred, ...chain.filter(name => name !== preferred)];
+    }
+
+    chain = chain.filter(name => {
+      if (!tts.hasProvider(name)) {
+        logger.warn(`Ignoring unknown TTS provider "${name}"`);
+        return false;
+      }
+      return true;
+    });
+
+    if (!chain.includes('twilio')) {
+      chain.push('twilio');
+    }
+
+    return chain;
+  }
+
+  // Voice for a provider: the caller's choice if it belongs to that provider, else its default
+  getVoice(provider, { preferences, language } = {}) {
+    const preferred = preferences?.voice || {};
+    const voiceLanguage = preferred.language || preferences?.language || language || 'en-US';
+
+    if (preferred.provider === provider.name && preferred.voiceId) {
+      return { voiceId: preferred.voiceId, language: voiceLanguage };
+    }
+
+    return { voiceId: provider.defaultVoice(), language: voiceLanguage };
+  }
+
+  // Turn text into a speech segment using the first healthy provider that succeeds
+  async synthesize(text, options = {}) {
+    const chain = this.getChain(options);
+
+    for (const name of chain) {
+      const provider = this.getProvider(name);
+
+      if (!provider.isConfigured()) {
+        continue;
+      }
+
+      if (!this.isAvailable(name)) {
+        logger.debug(`Skipping TTS provider ${name} while it cools down`);
+        continue;
+      }
+
+      const startTime = Date.now();
+      try {
+        const segment = await provider.synthesize(text, this.getVoice(provider, options));
+        this.recordSuccess(name, Date.now() - startTime);
+        return segment;
+      } catch (error) {
+        this.recordFailure(name, error);
+        logger.error(`TTS provider ${name} failed, trying the next one:`, error.message || error);
+      }
+    }
+
+    // Every provider failed or was skipped
+    return { type: 'say', text, voice: 'alice', language: options.language || 'en-US' };
+  }
+
+  // Add a speech segment to a TwiML node (a VoiceResponse or a Gather)
+  appendTo(node, segment) {
+    if (segment.type === 'play') {
+      node.play(segment.url);
+    } else {
+      node.say({ voice: segment.voice, language: segment.language }, segment.text);
+    }
+  }
+
+  getHealthEntry(name) {
+    if (!this.health[name]) {
+      this.health[name] = {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        averageLatencyMs: 0,
+        lastError: null,
+        lastFailureAt: null,
+        disabledUntil: null
+      };
+    }
+    return this.health[name];
+  }
+
+  isAvailable(name) {
+    const entry = this.health[name];
+    return !entry || !entry.disabledUntil || entry.disabledUntil <= Date.now();
+  }
+
+  recordSuccess(name, latencyMs) {
+    const entry = this.getHealthEntry(name);
+    entry.averageLatencyMs = Math.round((entry.averageLatencyMs * entry.successes + latencyMs) / (entry.successes + 1));
+    entry.successes += 1;
+    entry.consecutiveFailures = 0;
+    entry.disabledUntil = null;
+  }
+
+  recordFailure(name, error) {
+    const threshold = parseInt(process.env.TTS_FAILURE_THRESHOLD, 10) || 3;
+    const cooldownMs = parseInt(process.env.TTS_COOLDOWN_MS, 10) || 60000;
+    const entry = this.getHealthEntry(name);
+
+    entry.failures += 1;
+    entry.consecutiveFailures += 1;
+    entry.lastError = error.message || String(error);
+    entry.lastFailureAt = new Date().toISOString();
+
+    if (entry.consecutiveFailures >= threshold) {
+      entry.disabledUntil = Date.now() + cooldownMs;
+      logger.warn(`TTS provider ${name} failed ${entry.consecutiveFailures} times in a row, skipping it for ${cooldownMs}ms`);
+    }
+  }
+
+  // Status of every provider in the default chain, for health checks
+  getHealth() {
+    const names = [...new Set([...this.getChain(), ...Object.keys(this.health)])];
+
+    return names.reduce((report, name) => {
+      const entry = this.health[name] || this.getHealthEntry(name);
+      const provider = this.getProvider(name);
+      let status = 'healthy';
+
+      if (!provider.isConfigured()) {
+        status = 'not_configured';
+      } else if (!this.isAvailable(name)) {
+        status = 'cooling_down';
+      } else if (entry.consecutiveFailures > 0) {
+        status = 'degraded';
+      }
+
+      report[name] = {
+        status,
+        ...entry,
+        disabledUntil: entry.disabledUntil ? new Date(entry.disabledUntil).toISOString() : null
+      };
+      return report;
+    }, {});
+  }
+
+  resetHealth() {
+    this.health = {};
+  }
+}
+
+module.exports = new TTSService();
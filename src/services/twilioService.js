@@ -1,13 +1,21 @@
 const twilio = require('twilio');
+const axios = require('axios');
 const logger = require('../utils/logger');
-const murfaiService = require('./murfaiService');
+const ttsService = require('./ttsService');
+const promptAudioService = require('./promptAudioService');
+const { getSystemPrompt } = require('../flows/promptCatalog');
+
+// Auth token used to sign and verify webhooks when running under Jest
+const TEST_AUTH_TOKEN = 'test-twilio-auth-token';
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+const RECORDING_SID = /^RE\w+$/;
 
 class TwilioService {
   constructor() {
     this.accountSid = process.env.TWILIO_ACCOUNT_SID;
     this.authToken = process.env.TWILIO_AUTH_TOKEN;
     this.phoneNumber = process.env.TWILIO_PHONE_NUMBER;
-    this.useMurfAI = process.env.USE_MURFAI_TTS !== 'false'; // Default to true
     
     if (!this.accountSid || !this.authToken || !this.phoneNumber) {
       throw new Error('Twilio credentials not properly configured');
@@ -16,66 +24,58 @@ class TwilioService {
     this.client = twilio(this.accountSid, this.authToken);
   }
 
-  // Generate TwiML response for voice interactions with MurfAI support
+  // Speak a message through the TTS provider chain (see ttsService).
+  // preferences: the caller's User.preferences (voice and language)
+  // useTTS: false to force Twilio <Say>
+  async speak(node, message, options = {}) {
+    const { preferences, useTTS, language } = options;
+    const segment = await ttsService.synthesize(message, { preferences, useTTS, language });
+    ttsService.appendTo(node, segment);
+  }
+
+  // Generate TwiML response for voice interactions
   async generateTwiMLResponse(options = {}) {
     const {
-      message = 'Hello, welcome to AI Interview Coaching.',
+      message = getSystemPrompt('greeting'),
+      intro = null, // Spoken before the message, e.g. a greeting by name
       action = null,
       method = 'POST',
       timeout = 5,
       speechTimeout = 'auto',
       language = 'en-US',
-      voice = 'alice',
-      voiceId = process.env.MURF_DEFAULT_VOICE || 'en-US-natalie', // MurfAI voice ID with default
-      useTTS = this.useMurfAI, // Use MurfAI by default
+      input = ['speech', 'dtmf'],
+      finishOnKey = null,
+      hints = null,
+      actionOnEmptyResult = false, // Post to action even when the caller says nothing
       redirect = false // If true, redirect instead of gather
     } = options;
 
     const twiml = new twilio.twiml.VoiceResponse();
 
-    try {
-      // If MurfAI is enabled, generate audio and use play
-      if (useTTS && this.useMurfAI) {
-        try {
-          const audioUrl = await murfaiService.generateAudioUrl(message, { voiceId });
-          
-          if (action) {
-            if (redirect || timeout === 1) {
-              // Use redirect for immediate continuation
-              twiml.play(audioUrl);
-              twiml.redirect({ method: method }, action);
-            } else {
-              // Use gather for user input
-              const gather = twiml.gather({
-                action: action,
-                method: method,
-                timeout: timeout,
-                speechTimeout: speechTimeout,
-                language: language,
-                input: ['speech', 'dtmf']
-              });
-              gather.play(audioUrl);
-            }
-          } else {
-            twiml.play(audioUrl);
-          }
-        } catch (error) {
-          logger.error('Failed to generate MurfAI audio, falling back to Twilio TTS:', error);
-          // Fallback to Twilio's built-in TTS
-          this.addFallbackTTS(twiml, message, action, method, timeout, speechTimeout, language, voice, redirect);
-        }
-      } else {
-        // Use Twilio's built-in TTS
-        this.addFallbackTTS(twiml, message, action, method, timeout, speechTimeout, language, voice, redirect);
+    if (action && !(redirect || timeout === 1)) {
+      // Use gather for user input
+      const gather = twiml.gather({
+        action: action,
+        method: method,
+        timeout: timeout,
+        speechTimeout: speechTimeout,
+        language: language,
+        input: input,
+        ...(finishOnKey && { finishOnKey }),
+        ...(hints && { hints }),
+        ...(actionOnEmptyResult && { actionOnEmptyResult: true })
+      });
+      if (intro) {
+        await this.speak(gather, intro, options);
       }
-    } catch (error) {
-      logger.error('Error generating TwiML response:', error);
-      // Ultimate fallback
-      twiml.say({
-        voice: voice,
-        language: language
-      }, message);
+      await this.speak(gather, message, options);
+    } else {
+      if (intro) {
+        await this.speak(twiml, intro, options);
+      }
+      await this.speak(twiml, message, options);
       if (action) {
+        // Use redirect for immediate continuation
         twiml.redirect({ method: method }, action);
       }
     }
@@ -83,199 +83,64 @@ class TwilioService {
     return twiml.toString();
   }
 
-  // Add fallback TTS using Twilio's say command
-  addFallbackTTS(twiml, message, action, method, timeout, speechTimeout, language, voice, redirect = false) {
-    if (action) {
-      if (redirect || timeout === 1) {
-        // Use redirect for immediate continuation
-        twiml.say({
-          voice: voice,
-          language: language
-        }, message);
-        twiml.redirect({ method: method }, action);
-      } else {
-        // Use gather for user input
-        twiml.gather({
-          action: action,
-          method: method,
-          timeout: timeout,
-          speechTimeout: speechTimeout,
-          language: language,
-          input: ['speech', 'dtmf']
-        }).say({
-          voice: voice,
-          language: language
-        }, message);
-      }
-    } else {
-      twiml.say({
-        voice: voice,
-        language: language
-      }, message);
-    }
-  }
-
-  // Generate TwiML for recording with MurfAI support
+  // Generate TwiML for recording an answer
   async generateRecordingTwiML(options = {}) {
     const {
-      message = 'Please speak your answer now.',
+      message = getSystemPrompt('recordAnswer'),
       action = null,
       method = 'POST',
       timeout = 30,
       maxLength = 60,
       finishOnKey = '#',
-      language = 'en-US',
-      voice = 'alice',
-      voiceId = process.env.MURF_DEFAULT_VOICE || 'en-US-natalie', // MurfAI voice ID with default
       timeoutAction = null,
-      useTTS = this.useMurfAI
+      transcribe = true // false when no STT provider needs Twilio's transcription
     } = options;
 
     const twiml = new twilio.twiml.VoiceResponse();
 
-    try {
-      // Generate audio message with MurfAI or Twilio TTS
-      if (useTTS && this.useMurfAI) {
-        try {
-          const audioUrl = await murfaiService.generateAudioUrl(message, { voiceId });
-          twiml.play(audioUrl);
-        } catch (error) {
-          logger.error('Failed to generate MurfAI audio, falling back to Twilio TTS:', error);
-          twiml.say({
-            voice: voice,
-            language: language
-          }, message);
-        }
-      } else {
-        twiml.say({
-          voice: voice,
-          language: language
-        }, message);
-      }
+    await this.speak(twiml, message, options);
 
-      // Add recording directive
-      const recordOptions = {
-        timeout: timeout,
-        maxLength: maxLength,
-        finishOnKey: finishOnKey,
-        transcribe: true
-      };
+    // Add recording directive
+    const recordOptions = {
+      timeout: timeout,
+      maxLength: maxLength,
+      finishOnKey: finishOnKey,
+      transcribe: transcribe
+    };
 
-      if (action) {
-        recordOptions.action = action;
-        recordOptions.method = method;
+    if (action) {
+      recordOptions.action = action;
+      recordOptions.method = method;
+      if (transcribe) {
         recordOptions.transcribeCallback = action.replace('recording', 'transcription');
       }
+    }
 
-      if (timeoutAction) {
-        recordOptions.timeoutAction = timeoutAction;
-      }
-
-      twiml.record(recordOptions);
-    } catch (error) {
-      logger.error('Error generating recording TwiML:', error);
-      // Fallback TwiML
-      twiml.say({
-        voice: voice,
-        language: language
-      }, message);
-      twiml.record({
-        timeout: timeout,
-        maxLength: maxLength,
-        finishOnKey: finishOnKey,
-        transcribe: true
-      });
+    if (timeoutAction) {
+      recordOptions.timeoutAction = timeoutAction;
     }
 
+    twiml.record(recordOptions);
+
     return twiml.toString();
   }
 
-  // Generate TwiML for hangup with MurfAI support
-  async generateHangupTwiML(message = 'Thank you for using AI Interview Coaching. Goodbye!', options = {}) {
-    const {
-      voice = 'alice',
-      language = 'en-US',
-      voiceId = process.env.MURF_DEFAULT_VOICE || 'en-US-natalie',
-      useTTS = this.useMurfAI
-    } = options;
-
+  // Generate TwiML for hangup
+  async generateHangupTwiML(message = getSystemPrompt('goodbye'), options = {}) {
     const twiml = new twilio.twiml.VoiceResponse();
 
-    try {
-      // Generate audio message with MurfAI or Twilio TTS
-      if (useTTS && this.useMurfAI) {
-        try {
-          const audioUrl = await murfaiService.generateAudioUrl(message, { voiceId });
-          twiml.play(audioUrl);
-        } catch (error) {
-          logger.error('Failed to generate MurfAI audio, falling back to Twilio TTS:', error);
-          twiml.say({
-            voice: voice,
-            language: language
-          }, message);
-        }
-      } else {
-        twiml.say({
-          voice: voice,
-          language: language
-        }, message);
-      }
-
-      twiml.hangup();
-    } catch (error) {
-      logger.error('Error generating hangup TwiML:', error);
-      // Fallback TwiML
-      twiml.say({
-        voice: voice,
-        language: language
-      }, message);
-      twiml.hangup();
-    }
+    await this.speak(twiml, message, options);
+    twiml.hangup();
 
     return twiml.toString();
   }
 
   // Generate TwiML for hold music
-  async generateHoldTwiML(message = 'Please wait while we process your request.', options = {}) {
-    const {
-      voice = 'alice',
-      language = 'en-US',
-      voiceId = process.env.MURF_DEFAULT_VOICE || 'en-US-natalie',
-      useTTS = this.useMurfAI
-    } = options;
-
+  async generateHoldTwiML(message = getSystemPrompt('processing'), options = {}) {
     const twiml = new twilio.twiml.VoiceResponse();
 
-    try {
-      // Generate audio message with MurfAI or Twilio TTS
-      if (useTTS && this.useMurfAI) {
-        try {
-          const audioUrl = await murfaiService.generateAudioUrl(message, { voiceId });
-          twiml.play(audioUrl);
-        } catch (error) {
-          logger.error('Failed to generate MurfAI audio, falling back to Twilio TTS:', error);
-          twiml.say({
-            voice: voice,
-            language: language
-          }, message);
-        }
-      } else {
-        twiml.say({
-          voice: voice,
-          language: language
-        }, message);
-      }
-
-      twiml.play('https://demo.twilio.com/docs/classic.mp3');
-    } catch (error) {
-      logger.error('Error generating hold TwiML:', error);
-      // Fallback TwiML
-      twiml.say({
-        voice: voice,
-        language: language
-      }, message);
-      twiml.play('https://demo.twilio.com/docs/classic.mp3');
-    }
+    await this.speak(twiml, message, options);
+    twiml.play('https://demo.twilio.com/docs/classic.mp3');
 
     return twiml.toString();
   }
@@ -360,6 +225,53 @@ class TwilioService {
     }
   }
 
+  // Download a recording's audio as MP3 or WAV. The URL is built from the
+  // recording SID so our credentials only ever go to Twilio's own API, never
+  // to a RecordingUrl taken from a request.
+  async downloadRecording(recordingSid, format = 'mp3') {
+    const startTime = Date.now();
+    try {
+      if (!RECORDING_SID.test(recordingSid || '')) {
+        throw new Error(`Invalid recording SID: ${recordingSid}`);
+      }
+
+      const url = `${TWILIO_API_URL}/Accounts/${this.accountSid}/Recordings/${recordingSid}.${format}`;
+      const response = await axios.get(url, {
+        auth: { username: this.accountSid, password: this.authToken },
+        responseType: 'arraybuffer',
+        timeout: 30000
+      });
+      const duration = Date.now() - startTime;
+
+      logger.logApiCall('Twilio', 'downloadRecording', duration, true);
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.logApiCall('Twilio', 'downloadRecording', duration, false);
+      logger.error('Failed to download recording:', error);
+      throw error;
+    }
+  }
+
+  // Delete a recording from Twilio once we hold our own copy
+  async deleteRecording(recordingSid) {
+    const startTime = Date.now();
+    try {
+      await this.client.recordings(recordingSid).remove();
+      const duration = Date.now() - startTime;
+
+      logger.logApiCall('Twilio', 'deleteRecording', duration, true);
+
+      return true;
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.logApiCall('Twilio', 'deleteRecording', duration, false);
+      logger.error('Failed to delete recording:', error);
+      throw error;
+    }
+  }
+
   // Send SMS (for notifications)
   async sendSMS(to, message) {
     try {
@@ -388,21 +300,79 @@ class TwilioService {
     }
   }
 
-  // Validate webhook signature
-  validateWebhookSignature(signature, url, params) {
+  // Auth token webhooks are signed with, read per call; Jest runs use a fixed one
+  getWebhookAuthToken() {
+    if (process.env.TWILIO_AUTH_TOKEN) {
+      return process.env.TWILIO_AUTH_TOKEN;
+    }
+    return process.env.NODE_ENV === 'test' ? TEST_AUTH_TOKEN : null;
+  }
+
+  // Rebuild the public URLs Twilio may have signed. Behind a proxy the request
+  // reaches us on an internal host, so we try the configured base URL first and
+  // then whatever the forwarding headers say. originalUrl keeps the raw query
+  // string (?callSid=...&from=...) exactly as Twilio requested it.
+  getWebhookUrls(req) {
+    const candidates = [];
+
+    if (process.env.WEBHOOK_BASE_URL) {
+      candidates.push(`${process.env.WEBHOOK_BASE_URL.replace(/\/+$/, '')}${req.originalUrl}`);
+    }
+
+    const forwardedProto = (req.get('X-Forwarded-Proto') || '').split(',')[0].trim();
+    const forwardedHost = (req.get('X-Forwarded-Host') || '').split(',')[0].trim();
+    const protocol = forwardedProto || req.protocol;
+    const host = forwardedHost || req.get('Host');
+
+    if (host) {
+      candidates.push(`${protocol}://${host}${req.originalUrl}`);
+    }
+
+    return [...new Set(candidates)];
+  }
+
+  // Validate webhook signature against one URL or any of several candidates
+  validateWebhookSignature(signature, urls, params) {
+    const authToken = this.getWebhookAuthToken();
+    if (!authToken || !signature) {
+      return false;
+    }
+
     try {
-      return twilio.validateRequest(
-        process.env.TWILIO_AUTH_TOKEN,
-        signature,
-        url,
-        params
-      );
+      return [].concat(urls).some(url => twilio.validateRequest(authToken, signature, url, params));
     } catch (error) {
       logger.error('Webhook signature validation failed:', error);
       return false;
     }
   }
 
+  // Check an incoming webhook request. Twilio signs form-encoded POST bodies;
+  // GET requests are signed on the URL alone.
+  validateWebhookRequest(req) {
+    const urls = this.getWebhookUrls(req);
+
+    if (!this.getWebhookAuthToken()) {
+      return { isValid: false, reason: 'not_configured', urls };
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) {
+      return { isValid: false, reason: 'missing_signature', urls };
+    }
+
+    const params = req.method === 'POST' ? (req.body || {}) : {};
+    if (!this.validateWebhookSignature(signature, urls, params)) {
+      return { isValid: false, reason: 'invalid_signature', urls };
+    }
+
+    return { isValid: true, urls };
+  }
+
+  // Produce an X-Twilio-Signature value for a request (used by tests and local tooling)
+  signWebhookRequest(url, params = {}, authToken = this.getWebhookAuthToken() || TEST_AUTH_TOKEN) {
+    return twilio.getExpectedTwilioSignature(authToken, url, params);
+  }
+
   // Parse Twilio webhook parameters
   parseWebhookParams(req) {
     return {
@@ -415,6 +385,7 @@ class TwilioService {
       speechResult: req.body.SpeechResult,
       confidence: req.body.Confidence,
       digits: req.body.Digits,
+      recordingSid: req.body.RecordingSid,
       recordingUrl: req.body.RecordingUrl,
       recordingDuration: req.body.RecordingDuration,
       transcriptionText: req.body.TranscriptionText,
@@ -422,12 +393,14 @@ class TwilioService {
     };
   }
 
-  // Pre-generate common audio messages for better performance
+  // Pre-generate audio for every static prompt for better performance
   async preGenerateCommonMessages() {
-    if (this.useMurfAI) {
-      logger.info('Pre-generating common messages with MurfAI...');
-      await murfaiService.preGenerateCommonMessages();
-    }
+    logger.info('Pre-generating audio for static prompts...');
+    const report = await promptAudioService.pregenerate();
+    report.forEach(voice => {
+      logger.info(`Prompt audio for ${voice.provider}/${voice.voiceId}`, promptAudioService.summarize(voice));
+    });
+    return report;
   }
 }
 
@@ -1,36 +1,33 @@
+const disfluencyService = require('./disfluencyService');
+const { DEFAULT_RUBRIC, getLevel } = require('./scoring/rubric');
 const logger = require('../utils/logger');
 
 class VoiceAnalysisService {
   constructor() {
-    this.fillerWords = [
-      'um', 'uh', 'er', 'ah', 'like', 'you know', 'so', 'well', 'actually', 'basically',
-      'literally', 'honestly', 'really', 'totally', 'absolutely', 'definitely', 'sure',
-      'right', 'okay', 'alright', 'kind of', 'sort of', 'pretty much', 'more or less'
-    ];
-    
     this.confidenceIndicators = {
       positive: ['definitely', 'certainly', 'absolutely', 'confident', 'sure', 'clear'],
       negative: ['maybe', 'perhaps', 'might', 'could be', 'not sure', 'unclear', 'think so']
     };
   }
 
-  // Analyze speech rate from transcript and duration
-  analyzeSpeechRate(transcript, durationSeconds) {
+  // Analyze speech rate from transcript and duration. bands are the scoring
+  // rubric's speech-rate bands; outside the good band is slow or fast.
+  analyzeSpeechRate(transcript, durationSeconds, bands = DEFAULT_RUBRIC.voice.speechRate) {
     try {
       const wordCount = transcript.split(/\s+/).filter(word => word.length > 0).length;
       const wordsPerMinute = durationSeconds > 0 ? (wordCount / durationSeconds) * 60 : 0;
       
       let rate = 'normal';
-      if (wordsPerMinute < 120) {
+      if (wordsPerMinute < bands.good[0]) {
         rate = 'slow';
-      } else if (wordsPerMinute > 180) {
+      } else if (wordsPerMinute > bands.good[1]) {
         rate = 'fast';
       }
       
       return {
         wordsPerMinute: Math.round(wordsPerMinute),
         rate: rate,
-        score: this.calculateSpeechRateScore(wordsPerMinute)
+        score: this.calculateSpeechRateScore(wordsPerMinute, bands)
       };
     } catch (error) {
       logger.error('Error analyzing speech rate:', error);
@@ -38,33 +35,56 @@ class VoiceAnalysisService {
     }
   }
 
-  // Count filler words in transcript
-  analyzeFillerWords(transcript) {
+  // Count filler words in transcript: hesitation sounds anywhere, discourse
+  // markers ("so", "like", "actually") only where they act as fillers.
+  // words are the STT word timings, when the provider gives them.
+  analyzeFillerWords(transcript, words = []) {
     try {
-      const words = transcript.toLowerCase().split(/\s+/);
+      const { instances, wordCount } = disfluencyService.detect(transcript, words);
+      const fillers = instances.filter(instance => instance.type === 'filler');
       const fillerCount = {};
-      let totalFillers = 0;
-      
-      this.fillerWords.forEach(filler => {
-        const regex = new RegExp(`\\b${filler}\\b`, 'gi');
-        const matches = transcript.match(regex);
-        if (matches) {
-          fillerCount[filler] = matches.length;
-          totalFillers += matches.length;
-        }
+      fillers.forEach(instance => {
+        fillerCount[instance.filler] = (fillerCount[instance.filler] || 0) + 1;
       });
       
-      const fillerDensity = words.length > 0 ? (totalFillers / words.length) * 100 : 0;
+      const fillerDensity = wordCount > 0 ? (fillers.length / wordCount) * 100 : 0;
       
       return {
-        count: totalFillers,
+        count: fillers.length,
         density: Math.round(fillerDensity * 100) / 100,
         words: fillerCount,
+        instances: fillers,
         score: this.calculateFillerWordScore(fillerDensity)
       };
     } catch (error) {
       logger.error('Error analyzing filler words:', error);
-      return { count: 0, density: 0, words: {}, score: 100 };
+      return { count: 0, density: 0, words: {}, instances: [], score: 100 };
+    }
+  }
+
+  // Fillers, repetitions, self-corrections, false starts and hesitations, each
+  // with its position in the answer (and time, when the words are timed)
+  analyzeDisfluencies(transcript, words = []) {
+    try {
+      const { instances, wordCount, timed } = disfluencyService.detect(transcript, words);
+      const byType = {};
+      disfluencyService.TYPES.forEach(type => {
+        byType[type] = instances.filter(instance => instance.type === type).length;
+      });
+      
+      const density = wordCount > 0 ? (instances.length / wordCount) * 100 : 0;
+      
+      return {
+        count: instances.length,
+        density: Math.round(density * 100) / 100,
+        byType,
+        instances,
+        timed,
+        score: this.calculateDisfluencyScore(density)
+      };
+    } catch (error) {
+      logger.error('Error analyzing disfluencies:', error);
+      return { count: 0, density: 0, byType: {}, instances: [], timed: false, score: 100 };
     }
   }
 
@@ -93,6 +113,38 @@ class VoiceAnalysisService {
     }
   }
 
+  // Pauses measured in the recording (audioAnalysisService) instead of estimated
+  analyzeMeasuredPauses(acoustics) {
+    const { count, averageLength, longest, long, ratio } = acoustics.pauses;
+    return {
+      count,
+      averageLength,
+      longest,
+      long,
+      ratio,
+      responseLatency: acoustics.responseLatency,
+      effectiveness: this.assessPauseEffectiveness(ratio),
+      score: this.calculatePauseScore(ratio)
+    };
+  }
+
+  // How steady the speaker's volume was across the answer
+  analyzeEnergy(acoustics) {
+    const { meanLevel, stdDev, segmentStdDev, consistency, relative } = acoustics.energy;
+    let level = 'steady';
+    if (consistency !== null && consistency < 60) level = 'uneven';
+    else if (consistency !== null && consistency < 80) level = 'variable';
+
+    return {
+      meanLevel,
+      stdDev,
+      segmentStdDev,
+      relative,
+      consistency: level,
+      score: consistency === null ? 50 : consistency
+    };
+  }
+
   // Analyze confidence level from language patterns
   analyzeConfidence(transcript) {
     try {
@@ -214,41 +266,71 @@ class VoiceAnalysisService {
     }
   }
 
-  // Comprehensive voice analysis
-  analyzeVoice(transcript, durationSeconds, additionalMetrics = {}) {
+  // Comprehensive voice analysis. acoustics are the recording's measurements
+  // (audioAnalysisService); without them speech rate and pauses are estimated
+  // from the transcript and the duration. words are the STT word timings;
+  // scoringRubric sets the speech-rate bands, the component weights and the level labels.
+  analyzeVoice(transcript, durationSeconds, additionalMetrics = {}, acoustics = null, { words = [], scoringRubric = DEFAULT_RUBRIC } = {}) {
     try {
-      const speechRate = this.analyzeSpeechRate(transcript, durationSeconds);
-      const fillerWords = this.analyzeFillerWords(transcript);
-      const pauses = this.analyzePauses(transcript, durationSeconds);
+      const { weights, speechRate: bands } = scoringRubric.voice;
+      const speechRate = this.analyzeSpeechRate(transcript, acoustics ? acoustics.talkTime : durationSeconds, bands);
+      if (acoustics) {
+        speechRate.variation = acoustics.speakingRate.variation;
+      }
+      const fillerWords = this.analyzeFillerWords(transcript, words);
+      const disfluencies = this.analyzeDisfluencies(transcript, words);
+      const pauses = acoustics ? this.analyzeMeasuredPauses(acoustics) : this.analyzePauses(transcript, durationSeconds);
       const confidence = this.analyzeConfidence(transcript);
       const clarity = this.analyzeClarity(transcript);
+      const energy = acoustics ? this.analyzeEnergy(acoustics) : null;
       
-      // Calculate overall communication score
-      const overallScore = Math.round(
-        (speechRate.score + fillerWords.score + pauses.score + confidence.score + clarity.score) / 5
-      );
+      // Calculate overall communication score, weighted by the rubric
+      const components = { speechRate, fillerWords, disfluencies, pauses, confidence, clarity };
+      if (energy) {
+        components.energy = energy;
+      }
+      let weighted = 0;
+      let totalWeight = 0;
+      Object.entries(components).forEach(([name, component]) => {
+        const weight = weights[name] !== undefined ? weights[name] : 1;
+        weighted += component.score * weight;
+        totalWeight += weight;
+      });
+      const overallScore = totalWeight > 0 ? Math.round(weighted / totalWeight) : 0;
       
       return {
         overall: {
           score: overallScore,
-          level: this.getScoreLevel(overallScore)
+          level: this.getScoreLevel(overallScore, scoringRubric)
         },
         speechRate,
         fillerWords,
+        disfluencies,
         pauses,
         confidence,
         clarity,
+        energy,
+        acoustics,
         metrics: {
           wordCount: transcript.split(/\s+/).filter(w => w.length > 0).length,
-          duration: durationSeconds,
+          duration: acoustics ? acoustics.duration : durationSeconds,
+          source: acoustics ? 'audio' : 'transcript',
+          disfluencyCount: disfluencies.count,
+          ...(acoustics ? {
+            talkTime: acoustics.talkTime,
+            pauseCount: pauses.count,
+            averagePauseLength: pauses.averageLength
+          } : {}),
           ...additionalMetrics
         },
         recommendations: this.generateVoiceRecommendations({
           speechRate,
           fillerWords,
+          disfluencies,
           pauses,
           confidence,
-          clarity
+          clarity,
+          energy
         })
       };
     } catch (error) {
@@ -258,10 +340,11 @@ class VoiceAnalysisService {
   }
 
   // Helper methods for scoring
-  calculateSpeechRateScore(wordsPerMinute) {
-    if (wordsPerMinute >= 140 && wordsPerMinute <= 160) return 100;
-    if (wordsPerMinute >= 120 && wordsPerMinute <= 180) return 80;
-    if (wordsPerMinute >= 100 && wordsPerMinute <= 200) return 60;
+  calculateSpeechRateScore(wordsPerMinute, bands = DEFAULT_RUBRIC.voice.speechRate) {
+    const within = ([low, high]) => wordsPerMinute >= low && wordsPerMinute <= high;
+    if (within(bands.ideal)) return 100;
+    if (within(bands.good)) return 80;
+    if (within(bands.fair)) return 60;
     return 40;
   }
 
@@ -273,6 +356,15 @@ class VoiceAnalysisService {
     return 20;
   }
 
+  // Disfluencies per 100 words; a few are normal in spoken answers
+  calculateDisfluencyScore(density) {
+    if (density <= 2) return 100;
+    if (density <= 4) return 80;
+    if (density <= 6) return 60;
+    if (density <= 10) return 40;
+    return 20;
+  }
+
   calculatePauseScore(ratio) {
     if (ratio >= 0.1 && ratio <= 0.2) return 100;
     if (ratio >= 0.05 && ratio <= 0.3) return 80;
@@ -287,12 +379,8 @@ class VoiceAnalysisService {
     return 'poor';
   }
 
-  getScoreLevel(score) {
-    if (score >= 80) return 'excellent';
-    if (score >= 65) return 'good';
-    if (score >= 50) return 'fair';
-    if (score >= 35) return 'poor';
-    return 'very_poor';
+  getScoreLevel(score, scoringRubric = DEFAULT_RUBRIC) {
+    return getLevel(score, scoringRubric);
   }
 
   generateVoiceRecommendations(analysis) {
@@ -308,10 +396,32 @@ class VoiceAnalysisService {
       recommendations.push('Work on reducing filler words like "um" and "uh"');
     }
     
+    const restarts = analysis.disfluencies.instances.filter(instance => ['repetition', 'self_correction', 'false_start'].includes(instance.type));
+    if (restarts.length >= 2) {
+      recommendations.push(`Finish each thought before starting the next; you restarted with ${this.quoteMoment(restarts[0])}`);
+    }
+    
+    const hesitation = analysis.disfluencies.instances.find(instance => instance.type === 'hesitation');
+    if (hesitation) {
+      recommendations.push(`Have your key points ready so you don't hesitate before them, like before ${this.quoteMoment(hesitation)}`);
+    }
+    
+    if (analysis.speechRate.variation > 0.35) {
+      recommendations.push('Keep a steadier pace; your speed changed a lot during the answer');
+    }
+    
     if (analysis.pauses.effectiveness === 'poor') {
       recommendations.push('Use more strategic pauses for emphasis');
     }
     
+    if (analysis.pauses.long > 0) {
+      recommendations.push('Avoid long silences; a short pause to think is enough');
+    }
+    
+    if (analysis.energy && analysis.energy.consistency === 'uneven') {
+      recommendations.push('Keep your volume steady; parts of your answer were much quieter');
+    }
+    
     if (analysis.confidence.level === 'low') {
       recommendations.push('Practice using more confident language');
     }
@@ -323,11 +433,21 @@ class VoiceAnalysisService {
     return recommendations;
   }
 
+  // "the words" (at 0:12) for a disfluency instance
+  quoteMoment(instance) {
+    if (!instance.time) {
+      return `"${instance.text}"`;
+    }
+    const seconds = Math.floor(instance.time.start);
+    return `"${instance.text}" (at ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')})`;
+  }
+
   getDefaultAnalysis() {
     return {
       overall: { score: 50, level: 'fair' },
       speechRate: { wordsPerMinute: 150, rate: 'normal', score: 75 },
-      fillerWords: { count: 0, density: 0, words: {}, score: 100 },
+      fillerWords: { count: 0, density: 0, words: {}, instances: [], score: 100 },
+      disfluencies: { count: 0, density: 0, byType: {}, instances: [], timed: false, score: 100 },
       pauses: { count: 0, averageLength: 0, ratio: 0, effectiveness: 'good', score: 75 },
       confidence: { score: 50, level: 'medium', indicators: { positive: 0, negative: 0, hedging: 0, strong: 0 } },
       clarity: { score: 50, clarity: 'medium', wordLength: 5, complexity: 0.5, sentenceLength: 15 },
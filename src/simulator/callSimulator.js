@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { getVerbs } = require('./twimlParser');
+const { signTwilioRequest } = require('../middleware/twilioWebhook');
+
+// Plays the part of Twilio for one inbound call: posts signed webhooks to the
+// Express app, reads the TwiML it returns and follows Redirect, Gather and
+// Record verbs. Caller behaviour comes from a script of steps, consumed in
+// order by each Gather or Record:
+//
+//   { digits: '1' }                       - DTMF for a Gather
+//   { speech: 'mock interview' }          - speech result for a Gather
+//   { answer: 'In my last role...' }      - recorded answer, delivered as a transcription
+//   { silence: true }                     - no input; Gather/Record time out
+//   { hangup: true }                      - caller hangs up
+class CallSimulator {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.baseUrl = (options.baseUrl || process.env.WEBHOOK_BASE_URL || 'http://simulator.local').replace(/\/+$/, '');
+    this.authToken = options.authToken;
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID || `AC${'0'.repeat(32)}`;
+    this.callSid = options.callSid || `CA${crypto.randomBytes(16).toString('hex')}`;
+    this.from = options.from || '+14155550100';
+    this.to = options.to || process.env.TWILIO_PHONE_NUMBER || '+14155550199';
+    this.maxRequests = options.maxRequests || 50;
+
+    // Audio URL -> text, filled by the offline TTS provider
+    this.spoken = options.spoken || new Map();
+
+    // Wait for work the app does after responding (e.g. answer analysis)
+    this.settle = options.settle || (() => require('../services/callFlowService').whenIdle());
+  }
+
+  // Run a full call and return { callSid, status, transcript, requests, unusedSteps }
+  async run(script = []) {
+    this.steps = [...script];
+    this.transcript = [];
+    this.requests = [];
+    this.recordings = 0;
+
+    let next = { url: `${this.baseUrl}/webhook/voice`, params: { CallStatus: 'ringing' } };
+    let status = 'completed';
+
+    while (next) {
+      if (this.requests.length >= this.maxRequests) {
+        throw new Error(`Call exceeded ${this.maxRequests} webhook requests`);
+      }
+
+      const twiml = await this.post(next.url, next.params);
+
+      if (next.transcription) {
+        // Twilio delivers the transcription separately, after the Record action
+        await this.post(next.transcription.url, next.transcription.params);
+      }
+
+      await this.settle();
+
+      const outcome = await this.execute(twiml);
+      next = outcome.next;
+      status = outcome.status || status;
+    }
+
+    await this.post(`${this.baseUrl}/webhook/status`, { CallStatus: status === 'failed' ? 'failed' : 'completed' });
+    await this.settle();
+
+    return {
+      callSid: this.callSid,
+      status,
+      transcript: this.transcript,
+      requests: this.requests,
+      unusedSteps: this.steps
+    };
+  }
+
+  // Work through the verbs of one TwiML document until one of them hands control back
+  async execute(twiml) {
+    for (const verb of getVerbs(twiml)) {
+      switch (verb.name) {
+        case 'Say':
+        case 'Play':
+          this.speak(verb);
+          break;
+
+        case 'Pause':
+          break;
+
+        case 'Gather': {
+          verb.children.forEach(child => this.speak(child));
+          const step = this.nextStep('Gather');
+
+          if (step.hangup) {
+            return { status: 'completed' };
+          }
+
+          if (step.digits !== undefined || step.speech !== undefined) {
+            const params = step.digits !== undefined
+              ? { Digits: String(step.digits) }
+              : { SpeechResult: step.speech, Confidence: String(step.confidence !== undefined ? step.confidence : 0.9) };
+            this.log('caller', verb.name, step.digits !== undefined ? `[DTMF ${step.digits}]` : step.speech);
+            return { next: { url: this.resolve(verb.attributes.action), params } };
+          }
+
+          // No input: Twilio falls through to the next verb, unless asked to post anyway
+          this.log('caller', verb.name, '[no input]');
+          if (verb.attributes.actionOnEmptyResult === 'true') {
+            return { next: { url: this.resolve(verb.attributes.action), params: {} } };
+          }
+          break;
+        }
+
+        case 'Record': {
+          const step = this.nextStep('Record');
+
+          if (step.hangup) {
+            return { status: 'completed' };
+          }
+
+          if (step.answer !== undefined) {
+            this.log('caller', verb.name, step.answer);
+            return { next: this.recordAnswer(verb, step) };
+          }
+
+          this.log('caller', verb.name, '[silence]');
+          // timeoutAction is our own attribute; Twilio itself moves on to the next verb
+          if (verb.attributes.timeoutAction) {
+            return { next: { url: this.resolve(verb.attributes.timeoutAction), params: {} } };
+          }
+          break;
+        }
+
+        case 'Redirect':
+          return { next: { url: this.resolve(verb.text), params: {} } };
+
+        case 'Dial':
+          this.log('ivr', verb.name, verb.text || verb.children.map(child => child.text).join(', '));
+          return { status: 'transferred' };
+
+        case 'Hangup':
+        case 'Reject':
+          this.log('ivr', verb.name, '[hangup]');
+          return { status: 'completed' };
+
+        default:
+          this.log('ivr', verb.name, `[unsupported verb ${verb.name}]`);
+      }
+    }
+
+    // Running out of verbs ends the call
+    return { status: 'completed' };
+  }
+
+  recordAnswer(verb, step) {
+    this.recordings += 1;
+    const recordingSid = `RE${crypto.createHash('md5').update(`${this.callSid}:${this.recordings}`).digest('hex')}`;
+    const recording = {
+      RecordingSid: recordingSid,
+      RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Recordings/${recordingSid}`,
+      RecordingDuration: String(step.duration || Math.max(1, Math.round(step.answer.split(/\s+/).length / 2.5)))
+    };
+
+    const next = {
+      url: this.resolve(verb.attributes.action),
+      params: { ...recording, Digits: verb.attributes.finishOnKey || 'hangup' }
+    };
+
+    if (verb.attributes.transcribe === 'true' && verb.attributes.transcribeCallback) {
+      next.transcription = {
+        url: this.resolve(verb.attributes.transcribeCallback),
+        params: { ...recording, TranscriptionText: step.answer, TranscriptionStatus: 'completed' }
+      };
+    }
+
+    return next;
+  }
+
+  speak(verb) {
+    if (verb.name === 'Say') {
+      this.log('ivr', verb.name, verb.text);
+    } else if (verb.name === 'Play') {
+      this.log('ivr', verb.name, this.spoken.get(verb.text) || `[audio ${verb.text}]`);
+    }
+  }
+
+  nextStep(verbName) {
+    const step = this.steps.shift();
+    if (!step) {
+      return { silence: true };
+    }
+    const isGatherStep = step.digits !== undefined || step.speech !== undefined;
+    const isRecordStep = step.answer !== undefined;
+    if ((verbName === 'Gather' && isRecordStep) || (verbName === 'Record' && isGatherStep)) {
+      throw new Error(`Script step ${JSON.stringify(step)} does not fit a <${verbName}>`);
+    }
+    return step;
+  }
+
+  log(speaker, verb, text) {
+    this.transcript.push({ speaker, verb, text: String(text).replace(/\s+/g, ' ').trim() });
+  }
+
+  // Turn an absolute or relative TwiML URL into an absolute one under baseUrl
+  resolve(url) {
+    if (!url) {
+      throw new Error('TwiML verb has no URL to follow');
+    }
+    return url.startsWith('/') ? `${this.baseUrl}${url}` : url;
+  }
+
+  async post(url, params = {}) {
+    if (!url.startsWith(this.baseUrl)) {
+      throw new Error(`Cannot follow ${url}: outside ${this.baseUrl}`);
+    }
+
+    const path = url.slice(this.baseUrl.length) || '/';
+    const { protocol, host } = new URL(this.baseUrl);
+    const body = {
+      AccountSid: this.accountSid,
+      CallSid: this.callSid,
+      From: this.from,
+      To: this.to,
+      Direction: 'inbound',
+      CallStatus: 'in-progress',
+      ...params
+    };
+
+    const response = await request(this.app)
+      .post(path)
+      .set('X-Twilio-Signature', signTwilioRequest(url, body, this.authToken))
+      .set('X-Forwarded-Proto', protocol.replace(':', ''))
+      .set('X-Forwarded-Host', host)
+      .type('form')
+      .send(body);
+
+    this.requests.push({ path, status: response.status });
+
+    if (response.status !== 200) {
+      throw new Error(`Webhook ${path} returned ${response.status}: ${response.text}`);
+    }
+
+    return response.text;
+  }
+}
+
+// Human-readable transcript, one line per turn
+const formatTranscript = (transcript) => {
+  return transcript
+    .map(entry => `${entry.speaker === 'ivr' ? 'IVR   ' : 'CALLER'} ${entry.text}`)
+    .join('\n');
+};
+
+module.exports = {
+  CallSimulator,
+  formatTranscript
+};
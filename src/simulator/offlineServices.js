@@ -0,0 +1,91 @@
+// Offline replacements for the external services the IVR calls, so the call
+// simulator runs without OpenAI, MurfAI or the Twilio REST API. The LLM uses
+// the offline provider, speech goes through a fake TTS provider and the Twilio
+// REST calls are patched onto the service singleton. Answer recordings are stored
+// in memory. restore() puts everything back.
+
+const { createProvider } = require('../services/llm');
+
+const patch = (target, methods, originals) => {
+  Object.entries(methods).forEach(([name, implementation]) => {
+    originals.push({ target, name, hadOwn: Object.prototype.hasOwnProperty.call(target, name), value: target[name] });
+    target[name] = implementation;
+  });
+};
+
+// Answer recordings kept in memory instead of the configured storage backend
+const createMemoryBackend = () => {
+  const objects = new Map();
+  return {
+    name: 'memory',
+    put: async (name, data) => {
+      objects.set(name, { data, modifiedAt: new Date().toISOString() });
+    },
+    get: async (name) => (objects.has(name) ? objects.get(name).data : null),
+    delete: async (name) => {
+      objects.delete(name);
+    },
+    list: async () => [...objects.entries()].map(([name, { data, modifiedAt }]) => ({ name, size: data.length, modifiedAt }))
+  };
+};
+
+// Install the stubs. Returns { spoken, restore } where spoken maps each fake
+// audio URL back to the text it stands for, so transcripts stay readable.
+const installOfflineServices = (options = {}) => {
+  const openaiService = options.openaiService || require('../services/openaiService');
+  const ttsService = options.ttsService || require('../services/ttsService');
+  const twilioService = options.twilioService || require('../services/twilioService');
+  const recordingService = options.recordingService || require('../services/recordingService');
+  const sttService = options.sttService || require('../services/sttService');
+  const audioBaseUrl = options.audioBaseUrl || process.env.WEBHOOK_BASE_URL || 'http://simulator.local';
+
+  const originals = [];
+  const spoken = new Map();
+
+  const previousProvider = openaiService.setProvider(createProvider('offline'));
+
+  ttsService.registerProvider('simulator', () => ({
+    name: 'simulator',
+    isConfigured: () => true,
+    defaultVoice: () => 'simulated',
+    synthesize: async (text) => {
+      const url = `${audioBaseUrl}/audio/simulated_${spoken.size + 1}.mp3`;
+      spoken.set(url, text);
+      return { type: 'play', url, text };
+    }
+  }));
+  const previousChain = ttsService.setDefaultChain(['simulator']);
+
+  patch(twilioService, {
+    getCallDetails: async (callSid) => ({ sid: callSid, status: 'in-progress' }),
+    getCallRecordings: async () => [],
+    getTranscription: async () => null,
+    downloadRecording: async (sid) => Buffer.from(`simulated recording ${sid}`),
+    deleteRecording: async () => true,
+    sendSMS: async (to, body) => ({ sid: `SM${Date.now()}`, status: 'queued', to, body })
+  }, originals);
+  const previousRecordingBackend = recordingService.setBackend(createMemoryBackend());
+  // Answers arrive as Twilio transcription callbacks carrying the scripted text
+  const previousSttChain = sttService.setDefaultChain(['twilio']);
+
+  const restore = () => {
+    originals.reverse().forEach(({ target, name, hadOwn, value }) => {
+      if (hadOwn) {
+        target[name] = value;
+      } else {
+        delete target[name];
+      }
+    });
+    originals.length = 0;
+    openaiService.setProvider(previousProvider);
+    ttsService.setDefaultChain(previousChain);
+    recordingService.setBackend(previousRecordingBackend);
+    sttService.setDefaultChain(previousSttChain);
+  };
+
+  return { spoken, restore };
+};
+
+module.exports = {
+  installOfflineServices
+};
@@ -0,0 +1,100 @@
+// Minimal TwiML reader for the call simulator. TwiML is flat, attribute-only
+// XML, so a small tokenizer is enough: no namespaces, CDATA or DTDs.
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+};
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+};
+
+// Parse a TwiML document into { name, attributes, children, text } nodes
+const parseTwiML = (xml) => {
+  if (typeof xml !== 'string' || xml.trim().length === 0) {
+    throw new Error('TwiML document is empty');
+  }
+
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokens = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<\/([\w:-]+)\s*>|<([\w:-]+)((?:\s+[^>]*?)?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(xml)) !== null) {
+    const [token, closingName, openingName, attributeSource, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (closingName) {
+      if (parent.name !== closingName) {
+        throw new Error(`Malformed TwiML: unexpected </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const node = {
+        name: openingName,
+        attributes: parseAttributes(attributeSource || ''),
+        children: [],
+        text: ''
+      };
+      parent.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    } else if (text !== undefined) {
+      parent.text += decodeEntities(text);
+    } else if (token.startsWith('<') && !token.startsWith('<?') && !token.startsWith('<!--')) {
+      throw new Error(`Malformed TwiML near "${token.slice(0, 20)}"`);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed TwiML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+
+  const response = root.children.find(node => node.name === 'Response');
+  if (!response) {
+    throw new Error('TwiML document has no <Response> element');
+  }
+
+  return response;
+};
+
+// Verbs of a <Response>, with whitespace-only text trimmed away
+const getVerbs = (xml) => {
+  const trimText = (node) => ({
+    name: node.name,
+    attributes: node.attributes,
+    text: node.text.trim(),
+    children: node.children.map(trimText)
+  });
+
+  return parseTwiML(xml).children.map(trimText);
+};
+
+module.exports = {
+  parseTwiML,
+  getVerbs,
+  decodeEntities
+};